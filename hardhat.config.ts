@@ -1,11 +1,58 @@
 import { HardhatUserConfig } from "hardhat/config";
+import { NetworksUserConfig } from "hardhat/types";
 import "@nomiclabs/hardhat-ethers";
 import "hardhat-contract-sizer";
 import "@nomicfoundation/hardhat-verify";
 import dotenv from "dotenv";
+import fs from "fs";
+import path from "path";
 
 dotenv.config();
 
+// Networks and explorer settings are generated from the chain registry
+// (scripts/config/chains.json) so scripts and hardhat always agree on chain IDs and RPCs.
+// Every profile is included; the network name is each chain's `hardhatNetwork`.
+type RegistryChain = {
+  chainId: number;
+  hardhatNetwork: string;
+  rpcEnvVars: string[];
+  defaultRpcUrl?: string;
+  explorer: string | null;
+  explorerApi: string | null;
+};
+
+const CHAIN_PROFILES: Record<string, Record<string, RegistryChain>> = JSON.parse(
+  fs.readFileSync(path.join(__dirname, "scripts/config/chains.json"), "utf8")
+);
+
+const REGISTRY_CHAINS = Object.values(CHAIN_PROFILES).flatMap(profile => Object.values(profile));
+
+function registryNetworks(): NetworksUserConfig {
+  return Object.fromEntries(
+    REGISTRY_CHAINS.map(chain => [
+      chain.hardhatNetwork,
+      {
+        url: process.env[chain.rpcEnvVars[0]] || chain.defaultRpcUrl || "",
+        accounts: process.env.PRIVATE_KEY ? [`0x${process.env.PRIVATE_KEY}`] : [],
+        chainId: chain.chainId
+      }
+    ])
+  );
+}
+
+function registryCustomChains() {
+  return REGISTRY_CHAINS
+    .filter(chain => chain.explorer && chain.explorerApi)
+    .map(chain => ({
+      network: chain.hardhatNetwork,
+      chainId: chain.chainId,
+      urls: {
+        apiURL: chain.explorerApi as string,
+        browserURL: chain.explorer as string
+      }
+    }));
+}
+
 const config: HardhatUserConfig = {
   solidity: {
     compilers: [
@@ -36,49 +83,18 @@ const config: HardhatUserConfig = {
     hardhat: {
       allowUnlimitedContractSize: true
     },
-    sepolia: {
-      url: process.env.SEPOLIA_RPC_URL || "",
-      accounts: process.env.PRIVATE_KEY ? [`0x${process.env.PRIVATE_KEY}`] : [],
-      chainId: 11155111
-    },
-    baseSepolia: {
-      url: process.env.BASE_SEPOLIA_RPC_URL || "",
-      accounts: process.env.PRIVATE_KEY ? [`0x${process.env.PRIVATE_KEY}`] : [],
-      chainId: 84532
-    },
-    arbitrumSepolia: {
-      url: process.env.ARBITRUM_SEPOLIA_RPC_URL || "",
-      accounts: process.env.PRIVATE_KEY ? [`0x${process.env.PRIVATE_KEY}`] : [],
-      chainId: 421614
-    }
+    ...registryNetworks()
   },
   etherscan: {
-    apiKey: process.env.ETHERSCAN_API_KEY
+    apiKey: process.env.ETHERSCAN_API_KEY,
+    customChains: registryCustomChains()
   },
   paths: {
     sources: "./contracts",
     tests: "./test",
     cache: "./cache",
     artifacts: "./artifacts"
-  },
-  customChains: [
-    {
-      network: "baseSepolia",
-      chainId: 84532,
-      urls: {
-        apiURL: "https://api-sepolia.basescan.org/api",
-        browserURL: "https://sepolia.basescan.org"
-      }
-    },
-    {
-      network: "arbitrumSepolia",
-      chainId: 421614,
-      urls: {
-        apiURL: "https://api-sepolia.arbiscan.io/api",
-        browserURL: "https://sepolia.arbiscan.io"
-      }
-    }
-  ]
+  }
 };
 
-export default config;
\ No newline at end of file
+export default config;
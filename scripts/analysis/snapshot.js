@@ -0,0 +1,472 @@
+const { ethers } = require("ethers");
+const fs = require("fs");
+const path = require("path");
+const { queryMultipleChainsWithConsensus, multicall } = require("../utils/consensusProvider");
+const { trackTransfers, printPendingTransfers } = require("../utils/ccipTransferTracker");
+const { parseArgs } = require("../utils/cliArgs");
+const { loadDeployment, getDeploymentChains } = require("../utils/deploymentStore");
+const { scopedPath } = require("../utils/environment");
+require("dotenv").config({ path: path.join(__dirname, "../../.env") });
+
+/**
+ * Cross-Chain State Snapshot
+ *
+ * Reads vault + wrapper state from every chain in deployment.json at a pinned block
+ * per chain (chains in parallel, one batched read per RPC through
+ * queryMultipleChainsWithConsensus) and checks the documented accounting invariants:
+ *
+ *   1. Global accounting:  Σ accountingSupply = Σ shUSD totalSupply + enroute CCIP
+ *   2. Global backing:     Σ sherpaUSD totalSupply = Σ (totalStaked + totalPending)
+ *   3. Per-chain backing:  sherpaUSD.balanceOf(vault) = totalStaked + totalPending
+ *   4. Same round on every chain
+ *   5. Same epoch on every chain, and epoch = round on each chain
+ *   6. Same roundPricePerShare[round - 1] on every chain, non-zero from round 2
+ *   7. Exactly one primary chain, matching deployment.json
+ *   8. Paused vaults have a pause deadline
+ *
+ * Enroute CCIP transfers are listed by scripts/utils/ccipTransferTracker.js up to the
+ * pinned blocks, so (1) is checked exactly. With --no-ccip the scan is skipped and a
+ * positive gap in (1) is only a warning (shares may be in flight).
+ *
+ * Output (docs/state-snapshots/):
+ *   snapshot-<timestamp>.json  - raw state + invariant results
+ *   snapshot-<timestamp>.txt   - human-readable pass/fail report
+ *   snapshot-latest.json/.txt  - copy of the most recent snapshot
+ *
+ * Usage:
+ *   node scripts/analysis/snapshot.js [--ccip-lookback <hours>] [--no-ccip]
+ *
+ * Exit code is 1 when any invariant fails.
+ */
+
+const DECIMALS = 6;
+
+// Stay a few blocks behind the agreed head (reorg margin)
+const BLOCK_LAG = 3;
+
+const SNAPSHOTS_DIR = scopedPath("docs/state-snapshots");
+
+const VAULT_ABI = [
+  "function round() external view returns (uint16)",
+  "function isPaused() external view returns (bool)",
+  "function pauseDeadline() external view returns (uint256)",
+  "function isPrimaryChain() external view returns (bool)",
+  "function totalStaked() external view returns (uint256)",
+  "function totalPending() external view returns (uint256)",
+  "function accountingSupply() external view returns (uint256)",
+  "function totalSupply() external view returns (uint256)",
+  "function roundPricePerShare(uint256) external view returns (uint256)",
+  "function stableWrapper() external view returns (address)"
+];
+
+const WRAPPER_ABI = [
+  "function currentEpoch() external view returns (uint32)",
+  "function totalSupply() external view returns (uint256)",
+  "function balanceOf(address) external view returns (uint256)"
+];
+
+/**
+ * Read one chain's vault + wrapper state at a block all RPCs agree on
+ * (lowest head minus BLOCK_LAG, see queryWithConsensus). The view calls go out as
+ * one Multicall3 batch per RPC, plus one more for the round-dependent price.
+ */
+async function readChainAt(provider, blockTag, config) {
+  const vault = new ethers.Contract(config.vault, VAULT_ABI, provider);
+  const wrapper = new ethers.Contract(config.sherpaUSD, WRAPPER_ABI, provider);
+
+  const [
+    block,
+    [
+      round,
+      isPaused,
+      pauseDeadline,
+      isPrimaryChain,
+      totalStaked,
+      totalPending,
+      accountingSupply,
+      shareSupply,
+      stableWrapper,
+      epoch,
+      wrapperSupply,
+      vaultWrapperBalance,
+    ],
+  ] = await Promise.all([
+    provider.getBlock(blockTag),
+    multicall(provider, [
+      { contract: vault, method: "round" },
+      { contract: vault, method: "isPaused" },
+      { contract: vault, method: "pauseDeadline" },
+      { contract: vault, method: "isPrimaryChain" },
+      { contract: vault, method: "totalStaked" },
+      { contract: vault, method: "totalPending" },
+      { contract: vault, method: "accountingSupply" },
+      { contract: vault, method: "totalSupply" },
+      { contract: vault, method: "stableWrapper" },
+      { contract: wrapper, method: "currentEpoch" },
+      { contract: wrapper, method: "totalSupply" },
+      { contract: wrapper, method: "balanceOf", args: [config.vault] },
+    ]),
+  ]);
+
+  const lastPrice = round > 0
+    ? (await multicall(provider, [{ contract: vault, method: "roundPricePerShare", args: [round - 1] }]))[0]
+    : ethers.BigNumber.from(0);
+
+  return {
+    blockNumber: blockTag,
+    blockTimestamp: block.timestamp,
+    round: Number(round),
+    epoch: Number(epoch),
+    isPaused,
+    pauseDeadline,
+    isPrimaryChain,
+    totalStaked,
+    totalPending,
+    accountingSupply,
+    shareSupply,
+    lastPrice,
+    stableWrapper,
+    wrapperSupply,
+    vaultWrapperBalance,
+  };
+}
+
+/**
+ * Take a snapshot of every chain in the deployment (chains are read in parallel)
+ *
+ * @param {Object} deployment - Parsed deployments/deployment.json
+ * @returns {Promise<Object>} { timestamp, chains: { [chain]: state } }
+ */
+async function takeSnapshot(deployment) {
+  const chainNames = getDeploymentChains(deployment);
+  const snapshot = { timestamp: new Date().toISOString(), chains: {} };
+
+  const states = await queryMultipleChainsWithConsensus(
+    chainNames,
+    (chain, provider, blockTag) => readChainAt(provider, blockTag, deployment[chain]),
+    { requireMajority: true, blockLag: BLOCK_LAG }
+  );
+  console.log();
+
+  for (const chain of chainNames) {
+    snapshot.chains[chain] = {
+      ...states[chain],
+      deploymentIsPrimary: Boolean(deployment[chain].isPrimary),
+    };
+  }
+
+  return snapshot;
+}
+
+function sum(chains, field) {
+  return Object.values(chains).reduce((total, state) => total.add(state[field]), ethers.BigNumber.from(0));
+}
+
+function equalityCheck(id, description, expected, actual, { allowShortfall = false, note = null } = {}) {
+  const delta = ethers.BigNumber.from(actual).sub(expected);
+  let status = "pass";
+  if (!delta.isZero()) {
+    status = allowShortfall && delta.lt(0) ? "warn" : "fail";
+  }
+  return {
+    id,
+    description,
+    status,
+    expected: expected.toString(),
+    actual: actual.toString(),
+    delta: delta.toString(),
+    note: status === "pass" ? null : note,
+  };
+}
+
+function valueCheck(id, description, ok, detail) {
+  return { id, description, status: ok ? "pass" : "fail", detail };
+}
+
+/**
+ * Evaluate all documented invariants against a snapshot
+ *
+ * @param {Object} snapshot - Result of takeSnapshot
+ * @returns {Object[]} Invariant results ({ id, description, status, ... })
+ */
+function evaluateInvariants(snapshot) {
+  const { chains } = snapshot;
+  const names = Object.keys(chains);
+  const results = [];
+
+  // 1. Global accounting (shares)
+  if (snapshot.enroute) {
+    const { pending, pendingTotal, lookbackHours } = snapshot.enroute;
+    results.push(equalityCheck(
+      "global-accounting",
+      "Σ accountingSupply = Σ shUSD totalSupply + enroute CCIP",
+      sum(chains, "accountingSupply"),
+      sum(chains, "shareSupply").add(pendingTotal),
+      {
+        note: `${pending.length} enroute transfer(s) found in the last ${lookbackHours}h - ` +
+          "gap not explained by tracked transfers (older transfer or non-bridge supply change?)",
+      }
+    ));
+  } else {
+    results.push(equalityCheck(
+      "global-accounting",
+      "Σ accountingSupply = Σ shUSD totalSupply + enroute CCIP (not scanned)",
+      sum(chains, "accountingSupply"),
+      sum(chains, "shareSupply"),
+      { allowShortfall: true, note: "shUSD missing from totalSupply - may be enroute CCIP transfers" }
+    ));
+  }
+
+  // 2. Global backing (sherpaUSD)
+  results.push(equalityCheck(
+    "global-sherpausd-backing",
+    "Σ sherpaUSD totalSupply = Σ (totalStaked + totalPending)",
+    sum(chains, "totalStaked").add(sum(chains, "totalPending")),
+    sum(chains, "wrapperSupply")
+  ));
+
+  // 3. Per-chain backing
+  for (const chain of names) {
+    const state = chains[chain];
+    results.push(equalityCheck(
+      `sherpausd-backing:${chain}`,
+      `${chain}: sherpaUSD.balanceOf(vault) = totalStaked + totalPending`,
+      ethers.BigNumber.from(state.totalStaked).add(state.totalPending),
+      state.vaultWrapperBalance
+    ));
+  }
+
+  // 4. Same round
+  const rounds = names.map(chain => `${chain}=${chains[chain].round}`).join(", ");
+  results.push(valueCheck(
+    "same-round",
+    "All chains on the same round",
+    new Set(names.map(chain => chains[chain].round)).size === 1,
+    rounds
+  ));
+
+  // 5. Same epoch, epoch = round
+  results.push(valueCheck(
+    "same-epoch",
+    "All wrappers on the same epoch",
+    new Set(names.map(chain => chains[chain].epoch)).size === 1,
+    names.map(chain => `${chain}=${chains[chain].epoch}`).join(", ")
+  ));
+  for (const chain of names) {
+    const { round, epoch } = chains[chain];
+    results.push(valueCheck(
+      `epoch-equals-round:${chain}`,
+      `${chain}: wrapper epoch = vault round`,
+      round === epoch,
+      `round ${round}, epoch ${epoch}`
+    ));
+  }
+
+  // 6. Price consistency
+  const prices = names.map(chain => ethers.BigNumber.from(chains[chain].lastPrice).toString());
+  results.push(valueCheck(
+    "price-consistency",
+    "Same roundPricePerShare[round - 1] on every chain",
+    new Set(prices).size === 1,
+    names.map((chain, i) => `${chain}=${prices[i]}`).join(", ")
+  ));
+  for (const chain of names) {
+    const { round, lastPrice } = chains[chain];
+    if (round >= 2) {
+      results.push(valueCheck(
+        `price-nonzero:${chain}`,
+        `${chain}: roundPricePerShare[round - 1] > 0`,
+        !ethers.BigNumber.from(lastPrice).isZero(),
+        `round ${round}, price ${lastPrice.toString()}`
+      ));
+    }
+  }
+
+  // 7. Single primary
+  const primaries = names.filter(chain => chains[chain].isPrimaryChain);
+  const mismatched = names.filter(chain => chains[chain].isPrimaryChain !== chains[chain].deploymentIsPrimary);
+  results.push(valueCheck(
+    "single-primary",
+    "Exactly one primary chain, matching deployment.json",
+    primaries.length === 1 && mismatched.length === 0,
+    `on-chain primary: ${primaries.join(", ") || "(none)"}` +
+      (mismatched.length ? `; mismatch with deployment.json: ${mismatched.join(", ")}` : "")
+  ));
+
+  // 8. Pause deadline
+  for (const chain of names) {
+    const { isPaused, pauseDeadline } = chains[chain];
+    if (isPaused) {
+      results.push(valueCheck(
+        `pause-deadline:${chain}`,
+        `${chain}: paused vault has a pause deadline`,
+        !ethers.BigNumber.from(pauseDeadline).isZero(),
+        `pauseDeadline ${pauseDeadline.toString()}`
+      ));
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Human-readable report of a snapshot and its invariant results
+ */
+function formatReport(snapshot, results) {
+  const lines = [];
+  const fmt = (value) => ethers.utils.formatUnits(value, DECIMALS);
+
+  lines.push("=".repeat(70));
+  lines.push(`STATE SNAPSHOT - ${snapshot.timestamp}`);
+  lines.push("=".repeat(70));
+  lines.push("");
+
+  for (const [chain, state] of Object.entries(snapshot.chains)) {
+    lines.push(`${chain.toUpperCase()} (block ${state.blockNumber}, ${new Date(state.blockTimestamp * 1000).toISOString()})`);
+    lines.push(`  Role:              ${state.isPrimaryChain ? "PRIMARY" : "SECONDARY"}`);
+    lines.push(`  Round / Epoch:     ${state.round} / ${state.epoch}`);
+    lines.push(`  Paused:            ${state.isPaused ? "YES" : "no"}`);
+    lines.push(`  Last price:        ${fmt(state.lastPrice)}`);
+    lines.push(`  totalStaked:       ${fmt(state.totalStaked)}`);
+    lines.push(`  totalPending:      ${fmt(state.totalPending)}`);
+    lines.push(`  accountingSupply:  ${fmt(state.accountingSupply)}`);
+    lines.push(`  shUSD totalSupply: ${fmt(state.shareSupply)}`);
+    lines.push(`  sherpaUSD supply:  ${fmt(state.wrapperSupply)}`);
+    lines.push(`  sherpaUSD @ vault: ${fmt(state.vaultWrapperBalance)}`);
+    lines.push("");
+  }
+
+  if (snapshot.enroute) {
+    lines.push(`ENROUTE CCIP TRANSFERS (last ${snapshot.enroute.lookbackHours}h)`);
+    for (const transfer of snapshot.enroute.pending) {
+      lines.push(
+        `  ${transfer.chain} → ${transfer.destChain || "?"}  ${fmt(transfer.amount)} shUSD  ` +
+        `age ${Math.floor(transfer.ageSeconds / 60)}m  ${transfer.messageId || transfer.txHash}`
+      );
+    }
+    lines.push(`  Total enroute: ${fmt(snapshot.enroute.pendingTotal)} shUSD (${snapshot.enroute.pending.length} transfers)`);
+    lines.push("");
+  }
+
+  lines.push("INVARIANTS");
+  lines.push("-".repeat(70));
+  for (const result of results) {
+    const icon = result.status === "pass" ? "✅" : result.status === "warn" ? "⚠️ " : "❌";
+    lines.push(`${icon} ${result.description}`);
+    if (result.status !== "pass") {
+      if (result.delta !== undefined) {
+        lines.push(`     expected ${fmt(result.expected)}, actual ${fmt(result.actual)}, delta ${fmt(result.delta)} (${result.delta} wei)`);
+      }
+      if (result.detail) {
+        lines.push(`     ${result.detail}`);
+      }
+      if (result.note) {
+        lines.push(`     ${result.note}`);
+      }
+    }
+  }
+  lines.push("");
+
+  const failed = results.filter(r => r.status === "fail").length;
+  const warned = results.filter(r => r.status === "warn").length;
+  lines.push(`Result: ${results.length - failed - warned} passed, ${warned} warnings, ${failed} failed`);
+
+  return lines.join("\n");
+}
+
+function serialize(value) {
+  if (ethers.BigNumber.isBigNumber(value)) {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(serialize);
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, serialize(v)]));
+  }
+  return value;
+}
+
+/**
+ * Write the snapshot JSON + report (timestamped and latest)
+ */
+function saveSnapshot(snapshot, results, report) {
+  fs.mkdirSync(SNAPSHOTS_DIR, { recursive: true });
+  const stamp = snapshot.timestamp.replace(/[:.]/g, "-");
+  const json = JSON.stringify(serialize({ ...snapshot, invariants: results }), null, 2);
+
+  const files = {
+    json: path.join(SNAPSHOTS_DIR, `snapshot-${stamp}.json`),
+    txt: path.join(SNAPSHOTS_DIR, `snapshot-${stamp}.txt`),
+  };
+  fs.writeFileSync(files.json, json);
+  fs.writeFileSync(files.txt, report + "\n");
+  fs.writeFileSync(path.join(SNAPSHOTS_DIR, "snapshot-latest.json"), json);
+  fs.writeFileSync(path.join(SNAPSHOTS_DIR, "snapshot-latest.txt"), report + "\n");
+
+  return files;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2), { flags: ["no-ccip"], options: ["ccip-lookback"] });
+  const lookbackHours = Number(args.options["ccip-lookback"] || 24);
+
+  console.log("=".repeat(70));
+  console.log("📸 CROSS-CHAIN STATE SNAPSHOT");
+  console.log("=".repeat(70));
+  console.log();
+
+  const deployment = loadDeployment();
+
+  const snapshot = await takeSnapshot(deployment);
+
+  if (!args.flags["no-ccip"]) {
+    const toBlocks = Object.fromEntries(
+      Object.entries(snapshot.chains).map(([chain, state]) => [chain, state.blockNumber])
+    );
+    const transfers = await trackTransfers(deployment, { lookbackHours, toBlocks });
+    console.log();
+    printPendingTransfers(transfers);
+    console.log();
+    snapshot.enroute = {
+      lookbackHours,
+      pending: transfers.pending,
+      pendingByChain: transfers.pendingByChain,
+      pendingTotal: transfers.pendingTotal,
+    };
+  }
+
+  const results = evaluateInvariants(snapshot);
+  const report = formatReport(snapshot, results);
+
+  console.log(report);
+  console.log();
+
+  const files = saveSnapshot(snapshot, results, report);
+  console.log(`📄 Snapshot: ${files.json}`);
+  console.log(`📄 Report:   ${files.txt}`);
+  console.log();
+
+  if (results.some(r => r.status === "fail")) {
+    console.log("❌ INVARIANT CHECK FAILED");
+    process.exit(1);
+  }
+  console.log("✅ ALL INVARIANTS HOLD");
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("\n❌ SNAPSHOT FAILED:");
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  takeSnapshot,
+  evaluateInvariants,
+  formatReport,
+  saveSnapshot,
+};
@@ -0,0 +1,397 @@
+const { ethers } = require("ethers");
+const path = require("path");
+const { queryMultipleChainsWithConsensus, queryCallsWithConsensus, multicall, getWallet } = require("../utils/consensusProvider");
+const { sendAndConfirm } = require("../utils/txConfirmation");
+const { getTxManager } = require("../utils/txManager");
+const { parseArgs } = require("../utils/cliArgs");
+const { loadDeployment, getDeploymentChains } = require("../utils/deploymentStore");
+const { assertWriteAllowed } = require("../utils/environment");
+const { JOURNAL_PATH, stepId, loadJournal, acquireJournalLock, updateRoll, currentPhase } = require("../utils/rollJournal");
+require("dotenv").config({ path: path.join(__dirname, "../../.env") });
+
+/**
+ * Pause Watchdog - 24h Auto-Unpause Deadline
+ *
+ * setSystemPaused(true) sets pauseDeadline = now + 24h. Once it passes, anyone can call
+ * emergencyUnpause() (and the next user call auto-unpauses), even in the middle of a
+ * round roll. This script reads isPaused / pauseDeadline / pauseTimeRemaining() on every
+ * chain (consensus, chains in parallel) and alerts when:
+ *   - a chain has been paused longer than the threshold (PAUSE_ALERT_MINUTES, default 60)
+ *   - a paused chain's deadline has already passed (it can be unpaused by anyone)
+ *   - chains disagree on isPaused
+ *   - a roll is in progress (deployments/round-journal.json) and a chain it paused
+ *     is no longer paused
+ * It exits with code 1 while any alert is open, so it can run from cron.
+ *
+ * "Paused for" of a chain held by a roll counts from the roll's pause step in the journal
+ * (every refresh moves the on-chain deadline); other chains use pauseDeadline - 24h.
+ *
+ * REFRESH (--refresh): only while a roll is in progress, and only on chains the roll has
+ * paused but not yet unpaused: setSystemPaused(true) is sent again to re-pause a chain
+ * that was unpaused, or to reset the deadline of one with less than --refresh-below
+ * minutes left (default 720). Each write is confirmed through RPC consensus and recorded
+ * in the journal (pauseRefreshes). Outside a roll nothing is ever sent. The refresh takes
+ * the journal lock first: while rollRound-allChains.js is running (it holds the lock) the
+ * refresh is skipped, so the two never write the journal or use the operator's nonces at
+ * the same time.
+ *
+ * Usage:
+ *   node scripts/core/pauseWatchdog.js [--max-paused <minutes>]
+ *   node scripts/core/pauseWatchdog.js --refresh [--refresh-below <minutes>]
+ *
+ * Examples:
+ *   node scripts/core/pauseWatchdog.js                      # Report + alerts
+ *   node scripts/core/pauseWatchdog.js --max-paused 30      # Alert after 30 minutes paused
+ *   node scripts/core/pauseWatchdog.js --refresh            # Keep an in-progress roll paused (cron)
+ */
+
+// Must match SherpaVault.MAX_PAUSE_DURATION
+const MAX_PAUSE_DURATION = 24 * 60 * 60;
+
+const DEFAULT_MAX_PAUSED_MINUTES = Number(process.env.PAUSE_ALERT_MINUTES || 60);
+const DEFAULT_REFRESH_BELOW_MINUTES = 720;
+
+const VAULT_ABI = [
+  "function isPaused() external view returns (bool)",
+  "function pauseDeadline() external view returns (uint256)",
+  "function pauseTimeRemaining() external view returns (uint256)",
+  "function setSystemPaused(bool _isPaused) external",
+];
+
+function printUsage() {
+  console.error("Usage: node scripts/core/pauseWatchdog.js [--max-paused <minutes>]");
+  console.error("       node scripts/core/pauseWatchdog.js --refresh [--refresh-below <minutes>]");
+  console.error("");
+  console.error("  --max-paused: Alert when a chain has been paused longer (default PAUSE_ALERT_MINUTES or 60)");
+  console.error("  --refresh: During a roll, re-pause unpaused chains and reset deadlines running low");
+  console.error(`  --refresh-below: Reset deadlines with less than this many minutes left (default ${DEFAULT_REFRESH_BELOW_MINUTES})`);
+}
+
+function formatDuration(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  return `${hours}h ${String(minutes).padStart(2, "0")}m`;
+}
+
+/**
+ * Pause state of one vault at a block
+ */
+async function readPauseStateAt(provider, blockTag, vault) {
+  const [block, [isPaused, pauseDeadline, pauseTimeRemaining]] = await Promise.all([
+    provider.getBlock(blockTag),
+    multicall(provider, [
+      { contract: vault, method: "isPaused" },
+      { contract: vault, method: "pauseDeadline" },
+      { contract: vault, method: "pauseTimeRemaining" },
+    ]),
+  ]);
+  const deadline = pauseDeadline.toNumber();
+  return {
+    blockNumber: block.number,
+    timestamp: block.timestamp,
+    isPaused,
+    pauseDeadline: deadline,
+    pauseTimeRemaining: pauseTimeRemaining.toNumber(),
+    // The deadline is always set to pause time + MAX_PAUSE_DURATION
+    pausedFor: isPaused && deadline > 0 ? block.timestamp - (deadline - MAX_PAUSE_DURATION) : 0,
+  };
+}
+
+/**
+ * Consensus pause state of every chain in the deployment (chains read in parallel)
+ */
+async function readPauseStates(deployment, chains) {
+  return queryMultipleChainsWithConsensus(
+    chains,
+    (chain, provider, blockTag) => readPauseStateAt(provider, blockTag, new ethers.Contract(deployment[chain].vault, VAULT_ABI)),
+    { requireMajority: true }
+  );
+}
+
+/**
+ * Chains an in-progress roll has paused and not unpaused yet (they must stay paused)
+ */
+function chainsHeldByRoll(roll) {
+  if (!roll) {
+    return [];
+  }
+  return roll.chains.filter(chain =>
+    roll.steps[stepId("pause", chain)]?.status === "done" &&
+    roll.steps[stepId("unpause", chain)]?.status !== "done"
+  );
+}
+
+/**
+ * Count "paused for" of chains held by the roll from the roll's pause step (journal)
+ * instead of pauseDeadline - 24h, which every refresh moves forward
+ */
+function withRollPauseTimes(states, roll) {
+  const held = chainsHeldByRoll(roll);
+  return Object.fromEntries(Object.entries(states).map(([chain, state]) => {
+    const pausedAt = held.includes(chain) ? Date.parse(roll.steps[stepId("pause", chain)].updatedAt) / 1000 : NaN;
+    if (!state.isPaused || !(pausedAt > 0)) {
+      return [chain, state];
+    }
+    return [chain, { ...state, pausedFor: Math.max(state.timestamp - Math.floor(pausedAt), 0) }];
+  }));
+}
+
+/**
+ * Open alerts for the current pause states
+ *
+ * @param {Object} states - From readPauseStates
+ * @param {Object} options - { maxPausedSeconds, roll (active journal entry or null) }
+ * @returns {Array<{chain: string|null, type: string, message: string}>}
+ */
+function evaluatePauseAlerts(states, { maxPausedSeconds, roll }) {
+  const alerts = [];
+  const chains = Object.keys(states);
+
+  for (const chain of chains) {
+    const state = states[chain];
+    if (!state.isPaused) {
+      continue;
+    }
+    if (state.pauseDeadline === 0) {
+      alerts.push({ chain, type: "no-deadline", message: "paused without a pauseDeadline" });
+    } else if (state.pauseTimeRemaining === 0) {
+      alerts.push({
+        chain,
+        type: "deadline-passed",
+        message: `pause deadline passed ${formatDuration(state.timestamp - state.pauseDeadline)} ago - anyone can emergencyUnpause()`,
+      });
+    }
+    if (state.pausedFor > maxPausedSeconds) {
+      alerts.push({
+        chain,
+        type: "paused-too-long",
+        message: `paused for ${formatDuration(state.pausedFor)} (threshold ${formatDuration(maxPausedSeconds)})`,
+      });
+    }
+  }
+
+  const paused = chains.filter(chain => states[chain].isPaused);
+  if (paused.length > 0 && paused.length < chains.length) {
+    alerts.push({
+      chain: null,
+      type: "diverging",
+      message: `pause state differs across chains - paused: ${paused.join(", ")}; active: ${chains.filter(chain => !states[chain].isPaused).join(", ")}`,
+    });
+  }
+
+  for (const chain of chainsHeldByRoll(roll)) {
+    if (states[chain] && !states[chain].isPaused) {
+      alerts.push({
+        chain,
+        type: "unpaused-mid-roll",
+        message: `roll of round ${roll.round} paused this chain but it is no longer paused (auto-unpause / emergencyUnpause?)`,
+      });
+    }
+  }
+
+  return alerts;
+}
+
+function printStates(states, roll) {
+  const held = chainsHeldByRoll(roll);
+  console.log("  Chain        State       Paused for   Time left    Deadline");
+  for (const [chain, state] of Object.entries(states)) {
+    const deadline = state.pauseDeadline > 0 ? new Date(state.pauseDeadline * 1000).toISOString() : "-";
+    console.log(
+      `  ${chain.padEnd(12)} ${(state.isPaused ? "⏸️  PAUSED" : "▶️  ACTIVE").padEnd(11)} ` +
+      `${(state.isPaused ? formatDuration(state.pausedFor) : "-").padEnd(12)} ` +
+      `${(state.isPaused ? formatDuration(state.pauseTimeRemaining) : "-").padEnd(12)} ` +
+      `${deadline}${held.includes(chain) ? "  (held by roll)" : ""}`
+    );
+  }
+}
+
+/**
+ * Re-pause / reset the deadline on every chain the active roll must keep paused
+ * (caller holds the journal lock)
+ *
+ * @returns {Promise<number>} Number of transactions sent
+ */
+async function refreshPauses({ deployment, states, journal, refreshBelowSeconds }) {
+  const roll = journal.active;
+  const targets = chainsHeldByRoll(roll).filter(chain =>
+    !states[chain].isPaused || states[chain].pauseTimeRemaining < refreshBelowSeconds
+  );
+  if (targets.length === 0) {
+    console.log(`  ✅ Every chain held by the roll has more than ${formatDuration(refreshBelowSeconds)} left`);
+    return 0;
+  }
+
+  if (!process.env.PRIVATE_KEY) {
+    throw new Error("Missing PRIVATE_KEY in .env");
+  }
+  assertWriteAllowed(`Refresh pause on ${targets.join(", ")}`);
+
+  for (const chain of targets) {
+    const state = states[chain];
+    const vault = new ethers.Contract(deployment[chain].vault, VAULT_ABI, getWallet(chain, process.env.PRIVATE_KEY));
+    const action = state.isPaused ? "refresh-deadline" : "re-pause";
+
+    if (!state.isPaused) {
+      console.log(`  ⚠️  ${chain}: unpaused during the roll - users may have acted since the roll paused it`);
+      if (currentPhase(roll)) {
+        console.log("      The roll snapshot may be stale: check with snapshot.js before resuming the roll");
+      }
+    }
+
+    const { receipt } = await sendAndConfirm(
+      chain,
+      () => getTxManager(chain, vault.signer).sendCall(vault, "setSystemPaused", [true], { label: `setSystemPaused(true) [${action}]` }),
+      {
+        label: `setSystemPaused(true) [${action}]`,
+        confirmState: async ({ blockNumber }) => {
+          const after = await queryCallsWithConsensus(chain, {
+            isPaused: { contract: vault, method: "isPaused" },
+            pauseDeadline: { contract: vault, method: "pauseDeadline" },
+          }, { requireMajority: true, minBlock: blockNumber });
+          return after.isPaused && after.pauseDeadline.toNumber() > state.pauseDeadline;
+        },
+      }
+    );
+
+    // Re-read the journal right before writing it, so the save starts from what is on disk
+    const current = loadJournal(journal.path);
+    if (current.active?.round !== roll.round) {
+      throw new Error(`The roll of round ${roll.round} left the journal during the refresh - check ${journal.path}`);
+    }
+    updateRoll(current, {
+      pauseRefreshes: [
+        ...(current.active.pauseRefreshes || []),
+        { chain, action, blockNumber: receipt.blockNumber, previousDeadline: state.pauseDeadline, at: new Date().toISOString() },
+      ],
+    });
+  }
+  return targets.length;
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2), { flags: ["refresh"], options: ["max-paused", "refresh-below"] });
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    printUsage();
+    process.exit(1);
+  }
+  const maxPausedMinutes = Number(args.options["max-paused"] ?? DEFAULT_MAX_PAUSED_MINUTES);
+  const refreshBelowMinutes = Number(args.options["refresh-below"] ?? DEFAULT_REFRESH_BELOW_MINUTES);
+  if (!(maxPausedMinutes > 0) || !(refreshBelowMinutes > 0) || refreshBelowMinutes > MAX_PAUSE_DURATION / 60) {
+    printUsage();
+    process.exit(1);
+  }
+
+  console.log("=".repeat(70));
+  console.log("⏱️  PAUSE WATCHDOG");
+  console.log("=".repeat(70));
+  console.log();
+
+  const deployment = loadDeployment();
+  const chains = getDeploymentChains(deployment);
+  let roll = loadJournal().active;
+
+  if (roll) {
+    console.log(`📒 Roll of round ${roll.round} in progress (started ${roll.startedAt})`);
+    console.log(`   Last completed phase: ${currentPhase(roll) || "(none)"}`);
+    console.log(`   Journal: ${JOURNAL_PATH}`);
+  } else {
+    console.log("📒 No roll in progress");
+  }
+  console.log();
+
+  // ===================================================================
+  // STEP 1: READ PAUSE STATE
+  // ===================================================================
+
+  console.log("📍 STEP 1: READING PAUSE STATE");
+  console.log("-".repeat(70));
+
+  let states = withRollPauseTimes(await readPauseStates(deployment, chains), roll);
+  console.log();
+  printStates(states, roll);
+  console.log();
+
+  // ===================================================================
+  // STEP 2: REFRESH (OPTIONAL)
+  // ===================================================================
+
+  if (args.flags.refresh) {
+    console.log("📍 STEP 2: REFRESHING PAUSES HELD BY THE ROLL");
+    console.log("-".repeat(70));
+    let locked = false;
+    if (roll) {
+      try {
+        acquireJournalLock("pauseWatchdog.js --refresh");
+        locked = true;
+      } catch (error) {
+        if (!error.lock) {
+          throw error;
+        }
+        console.log(`  ⏳ ${error.lock.owner} is running (journal lock, pid ${error.lock.pid}) - not refreshing`);
+      }
+    }
+
+    if (locked) {
+      // The roll may have moved on since startup - refresh from the journal as it is now
+      const journal = loadJournal();
+      roll = journal.active;
+      if (!roll) {
+        console.log("  The roll finished since startup - nothing to refresh");
+      } else if (await refreshPauses({ deployment, states, journal, refreshBelowSeconds: refreshBelowMinutes * 60 })) {
+        console.log();
+        roll = loadJournal().active;
+        states = withRollPauseTimes(await readPauseStates(deployment, chains), roll);
+        console.log();
+        printStates(states, roll);
+      }
+    } else if (!roll) {
+      console.log("  No roll in progress - nothing to refresh (the watchdog never pauses outside a roll)");
+    }
+    console.log();
+  }
+
+  // ===================================================================
+  // ALERTS
+  // ===================================================================
+
+  const alerts = evaluatePauseAlerts(states, { maxPausedSeconds: maxPausedMinutes * 60, roll });
+  if (alerts.length === 0) {
+    console.log("✅ NO PAUSE ALERTS");
+    return;
+  }
+
+  console.log(`🚨 ${alerts.length} PAUSE ALERT(S)`);
+  console.log("-".repeat(70));
+  for (const alert of alerts) {
+    console.log(`  [${alert.type}] ${alert.chain ? `${alert.chain}: ` : ""}${alert.message}`);
+  }
+  console.log();
+  if (roll && !args.flags.refresh) {
+    console.log("  Re-run with --refresh to keep the chains held by the roll paused, then resume the roll:");
+    console.log("  node scripts/core/rollRound-allChains.js");
+  } else if (!roll) {
+    console.log("  No roll is in progress - finish or unpause manually (scripts/testing/manualUnpauseAllChains.js)");
+  }
+  process.exit(1);
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("\n❌ PAUSE WATCHDOG FAILED:");
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  readPauseStates,
+  chainsHeldByRoll,
+  withRollPauseTimes,
+  evaluatePauseAlerts,
+};
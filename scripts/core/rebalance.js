@@ -0,0 +1,980 @@
+const { ethers } = require("ethers");
+const fs = require("fs");
+const path = require("path");
+const { queryWithConsensus, multicall, getProvider, getWallet } = require("../utils/consensusProvider");
+const { sendAndConfirm } = require("../utils/txConfirmation");
+const { getTxManager } = require("../utils/txManager");
+const { assetToShares, sharesToAsset } = require("../utils/shareMath");
+const { parseArgs, confirm } = require("../utils/cliArgs");
+const { loadDeployment, getDeploymentChains } = require("../utils/deploymentStore");
+const { loadJournal } = require("../utils/rollJournal");
+const { scopedPath, assertWriteAllowed } = require("../utils/environment");
+require("dotenv").config({ path: path.join(__dirname, "../../.env") });
+
+/**
+ * Rebalance - Move SherpaUSD Backing Between Chains
+ *
+ * Moves <amount> SherpaUSD of backing (and the matching shUSD accounting) from one
+ * chain's vault to another's:
+ * 1. Read both vaults (consensus) and compute the share adjustment off-chain:
+ *      shares = amount × 10^decimals / roundPricePerShare[round - 1]
+ *    exactly as SherpaVault.adjustAccountingSupply() checks it (scripts/utils/shareMath.js)
+ * 2. Pause both vaults (if not already paused)
+ * 3. Source chain: SherpaUSD.ownerBurn(vault, amount)
+ *                  vault.adjustAccountingSupply(-shares)
+ *                  vault.adjustTotalStaked(-amount)
+ * 4. Destination:  SherpaUSD.ownerMint(vault, amount)
+ *                  vault.adjustAccountingSupply(+shares)
+ *                  vault.adjustTotalStaked(+amount)
+ * 5. Verify approvedTotalStakedAdjustment / approvedAccountingAdjustment are back to 0
+ *    on both vaults and totalStaked / accountingSupply moved by exactly the planned amounts
+ * 6. Unpause the vaults this script paused
+ *
+ * The source is burned before anything is minted, so global backing never exceeds
+ * what exists. If any leg fails the script stops, leaves the vaults paused and prints a
+ * recovery plan: completed legs (with tx hashes), the failing leg, the pending approvals
+ * and the exact calls still needed. Every leg is recorded in docs/rebalances/ as it runs.
+ *
+ * ASSET-ONLY (--asset-only): yield is minted/burned on the primary chain only, so its
+ * backing drifts away from the secondaries'. For every chain the ideal backing is
+ *   accountingSupply × roundPricePerShare[round - 1] / 10^decimals
+ * and drift = totalStaked - ideal. Chains above ideal get ownerBurnAssetOnly +
+ * adjustTotalStaked(-drift), chains below get ownerMintAssetOnly + adjustTotalStaked(+drift);
+ * no shares move. Burns and mints are matched so global SherpaUSD supply never changes -
+ * any global excess/shortfall is reported and left alone. Drifts below --min-drift
+ * (default 1 SherpaUSD) are ignored. The plan is executed after a y/N confirmation (--yes skips it).
+ *
+ * DRY RUN: --dry-run only reads and needs no PRIVATE_KEY. Without one, the operator
+ * permission check is skipped (it runs for real rebalances).
+ *
+ * Usage:
+ *   node scripts/core/rebalance.js <from> <to> <amount> [--dry-run]
+ *   node scripts/core/rebalance.js --asset-only [--min-drift <amount>] [--dry-run] [--yes]
+ *
+ * Examples:
+ *   node scripts/core/rebalance.js sepolia base 25000             # Move 25,000 SherpaUSD backing
+ *   node scripts/core/rebalance.js base arbitrum 1000 --dry-run   # Print the plan only
+ *   node scripts/core/rebalance.js --asset-only --dry-run         # Show per-chain backing drift
+ *
+ * Arguments:
+ *   from: Chain whose vault gives up backing
+ *   to: Chain whose vault receives it
+ *   amount: SherpaUSD amount (e.g., 25000 or 1250.5)
+ */
+
+const DECIMALS = 6;
+
+// Per-chain drift below this is left alone (asset-only mode)
+const DEFAULT_MIN_DRIFT = "1";
+
+// Rebalance reports (runtime history, gitignored)
+const REBALANCES_DIR = scopedPath("docs/rebalances");
+
+function printUsage() {
+  console.error("Usage: node scripts/core/rebalance.js <from> <to> <amount> [--dry-run]");
+  console.error("       node scripts/core/rebalance.js --asset-only [--min-drift <amount>] [--dry-run] [--yes]");
+  console.error("");
+  console.error("Arguments:");
+  console.error("  from: Chain whose vault gives up SherpaUSD backing");
+  console.error("  to: Chain whose vault receives it");
+  console.error("  amount: SherpaUSD amount (e.g., 25000)");
+  console.error("  --asset-only: Correct yield-induced backing drift on every chain (no shares move)");
+  console.error("  --min-drift: Ignore per-chain drift below this amount (default 1)");
+  console.error("  --dry-run: Print the planned transactions without sending them (no PRIVATE_KEY needed)");
+  console.error("  --yes: Skip the confirmation prompt (asset-only)");
+  console.error("");
+  console.error("Examples:");
+  console.error("  node scripts/core/rebalance.js sepolia base 25000");
+  console.error("  node scripts/core/rebalance.js base arbitrum 1000 --dry-run");
+}
+
+/**
+ * Vault + SherpaUSD contracts of every chain in the deployment, connected to the operator
+ * wallet (read-only providers when privateKey is not set)
+ */
+function connectContracts(deployment, privateKey) {
+  const vaultArtifact = JSON.parse(
+    fs.readFileSync(path.join(__dirname, "../../artifacts/contracts/SherpaVault.sol/SherpaVault.json"), "utf8")
+  );
+  const wrapperArtifact = JSON.parse(
+    fs.readFileSync(path.join(__dirname, "../../artifacts/contracts/SherpaUSD.sol/SherpaUSD.json"), "utf8")
+  );
+
+  const contracts = {};
+  for (const chain of getDeploymentChains(deployment)) {
+    const wallet = privateKey ? getWallet(chain, privateKey) : getProvider(chain);
+    contracts[chain] = {
+      vault: new ethers.Contract(deployment[chain].vault, vaultArtifact.abi, wallet),
+      wrapper: new ethers.Contract(deployment[chain].sherpaUSD, wrapperArtifact.abi, wallet),
+    };
+  }
+  return contracts;
+}
+
+/**
+ * Consensus read of everything a rebalance on one chain depends on.
+ * minBlock keeps the read from pinning below a tx we just mined.
+ */
+async function readRebalanceState(chain, contracts, minBlock = 0) {
+  const { vault, wrapper } = contracts[chain];
+  const { value, blockNumber } = await queryWithConsensus(chain, async (provider) => {
+    const [
+      round,
+      isPaused,
+      totalStaked,
+      accountingSupply,
+      vaultParams,
+      wrapperBalance,
+      approvedTotalStaked,
+      approvedAccounting,
+      vaultOperator,
+      vaultOwner,
+      wrapperOperator,
+      wrapperOwner,
+    ] = await multicall(provider, [
+      { contract: vault, method: "round" },
+      { contract: vault, method: "isPaused" },
+      { contract: vault, method: "totalStaked" },
+      { contract: vault, method: "accountingSupply" },
+      { contract: vault, method: "vaultParams" },
+      { contract: wrapper, method: "balanceOf", args: [vault.address] },
+      { contract: wrapper, method: "approvedTotalStakedAdjustment", args: [vault.address] },
+      { contract: wrapper, method: "approvedAccountingAdjustment", args: [vault.address] },
+      { contract: vault, method: "operator" },
+      { contract: vault, method: "owner" },
+      { contract: wrapper, method: "operator" },
+      { contract: wrapper, method: "owner" },
+    ]);
+    const currentRound = Number(round);
+    const [pricePerShare] = await multicall(provider, [
+      { contract: vault, method: "roundPricePerShare", args: [currentRound - 1] },
+    ]);
+    return {
+      round: currentRound,
+      isPaused,
+      totalStaked,
+      accountingSupply,
+      decimals: Number(vaultParams.decimals),
+      pricePerShare,
+      wrapperBalance,
+      approvedTotalStaked,
+      approvedAccounting,
+      vaultOperators: [vaultOperator, vaultOwner],
+      wrapperOperators: [wrapperOperator, wrapperOwner],
+    };
+  }, { requireMajority: true, withBlock: true, minBlock });
+  return { ...value, blockNumber };
+}
+
+/**
+ * Transactions that move `amount` of backing (and `shares` of accounting supply) in or
+ * out of one chain's vault: mint/burn → adjustAccountingSupply → adjustTotalStaked.
+ * Asset-only legs use ownerMintAssetOnly/ownerBurnAssetOnly and skip the accounting leg.
+ *
+ * @param {Object} params - { chain, vault, direction: "in"|"out", amount, shares, assetOnly }
+ * @returns {Object[]} Legs ({ id, chain, target, method, args, label })
+ */
+function buildChainLegs({ chain, vault, direction, amount, shares, assetOnly = false }) {
+  const sign = direction === "in" ? "" : "-";
+  const wrapperMethod = (direction === "in" ? "ownerMint" : "ownerBurn") + (assetOnly ? "AssetOnly" : "");
+  const wrapperLeg = {
+    id: `${wrapperMethod}-${chain}`,
+    chain,
+    target: "wrapper",
+    method: wrapperMethod,
+    args: [vault, amount.toString()],
+    label: `SherpaUSD.${wrapperMethod}(vault, ${formatUsdc(amount)})`,
+  };
+  const totalStakedLeg = {
+    id: `adjustTotalStaked-${chain}`,
+    chain,
+    target: "vault",
+    method: "adjustTotalStaked",
+    args: [`${sign}${amount.toString()}`],
+    label: `adjustTotalStaked(${sign}${formatUsdc(amount)})`,
+  };
+  if (assetOnly) {
+    return [wrapperLeg, totalStakedLeg];
+  }
+  return [
+    wrapperLeg,
+    {
+      id: `adjustAccountingSupply-${chain}`,
+      chain,
+      target: "vault",
+      method: "adjustAccountingSupply",
+      args: [`${sign}${shares.toString()}`],
+      label: `adjustAccountingSupply(${sign}${formatUsdc(shares)} shUSD)`,
+    },
+    totalStakedLeg,
+  ];
+}
+
+function pauseLeg(chain, paused) {
+  return {
+    id: `${paused ? "pause" : "unpause"}-${chain}`,
+    chain,
+    target: "vault",
+    method: "setSystemPaused",
+    args: [paused],
+    label: `setSystemPaused(${paused})`,
+  };
+}
+
+/**
+ * Check a from → to rebalance against current state and build its transactions
+ *
+ * @param {Object} params - { from, to, amount (BigNumber), states: { [chain]: readRebalanceState() }, deployment }
+ * @returns {{shares: BigNumber, round: number, pricePerShare: BigNumber, pauseLegs: Object[], legs: Object[], unpauseLegs: Object[], problems: string[]}}
+ */
+function planRebalance({ from, to, amount, states, deployment }) {
+  const source = states[from];
+  const destination = states[to];
+  const problems = [];
+
+  if (from === to) {
+    problems.push("Source and destination chain are the same");
+  }
+  if (amount.lte(0)) {
+    problems.push("Amount must be greater than zero");
+  }
+  if (source.round !== destination.round) {
+    problems.push(`${from} is on round ${source.round}, ${to} on round ${destination.round} - finish the round roll first`);
+  }
+  if (!source.pricePerShare.eq(destination.pricePerShare)) {
+    problems.push(
+      `roundPricePerShare[${source.round - 1}] differs (${from} ${source.pricePerShare}, ${to} ${destination.pricePerShare})`
+    );
+  }
+  for (const chain of [from, to]) {
+    const state = states[chain];
+    if (!state.approvedTotalStaked.isZero() || !state.approvedAccounting.isZero()) {
+      problems.push(
+        `${chain}: unconsumed rebalance approvals (totalStaked ${formatUsdc(state.approvedTotalStaked)}, ` +
+        `accounting ${formatUsdc(state.approvedAccounting)}) - ownerMint/ownerBurn would revert with ApprovalNotConsumed(); see scripts/core/rebalanceApprovals.js`
+      );
+    }
+  }
+
+  let shares = ethers.BigNumber.from(0);
+  try {
+    shares = assetToShares(amount, source.pricePerShare, source.decimals);
+  } catch (error) {
+    problems.push(`Cannot convert amount to shares: ${error.message}`);
+  }
+  if (amount.gt(0) && shares.isZero()) {
+    problems.push("Amount is too small - it converts to 0 shares and adjustAccountingSupply(0) reverts");
+  }
+  if (source.wrapperBalance.lt(amount)) {
+    problems.push(`${from} vault holds only ${formatUsdc(source.wrapperBalance)} SherpaUSD`);
+  }
+  if (source.totalStaked.lt(amount)) {
+    problems.push(`${from} totalStaked is only ${formatUsdc(source.totalStaked)}`);
+  }
+  if (source.accountingSupply.lt(shares)) {
+    problems.push(`${from} accountingSupply is only ${formatUsdc(source.accountingSupply)} shUSD`);
+  }
+
+  const chains = [from, to];
+  return {
+    shares,
+    round: source.round,
+    pricePerShare: source.pricePerShare,
+    pauseLegs: chains.filter(chain => !states[chain].isPaused).map(chain => pauseLeg(chain, true)),
+    legs: [
+      ...buildChainLegs({ chain: from, vault: deployment[from].vault, direction: "out", amount, shares }),
+      ...buildChainLegs({ chain: to, vault: deployment[to].vault, direction: "in", amount, shares }),
+    ],
+    unpauseLegs: chains.filter(chain => !states[chain].isPaused).map(chain => pauseLeg(chain, false)),
+    problems,
+  };
+}
+
+/**
+ * Per-chain backing drift against accountingSupply × price, and the asset-only
+ * burns/mints that correct it without changing global SherpaUSD supply
+ *
+ * @param {Object} params - { states: { [chain]: readRebalanceState() }, deployment, minDrift (BigNumber) }
+ * @returns {{round: number, pricePerShare: BigNumber, drift: Object, globalDrift: BigNumber, moves: Object, pauseLegs: Object[], legs: Object[], unpauseLegs: Object[], problems: string[]}}
+ */
+function planAssetOnlyRebalance({ states, deployment, minDrift }) {
+  const chains = Object.keys(states);
+  const reference = states[chains[0]];
+  const problems = [];
+
+  for (const chain of chains) {
+    if (states[chain].round !== reference.round) {
+      problems.push(`${chain} is on round ${states[chain].round}, ${chains[0]} on round ${reference.round} - finish the round roll first`);
+    }
+    if (!states[chain].pricePerShare.eq(reference.pricePerShare)) {
+      problems.push(`${chain}: roundPricePerShare differs from ${chains[0]} (${states[chain].pricePerShare} vs ${reference.pricePerShare})`);
+    }
+  }
+
+  // drift > 0: more backing than the chain's shares are worth
+  const drift = {};
+  let globalDrift = ethers.BigNumber.from(0);
+  for (const chain of chains) {
+    const state = states[chain];
+    const ideal = sharesToAsset(state.accountingSupply, state.pricePerShare, state.decimals);
+    drift[chain] = { ideal, actual: state.totalStaked, drift: state.totalStaked.sub(ideal) };
+    globalDrift = globalDrift.add(drift[chain].drift);
+  }
+
+  const significant = chains.filter(chain => drift[chain].drift.abs().gte(minDrift));
+  const surplus = significant.filter(chain => drift[chain].drift.gt(0)).sort((a, b) => (drift[b].drift.gt(drift[a].drift) ? 1 : -1));
+  const deficit = significant.filter(chain => drift[chain].drift.lt(0)).sort((a, b) => (drift[a].drift.lt(drift[b].drift) ? -1 : 1));
+
+  // Only move what can be matched: burn total == mint total
+  const sum = (list) => list.reduce((total, chain) => total.add(drift[chain].drift.abs()), ethers.BigNumber.from(0));
+  const surplusTotal = sum(surplus);
+  const deficitTotal = sum(deficit);
+  const matched = surplusTotal.lt(deficitTotal) ? surplusTotal : deficitTotal;
+
+  const moves = {};
+  const allocate = (list, direction) => {
+    let remaining = matched;
+    for (const chain of list) {
+      const amount = drift[chain].drift.abs().lt(remaining) ? drift[chain].drift.abs() : remaining;
+      if (amount.gt(0)) {
+        moves[chain] = { direction, amount };
+      }
+      remaining = remaining.sub(amount);
+    }
+  };
+  allocate(surplus, "out");
+  allocate(deficit, "in");
+
+  for (const [chain, move] of Object.entries(moves)) {
+    const state = states[chain];
+    if (!state.approvedTotalStaked.isZero() || !state.approvedAccounting.isZero()) {
+      problems.push(
+        `${chain}: unconsumed rebalance approvals (totalStaked ${formatUsdc(state.approvedTotalStaked)}, ` +
+        `accounting ${formatUsdc(state.approvedAccounting)}) - mint/burn would revert with ApprovalNotConsumed(); see scripts/core/rebalanceApprovals.js`
+      );
+    }
+    if (move.direction === "out" && state.wrapperBalance.lt(move.amount)) {
+      problems.push(`${chain} vault holds only ${formatUsdc(state.wrapperBalance)} SherpaUSD`);
+    }
+  }
+
+  // Burns first, so global backing never exceeds what exists
+  const ordered = Object.keys(moves).sort((a, b) => (moves[a].direction === moves[b].direction ? 0 : moves[a].direction === "out" ? -1 : 1));
+  const touched = ordered.filter(chain => !states[chain].isPaused);
+  return {
+    round: reference.round,
+    pricePerShare: reference.pricePerShare,
+    drift,
+    globalDrift,
+    moves,
+    pauseLegs: touched.map(chain => pauseLeg(chain, true)),
+    legs: ordered.flatMap(chain => buildChainLegs({
+      chain,
+      vault: deployment[chain].vault,
+      direction: moves[chain].direction,
+      amount: moves[chain].amount,
+      assetOnly: true,
+    })),
+    unpauseLegs: touched.map(chain => pauseLeg(chain, false)),
+    problems,
+  };
+}
+
+/**
+ * Send legs one at a time, recording each in the report. A leg is done once RPC
+ * consensus agrees on its receipt (and, for pause legs, sees the new pause state).
+ * Throws on the first failure (the failing leg is marked "failed" with its error).
+ */
+async function executeLegs(legs, contracts, record) {
+  for (const leg of legs) {
+    if (leg.status === "done") {
+      continue;
+    }
+    try {
+      const contract = contracts[leg.chain][leg.target];
+      const manager = getTxManager(leg.chain, contract.signer);
+      const { receipt } = await sendAndConfirm(leg.chain, () => manager.sendCall(contract, leg.method, leg.args), {
+        label: leg.label,
+        onSent: (tx) => {
+          Object.assign(leg, { status: "sent", txHash: tx.hash });
+          saveRebalanceReport(record);
+        },
+        confirmState: leg.method === "setSystemPaused"
+          ? async ({ blockNumber }) => (await readRebalanceState(leg.chain, contracts, blockNumber)).isPaused === leg.args[0]
+          : null,
+      });
+      Object.assign(leg, { status: "done", blockNumber: receipt.blockNumber });
+      saveRebalanceReport(record);
+    } catch (error) {
+      Object.assign(leg, { status: "failed", error: error.reason || error.message });
+      record.status = "failed";
+      saveRebalanceReport(record);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Highest block a leg of this record was mined in on the given chain (0 if none)
+ */
+function lastMinedBlock(record, chain) {
+  return [...record.pauseLegs, ...record.legs, ...record.unpauseLegs]
+    .filter(leg => leg.chain === chain && leg.blockNumber)
+    .reduce((max, leg) => Math.max(max, leg.blockNumber), 0);
+}
+
+/**
+ * Approvals must be consumed and totals moved by exactly the planned amounts
+ *
+ * @param {Object} expected - { [chain]: { totalStaked, accountingSupply } } expected values after the legs
+ * @returns {string[]} Problems found (empty if consistent)
+ */
+function verifyRebalance(states, expected) {
+  const problems = [];
+  for (const [chain, values] of Object.entries(expected)) {
+    const state = states[chain];
+    if (!state.approvedTotalStaked.isZero()) {
+      problems.push(`${chain}: approvedTotalStakedAdjustment still ${state.approvedTotalStaked}`);
+    }
+    if (!state.approvedAccounting.isZero()) {
+      problems.push(`${chain}: approvedAccountingAdjustment still ${state.approvedAccounting}`);
+    }
+    if (values.totalStaked !== undefined && !state.totalStaked.eq(values.totalStaked)) {
+      problems.push(`${chain}: totalStaked is ${state.totalStaked}, expected ${values.totalStaked}`);
+    }
+    if (values.accountingSupply !== undefined && !state.accountingSupply.eq(values.accountingSupply)) {
+      problems.push(`${chain}: accountingSupply is ${state.accountingSupply}, expected ${values.accountingSupply}`);
+    }
+  }
+  return problems;
+}
+
+function printLegs(legs, contracts) {
+  for (const leg of legs) {
+    const icon = leg.status === "done" ? "✅" : leg.status === "sent" ? "📤" : leg.status === "failed" ? "❌" : "⏳";
+    const address = contracts[leg.chain][leg.target].address;
+    console.log(`  ${icon} ${leg.chain.padEnd(10)} ${leg.label.padEnd(44)} ${leg.txHash || address}`);
+  }
+}
+
+/**
+ * What happened, what the approvals look like now, and the exact calls still needed
+ */
+async function printRecoveryPlan(record, contracts) {
+  const legs = [...record.pauseLegs, ...record.legs];
+  const failed = legs.find(leg => leg.status === "failed");
+  const remaining = legs.filter(leg => leg.status !== "done");
+
+  console.log();
+  console.log("=".repeat(70));
+  console.log("❌ REBALANCE ABORTED");
+  console.log("=".repeat(70));
+  console.log();
+
+  if (failed) {
+    console.log(`Failed leg: ${failed.label} on ${failed.chain}`);
+    console.log(`Error: ${failed.error}`);
+    console.log();
+  }
+
+  console.log("Legs:");
+  printLegs(legs, contracts);
+  console.log();
+
+  console.log("Rebalance approvals now:");
+  for (const chain of record.chains) {
+    try {
+      const state = await readRebalanceState(chain, contracts, lastMinedBlock(record, chain));
+      console.log(
+        `  ${chain.padEnd(10)} approvedTotalStakedAdjustment ${state.approvedTotalStaked}  ` +
+        `approvedAccountingAdjustment ${state.approvedAccounting}`
+      );
+    } catch (error) {
+      console.log(`  ${chain.padEnd(10)} could not read (${error.message})`);
+    }
+  }
+  console.log();
+
+  console.log("💡 Recovery plan:");
+  if (remaining.length === 0) {
+    console.log("  - Every leg completed - resolve the verification problems above before unpausing");
+  } else {
+    console.log("  - Vaults stay paused. Send the remaining calls in this order (as operator):");
+  }
+  for (const leg of remaining) {
+    const address = contracts[leg.chain][leg.target].address;
+    const contractName = leg.target === "wrapper" ? "SherpaUSD" : "SherpaVault";
+    console.log(`      ${leg.chain.padEnd(10)} ${contractName}(${address}).${leg.method}(${leg.args.join(", ")})`);
+  }
+  if (failed && failed.txHash) {
+    console.log(`  - The failed leg was broadcast (${failed.txHash}) - check whether it mined before resending`);
+  }
+  console.log("  - Each adjust* call must match the pending approval exactly (amounts above are in base units)");
+  console.log(`  - Then unpause: setSystemPaused(false) on ${record.unpauseLegs.map(leg => leg.chain).join(", ") || "(none paused by this run)"}`);
+  console.log(`  - Report: ${record.reportPath}`);
+}
+
+function saveRebalanceReport(record) {
+  fs.mkdirSync(REBALANCES_DIR, { recursive: true });
+  if (!record.reportPath) {
+    const timestamp = record.startedAt.replace(/[:.]/g, "-");
+    record.reportPath = path.join(REBALANCES_DIR, `${record.type}-${record.chains.join("-")}-${timestamp}.json`);
+  }
+  fs.writeFileSync(record.reportPath, JSON.stringify(record, null, 2));
+  return record.reportPath;
+}
+
+function printStates(states, chains) {
+  console.log("  Chain      Round  Paused  Total Staked        Accounting Supply   Vault SherpaUSD");
+  for (const chain of chains) {
+    const state = states[chain];
+    console.log(
+      `  ${chain.padEnd(10)} ${String(state.round).padEnd(6)} ${(state.isPaused ? "yes" : "no").padEnd(7)} ` +
+      `${formatUsdc(state.totalStaked).padEnd(19)} ${formatUsdc(state.accountingSupply).padEnd(19)} ` +
+      `${formatUsdc(state.wrapperBalance)}`
+    );
+  }
+}
+
+function serializeState(value) {
+  if (ethers.BigNumber.isBigNumber(value)) {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(serializeState);
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, serializeState(v)]));
+  }
+  return value;
+}
+
+function formatUsdc(amount) {
+  return ethers.utils.formatUnits(amount, DECIMALS);
+}
+
+/**
+ * Load the deployment, refuse during a round roll, connect the operator wallet
+ * (a dry run without PRIVATE_KEY reads through providers and has no operator)
+ */
+function prepare(chainsUsed, { dryRun, action }) {
+  const deployment = loadDeployment();
+  const chains = getDeploymentChains(deployment);
+  for (const chain of chainsUsed || []) {
+    if (!chains.includes(chain)) {
+      throw new Error(`Chain "${chain}" is not in deployment.json (${chains.join(", ")})`);
+    }
+  }
+
+  if (loadJournal().active) {
+    throw new Error("A round roll is in progress (round journal) - finish it before rebalancing");
+  }
+
+  if (!dryRun) {
+    if (!process.env.PRIVATE_KEY) {
+      throw new Error("Missing PRIVATE_KEY in .env");
+    }
+    assertWriteAllowed(action);
+  }
+
+  const contracts = connectContracts(deployment, process.env.PRIVATE_KEY);
+  const operator = process.env.PRIVATE_KEY ? contracts[chains[0]].vault.signer.address : null;
+  return { deployment, chains, contracts, operator };
+}
+
+function checkOperator(plan, states, chains, operator) {
+  // Dry run without a signer
+  if (!operator) {
+    return;
+  }
+  for (const chain of chains) {
+    const { vaultOperators, wrapperOperators } = states[chain];
+    if (!vaultOperators.includes(operator) || !wrapperOperators.includes(operator)) {
+      plan.problems.push(`${chain}: ${operator} is not operator/owner of the vault and SherpaUSD`);
+    }
+  }
+}
+
+async function readStates(chains, contracts, record = null) {
+  const states = {};
+  for (const chain of chains) {
+    states[chain] = await readRebalanceState(chain, contracts, record ? lastMinedBlock(record, chain) : 0);
+  }
+  console.log();
+  return states;
+}
+
+/**
+ * Pause → legs (chain by chain, in plan order) → verify → unpause, recording every leg.
+ * On any failure the recovery plan is printed and the error rethrown.
+ */
+async function runPlan({ plan, record, contracts, expected }) {
+  const chains = record.chains;
+  saveRebalanceReport(record);
+
+  try {
+    // =================================================================
+    // STEP 2: PAUSE
+    // =================================================================
+
+    console.log("📍 STEP 2: PAUSING VAULTS");
+    console.log("-".repeat(70));
+    if (plan.pauseLegs.length === 0) {
+      console.log("  All affected vaults already paused");
+    }
+    await executeLegs(plan.pauseLegs, contracts, record);
+    console.log();
+
+    // =================================================================
+    // STEP 3: MINT/BURN + ADJUSTMENTS (CHAIN BY CHAIN)
+    // =================================================================
+
+    console.log("📍 STEP 3: MOVING BACKING");
+    console.log("-".repeat(70));
+    for (const chain of [...new Set(plan.legs.map(leg => leg.chain))]) {
+      console.log(`  ${chain.toUpperCase()}`);
+      await executeLegs(plan.legs.filter(leg => leg.chain === chain), contracts, record);
+    }
+    console.log();
+
+    // =================================================================
+    // STEP 4: VERIFY APPROVALS CONSUMED & TOTALS
+    // =================================================================
+
+    console.log("📍 STEP 4: VERIFYING");
+    console.log("-".repeat(70));
+
+    const after = await readStates(chains, contracts, record);
+    const problems = verifyRebalance(after, expected);
+    record.after = serializeState(after);
+    if (problems.length > 0) {
+      problems.forEach(problem => console.log(`  ❌ ${problem}`));
+      record.verificationProblems = problems;
+      record.status = "failed";
+      saveRebalanceReport(record);
+      throw new Error("Post-rebalance verification failed - vaults left paused");
+    }
+    printStates(after, chains);
+    console.log("  ✅ Approvals consumed, totals moved by exactly the planned amounts");
+    console.log();
+
+    // =================================================================
+    // STEP 5: UNPAUSE
+    // =================================================================
+
+    console.log("📍 STEP 5: UNPAUSING VAULTS");
+    console.log("-".repeat(70));
+    if (plan.unpauseLegs.length === 0) {
+      console.log("  Vaults were paused before this run - leaving them paused");
+    }
+    await executeLegs(plan.unpauseLegs, contracts, record);
+    console.log();
+  } catch (error) {
+    await printRecoveryPlan(record, contracts);
+    throw error;
+  }
+
+  record.status = "completed";
+  record.completedAt = new Date().toISOString();
+  saveRebalanceReport(record);
+}
+
+/**
+ * <from> <to> <amount>: move backing and shares between two chains
+ */
+async function runTransfer(args, dryRun) {
+  const [from, to, amountArg] = args.positional.map(arg => arg?.toLowerCase());
+
+  if (!from || !to || !amountArg) {
+    printUsage();
+    process.exit(1);
+  }
+
+  let amount;
+  try {
+    amount = ethers.utils.parseUnits(amountArg, DECIMALS);
+  } catch (e) {
+    console.error(`❌ Invalid amount: ${amountArg}`);
+    process.exit(1);
+  }
+
+  console.log("=".repeat(70));
+  console.log(dryRun ? "⚖️  REBALANCE (DRY RUN)" : "⚖️  REBALANCE");
+  console.log("=".repeat(70));
+  console.log();
+
+  const { deployment, contracts, operator } = prepare([from, to], {
+    dryRun,
+    action: `Rebalance ${amountArg} SherpaUSD ${from} → ${to}`,
+  });
+
+  console.log(`Operator: ${operator || "(dry run - no signer, operator not checked)"}`);
+  console.log(`Move: ${formatUsdc(amount)} SherpaUSD ${from} → ${to}`);
+  console.log();
+
+  // ===================================================================
+  // STEP 1: READ STATE & PLAN
+  // ===================================================================
+
+  console.log("📍 STEP 1: READING VAULT STATE");
+  console.log("-".repeat(70));
+
+  const before = await readStates([from, to], contracts);
+  printStates(before, [from, to]);
+  console.log();
+
+  const plan = planRebalance({ from, to, amount, states: before, deployment });
+  checkOperator(plan, before, [from, to], operator);
+
+  console.log(`  Price (round ${plan.round - 1}): ${formatUsdc(plan.pricePerShare)} USDC/shUSD`);
+  console.log(`  Share adjustment: ${formatUsdc(plan.shares)} shUSD (${plan.shares.toString()})`);
+  console.log();
+  console.log("  Planned transactions:");
+  printLegs([...plan.pauseLegs, ...plan.legs, ...plan.unpauseLegs], contracts);
+  console.log();
+
+  if (plan.problems.length > 0) {
+    console.log("❌ Rebalance refused:");
+    plan.problems.forEach(problem => console.log(`  - ${problem}`));
+    throw new Error("Pre-flight checks failed - nothing was sent");
+  }
+
+  if (dryRun) {
+    printDryRunComplete();
+    return;
+  }
+
+  const record = {
+    type: "rebalance",
+    chains: [from, to],
+    from,
+    to,
+    amount: amount.toString(),
+    shares: plan.shares.toString(),
+    round: plan.round,
+    pricePerShare: plan.pricePerShare.toString(),
+    operator,
+    status: "in-progress",
+    startedAt: new Date().toISOString(),
+    before: serializeState(before),
+    pauseLegs: plan.pauseLegs,
+    legs: plan.legs,
+    unpauseLegs: plan.unpauseLegs,
+  };
+
+  await runPlan({
+    plan,
+    record,
+    contracts,
+    expected: {
+      [from]: {
+        totalStaked: before[from].totalStaked.sub(amount),
+        accountingSupply: before[from].accountingSupply.sub(plan.shares),
+      },
+      [to]: {
+        totalStaked: before[to].totalStaked.add(amount),
+        accountingSupply: before[to].accountingSupply.add(plan.shares),
+      },
+    },
+  });
+
+  // ===================================================================
+  // SUMMARY
+  // ===================================================================
+
+  console.log("=".repeat(70));
+  console.log("✅ REBALANCE COMPLETE!");
+  console.log("=".repeat(70));
+  console.log();
+  console.log("Summary:");
+  console.log(`  Moved: ${formatUsdc(amount)} SherpaUSD ${from} → ${to}`);
+  console.log(`  Shares: ${formatUsdc(plan.shares)} shUSD accounting supply`);
+  console.log(`  Report: ${record.reportPath}`);
+  console.log();
+}
+
+/**
+ * --asset-only: bring every chain's backing back to accountingSupply × price
+ */
+async function runAssetOnly(args, dryRun) {
+  if (args.positional.length > 0) {
+    printUsage();
+    process.exit(1);
+  }
+
+  let minDrift;
+  try {
+    minDrift = ethers.utils.parseUnits(args.options["min-drift"] || DEFAULT_MIN_DRIFT, DECIMALS);
+  } catch (e) {
+    console.error(`❌ Invalid --min-drift: ${args.options["min-drift"]}`);
+    process.exit(1);
+  }
+
+  console.log("=".repeat(70));
+  console.log(dryRun ? "⚖️  ASSET-ONLY REBALANCE (DRY RUN)" : "⚖️  ASSET-ONLY REBALANCE");
+  console.log("=".repeat(70));
+  console.log();
+
+  const { deployment, chains, contracts, operator } = prepare(null, {
+    dryRun,
+    action: "Asset-only rebalance of SherpaUSD backing",
+  });
+
+  console.log(`Operator: ${operator || "(dry run - no signer, operator not checked)"}`);
+  console.log(`Chains: ${chains.join(", ")}`);
+  console.log();
+
+  // ===================================================================
+  // STEP 1: READ STATE & MEASURE DRIFT
+  // ===================================================================
+
+  console.log("📍 STEP 1: MEASURING BACKING DRIFT");
+  console.log("-".repeat(70));
+
+  const before = await readStates(chains, contracts);
+  const plan = planAssetOnlyRebalance({ states: before, deployment, minDrift });
+  checkOperator(plan, before, Object.keys(plan.moves), operator);
+
+  console.log(`  Price (round ${plan.round - 1}): ${formatUsdc(plan.pricePerShare)} USDC/shUSD`);
+  console.log();
+  console.log("  Chain      Ideal Backing       Total Staked        Drift               Correction");
+  for (const chain of chains) {
+    const { ideal, actual, drift } = plan.drift[chain];
+    const move = plan.moves[chain];
+    const correction = move ? `${move.direction === "in" ? "mint" : "burn"} ${formatUsdc(move.amount)}` : "-";
+    console.log(
+      `  ${chain.padEnd(10)} ${formatUsdc(ideal).padEnd(19)} ${formatUsdc(actual).padEnd(19)} ` +
+      `${((drift.gte(0) ? "+" : "") + formatUsdc(drift)).padEnd(19)} ${correction}`
+    );
+  }
+  console.log();
+  if (!plan.globalDrift.isZero()) {
+    console.log(
+      `  ⚠️  Global backing is ${plan.globalDrift.gt(0) ? "above" : "below"} accountingSupply × price by ` +
+      `${formatUsdc(plan.globalDrift.abs())} - not corrected (asset-only never changes global SherpaUSD supply)`
+    );
+    console.log();
+  }
+
+  if (plan.legs.length === 0) {
+    console.log(`✅ No chain drifts by more than ${formatUsdc(minDrift)} that can be matched - nothing to do`);
+    console.log();
+    return;
+  }
+
+  console.log("  Planned transactions:");
+  printLegs([...plan.pauseLegs, ...plan.legs, ...plan.unpauseLegs], contracts);
+  console.log();
+
+  if (plan.problems.length > 0) {
+    console.log("❌ Rebalance refused:");
+    plan.problems.forEach(problem => console.log(`  - ${problem}`));
+    throw new Error("Pre-flight checks failed - nothing was sent");
+  }
+
+  if (dryRun) {
+    printDryRunComplete();
+    return;
+  }
+
+  if (!args.flags.yes && !(await confirm("Send these transactions?"))) {
+    console.log("Aborted - nothing was sent");
+    return;
+  }
+  console.log();
+
+  const affected = Object.keys(plan.moves);
+  const expected = {};
+  for (const chain of affected) {
+    const { direction, amount } = plan.moves[chain];
+    expected[chain] = {
+      totalStaked: direction === "in" ? before[chain].totalStaked.add(amount) : before[chain].totalStaked.sub(amount),
+      accountingSupply: before[chain].accountingSupply,
+    };
+  }
+
+  const record = {
+    type: "asset-only",
+    chains: affected,
+    moves: serializeState(plan.moves),
+    globalDrift: plan.globalDrift.toString(),
+    round: plan.round,
+    pricePerShare: plan.pricePerShare.toString(),
+    operator,
+    status: "in-progress",
+    startedAt: new Date().toISOString(),
+    before: serializeState(before),
+    pauseLegs: plan.pauseLegs,
+    legs: plan.legs,
+    unpauseLegs: plan.unpauseLegs,
+  };
+
+  await runPlan({ plan, record, contracts, expected });
+
+  // ===================================================================
+  // SUMMARY
+  // ===================================================================
+
+  console.log("=".repeat(70));
+  console.log("✅ ASSET-ONLY REBALANCE COMPLETE!");
+  console.log("=".repeat(70));
+  console.log();
+  console.log("Summary:");
+  for (const chain of affected) {
+    const { direction, amount } = plan.moves[chain];
+    console.log(`  ${chain}: ${direction === "in" ? "+" : "-"}${formatUsdc(amount)} SherpaUSD backing`);
+  }
+  console.log(`  Report: ${record.reportPath}`);
+  console.log();
+}
+
+function printDryRunComplete() {
+  console.log("=".repeat(70));
+  console.log("✅ DRY RUN COMPLETE - NO TRANSACTIONS SENT");
+  console.log("=".repeat(70));
+  console.log();
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2), { flags: ["dry-run", "asset-only", "yes"], options: ["min-drift"] });
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    printUsage();
+    process.exit(1);
+  }
+  const dryRun = args.flags["dry-run"];
+
+  if (args.flags["asset-only"]) {
+    await runAssetOnly(args, dryRun);
+  } else {
+    await runTransfer(args, dryRun);
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("\n❌ REBALANCE FAILED:");
+      console.error(error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  REBALANCES_DIR,
+  connectContracts,
+  readRebalanceState,
+  lastMinedBlock,
+  buildChainLegs,
+  pauseLeg,
+  planRebalance,
+  planAssetOnlyRebalance,
+  executeLegs,
+  verifyRebalance,
+  printLegs,
+  printRecoveryPlan,
+  saveRebalanceReport,
+};
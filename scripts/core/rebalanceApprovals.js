@@ -0,0 +1,395 @@
+const { ethers } = require("ethers");
+const fs = require("fs");
+const path = require("path");
+const { getProvider } = require("../utils/consensusProvider");
+const { assetToShares } = require("../utils/shareMath");
+const { parseArgs, confirm } = require("../utils/cliArgs");
+const { loadDeployment, getDeploymentChains } = require("../utils/deploymentStore");
+const { assertWriteAllowed } = require("../utils/environment");
+const { blockAtTimestamp, getLogsChunked } = require("../utils/ccipTransferTracker");
+const {
+  REBALANCES_DIR,
+  connectContracts,
+  readRebalanceState,
+  lastMinedBlock,
+  executeLegs,
+  verifyRebalance,
+  printRecoveryPlan,
+  saveRebalanceReport,
+} = require("./rebalance");
+require("dotenv").config({ path: path.join(__dirname, "../../.env") });
+
+/**
+ * Rebalance Approvals - Stuck Approval Detector
+ *
+ * SherpaUSD.ownerMint/ownerBurn (and the *AssetOnly variants) set
+ * approvedTotalStakedAdjustment[vault] / approvedAccountingAdjustment[vault], which only
+ * the matching vault.adjustTotalStaked / adjustAccountingSupply call consumes. While
+ * either is non-zero, every further ownerMint/ownerBurn for that vault reverts with
+ * ApprovalNotConsumed(), so a half-finished rebalance blocks the next one.
+ *
+ * For every vault on every chain this reads both approvals (consensus) and explains the
+ * call that consumes each one:
+ *   approvedAccountingAdjustment → adjustAccountingSupply(±amount × 10^decimals / roundPricePerShare[round - 1])
+ *   approvedTotalStakedAdjustment → adjustTotalStaked(±amount)
+ * The sign comes from the tx that set the approval: its RebalanceApprovalSet event sits
+ * next to a PermissionedMint (+) or PermissionedBurn (-) event. If that tx is older
+ * than --lookback-hours, the rebalance reports in docs/rebalances/ are searched instead.
+ *
+ * --fix sends the calls (after a y/N confirmation, --yes skips it) and verifies that
+ * both approvals are back to zero. Exits non-zero while stuck approvals remain.
+ *
+ * Usage:
+ *   node scripts/core/rebalanceApprovals.js                       # Diagnose only
+ *   node scripts/core/rebalanceApprovals.js --fix                 # Consume stuck approvals
+ *   node scripts/core/rebalanceApprovals.js --lookback-hours 720  # Search 30 days of events
+ */
+
+const DECIMALS = 6;
+
+// How far back to look for the tx that set an approval
+const DEFAULT_LOOKBACK_HOURS = 168;
+
+const WRAPPER_EVENTS = new ethers.utils.Interface([
+  "event PermissionedMint(address indexed to, uint256 amount)",
+  "event PermissionedBurn(address indexed from, uint256 amount)",
+  "event RebalanceApprovalSet(address indexed vault, uint256 totalStakedAmount, uint256 accountingAmount)",
+]);
+
+/**
+ * Direction ("in" = minted, "out" = burned) of the latest approval set for a vault,
+ * from on-chain events
+ *
+ * @returns {Promise<Object|null>} { direction, txHash, blockNumber, source } or null if not found
+ */
+async function findApprovalOrigin(chain, wrapperAddress, vaultAddress, lookbackHours) {
+  const provider = getProvider(chain);
+  const latest = await provider.getBlockNumber();
+  const fromTimestamp = Math.floor(Date.now() / 1000) - lookbackHours * 3600;
+  const fromBlock = await blockAtTimestamp(provider, fromTimestamp, latest);
+
+  const logs = await getLogsChunked(provider, {
+    address: wrapperAddress,
+    topics: [
+      WRAPPER_EVENTS.getEventTopic("RebalanceApprovalSet"),
+      ethers.utils.hexZeroPad(vaultAddress, 32),
+    ],
+  }, fromBlock, latest);
+  if (logs.length === 0) {
+    return null;
+  }
+
+  const last = logs[logs.length - 1];
+  const receipt = await provider.getTransactionReceipt(last.transactionHash);
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== wrapperAddress.toLowerCase()) {
+      continue;
+    }
+    let parsed;
+    try {
+      parsed = WRAPPER_EVENTS.parseLog(log);
+    } catch (error) {
+      continue;
+    }
+    if (parsed.name === "PermissionedMint" || parsed.name === "PermissionedBurn") {
+      return {
+        direction: parsed.name === "PermissionedMint" ? "in" : "out",
+        txHash: last.transactionHash,
+        blockNumber: last.blockNumber,
+        source: "events",
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Fallback: the latest mint/burn leg for a chain recorded by scripts/core/rebalance.js
+ */
+function findApprovalOriginInReports(chain) {
+  if (!fs.existsSync(REBALANCES_DIR)) {
+    return null;
+  }
+  const reports = fs.readdirSync(REBALANCES_DIR)
+    .filter(file => file.endsWith(".json"))
+    .map(file => ({ file, record: JSON.parse(fs.readFileSync(path.join(REBALANCES_DIR, file), "utf8")) }))
+    .sort((a, b) => String(b.record.startedAt).localeCompare(String(a.record.startedAt)));
+  for (const { file, record } of reports) {
+    const leg = (record.legs || []).find(candidate =>
+      candidate.chain === chain &&
+      candidate.target === "wrapper" &&
+      ["done", "sent"].includes(candidate.status)
+    );
+    if (leg) {
+      return {
+        direction: leg.method.startsWith("ownerMint") ? "in" : "out",
+        txHash: leg.txHash,
+        blockNumber: leg.blockNumber,
+        source: path.relative(process.cwd(), path.join(REBALANCES_DIR, file)),
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * The adjust* calls that consume one vault's pending approvals
+ *
+ * @param {Object} params - { chain, state (readRebalanceState), origin (findApprovalOrigin) }
+ * @returns {{legs: Object[], problems: string[]}}
+ */
+function planApprovalFix({ chain, state, origin }) {
+  const legs = [];
+  const problems = [];
+  if (state.approvedTotalStaked.isZero() && state.approvedAccounting.isZero()) {
+    return { legs, problems };
+  }
+  if (!origin) {
+    problems.push(
+      `${chain}: cannot tell whether the approval came from a mint or a burn - ` +
+      "re-run with a larger --lookback-hours, or send adjustTotalStaked / adjustAccountingSupply by hand " +
+      "(+ after ownerMint, - after ownerBurn)"
+    );
+    return { legs, problems };
+  }
+
+  const sign = origin.direction === "in" ? "" : "-";
+
+  // Accounting first, then totalStaked - same order as scripts/core/rebalance.js
+  if (!state.approvedAccounting.isZero()) {
+    const shares = assetToShares(state.approvedAccounting, state.pricePerShare, state.decimals);
+    if (shares.isZero()) {
+      problems.push(
+        `${chain}: approvedAccountingAdjustment ${state.approvedAccounting} converts to 0 shares at the current price - ` +
+        "adjustAccountingSupply(0) reverts, so this approval cannot be consumed by the vault"
+      );
+    } else {
+      legs.push({
+        id: `adjustAccountingSupply-${chain}`,
+        chain,
+        target: "vault",
+        method: "adjustAccountingSupply",
+        args: [`${sign}${shares.toString()}`],
+        label: `adjustAccountingSupply(${sign}${formatUsdc(shares)} shUSD)`,
+      });
+    }
+  }
+  if (!state.approvedTotalStaked.isZero()) {
+    legs.push({
+      id: `adjustTotalStaked-${chain}`,
+      chain,
+      target: "vault",
+      method: "adjustTotalStaked",
+      args: [`${sign}${state.approvedTotalStaked.toString()}`],
+      label: `adjustTotalStaked(${sign}${formatUsdc(state.approvedTotalStaked)})`,
+    });
+  }
+  return { legs, problems };
+}
+
+function formatUsdc(amount) {
+  return ethers.utils.formatUnits(amount, DECIMALS);
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2), { flags: ["fix", "yes"], options: ["lookback-hours"] });
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    console.error("Usage: node scripts/core/rebalanceApprovals.js [--fix] [--yes] [--lookback-hours <hours>]");
+    process.exit(1);
+  }
+  const fix = args.flags.fix;
+  const lookbackHours = Number(args.options["lookback-hours"] || DEFAULT_LOOKBACK_HOURS);
+  if (!(lookbackHours > 0)) {
+    console.error(`❌ Invalid --lookback-hours: ${args.options["lookback-hours"]}`);
+    process.exit(1);
+  }
+
+  console.log("=".repeat(70));
+  console.log(fix ? "🔓 REBALANCE APPROVALS - FIX" : "🔓 REBALANCE APPROVALS - DIAGNOSTIC");
+  console.log("=".repeat(70));
+  console.log();
+
+  const deployment = loadDeployment();
+  const chains = getDeploymentChains(deployment);
+
+  if (!process.env.PRIVATE_KEY) {
+    throw new Error("Missing PRIVATE_KEY in .env");
+  }
+  if (fix) {
+    assertWriteAllowed("Consume stuck rebalance approvals");
+  }
+  const contracts = connectContracts(deployment, process.env.PRIVATE_KEY);
+  const operator = contracts[chains[0]].vault.signer.address;
+
+  // ===================================================================
+  // STEP 1: READ APPROVALS
+  // ===================================================================
+
+  console.log("📍 STEP 1: READING APPROVALS");
+  console.log("-".repeat(70));
+
+  const states = {};
+  for (const chain of chains) {
+    states[chain] = await readRebalanceState(chain, contracts);
+  }
+  console.log();
+
+  console.log("  Chain      approvedTotalStaked  approvedAccounting   Status");
+  const stuck = chains.filter(chain =>
+    !states[chain].approvedTotalStaked.isZero() || !states[chain].approvedAccounting.isZero()
+  );
+  for (const chain of chains) {
+    const state = states[chain];
+    console.log(
+      `  ${chain.padEnd(10)} ${formatUsdc(state.approvedTotalStaked).padEnd(20)} ` +
+      `${formatUsdc(state.approvedAccounting).padEnd(20)} ${stuck.includes(chain) ? "⚠️  STUCK" : "✅ clear"}`
+    );
+  }
+  console.log();
+
+  if (stuck.length === 0) {
+    console.log("=".repeat(70));
+    console.log("✅ NO STUCK APPROVALS - ownerMint/ownerBurn are unblocked on every chain");
+    console.log("=".repeat(70));
+    console.log();
+    return;
+  }
+
+  // ===================================================================
+  // STEP 2: EXPLAIN THE CONSUMING CALLS
+  // ===================================================================
+
+  console.log("📍 STEP 2: FINDING WHAT SET EACH APPROVAL");
+  console.log("-".repeat(70));
+
+  const legs = [];
+  const problems = [];
+  for (const chain of stuck) {
+    let origin = null;
+    try {
+      origin = await findApprovalOrigin(chain, deployment[chain].sherpaUSD, deployment[chain].vault, lookbackHours);
+    } catch (error) {
+      console.log(`  ${chain}: event scan failed (${error.message}) - trying rebalance reports`);
+    }
+    origin = origin || findApprovalOriginInReports(chain);
+
+    if (origin) {
+      console.log(
+        `  ${chain}: set by ${origin.direction === "in" ? "a mint" : "a burn"} ` +
+        `(tx ${origin.txHash || "unknown"}, from ${origin.source})`
+      );
+    } else {
+      console.log(`  ${chain}: no mint/burn found in the last ${lookbackHours}h or in ${REBALANCES_DIR}`);
+    }
+
+    const plan = planApprovalFix({ chain, state: states[chain], origin });
+    legs.push(...plan.legs);
+    problems.push(...plan.problems);
+    if (origin && !states[chain].vaultOperators.includes(operator)) {
+      problems.push(`${chain}: ${operator} is not operator/owner of the vault`);
+    }
+  }
+  console.log();
+
+  if (legs.length > 0) {
+    console.log("  Calls that consume the approvals (as operator):");
+    for (const leg of legs) {
+      console.log(`      ${leg.chain.padEnd(10)} SherpaVault(${contracts[leg.chain].vault.address}).${leg.method}(${leg.args.join(", ")})`);
+    }
+    console.log();
+  }
+  problems.forEach(problem => console.log(`  ❌ ${problem}`));
+  if (problems.length > 0) {
+    console.log();
+  }
+
+  if (!fix) {
+    console.log("=".repeat(70));
+    console.log(`⚠️  ${stuck.length} VAULT(S) WITH STUCK APPROVALS - re-run with --fix to consume them`);
+    console.log("=".repeat(70));
+    console.log();
+    process.exitCode = 1;
+    return;
+  }
+
+  if (problems.length > 0) {
+    throw new Error("Cannot fix every stuck approval automatically - nothing was sent");
+  }
+  if (!args.flags.yes && !(await confirm("Send these transactions?"))) {
+    console.log("Aborted - nothing was sent");
+    process.exitCode = 1;
+    return;
+  }
+  console.log();
+
+  // ===================================================================
+  // STEP 3: CONSUME & VERIFY
+  // ===================================================================
+
+  console.log("📍 STEP 3: CONSUMING APPROVALS");
+  console.log("-".repeat(70));
+
+  const record = {
+    type: "approval-fix",
+    chains: stuck,
+    operator,
+    status: "in-progress",
+    startedAt: new Date().toISOString(),
+    pauseLegs: [],
+    legs,
+    unpauseLegs: [],
+  };
+  saveRebalanceReport(record);
+
+  try {
+    await executeLegs(legs, contracts, record);
+    console.log();
+
+    const after = {};
+    for (const chain of stuck) {
+      after[chain] = await readRebalanceState(chain, contracts, lastMinedBlock(record, chain));
+    }
+    console.log();
+    const remaining = verifyRebalance(after, Object.fromEntries(stuck.map(chain => [chain, {}])));
+    if (remaining.length > 0) {
+      remaining.forEach(problem => console.log(`  ❌ ${problem}`));
+      record.status = "failed";
+      record.verificationProblems = remaining;
+      saveRebalanceReport(record);
+      throw new Error("Approvals still set after the fix");
+    }
+  } catch (error) {
+    await printRecoveryPlan(record, contracts);
+    throw error;
+  }
+
+  record.status = "completed";
+  record.completedAt = new Date().toISOString();
+  saveRebalanceReport(record);
+
+  console.log("=".repeat(70));
+  console.log("✅ STUCK APPROVALS CONSUMED");
+  console.log("=".repeat(70));
+  console.log(`  Chains: ${stuck.join(", ")}`);
+  console.log(`  Report: ${record.reportPath}`);
+  console.log();
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(process.exitCode || 0))
+    .catch((error) => {
+      console.error("\n❌ REBALANCE APPROVALS FAILED:");
+      console.error(error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  findApprovalOrigin,
+  findApprovalOriginInReports,
+  planApprovalFix,
+};
@@ -0,0 +1,1026 @@
+const { ethers } = require("ethers");
+const fs = require("fs");
+const path = require("path");
+const { queryWithConsensus, queryCallsWithConsensus, getProvider, getWallet } = require("../utils/consensusProvider");
+const { sendAndConfirm, confirmReceipt, checkConfirmed } = require("../utils/txConfirmation");
+const { getTxManager } = require("../utils/txManager");
+const { simulateRoll } = require("../utils/shareMath");
+const { parseArgs } = require("../utils/cliArgs");
+const { checkPrice, enforcePriceGuard } = require("../utils/priceGuard");
+const { loadDeployment, getDeploymentChains } = require("../utils/deploymentStore");
+const { scopedPath, assertWriteAllowed } = require("../utils/environment");
+const {
+  DEFAULT_BOUNDS,
+  loadYieldReport,
+  manualYield,
+  checkYieldBounds,
+  describeSource,
+  formatBps,
+} = require("../utils/yieldSources");
+const {
+  JOURNAL_PATH,
+  stepId,
+  buildSteps,
+  loadJournal,
+  acquireJournalLock,
+  startRoll,
+  markStep,
+  updateRoll,
+  currentPhase,
+  reconcileWithChain,
+  completeRoll,
+} = require("../utils/rollJournal");
+require("dotenv").config({ path: path.join(__dirname, "../../.env") });
+
+/**
+ * Roll Round - All Chains
+ *
+ * Runs the complete daily round roll across every chain in deployment.json:
+ * 1. Pause all vaults (setSystemPaused(true))
+ * 2. Snapshot totalStaked / accountingSupply / totalPending on every chain (consensus reads)
+ * 3. rollToNextRound() on the primary chain with the global totals
+ * 4. applyGlobalPrice() on every secondary chain with the primary's new price
+ * 5. processWrapperWithdrawals() on every chain (advances SherpaUSD epochs)
+ * 6. Unpause all vaults
+ *
+ * Every read goes through queryWithConsensus (block-pinned; the snapshot records the block
+ * read on each chain). A write only counts as done once RPC consensus agrees on its
+ * receipt and sees the resulting state (scripts/utils/txConfirmation.js). Progress is
+ * recorded step by step in deployments/round-journal.json (see
+ * scripts/utils/rollJournal.js). If any step fails, the script stops, prints which step
+ * failed on which chain, and leaves vaults paused.
+ *
+ * RESUMING: simply re-run the script. The partially finished round is detected from
+ * on-chain round() / currentEpoch() / isPaused() plus the journal, and the roll
+ * continues exactly where it stopped. Steps already applied on-chain are never sent
+ * twice (every recorded broadcast of an unconfirmed step, speed-ups included, is looked up
+ * and its nonce waited for before anything is re-broadcast).
+ * A partial roll is also detected when no journal exists (e.g. a roll done by hand).
+ *
+ * DRY RUN: --dry-run reads the current state, predicts the new price, the shares minted
+ * on each chain, the SherpaUSD minted/burned on primary and any MinimumSupplyNotMet
+ * revert (scripts/utils/shareMath.js), then exits without sending transactions.
+ * It only reads and needs no PRIVATE_KEY. The same prediction is checked before every
+ * real roll.
+ *
+ * YIELD SOURCE: --yield-file reads a JSON or CSV strategy PnL report (per-venue lines,
+ * see scripts/utils/yieldSources.js). Positional <yield> <isYieldPositive> is a manual
+ * value and, if given together with --yield-file, overrides the report. The implied
+ * APR is checked against ROLL_MAX_APR_BPS / ROLL_MAX_APR_MOVE_BPS and the source
+ * (incl. report sha256) is recorded in the round journal.
+ *
+ * PRICE GUARD: the predicted primary price and the price applied on each secondary
+ * are checked against roundPricePerShare[round - 1] (scripts/utils/priceGuard.js).
+ * Exceeding the max up/down move requires --override "<reason>", which is logged to
+ * deployments/deployment-history.jsonl. The price floor cannot be overridden.
+ *
+ * Usage:
+ *   node scripts/core/rollRound-allChains.js <yield> <isYieldPositive> [--dry-run]
+ *   node scripts/core/rollRound-allChains.js --yield-file <report.json|csv> [--dry-run]
+ *   node scripts/core/rollRound-allChains.js                    # Resume in-progress roll
+ *
+ * Examples:
+ *   node scripts/core/rollRound-allChains.js 0 true          # Roll with no yield
+ *   node scripts/core/rollRound-allChains.js 125.5 true      # +125.5 USDC yield
+ *   node scripts/core/rollRound-allChains.js 40 false        # -40 USDC (loss)
+ *   node scripts/core/rollRound-allChains.js 125.5 true --dry-run
+ *   node scripts/core/rollRound-allChains.js --yield-file reports/pnl-round-12.csv
+ *   node scripts/core/rollRound-allChains.js 900 true --override "Quarterly incentive distribution"
+ *
+ * Arguments:
+ *   yield: Total yield across all chains in USDC (e.g., 125.5)
+ *   isYieldPositive: true for gains, false for losses
+ */
+
+const DECIMALS = 6;
+
+// Roll reports (runtime history, gitignored)
+const ROLLS_DIR = scopedPath("docs/rolls");
+
+const NONCE_POLL_MS = 5000;
+
+const WRAPPER_ABI = [
+  "function currentEpoch() external view returns (uint32)"
+];
+
+function printUsage() {
+  console.error("Usage: node scripts/core/rollRound-allChains.js <yield> <isYieldPositive> [--dry-run]");
+  console.error("       node scripts/core/rollRound-allChains.js --yield-file <report.json|csv> [--dry-run]");
+  console.error("       node scripts/core/rollRound-allChains.js            (resume in-progress roll)");
+  console.error("");
+  console.error("Arguments:");
+  console.error("  yield: Total yield across all chains in USDC (e.g., 125.5)");
+  console.error("  isYieldPositive: true for gains, false for losses");
+  console.error("  --yield-file: Strategy PnL report (JSON or CSV, per-venue lines)");
+  console.error("  --dry-run: Predict the roll outcome without sending transactions");
+  console.error("  --override \"<reason>\": Accept a price move beyond the price guard limits");
+  console.error("");
+  console.error("Examples:");
+  console.error("  node scripts/core/rollRound-allChains.js 0 true");
+  console.error("  node scripts/core/rollRound-allChains.js 125.5 true");
+  console.error("  node scripts/core/rollRound-allChains.js 40 false");
+}
+
+async function main() {
+  // Parse CLI arguments (optional when resuming)
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2), { flags: ["dry-run"], options: ["yield-file", "override"] });
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    printUsage();
+    process.exit(1);
+  }
+  const dryRun = args.flags["dry-run"];
+  const override = args.options.override?.trim() || null;
+  if (args.options.override !== undefined && !override) {
+    console.error("❌ --override requires a non-empty reason");
+    process.exit(1);
+  }
+  const yieldArg = args.positional[0];
+  const isYieldPositiveArg = args.positional[1]?.toLowerCase();
+
+  let reportSource = null;
+  if (args.options["yield-file"]) {
+    reportSource = loadYieldReport(args.options["yield-file"]);
+  }
+
+  let yieldSource = reportSource;
+  if (yieldArg !== undefined) {
+    if (!["true", "false"].includes(isYieldPositiveArg)) {
+      printUsage();
+      process.exit(1);
+    }
+    try {
+      yieldSource = manualYield(
+        ethers.utils.parseUnits(yieldArg, DECIMALS),
+        isYieldPositiveArg === "true",
+        reportSource
+      );
+    } catch (e) {
+      console.error(`❌ Invalid yield amount: ${yieldArg}`);
+      process.exit(1);
+    }
+  }
+
+  const yieldInput = yieldSource
+    ? { amount: yieldSource.yield, isPositive: yieldSource.isYieldPositive, source: yieldSource }
+    : null;
+
+  console.log("=".repeat(70));
+  console.log(dryRun ? "🔄 ROLL ROUND - ALL CHAINS (DRY RUN)" : "🔄 ROLL ROUND - ALL CHAINS");
+  console.log("=".repeat(70));
+  console.log();
+
+  if (yieldSource) {
+    printYieldSource(yieldSource);
+  }
+
+  // ===================================================================
+  // LOAD DEPLOYMENT & SETUP
+  // ===================================================================
+
+  const deployment = loadDeployment();
+
+  const chains = getDeploymentChains(deployment);
+  const primaryChains = chains.filter(chain => deployment[chain].isPrimary);
+  if (primaryChains.length !== 1) {
+    throw new Error(`Expected exactly 1 primary chain in deployment.json, found ${primaryChains.length}`);
+  }
+  const primaryChain = primaryChains[0];
+  const secondaryChains = chains.filter(chain => chain !== primaryChain);
+
+  const vaultArtifact = JSON.parse(
+    fs.readFileSync(path.join(__dirname, "../../artifacts/contracts/SherpaVault.sol/SherpaVault.json"), "utf8")
+  );
+
+  // The dry run only reads: vaults on plain providers, no signer needed
+  if (!dryRun) {
+    if (!process.env.PRIVATE_KEY) {
+      throw new Error("Missing PRIVATE_KEY in .env");
+    }
+    assertWriteAllowed("Roll round on all chains");
+  }
+
+  const vaults = {};
+  for (const chain of chains) {
+    vaults[chain] = new ethers.Contract(
+      deployment[chain].vault,
+      vaultArtifact.abi,
+      dryRun ? getProvider(chain) : getWallet(chain, process.env.PRIVATE_KEY)
+    );
+  }
+  const operator = dryRun ? null : vaults[primaryChain].signer.address;
+
+  // Every write goes through the chain's tx manager (nonces, capped EIP-1559 fees, stuck-tx replacement)
+  const sendVaultTx = (chain, method, ...args) =>
+    getTxManager(chain, vaults[chain].signer).sendCall(vaults[chain], method, args);
+
+  console.log(`Operator: ${operator || "(dry run - no signer)"}`);
+  console.log(`Primary: ${primaryChain}`);
+  console.log(`Secondaries: ${secondaryChains.join(", ") || "(none)"}`);
+  console.log(`Journal: ${JOURNAL_PATH}`);
+  console.log();
+
+  // Latest block each chain has mined one of our txs in - reads never pin below it
+  const minBlocks = {};
+
+  // Consensus read of the round-related state of one chain
+  async function readChainState(chain) {
+    const vault = vaults[chain];
+    const wrapper = new ethers.Contract(deployment[chain].sherpaUSD, WRAPPER_ABI);
+    const state = await queryCallsWithConsensus(chain, {
+      round: { contract: vault, method: "round" },
+      isPaused: { contract: vault, method: "isPaused" },
+      isPrimaryChain: { contract: vault, method: "isPrimaryChain" },
+      epoch: { contract: wrapper, method: "currentEpoch" },
+    }, { requireMajority: true, minBlock: minBlocks[chain] || 0 });
+    return {
+      round: Number(state.round),
+      isPaused: state.isPaused,
+      isPrimaryChain: state.isPrimaryChain,
+      epoch: Number(state.epoch),
+    };
+  }
+
+  function readRoundPrice(chain, round) {
+    return queryWithConsensus(chain, async (provider) => {
+      return vaults[chain].connect(provider).roundPricePerShare(round);
+    }, { requireMajority: true, minBlock: minBlocks[chain] || 0 });
+  }
+
+  // Consensus snapshot of the values rollToNextRound / applyGlobalPrice depend on,
+  // with the block it was read at (journaled for audit)
+  async function readSnapshot(chain) {
+    const vault = vaults[chain];
+    const { value, blockNumber } = await queryCallsWithConsensus(chain, {
+      round: { contract: vault, method: "round" },
+      isPaused: { contract: vault, method: "isPaused" },
+      totalStaked: { contract: vault, method: "totalStaked" },
+      accountingSupply: { contract: vault, method: "accountingSupply" },
+      totalPending: { contract: vault, method: "totalPending" },
+      vaultParams: { contract: vault, method: "vaultParams" },
+    }, { requireMajority: true, withBlock: true });
+    return {
+      round: Number(value.round),
+      isPaused: value.isPaused,
+      totalStaked: value.totalStaked,
+      accountingSupply: value.accountingSupply,
+      totalPending: value.totalPending,
+      decimals: Number(value.vaultParams.decimals),
+      minimumSupply: value.vaultParams.minimumSupply,
+      blockNumber,
+    };
+  }
+
+  if (dryRun) {
+    if (!yieldInput) {
+      printUsage();
+      process.exit(1);
+    }
+    await runDryRun({
+      chains,
+      primaryChain,
+      readSnapshot,
+      readRoundPrice,
+      yieldInput,
+      previousAprBps: previousRollAprBps(loadJournal()),
+    });
+    return;
+  }
+
+  // Held until exit: keeps the pause watchdog's --refresh from writing while the roll runs
+  acquireJournalLock("rollRound-allChains.js");
+  const journal = loadJournal();
+  let roll;
+
+  try {
+    // =================================================================
+    // STEP 1: READ ON-CHAIN STATE & RECONCILE WITH JOURNAL
+    // =================================================================
+
+    console.log("📍 STEP 1: READING ON-CHAIN STATE");
+    console.log("-".repeat(70));
+
+    const onchain = {};
+    for (const chain of chains) {
+      onchain[chain] = await readChainState(chain);
+    }
+    console.log();
+
+    for (const chain of chains) {
+      const state = onchain[chain];
+      console.log(
+        `  ${chain.padEnd(12)} round ${state.round}  epoch ${state.epoch}  ` +
+        `${state.isPaused ? "⏸️  PAUSED" : "▶️  ACTIVE"}  ${state.isPrimaryChain ? "PRIMARY" : "SECONDARY"}`
+      );
+      if (state.isPrimaryChain !== (chain === primaryChain)) {
+        throw new Error(`${chain}: on-chain isPrimaryChain does not match deployment.json`);
+      }
+    }
+    console.log();
+
+    if (journal.active) {
+      roll = journal.active;
+      console.log(`📒 Resuming roll of round ${roll.round} (started ${roll.startedAt})`);
+      console.log(`   Last completed phase: ${currentPhase(roll) || "(none)"}`);
+
+      if (roll.primaryChain !== primaryChain || roll.chains.join(",") !== chains.join(",")) {
+        throw new Error("Journal chain set does not match deployment.json - resolve manually");
+      }
+      if (yieldInput && roll.yield !== null &&
+          (yieldInput.amount.toString() !== roll.yield || yieldInput.isPositive !== roll.isYieldPositive)) {
+        throw new Error(
+          `Yield arguments differ from the in-progress roll (journal: ${roll.isYieldPositive ? "+" : "-"}` +
+          `${formatUsdc(roll.yield)} USDC). Re-run without arguments to resume.`
+        );
+      }
+    } else {
+      roll = detectRoll(journal, onchain);
+    }
+    console.log();
+
+    const corrections = reconcileWithChain(journal, roll, onchain);
+    if (corrections.length > 0) {
+      console.log("🔧 Steps found already applied on-chain (journal updated):");
+      corrections.forEach(id => console.log(`   - ${id}`));
+      console.log();
+    }
+
+    const { round: currentRound, newRound } = roll;
+    console.log(`✅ Rolling round ${currentRound} → ${newRound}`);
+    if (roll.yield !== null) {
+      console.log(`   Yield: ${roll.isYieldPositive ? "+" : "-"}${formatUsdc(roll.yield)} USDC`);
+    }
+    console.log();
+
+    // Executes a transaction step exactly once, using the journal to survive restarts.
+    // A step is only done once RPC consensus agrees on its receipt and isApplied()
+    // sees the resulting state at (or after) the receipt's block.
+    async function executeTxStep(id, chain, label, isApplied, sendTx) {
+      let step = roll.steps[id];
+      if (step.status === "done") {
+        console.log(`  ${chain}: ${label} already done ✅`);
+        return;
+      }
+
+      const confirmState = async ({ blockNumber }) => {
+        minBlocks[chain] = blockNumber;
+        return isApplied();
+      };
+      const provider = vaults[chain].provider;
+
+      // A previous run broadcast this step - find out what happened to those txs first
+      if (step.status === "sent" && step.txHash) {
+        const hashes = step.txHashes || [step.txHash];
+        console.log(`  ${chain}: checking previously sent tx ${hashes.join(", ")}...`);
+        const receipt = await waitForSentStep(provider, step, operator);
+        if (receipt) {
+          const confirmed = await confirmReceipt(chain, receipt.transactionHash);
+          if (confirmed.status === 1) {
+            await checkConfirmed(chain, label, confirmed, confirmState);
+            markStep(journal, id, { status: "done", txHash: receipt.transactionHash, blockNumber: confirmed.blockNumber });
+            console.log(`    ✅ Confirmed in block ${confirmed.blockNumber} (RPC consensus)`);
+            return;
+          }
+        }
+        step = markStep(journal, id, {
+          status: "pending",
+          lastError: receipt ? `tx ${receipt.transactionHash} reverted` : `tx ${hashes.join(", ")} dropped`,
+        });
+      }
+
+      // Already applied on-chain (e.g. tx mined but process died before journaling)
+      if (await isApplied()) {
+        markStep(journal, id, { status: "done", recoveredFromChain: true });
+        console.log(`  ${chain}: ${label} already applied on-chain ✅`);
+        return;
+      }
+
+      const { receipt } = await sendAndConfirm(chain, sendTx, {
+        label,
+        onSent: (tx) => {
+          // Every broadcast of the same nonce (original and speed-ups) may still be mined
+          const current = roll.steps[id];
+          const hashes = current.status === "sent" && current.nonce === tx.nonce ? current.txHashes || [] : [];
+          markStep(journal, id, {
+            status: "sent",
+            txHash: tx.hash,
+            txHashes: [...hashes.filter(hash => hash !== tx.hash), tx.hash],
+            nonce: tx.nonce,
+            lastError: undefined,
+          });
+        },
+        confirmState,
+      });
+      markStep(journal, id, { status: "done", blockNumber: receipt.blockNumber });
+    }
+
+    async function runStep(id, chain, fn) {
+      try {
+        return await fn();
+      } catch (error) {
+        const message = error.reason || error.message;
+        updateRoll(journal, { lastFailure: { step: id, chain, error: message, at: new Date().toISOString() } });
+        throw error;
+      }
+    }
+
+    // =================================================================
+    // STEP 2: PAUSE ALL CHAINS
+    // =================================================================
+
+    console.log("📍 STEP 2: PAUSING ALL CHAINS");
+    console.log("-".repeat(70));
+
+    for (const chain of chains) {
+      const id = stepId("pause", chain);
+      await runStep(id, chain, () => executeTxStep(
+        id, chain, "setSystemPaused(true)",
+        async () => (await readChainState(chain)).isPaused,
+        () => sendVaultTx(chain, "setSystemPaused", true)
+      ));
+    }
+    console.log();
+
+    // =================================================================
+    // STEP 3: SNAPSHOT STATE (CONSENSUS)
+    // =================================================================
+
+    console.log("📍 STEP 3: SNAPSHOTTING VAULT STATE");
+    console.log("-".repeat(70));
+
+    const primaryRollId = stepId("roll-primary", primaryChain);
+
+    if (roll.steps[primaryRollId].status === "done") {
+      console.log("  Primary already rolled - using journaled snapshot");
+    } else {
+      await runStep("snapshot", null, async () => {
+        const snapshot = {};
+        for (const chain of chains) {
+          snapshot[chain] = await readSnapshot(chain);
+        }
+        console.log();
+
+        for (const chain of chains) {
+          if (snapshot[chain].round !== currentRound) {
+            throw new Error(`${chain}: round changed to ${snapshot[chain].round} during roll`);
+          }
+          if (!snapshot[chain].isPaused) {
+            throw new Error(`${chain}: vault is not paused after pause step`);
+          }
+        }
+
+        // Predict the roll off-chain - refuse to send a roll that would revert
+        const simulation = simulateRoll({
+          primaryChain,
+          chains: snapshot,
+          yield: roll.yield,
+          isYieldPositive: roll.isYieldPositive,
+        });
+        if (simulation.reverts.length > 0) {
+          printSimulation(simulation);
+          const reasons = simulation.reverts.map(r => `${r.chain}: ${r.error}`).join(", ");
+          throw new Error(`Simulated roll reverts (${reasons})`);
+        }
+
+        // Yield must stay within the configured APR bounds
+        const signedYield = roll.isYieldPositive
+          ? ethers.BigNumber.from(roll.yield)
+          : ethers.BigNumber.from(roll.yield).mul(-1);
+        const bounds = checkYieldBounds(signedYield, simulation.globalTotals.totalStaked, previousRollAprBps(journal));
+        console.log(`  Implied APR: ${formatBps(bounds.aprBps)} (max ±${formatBps(DEFAULT_BOUNDS.maxAprBps)})`);
+        if (bounds.violations.length > 0) {
+          throw new Error(`Yield out of bounds: ${bounds.violations.join("; ")}`);
+        }
+
+        // Circuit breaker on the price the roll will produce
+        const priceGuard = enforcePriceGuard({
+          chain: primaryChain,
+          round: currentRound,
+          proposedPrice: simulation.pricePerShare,
+          previousPrice: await readRoundPrice(primaryChain, currentRound - 1),
+          override,
+          script: "rollRound-allChains",
+          operator,
+        });
+
+        updateRoll(journal, {
+          snapshot: serializeState(snapshot),
+          globalTotals: serializeState(simulation.globalTotals),
+          predictedPricePerShare: simulation.pricePerShare.toString(),
+          impliedAprBps: bounds.aprBps,
+          priceGuard: { deltaBps: priceGuard.deltaBps, overridden: priceGuard.overridden, reason: priceGuard.overridden ? override : null },
+        });
+        console.log(`  Predicted price: ${formatUsdc(simulation.pricePerShare)} USDC/shUSD (simulated, no reverts)`);
+        markStep(journal, "snapshot", { status: "done" });
+      });
+    }
+
+    if (roll.snapshot) {
+      console.log("  Chain          Total Staked        Accounting Supply   Total Pending");
+      for (const chain of chains) {
+        const state = roll.snapshot[chain];
+        console.log(
+          `  ${chain.padEnd(14)} ${formatUsdc(state.totalStaked).padEnd(19)} ` +
+          `${formatUsdc(state.accountingSupply).padEnd(19)} ${formatUsdc(state.totalPending)}`
+        );
+      }
+      console.log(
+        `  ${"GLOBAL".padEnd(14)} ${formatUsdc(roll.globalTotals.totalStaked).padEnd(19)} ` +
+        `${formatUsdc(roll.globalTotals.accountingSupply).padEnd(19)} ${formatUsdc(roll.globalTotals.totalPending)}`
+      );
+    }
+    console.log();
+
+    // =================================================================
+    // STEP 4: ROLL PRIMARY CHAIN
+    // =================================================================
+
+    console.log(`📍 STEP 4: ROLLING PRIMARY CHAIN (${primaryChain})`);
+    console.log("-".repeat(70));
+
+    await runStep(primaryRollId, primaryChain, () => executeTxStep(
+      primaryRollId, primaryChain, "rollToNextRound",
+      async () => (await readChainState(primaryChain)).round === newRound,
+      () => sendVaultTx(
+        primaryChain,
+        "rollToNextRound",
+        roll.yield,
+        roll.isYieldPositive,
+        roll.globalTotals.totalStaked,
+        roll.globalTotals.accountingSupply,
+        roll.globalTotals.totalPending
+      )
+    ));
+
+    if (!roll.pricePerShare) {
+      await runStep("read-price", primaryChain, async () => {
+        const state = await readChainState(primaryChain);
+        if (state.round !== newRound) {
+          throw new Error(`Primary round is ${state.round} after roll, expected ${newRound}`);
+        }
+        const price = await readRoundPrice(primaryChain, currentRound);
+        if (price.isZero()) {
+          throw new Error(`Primary roundPricePerShare[${currentRound}] is zero after roll`);
+        }
+        updateRoll(journal, { pricePerShare: price.toString() });
+      });
+
+      if (roll.predictedPricePerShare && roll.predictedPricePerShare !== roll.pricePerShare) {
+        console.log(`  ⚠️  On-chain price ${roll.pricePerShare} differs from simulated ${roll.predictedPricePerShare}`);
+      }
+    }
+
+    const globalPrice = ethers.BigNumber.from(roll.pricePerShare);
+    console.log(`  Global price for round ${currentRound}: ${ethers.utils.formatUnits(globalPrice, DECIMALS)} USDC/shUSD`);
+    console.log();
+
+    // =================================================================
+    // STEP 5: APPLY GLOBAL PRICE ON SECONDARY CHAINS
+    // =================================================================
+
+    console.log("📍 STEP 5: APPLYING GLOBAL PRICE ON SECONDARY CHAINS");
+    console.log("-".repeat(70));
+
+    for (const chain of secondaryChains) {
+      const id = stepId("apply-price", chain);
+      await runStep(id, chain, () => executeTxStep(
+        id, chain, "applyGlobalPrice",
+        async () => (await readChainState(chain)).round === newRound,
+        async () => {
+          enforcePriceGuard({
+            chain,
+            round: currentRound,
+            proposedPrice: globalPrice,
+            previousPrice: await readRoundPrice(chain, currentRound - 1),
+            override,
+            script: "rollRound-allChains",
+            operator,
+          });
+          return sendVaultTx(chain, "applyGlobalPrice", newRound, globalPrice);
+        }
+      ));
+    }
+    console.log();
+
+    // =================================================================
+    // STEP 6: PROCESS WRAPPER WITHDRAWALS (ADVANCE EPOCHS)
+    // =================================================================
+
+    console.log("📍 STEP 6: PROCESSING WRAPPER WITHDRAWALS");
+    console.log("-".repeat(70));
+
+    for (const chain of chains) {
+      const id = stepId("process-withdrawals", chain);
+      await runStep(id, chain, () => executeTxStep(
+        id, chain, "processWrapperWithdrawals",
+        async () => (await readChainState(chain)).epoch === newRound,
+        () => sendVaultTx(chain, "processWrapperWithdrawals")
+      ));
+    }
+    console.log();
+
+    // =================================================================
+    // STEP 7: VERIFY ALL CHAINS BEFORE UNPAUSING
+    // =================================================================
+
+    console.log("📍 STEP 7: VERIFYING ALL CHAINS");
+    console.log("-".repeat(70));
+
+    for (const chain of chains) {
+      await runStep("verify", chain, async () => {
+        const state = await readChainState(chain);
+        const price = await readRoundPrice(chain, currentRound);
+
+        if (state.round !== newRound) {
+          throw new Error(`Round is ${state.round}, expected ${newRound}`);
+        }
+        if (!price.eq(globalPrice)) {
+          throw new Error(`Price mismatch: ${price.toString()} vs primary ${globalPrice.toString()}`);
+        }
+        if (state.epoch !== newRound) {
+          throw new Error(`Wrapper epoch is ${state.epoch}, expected ${newRound}`);
+        }
+      });
+      console.log(`  ${chain}: round ${newRound}, epoch ${newRound}, price synced ✅`);
+    }
+    console.log();
+
+    // =================================================================
+    // STEP 8: UNPAUSE ALL CHAINS
+    // =================================================================
+
+    console.log("📍 STEP 8: UNPAUSING ALL CHAINS");
+    console.log("-".repeat(70));
+
+    for (const chain of chains) {
+      const id = stepId("unpause", chain);
+      await runStep(id, chain, () => executeTxStep(
+        id, chain, "setSystemPaused(false)",
+        async () => !(await readChainState(chain)).isPaused,
+        () => sendVaultTx(chain, "setSystemPaused", false)
+      ));
+    }
+    console.log();
+  } catch (error) {
+    if (roll) {
+      printFailureReport(journal.active || roll);
+    }
+    throw error;
+  }
+
+  const completed = completeRoll(journal);
+  const reportPath = saveReport(completed);
+
+  // ===================================================================
+  // SUMMARY
+  // ===================================================================
+
+  console.log("=".repeat(70));
+  console.log("✅ ROUND ROLL COMPLETE!");
+  console.log("=".repeat(70));
+  console.log();
+  console.log("Summary:");
+  console.log(`  Round: ${completed.round} → ${completed.newRound}`);
+  console.log(`  Price: ${ethers.utils.formatUnits(completed.pricePerShare, DECIMALS)} USDC/shUSD`);
+  if (completed.yield !== null) {
+    console.log(`  Yield: ${completed.isYieldPositive ? "+" : "-"}${formatUsdc(completed.yield)} USDC`);
+  }
+  console.log(`  Chains: ${chains.join(", ")}`);
+  console.log(`  Report: ${reportPath}`);
+  console.log();
+
+  // -------------------------------------------------------------------
+  // Helpers that need the yield input / journal from this scope
+  // -------------------------------------------------------------------
+
+  /**
+   * No roll in the journal: either start a fresh roll, or recover a partially
+   * finished one from on-chain state (primary ahead of secondaries / epochs behind)
+   */
+  function detectRoll(journal, onchain) {
+    const primaryRound = onchain[primaryChain].round;
+
+    for (const chain of chains) {
+      const { round, epoch } = onchain[chain];
+      if (![primaryRound, primaryRound - 1].includes(round) || ![primaryRound, primaryRound - 1].includes(epoch)) {
+        throw new Error(
+          `${chain} is on round ${round} / epoch ${epoch} while primary is on round ${primaryRound} - resolve manually`
+        );
+      }
+    }
+
+    const behind = chains.filter(chain =>
+      onchain[chain].round === primaryRound - 1 || onchain[chain].epoch === primaryRound - 1
+    );
+
+    if (behind.length > 0) {
+      console.log(`⚠️  Partially finished roll detected (no journal): ${behind.join(", ")} behind primary`);
+      console.log(`   Recovering roll of round ${primaryRound - 1} from on-chain state`);
+      const recovered = startRoll(journal, {
+        round: primaryRound - 1,
+        primaryChain,
+        chains,
+        operator,
+        recovered: true,
+      });
+      markStep(journal, "snapshot", { status: "done", recoveredFromChain: true });
+      markStep(journal, stepId("roll-primary", primaryChain), { status: "done", recoveredFromChain: true });
+      return recovered;
+    }
+
+    if (!yieldInput) {
+      printUsage();
+      process.exit(1);
+    }
+
+    return startRoll(journal, {
+      round: primaryRound,
+      primaryChain,
+      chains,
+      operator,
+      yield: yieldInput.amount.toString(),
+      isYieldPositive: yieldInput.isPositive,
+      yieldSource: describeSource(yieldInput.source),
+    });
+  }
+}
+
+/**
+ * Dry run: snapshot all chains, simulate the roll, print the prediction and save it
+ */
+/**
+ * Receipt of whichever journaled broadcast of a "sent" step was mined. While the step's
+ * nonce is still pending on the node nothing is returned: a re-send would take a new
+ * nonce and both txs could mine (rollToNextRound() takes no round, it would roll twice).
+ *
+ * @returns {Promise<Object|null>} Receipt, or null if the txs were dropped (or the nonce
+ *   was used by a tx that is not in the journal, e.g. a manual cancel)
+ */
+async function waitForSentStep(provider, step, from, pollMs = NONCE_POLL_MS) {
+  const hashes = step.txHashes || [step.txHash];
+  const findReceipt = async () => {
+    for (const hash of hashes) {
+      const receipt = await provider.getTransactionReceipt(hash);
+      if (receipt) {
+        return receipt;
+      }
+    }
+    return null;
+  };
+
+  let waiting = false;
+  for (;;) {
+    const receipt = await findReceipt();
+    if (receipt) {
+      return receipt;
+    }
+
+    let pending;
+    if (step.nonce === undefined) {
+      // Journal written before nonces were recorded
+      pending = (await Promise.all(hashes.map(hash => provider.getTransaction(hash)))).some(Boolean);
+    } else {
+      const [mined, sent] = await Promise.all([
+        provider.getTransactionCount(from, "latest"),
+        provider.getTransactionCount(from, "pending"),
+      ]);
+      if (mined > step.nonce) {
+        // Mined between the two reads, or replaced by a tx we did not journal
+        return findReceipt();
+      }
+      pending = sent > step.nonce;
+    }
+    if (!pending) {
+      return null;
+    }
+
+    if (!waiting) {
+      console.log(`    Still pending${step.nonce === undefined ? "" : ` (nonce ${step.nonce})`} - waiting for it to be mined...`);
+      waiting = true;
+    }
+    await new Promise(resolve => setTimeout(resolve, pollMs));
+  }
+}
+
+async function runDryRun({ chains, primaryChain, readSnapshot, readRoundPrice, yieldInput, previousAprBps }) {
+  console.log("📍 SNAPSHOTTING VAULT STATE");
+  console.log("-".repeat(70));
+
+  const snapshot = {};
+  for (const chain of chains) {
+    snapshot[chain] = await readSnapshot(chain);
+  }
+  console.log();
+
+  const round = snapshot[primaryChain].round;
+  for (const chain of chains) {
+    if (snapshot[chain].round !== round) {
+      console.log(`  ⚠️  ${chain} is on round ${snapshot[chain].round}, primary is on round ${round}`);
+    }
+    if (!snapshot[chain].isPaused) {
+      console.log(`  ⚠️  ${chain} is not paused - values may change before the real roll`);
+    }
+  }
+
+  console.log();
+  console.log(`📍 SIMULATING ROLL OF ROUND ${round} → ${round + 1}`);
+  console.log("-".repeat(70));
+  console.log(`  Yield: ${yieldInput.isPositive ? "+" : "-"}${formatUsdc(yieldInput.amount)} USDC`);
+  console.log();
+
+  const simulation = simulateRoll({
+    primaryChain,
+    chains: snapshot,
+    yield: yieldInput.amount,
+    isYieldPositive: yieldInput.isPositive,
+  });
+  printSimulation(simulation);
+
+  const signedYield = yieldInput.isPositive ? yieldInput.amount : yieldInput.amount.mul(-1);
+  const bounds = checkYieldBounds(signedYield, simulation.globalTotals.totalStaked, previousAprBps);
+  console.log();
+  console.log(`  Implied APR: ${formatBps(bounds.aprBps)} (max ±${formatBps(DEFAULT_BOUNDS.maxAprBps)})`);
+  bounds.violations.forEach(violation => console.log(`  ❌ Yield out of bounds: ${violation}`));
+
+  let priceCheck = null;
+  if (simulation.pricePerShare) {
+    const previousPrice = await readRoundPrice(primaryChain, round - 1);
+    priceCheck = checkPrice(simulation.pricePerShare, previousPrice);
+    console.log(
+      `  Price move vs round ${round - 1}: ${priceCheck.deltaBps >= 0 ? "+" : ""}${formatBps(priceCheck.deltaBps)}`
+    );
+    priceCheck.violations.forEach(v =>
+      console.log(`  ❌ Price guard: ${v.message}${v.overridable ? " (needs --override)" : " (cannot be overridden)"}`)
+    );
+  }
+
+  fs.mkdirSync(ROLLS_DIR, { recursive: true });
+  const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const artifactPath = path.join(ROLLS_DIR, `dry-run-${round}-${timestamp}.json`);
+  fs.writeFileSync(artifactPath, JSON.stringify({
+    type: "dry-run",
+    round,
+    newRound: round + 1,
+    yield: yieldInput.amount.toString(),
+    isYieldPositive: yieldInput.isPositive,
+    yieldSource: describeSource(yieldInput.source),
+    impliedAprBps: bounds.aprBps,
+    yieldBoundViolations: bounds.violations,
+    priceGuardViolations: priceCheck ? priceCheck.violations : [],
+    primaryChain,
+    snapshot: serializeState(snapshot),
+    prediction: serializeState(simulation),
+    timestamp: new Date().toISOString(),
+  }, null, 2));
+
+  console.log();
+  console.log("=".repeat(70));
+  if (simulation.reverts.length > 0) {
+    console.log("❌ DRY RUN: ROLL WOULD REVERT");
+  } else if (bounds.violations.length > 0) {
+    console.log("❌ DRY RUN: YIELD OUT OF BOUNDS - ROLL WOULD BE REFUSED");
+  } else if (priceCheck && priceCheck.violations.length > 0) {
+    console.log("❌ DRY RUN: PRICE GUARD TRIPPED - ROLL NEEDS --override OR WOULD BE REFUSED");
+  } else {
+    console.log("✅ DRY RUN COMPLETE - NO TRANSACTIONS SENT");
+  }
+  console.log("=".repeat(70));
+  console.log(`  Artifact: ${artifactPath}`);
+  console.log();
+}
+
+/**
+ * Implied APR of the previous completed roll (for the APR move bound)
+ */
+function previousRollAprBps(journal) {
+  const previous = journal.completed[journal.completed.length - 1];
+  return previous && previous.impliedAprBps !== undefined ? previous.impliedAprBps : null;
+}
+
+function printYieldSource(source) {
+  console.log(`Yield source: ${source.type}${source.path ? ` (${source.path})` : ""}`);
+  if (source.sha256) {
+    console.log(`  sha256: ${source.sha256}`);
+  }
+  if (source.type !== "manual") {
+    for (const line of source.lines) {
+      console.log(`  ${line.venue.padEnd(20)} ${formatUsdc(line.pnl)}`);
+    }
+  }
+  if (source.overrides) {
+    console.log(`  ⚠️  Manual value overrides report total ${formatUsdc(source.overrides.total)} (${source.overrides.path})`);
+  }
+  console.log(`  Total: ${source.isYieldPositive ? "+" : "-"}${formatUsdc(source.yield)} USDC`);
+  console.log();
+}
+
+/**
+ * Per-chain table of a simulated roll (see shareMath.simulateRoll)
+ */
+function printSimulation(simulation) {
+  const { globalTotals } = simulation;
+  console.log(
+    `  Global: staked ${formatUsdc(globalTotals.totalStaked)}  supply ${formatUsdc(globalTotals.accountingSupply)}  ` +
+    `pending ${formatUsdc(globalTotals.totalPending)}`
+  );
+  if (simulation.pricePerShare) {
+    console.log(`  Predicted price: ${simulation.pricePerShare.toString()} (${formatUsdc(simulation.pricePerShare)} USDC/shUSD)`);
+  }
+  console.log();
+  console.log("  Chain          Shares Minted       sherpaUSD +/-       New Total Staked    Result");
+  for (const [chain, prediction] of Object.entries(simulation.chains)) {
+    if (prediction.error) {
+      console.log(`  ${chain.padEnd(14)} ${"-".padEnd(19)} ${"-".padEnd(19)} ${"-".padEnd(19)} ❌ ${prediction.error}`);
+      continue;
+    }
+    const wrapperDelta = prediction.sherpaUsdBurned.gt(0)
+      ? `-${formatUsdc(prediction.sherpaUsdBurned)}`
+      : `+${formatUsdc(prediction.sherpaUsdMinted)}`;
+    console.log(
+      `  ${chain.padEnd(14)} ${formatUsdc(prediction.mintShares).padEnd(19)} ${wrapperDelta.padEnd(19)} ` +
+      `${formatUsdc(prediction.newTotalStaked).padEnd(19)} ✅`
+    );
+  }
+}
+
+/**
+ * Print which step failed on which chain, what already completed, and how to recover
+ */
+function printFailureReport(roll) {
+  const failed = roll.lastFailure;
+
+  console.log();
+  console.log("=".repeat(70));
+  console.log("❌ ROUND ROLL ABORTED");
+  console.log("=".repeat(70));
+  console.log();
+
+  if (failed) {
+    console.log(`Failed step: ${failed.step}${failed.chain ? ` on ${failed.chain}` : ""}`);
+    console.log(`Error: ${failed.error}`);
+    console.log();
+  }
+
+  console.log("Journal steps:");
+  for (const step of buildSteps(roll.primaryChain, roll.chains)) {
+    const state = roll.steps[step.id];
+    const icon = state.status === "done" ? "✅" : state.status === "sent" ? "📤" : "⏳";
+    console.log(`  ${icon} ${step.id.padEnd(32)} ${state.status.padEnd(8)} ${state.txHash || ""}`);
+  }
+  console.log();
+
+  const primaryRolled = roll.steps[stepId("roll-primary", roll.primaryChain)].status === "done";
+
+  console.log("💡 System state & recovery:");
+  console.log(`  - Last completed phase: ${currentPhase(roll) || "(none)"}`);
+  if (!primaryRolled) {
+    console.log("  - Primary chain has NOT been rolled - no prices changed");
+  } else {
+    console.log(`  - Primary rolled to round ${roll.newRound} (price ${roll.pricePerShare || "unknown"})`);
+    console.log("  - DO NOT unpause until every chain is on the same round and epoch");
+  }
+  console.log("  - Vaults stay paused. Fix the issue and re-run this script to resume:");
+  console.log("      node scripts/core/rollRound-allChains.js");
+  console.log(`  - Journal: ${JOURNAL_PATH}`);
+}
+
+function saveReport(roll) {
+  fs.mkdirSync(ROLLS_DIR, { recursive: true });
+  const timestamp = roll.startedAt.replace(/[:.]/g, "-");
+  const reportPath = path.join(ROLLS_DIR, `roll-${roll.round}-${timestamp}.json`);
+  fs.writeFileSync(reportPath, JSON.stringify({ ...roll, completedAt: new Date().toISOString() }, null, 2));
+  return reportPath;
+}
+
+function serializeState(value) {
+  if (ethers.BigNumber.isBigNumber(value)) {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(serializeState);
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, serializeState(v)]));
+  }
+  return value;
+}
+
+function formatUsdc(amount) {
+  return ethers.utils.formatUnits(amount, DECIMALS);
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("\n❌ ROUND ROLL FAILED:");
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  waitForSentStep,
+};
@@ -1,6 +1,12 @@
 const { ethers } = require("ethers");
 const fs = require("fs");
 const path = require("path");
+const { getChainNames, isSupportedChain, getRpcUrl, getExplorerTxUrl } = require("../utils/chainRegistry");
+const { loadDeployment } = require("../utils/deploymentStore");
+const { assertWriteAllowed } = require("../utils/environment");
+const { getTxManager } = require("../utils/txManager");
+const { parseArgs } = require("../utils/cliArgs");
+const { parseSafeAddress, safeTransaction, writeSafeBatches, printSafeBatches } = require("../utils/safeBatch");
 require("dotenv").config({ path: path.join(__dirname, "../../.env") });
 
 /**
@@ -8,50 +14,51 @@ require("dotenv").config({ path: path.join(__dirname, "../../.env") });
  *
  * Updates the supply cap on a specific chain's vault
  *
+ * With --safe-batch the setCap call is written as a Safe Transaction Builder batch
+ * (deployments/safe-batches/) for the Safe that owns the vault instead of being sent
+ * (refused if the Safe is not vault.owner()).
+ *
  * Usage:
- *   node scripts/core/setVaultCap-universalChain.js <chain> <newCap>
+ *   node scripts/core/setVaultCap-universalChain.js <chain> <newCap> [--safe-batch <safe>]
  *
  * Examples:
  *   node scripts/core/setVaultCap-universalChain.js sepolia 500000
  *   node scripts/core/setVaultCap-universalChain.js base 1000000
  *   node scripts/core/setVaultCap-universalChain.js arbitrum 750000
+ *   node scripts/core/setVaultCap-universalChain.js base 1000000 --safe-batch 0xSafe...
  *
  * Arguments:
  *   chain: sepolia, base, or arbitrum
  *   newCap: New cap amount in USDC (e.g., 500000 for 500k USDC)
+ *
+ * Options:
+ *   --safe-batch: Safe address - write a Transaction Builder batch instead of sending
  */
 
 // Load deployment configuration
-const deployment = JSON.parse(
-  fs.readFileSync(path.join(__dirname, "../../deployments/deployment.json"), "utf8")
-);
-
-// RPC URL mapping
-const RPC_URLS = {
-  sepolia: process.env.SEPOLIA_RPC_URL,
-  base: process.env.BASE_SEPOLIA_RPC_URL,
-  arbitrum: process.env.ARBITRUM_SEPOLIA_RPC_URL
-};
-
-// Block explorer mapping
-const EXPLORERS = {
-  sepolia: "https://sepolia.etherscan.io",
-  base: "https://sepolia.basescan.org",
-  arbitrum: "https://sepolia.arbiscan.io"
-};
+const deployment = loadDeployment();
 
 async function main() {
   // Parse CLI arguments
-  const chain = process.argv[2]?.toLowerCase();
-  const newCapArg = process.argv[3];
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2), { options: ["safe-batch"] });
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  }
+  const chain = args.positional[0]?.toLowerCase();
+  const newCapArg = args.positional[1];
+  const safe = args.options["safe-batch"] ? parseSafeAddress(args.options["safe-batch"]) : null;
 
   // Validate arguments
   if (!chain || !newCapArg) {
-    console.error("Usage: node scripts/core/setVaultCap-universalChain.js <chain> <newCap>");
+    console.error("Usage: node scripts/core/setVaultCap-universalChain.js <chain> <newCap> [--safe-batch <safe>]");
     console.error("");
     console.error("Arguments:");
-    console.error("  chain: sepolia, base, or arbitrum");
+    console.error(`  chain: ${getChainNames().join(", ")}`);
     console.error("  newCap: New cap amount in USDC (e.g., 500000 for 500k USDC)");
+    console.error("  --safe-batch: Safe address - write a Transaction Builder batch instead of sending");
     console.error("");
     console.error("Examples:");
     console.error("  node scripts/core/setVaultCap-universalChain.js sepolia 500000");
@@ -60,8 +67,8 @@ async function main() {
     process.exit(1);
   }
 
-  if (!RPC_URLS[chain]) {
-    console.error(`❌ Invalid chain. Supported chains: ${Object.keys(RPC_URLS).join(", ")}`);
+  if (!isSupportedChain(chain)) {
+    console.error(`❌ Invalid chain. Supported chains: ${getChainNames().join(", ")}`);
     process.exit(1);
   }
 
@@ -92,13 +99,19 @@ async function main() {
   console.log(`Vault Address: ${vaultAddress}`);
   console.log();
 
-  // Setup provider and wallet
-  const provider = new ethers.providers.JsonRpcProvider(RPC_URLS[chain]);
-  const wallet = new ethers.Wallet("0x" + process.env.PRIVATE_KEY, provider);
+  // Setup provider and wallet (batch mode only reads - the Safe signs)
+  const provider = new ethers.providers.JsonRpcProvider(getRpcUrl(chain));
+  let wallet = null;
+  if (safe) {
+    console.log(`Owner (Safe): ${safe}`);
+  } else {
+    assertWriteAllowed("Set vault cap");
+    wallet = new ethers.Wallet("0x" + process.env.PRIVATE_KEY, provider);
 
-  console.log(`Owner Address: ${wallet.address}`);
-  const ethBalance = await provider.getBalance(wallet.address);
-  console.log(`ETH Balance: ${ethers.utils.formatEther(ethBalance)} ETH`);
+    console.log(`Owner Address: ${wallet.address}`);
+    const ethBalance = await provider.getBalance(wallet.address);
+    console.log(`ETH Balance: ${ethers.utils.formatEther(ethBalance)} ETH`);
+  }
   console.log();
 
   // Load contract ABI
@@ -106,7 +119,7 @@ async function main() {
     fs.readFileSync(path.join(__dirname, "../../artifacts/contracts/SherpaVault.sol/SherpaVault.json"), "utf8")
   ).abi;
 
-  const vaultContract = new ethers.Contract(vaultAddress, vaultABI, wallet);
+  const vaultContract = new ethers.Contract(vaultAddress, vaultABI, wallet || provider);
 
   // =================================================================
   // STEP 1: Check current cap
@@ -136,6 +149,22 @@ async function main() {
     process.exit(1);
   }
 
+  if (safe) {
+    const owner = await vaultContract.owner();
+    if (owner.toLowerCase() !== safe.toLowerCase()) {
+      console.error(`❌ The vault is owned by ${owner}, not the Safe ${safe} - the batch would revert`);
+      process.exit(1);
+    }
+    printSafeBatches(writeSafeBatches({
+      safe,
+      label: "set-vault-cap",
+      description: `Set the ${chain} vault cap to ${newCapUSDC.toLocaleString()} USDC (was ${ethers.utils.formatUnits(currentCap, 6)})`,
+      transactions: { [chain]: [safeTransaction(vaultContract, "setCap", [newCapWithDecimals])] },
+    }));
+    console.log();
+    return;
+  }
+
   // =================================================================
   // STEP 2: Set new cap
   // =================================================================
@@ -144,9 +173,9 @@ async function main() {
   console.log("-".repeat(80));
 
   console.log(`Setting cap to ${newCapUSDC.toLocaleString()} USDC...`);
-  const tx = await vaultContract.setCap(newCapWithDecimals);
+  const tx = await getTxManager(chain, wallet).sendCall(vaultContract, "setCap", [newCapWithDecimals]);
   console.log(`  Tx hash: ${tx.hash}`);
-  console.log(`  Explorer: ${EXPLORERS[chain]}/tx/${tx.hash}`);
+  console.log(`  Explorer: ${getExplorerTxUrl(chain, tx.hash)}`);
 
   const receipt = await tx.wait();
   console.log(`  ✅ Transaction confirmed in block ${receipt.blockNumber}`);
@@ -185,7 +214,7 @@ async function main() {
   console.log("✅ CAP UPDATE COMPLETE!");
   console.log("=".repeat(80));
   console.log();
-  console.log("Transaction:", `${EXPLORERS[chain]}/tx/${tx.hash}`);
+  console.log("Transaction:", `${getExplorerTxUrl(chain, tx.hash)}`);
   console.log();
   console.log("Summary:");
   console.log(`  Chain: ${chain.toUpperCase()}`);
@@ -0,0 +1,678 @@
+const { ethers } = require("ethers");
+const fs = require("fs");
+const path = require("path");
+const {
+  getChain,
+  getRpcUrl,
+  isSupportedChain,
+  registerChain,
+  saveChainsConfig,
+  PROFILE,
+} = require("../../utils/chainRegistry");
+const { loadDeployment, saveDeployment, getDeploymentChains, diffDeployments } = require("../../utils/deploymentStore");
+const { queryWithConsensus, queryCallsWithConsensus } = require("../../utils/consensusProvider");
+const { sendAndConfirm } = require("../../utils/txConfirmation");
+const { getTxManager } = require("../../utils/txManager");
+const { enforcePriceGuard } = require("../../utils/priceGuard");
+const { scopedPath, assertWriteAllowed } = require("../../utils/environment");
+const { parseArgs } = require("../../utils/cliArgs");
+const { loadJournal } = require("../../utils/rollJournal");
+const { parseSafeAddress, safeTransaction, writeSafeBatches, printSafeBatches } = require("../../utils/safeBatch");
+require("dotenv").config();
+
+/**
+ * Add a Chain to a Live Deployment
+ *
+ * Extends the deployment in deployment.json with one new SECONDARY chain:
+ * 1. Deploys SherpaVault (deployment.json vaultParams) and SherpaUSD on the new chain
+ * 2. Locks the wrapper / keeper, points the vault at the primary chain (secondary role),
+ *    disables deposits and copies the primary vault's operator
+ * 3. Registers as token admin, deploys a BurnFromMintTokenPool and registers it in the
+ *    Token Admin Registry
+ * 4. applyChainUpdates() on the new pool (every existing chain) and on every existing
+ *    pool (the new chain) - existing pools are taken from the Token Admin Registry
+ * 5. addCCIPPool() on the new vault
+ * 6. Syncs the new vault to the primary's round: applyGlobalPrice(r + 1, price[r]) with
+ *    the primary's roundPricePerShare (consensus reads) and processWrapperWithdrawals()
+ *    for every round it is behind, so round, epoch and price history match the others.
+ *    Every price passes the price guard (scripts/utils/priceGuard.js) against the
+ *    primary's previous round price; a move beyond the limits needs --override.
+ * 7. Writes the chain to scripts/config/chains.json (if it came from --config) and to
+ *    deployment.json
+ *
+ * Every write goes through the chain's tx manager (scripts/utils/txManager.js) and is
+ * confirmed through RPC consensus before the next step reads it.
+ *
+ * The new chain only appears in deployment.json (and so in round rolls, snapshots and
+ * rebalances) once it is fully synced. Progress is kept in
+ * .operation-state/add-chain-<chain>.json; if anything fails, re-run the same command:
+ * every step checks on-chain state first. Re-running for a chain already in
+ * deployment.json re-verifies it and syncs it again if it fell behind.
+ * Refuses to sync while a round roll is in progress.
+ *
+ * Deposits stay disabled on the new chain - enable them with enableDepositsAllChains.js.
+ *
+ * With --safe-batch the routes from the existing pools to the new chain (step 4, the only
+ * calls on contracts the deployer does not own) are written as Safe Transaction Builder
+ * batches (deployments/safe-batches/, refused unless the Safe owns those pools) and the
+ * run stops there; re-run the same command once the Safe executed them. Everything on
+ * the new chain is still deployed and configured with PRIVATE_KEY.
+ *
+ * Usage:
+ *   node scripts/system-deployment/add-chain/addChain.js <chain> [--config <entry.json>] [--override "<reason>"] [--safe-batch <safe>]
+ *
+ * Examples:
+ *   node scripts/system-deployment/add-chain/addChain.js optimism --config optimism-sepolia.json
+ *   node scripts/system-deployment/add-chain/addChain.js optimism    # Resume / re-verify
+ *
+ * Arguments:
+ *   chain: Name of the new chain (key in scripts/config/chains.json)
+ *   --config: chains.json entry for a chain not in the registry yet (same fields as the
+ *             other entries; isPrimary is always false)
+ *   --override: Accept a synced price beyond the price guard limits (logged to the
+ *               deployment history)
+ *   --safe-batch: Safe address (owner of the existing pools) - batch their route updates
+ */
+
+const POOL_TYPE = "BurnFromMintTokenPool 1.6.1";
+
+const REGISTRY_MODULE_ABI = ["function registerAdminViaOwner(address token) external"];
+
+const TOKEN_ADMIN_REGISTRY_ABI = [
+  "function acceptAdminRole(address token) external",
+  "function setPool(address token, address pool) external",
+  "function getPool(address token) external view returns (address)",
+  "function getTokenConfig(address token) external view returns (address administrator, address pendingAdministrator)"
+];
+
+const POOL_ABI = [
+  "function applyChainUpdates(uint64[] calldata remoteChainSelectorsToRemove, tuple(uint64 remoteChainSelector, bytes[] remotePoolAddresses, bytes remoteTokenAddress, tuple(bool isEnabled, uint128 capacity, uint128 rate) outboundRateLimiterConfig, tuple(bool isEnabled, uint128 capacity, uint128 rate) inboundRateLimiterConfig)[] calldata chainsToAdd) external",
+  "function isSupportedChain(uint64 remoteChainSelector) external view returns (bool)",
+  "function getRemotePools(uint64 remoteChainSelector) external view returns (bytes[] memory)",
+  "function owner() external view returns (address)"
+];
+
+const WRAPPER_ABI = [
+  "function currentEpoch() external view returns (uint32)"
+];
+
+// Rate limiter config (disabled, as on every other pool)
+const RATE_LIMITER_CONFIG = { isEnabled: false, capacity: 0, rate: 0 };
+
+function printUsage() {
+  console.error("Usage: node scripts/system-deployment/add-chain/addChain.js <chain> [--config <entry.json>] [--override \"<reason>\"] [--safe-batch <safe>]");
+  console.error("");
+  console.error("  chain: Name of the new chain (key in scripts/config/chains.json)");
+  console.error("  --config: chains.json entry, if the chain is not in the registry yet");
+  console.error("  --override \"<reason>\": Accept a synced price beyond the price guard limits");
+  console.error("  --safe-batch: Safe address - batch the route updates of the existing pools");
+}
+
+function progressPath(chain) {
+  return path.join(scopedPath(".operation-state"), `add-chain-${chain}.json`);
+}
+
+function loadProgress(chain) {
+  const filePath = progressPath(chain);
+  return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, "utf8")) : null;
+}
+
+function saveProgress(progress) {
+  const filePath = progressPath(progress.chain);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(progress, null, 2));
+  fs.renameSync(`${filePath}.tmp`, filePath);
+}
+
+function readArtifact(relativePath) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, "../../../artifacts", relativePath), "utf8"));
+}
+
+function chainUpdate(remoteChainSelector, remotePool, remoteToken) {
+  return {
+    remoteChainSelector,
+    remotePoolAddresses: [ethers.utils.defaultAbiCoder.encode(["address"], [remotePool])],
+    remoteTokenAddress: ethers.utils.defaultAbiCoder.encode(["address"], [remoteToken]),
+    outboundRateLimiterConfig: RATE_LIMITER_CONFIG,
+    inboundRateLimiterConfig: RATE_LIMITER_CONFIG
+  };
+}
+
+/**
+ * Route state of a pool towards a remote chain: "missing", "ok" or "wrong-pool"
+ */
+async function routeState(pool, remoteChainSelector, expectedPool) {
+  if (!(await pool.isSupportedChain(remoteChainSelector))) {
+    return "missing";
+  }
+  try {
+    const remotePools = await pool.getRemotePools(remoteChainSelector);
+    const configured = remotePools.map(encoded => ethers.utils.getAddress("0x" + encoded.slice(-40)));
+    return configured.includes(ethers.utils.getAddress(expectedPool)) ? "ok" : "wrong-pool";
+  } catch (e) {
+    // getRemotePools reverts if no remote pool is set (even though isSupportedChain returns true)
+    return "wrong-pool";
+  }
+}
+
+/**
+ * Write through the chain's tx manager (simulated, managed nonce and fees), confirmed
+ * through RPC consensus
+ *
+ * @param {Function} confirmState - Optional consensus check of the resulting state (see sendAndConfirm)
+ * @returns {Promise<Object>} Consensus receipt
+ */
+async function sendTx(chain, contract, method, args = [], confirmState = null) {
+  const manager = getTxManager(chain, contract.signer);
+  const { receipt } = await sendAndConfirm(chain, () => manager.sendCall(contract, method, args), {
+    label: method,
+    confirmState,
+  });
+  return receipt;
+}
+
+/**
+ * Deploy through the chain's tx manager; confirmed once a majority of RPCs has the code
+ *
+ * @returns {Promise<string>} Contract address
+ */
+async function deployContract(chain, factory, args, label) {
+  let address;
+  await sendAndConfirm(chain, async () => {
+    const tx = await getTxManager(chain, factory.signer).sendDeploy(factory, args, { label });
+    address = tx.contractAddress;
+    return tx;
+  }, {
+    label,
+    confirmState: async ({ blockNumber }) => (await queryWithConsensus(
+      chain,
+      provider => provider.getCode(address),
+      { requireMajority: true, minBlock: blockNumber, log: () => {} }
+    )) !== "0x",
+  });
+  return address;
+}
+
+/**
+ * Send a one-time setter; a revert with lockedError means it was already done
+ */
+async function sendOnce(label, send, lockedError) {
+  try {
+    await send();
+    console.log(`  ✅ ${label}`);
+  } catch (error) {
+    if (error.revert?.name !== lockedError) {
+      throw error;
+    }
+    console.log(`  ℹ️  ${label}: already locked`);
+  }
+}
+
+function assertNoRollInProgress() {
+  const { active } = loadJournal();
+  if (active) {
+    throw new Error(
+      `Roll of round ${active.round} is in progress - finish it (rollRound-allChains.js) and re-run this script`
+    );
+  }
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2), { options: ["config", "override", "safe-batch"] });
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    printUsage();
+    process.exit(1);
+  }
+  const [chain] = args.positional;
+  if (!chain) {
+    printUsage();
+    process.exit(1);
+  }
+  const safe = args.options["safe-batch"] ? parseSafeAddress(args.options["safe-batch"]) : null;
+  const override = args.options.override?.trim() || null;
+  if (args.options.override !== undefined && !override) {
+    console.error("❌ --override requires a non-empty reason");
+    process.exit(1);
+  }
+
+  console.log("=".repeat(70));
+  console.log(`➕ ADDING ${chain.toUpperCase()} TO THE DEPLOYMENT`);
+  console.log("=".repeat(70));
+  console.log();
+
+  // ===================================================================
+  // LOAD DEPLOYMENT & CHAIN CONFIG
+  // ===================================================================
+
+  const deployment = loadDeployment();
+  const existingChains = getDeploymentChains(deployment).filter(name => name !== chain);
+  const primaryChain = existingChains.find(name => deployment[name].isPrimary);
+  if (deployment[chain]?.isPrimary) {
+    throw new Error(`${chain} is the primary chain - only secondary chains can be added`);
+  }
+
+  const progress = loadProgress(chain) || {
+    chain,
+    startedAt: new Date().toISOString(),
+    config: null,
+    vault: deployment[chain]?.vault || null,
+    sherpaUSD: deployment[chain]?.sherpaUSD || null,
+    ccipPool: deployment[chain]?.ccipPool || null,
+  };
+
+  // Registry entry: chains.json, or --config (kept in the progress file until it is saved)
+  let registryIsNew = false;
+  if (!isSupportedChain(chain)) {
+    const entry = args.options.config
+      ? JSON.parse(fs.readFileSync(args.options.config, "utf8"))
+      : progress.config;
+    if (!entry) {
+      throw new Error(`${chain} is not in the ${PROFILE} profile of scripts/config/chains.json - pass --config <entry.json>`);
+    }
+    if (entry.isPrimary) {
+      throw new Error("A chain added to a live deployment is always secondary (isPrimary: false)");
+    }
+    registerChain(chain, { ...entry, isPrimary: false });
+    progress.config = entry;
+    registryIsNew = true;
+  } else if (getChain(chain).isPrimary) {
+    throw new Error(`${chain} is flagged isPrimary in scripts/config/chains.json - only secondary chains can be added`);
+  }
+  const config = getChain(chain);
+
+  console.log(`Chain: ${config.displayName} (chainId ${config.chainId}, selector ${config.chainSelector})`);
+  console.log(`Registry: ${registryIsNew ? "new entry (saved at the end)" : "scripts/config/chains.json"}`);
+  console.log(`Primary: ${primaryChain}`);
+  console.log(`Existing chains: ${existingChains.join(", ")}`);
+  console.log(`Progress: ${progressPath(chain)}`);
+  console.log();
+
+  assertNoRollInProgress();
+
+  // Setup wallets
+  assertWriteAllowed(`Add ${chain} to the deployment`);
+  const wallet = new ethers.Wallet("0x" + process.env.PRIVATE_KEY);
+  const providers = {};
+  const wallets = {};
+
+  for (const name of [chain, ...existingChains]) {
+    providers[name] = new ethers.providers.JsonRpcProvider(getRpcUrl(name));
+    wallets[name] = wallet.connect(providers[name]);
+  }
+
+  console.log("Deployer:", wallet.address);
+  if (safe) {
+    console.log("Owner of the existing pools (Safe):", safe);
+  }
+  console.log(`${chain} balance: ${ethers.utils.formatEther(await wallets[chain].getBalance())} ETH`);
+  console.log();
+  saveProgress(progress);
+
+  // Load artifacts
+  const vaultArtifact = readArtifact("contracts/SherpaVault.sol/SherpaVault.json");
+  const wrapperArtifact = readArtifact("contracts/SherpaUSD.sol/SherpaUSD.json");
+  const poolArtifact = readArtifact("@chainlink/contracts-ccip/contracts/pools/BurnFromMintTokenPool.sol/BurnFromMintTokenPool.json");
+
+  // ===================================================================
+  // STEP 1: DEPLOY VAULT & WRAPPER
+  // ===================================================================
+
+  console.log("📍 STEP 1: DEPLOYING VAULT & WRAPPER");
+  console.log("-".repeat(70));
+
+  if (!progress.vault) {
+    const vaultParams = {
+      decimals: deployment.vaultParams.decimals,
+      minimumSupply: deployment.vaultParams.minimumSupply,
+      cap: deployment.vaultParams.cap
+    };
+    const vaultFactory = new ethers.ContractFactory(vaultArtifact.abi, vaultArtifact.bytecode, wallets[chain]);
+    progress.vault = await deployContract(chain, vaultFactory, [
+      "Staked Sherpa USD",
+      "shUSD",
+      wallet.address, // Temporary wrapper (replaced and locked in step 2)
+      wallet.address,
+      vaultParams
+    ], "SherpaVault deploy");
+    saveProgress(progress);
+    console.log(`  ✅ Vault: ${progress.vault}`);
+  } else {
+    console.log(`  ℹ️  Vault already deployed: ${progress.vault}`);
+  }
+
+  if (!progress.sherpaUSD) {
+    const wrapperFactory = new ethers.ContractFactory(wrapperArtifact.abi, wrapperArtifact.bytecode, wallets[chain]);
+    progress.sherpaUSD = await deployContract(chain, wrapperFactory, [
+      config.usdc,    // _asset
+      progress.vault  // _keeper (vault)
+    ], "SherpaUSD deploy");
+    saveProgress(progress);
+    console.log(`  ✅ Wrapper: ${progress.sherpaUSD}`);
+  } else {
+    console.log(`  ℹ️  Wrapper already deployed: ${progress.sherpaUSD}`);
+  }
+  console.log();
+
+  const vault = new ethers.Contract(progress.vault, vaultArtifact.abi, wallets[chain]);
+  const wrapper = new ethers.Contract(progress.sherpaUSD, wrapperArtifact.abi, wallets[chain]);
+
+  // ===================================================================
+  // STEP 2: LOCK WRAPPER/KEEPER & CONFIGURE SECONDARY ROLE
+  // ===================================================================
+
+  console.log("📍 STEP 2: LOCKING WRAPPER/KEEPER & CONFIGURING SECONDARY ROLE");
+  console.log("-".repeat(70));
+
+  await sendOnce("Vault wrapper locked", () => sendTx(chain, vault, "setStableWrapper", [wrapper.address]), "StableWrapperAlreadyLocked");
+  if ((await vault.stableWrapper()) !== wrapper.address) {
+    throw new Error(`Vault wrapper is locked to ${await vault.stableWrapper()}, not ${wrapper.address} - redeploy (delete ${progressPath(chain)})`);
+  }
+  await sendOnce("SherpaUSD keeper locked", () => sendTx(chain, wrapper, "setKeeper", [vault.address]), "KeeperAlreadyLocked");
+  if ((await wrapper.keeper()) !== vault.address) {
+    throw new Error(`SherpaUSD keeper is locked to ${await wrapper.keeper()}, not ${vault.address} - redeploy (delete ${progressPath(chain)})`);
+  }
+
+  const primarySelector = deployment[primaryChain].chainSelector;
+  if ((await vault.primaryChainSelector()).toString() !== primarySelector || await vault.isPrimaryChain()) {
+    await sendTx(chain, vault, "setPrimaryChain", [primarySelector, false]);
+    console.log(`  ✅ Secondary role set (primary selector ${primarySelector})`);
+  } else {
+    console.log("  ℹ️  Secondary role already set");
+  }
+
+  if (await vault.depositsEnabled()) {
+    await sendTx(chain, vault, "setDepositsEnabled", [false]);
+    console.log("  ✅ Deposits disabled (enable with enableDepositsAllChains.js)");
+  } else {
+    console.log("  ℹ️  Deposits already disabled");
+  }
+
+  // Same operator as the primary vault (round rolls and rebalances run as the operator)
+  const primaryVault = new ethers.Contract(deployment[primaryChain].vault, vaultArtifact.abi, providers[primaryChain]);
+  const operator = await primaryVault.operator();
+  if (operator !== ethers.constants.AddressZero) {
+    for (const [label, contract] of [["Vault", vault], ["SherpaUSD", wrapper]]) {
+      if ((await contract.operator()) !== operator) {
+        await sendTx(chain, contract, "setOperator", [operator]);
+        console.log(`  ✅ ${label} operator set to ${operator}`);
+      }
+    }
+  }
+  console.log();
+
+  // ===================================================================
+  // STEP 3: TOKEN ADMIN & CCIP POOL
+  // ===================================================================
+
+  console.log("📍 STEP 3: REGISTERING TOKEN ADMIN & DEPLOYING CCIP POOL");
+  console.log("-".repeat(70));
+
+  const registryModule = new ethers.Contract(config.registryModule, REGISTRY_MODULE_ABI, wallets[chain]);
+  const tokenAdmin = new ethers.Contract(config.tokenAdminRegistry, TOKEN_ADMIN_REGISTRY_ABI, wallets[chain]);
+
+  let tokenConfig = await tokenAdmin.getTokenConfig(vault.address);
+  if (tokenConfig.administrator !== wallet.address) {
+    if (tokenConfig.pendingAdministrator !== wallet.address) {
+      await sendTx(chain, registryModule, "registerAdminViaOwner", [vault.address]);
+      console.log("  ✅ Admin registered");
+    }
+    await sendTx(chain, tokenAdmin, "acceptAdminRole", [vault.address]);
+    console.log("  ✅ Admin role accepted");
+  } else {
+    console.log("  ℹ️  Already token admin");
+  }
+
+  if (!progress.ccipPool) {
+    const poolFactory = new ethers.ContractFactory(poolArtifact.abi, poolArtifact.bytecode, wallets[chain]);
+    progress.ccipPool = await deployContract(chain, poolFactory, [
+      vault.address,     // token (shUSD vault)
+      6,                 // decimals
+      [],                // allowlist (empty = public)
+      config.rmnProxy,   // RMN proxy for security
+      config.ccipRouter  // CCIP router
+    ], "BurnFromMintTokenPool deploy");
+    saveProgress(progress);
+    console.log(`  ✅ Pool: ${progress.ccipPool}`);
+  } else {
+    console.log(`  ℹ️  Pool already deployed: ${progress.ccipPool}`);
+  }
+
+  if ((await tokenAdmin.getPool(vault.address)) !== progress.ccipPool) {
+    await sendTx(chain, tokenAdmin, "setPool", [vault.address, progress.ccipPool]);
+    console.log("  ✅ Pool registered in Token Admin Registry");
+  } else {
+    console.log("  ℹ️  Pool already registered in Token Admin Registry");
+  }
+  console.log();
+
+  // ===================================================================
+  // STEP 4: CONFIGURE CROSS-CHAIN ROUTES
+  // ===================================================================
+
+  console.log("📍 STEP 4: CONFIGURING CROSS-CHAIN ROUTES");
+  console.log("-".repeat(70));
+  console.log("(Existing pools are taken from the Token Admin Registry)");
+
+  const registeredPools = {};
+  for (const name of existingChains) {
+    const registry = new ethers.Contract(getChain(name).tokenAdminRegistry, TOKEN_ADMIN_REGISTRY_ABI, providers[name]);
+    registeredPools[name] = await registry.getPool(deployment[name].vault);
+    if (registeredPools[name] === ethers.constants.AddressZero) {
+      throw new Error(`${name}: no pool registered for ${deployment[name].vault} in the Token Admin Registry`);
+    }
+  }
+
+  // New pool → every existing chain
+  const newPool = new ethers.Contract(progress.ccipPool, POOL_ABI, wallets[chain]);
+  const newPoolUpdates = [];
+  for (const name of existingChains) {
+    const state = await routeState(newPool, deployment[name].chainSelector, registeredPools[name]);
+    if (state === "wrong-pool") {
+      throw new Error(`${chain} → ${name}: route exists with the wrong remote pool - run fixPoolRoutes.js ${chain}`);
+    }
+    if (state === "missing") {
+      newPoolUpdates.push(chainUpdate(deployment[name].chainSelector, registeredPools[name], deployment[name].vault));
+    }
+  }
+  if (newPoolUpdates.length > 0) {
+    await sendTx(chain, newPool, "applyChainUpdates", [[], newPoolUpdates]);
+  }
+  console.log(`  ✅ ${chain} → ${existingChains.join(", ")}${newPoolUpdates.length === 0 ? " (already configured)" : ""}`);
+
+  // Every existing pool → new chain (--safe-batch: batched for the Safe that owns the pools)
+  const safeTransactions = {};
+  for (const name of existingChains) {
+    const pool = new ethers.Contract(registeredPools[name], POOL_ABI, wallets[name]);
+    const state = await routeState(pool, config.chainSelector, progress.ccipPool);
+    if (state === "wrong-pool") {
+      throw new Error(`${name} → ${chain}: route exists with the wrong remote pool - run fixPoolRoutes.js ${name}`);
+    }
+    const chainUpdates = [[], [chainUpdate(config.chainSelector, progress.ccipPool, vault.address)]];
+    if (state !== "missing") {
+      console.log(`  ℹ️  ${name} → ${chain} already configured`);
+    } else if (safe) {
+      const { owner } = await queryCallsWithConsensus(name, {
+        owner: { contract: pool, method: "owner" },
+      }, { requireMajority: true, log: () => {} });
+      if (owner.toLowerCase() !== safe.toLowerCase()) {
+        throw new Error(`${name}: pool ${pool.address} is owned by ${owner}, not the Safe ${safe} - no batch written`);
+      }
+      safeTransactions[name] = [safeTransaction(pool, "applyChainUpdates", chainUpdates)];
+      console.log(`  📦 ${name} → ${chain}: applyChainUpdates batched for the Safe`);
+    } else {
+      await sendTx(name, pool, "applyChainUpdates", chainUpdates);
+      console.log(`  ✅ ${name} → ${chain}`);
+    }
+  }
+  console.log();
+
+  if (Object.keys(safeTransactions).length > 0) {
+    printSafeBatches(writeSafeBatches({
+      safe,
+      label: `add-chain-${chain}-routes`,
+      description: `Add routes from the existing pools to ${chain} (pool ${progress.ccipPool})`,
+      transactions: safeTransactions,
+    }));
+    console.log();
+    console.log("=".repeat(70));
+    console.log("⏸️  WAITING FOR THE SAFE");
+    console.log("=".repeat(70));
+    console.log();
+    console.log("📋 NEXT STEPS:");
+    console.log("  1. Propose, verify and execute the batch(es) in the Safe");
+    console.log(`  2. Re-run: node scripts/system-deployment/add-chain/addChain.js ${chain} --safe-batch ${safe}`);
+    console.log();
+    return;
+  }
+
+  // ===================================================================
+  // STEP 5: AUTHORIZE POOL IN VAULT
+  // ===================================================================
+
+  console.log("📍 STEP 5: AUTHORIZING POOL IN VAULT");
+  console.log("-".repeat(70));
+
+  if (!(await vault.ccipPools(progress.ccipPool))) {
+    await sendTx(chain, vault, "addCCIPPool", [progress.ccipPool]);
+    console.log("  ✅ Pool authorized (can mint/burn shUSD)");
+  } else {
+    console.log("  ℹ️  Pool already authorized");
+  }
+  console.log();
+
+  // ===================================================================
+  // STEP 6: SYNC ROUND, EPOCH & PRICE HISTORY WITH THE PRIMARY
+  // ===================================================================
+
+  console.log("📍 STEP 6: SYNCING ROUND WITH THE PRIMARY");
+  console.log("-".repeat(70));
+
+  assertNoRollInProgress();
+  const primaryWrapper = new ethers.Contract(deployment[primaryChain].sherpaUSD, WRAPPER_ABI);
+  const readTarget = () => queryCallsWithConsensus(primaryChain, {
+    round: { contract: primaryVault, method: "round" },
+    epoch: { contract: primaryWrapper, method: "currentEpoch" },
+  }, { requireMajority: true });
+
+  let target = await readTarget();
+  let round = Number(await vault.round());
+  let epoch = Number(await wrapper.currentEpoch());
+  console.log(`  Primary: round ${target.round} / epoch ${target.epoch}`);
+  console.log(`  ${chain}: round ${round} / epoch ${epoch}`);
+
+  const readSynced = blockNumber => queryCallsWithConsensus(chain, {
+    round: { contract: vault, method: "round" },
+    epoch: { contract: wrapper, method: "currentEpoch" },
+  }, { requireMajority: true, minBlock: blockNumber, log: () => {} });
+
+  while (round < Number(target.round) || epoch < round) {
+    if (epoch < round) {
+      const expected = epoch + 1;
+      await sendTx(chain, vault, "processWrapperWithdrawals", [],
+        async ({ blockNumber }) => Number((await readSynced(blockNumber)).epoch) === expected);
+      epoch++;
+      continue;
+    }
+
+    // The price being copied and the one before it, from the primary's history
+    const prices = await queryCallsWithConsensus(primaryChain, {
+      price: { contract: primaryVault, method: "roundPricePerShare", args: [round] },
+      previous: { contract: primaryVault, method: "roundPricePerShare", args: [Math.max(round - 1, 0)] },
+    }, { requireMajority: true, log: () => {} });
+    const price = prices.price;
+    if (price.isZero()) {
+      throw new Error(`${primaryChain}: roundPricePerShare(${round}) is 0`);
+    }
+    enforcePriceGuard({
+      chain,
+      round,
+      proposedPrice: price,
+      previousPrice: round > 0 ? prices.previous : ethers.BigNumber.from(0),
+      override,
+      script: "add-chain/addChain",
+      operator: wallet.address,
+    });
+    const expected = round + 1;
+    await sendTx(chain, vault, "applyGlobalPrice", [expected, price],
+      async ({ blockNumber }) => Number((await readSynced(blockNumber)).round) === expected);
+    round++;
+    console.log(`  ✅ Round ${round} (price ${ethers.utils.formatUnits(price, 6)})`);
+
+    // A roll on the primary while syncing moves the target
+    if (round === Number(target.round)) {
+      target = await readTarget();
+    }
+  }
+  if (round !== Number(target.round) || epoch !== Number(target.epoch)) {
+    throw new Error(`${chain} is on round ${round} / epoch ${epoch}, primary on ${target.round} / ${target.epoch} - resolve manually`);
+  }
+  console.log(`  ✅ ${chain} on round ${round} / epoch ${epoch} (same as ${primaryChain})`);
+  console.log();
+
+  // ===================================================================
+  // STEP 7: UPDATE CHAIN REGISTRY & DEPLOYMENT.JSON
+  // ===================================================================
+
+  console.log("📍 STEP 7: UPDATING CHAIN REGISTRY & DEPLOYMENT.JSON");
+  console.log("-".repeat(70));
+
+  if (registryIsNew) {
+    saveChainsConfig();
+    console.log(`  ✅ ${chain} added to the ${PROFILE} profile of scripts/config/chains.json`);
+  }
+
+  const before = JSON.parse(JSON.stringify(deployment));
+  deployment[chain] = {
+    chainId: config.chainId,
+    chainSelector: config.chainSelector,
+    vault: vault.address,
+    sherpaUSD: wrapper.address,
+    mockUSDC: ethers.utils.getAddress(config.usdc),
+    ccipRouter: ethers.utils.getAddress(config.ccipRouter),
+    isPrimary: false,
+    ccipPool: progress.ccipPool,
+    poolType: POOL_TYPE
+  };
+  if (diffDeployments(before, deployment).length > 0) {
+    const { revision } = saveDeployment(deployment, {
+      script: "add-chain/addChain.js",
+      reason: `Added ${chain} as a secondary chain`,
+    });
+    console.log(`  ✅ deployment.json updated (revision ${revision})`);
+  } else {
+    console.log("  ℹ️  deployment.json already up to date");
+  }
+  fs.rmSync(progressPath(chain), { force: true });
+  console.log();
+
+  // ===================================================================
+  // SUMMARY
+  // ===================================================================
+
+  console.log("=".repeat(70));
+  console.log(`🎉 ${chain.toUpperCase()} ADDED TO THE DEPLOYMENT`);
+  console.log("=".repeat(70));
+  console.log();
+  console.log(`${config.displayName} (SECONDARY):`);
+  console.log(`  Vault (shUSD): ${vault.address}`);
+  console.log(`  Wrapper (sherpaUSD): ${wrapper.address}`);
+  console.log(`  CCIP Pool: ${progress.ccipPool}`);
+  console.log(`  Round: ${round}`);
+  console.log();
+  console.log("📋 NEXT STEPS:");
+  console.log("  1. node scripts/system-deployment/preFlightCheck.js");
+  console.log("  2. node scripts/system-deployment/enableDepositsAllChains.js");
+  console.log(`  3. Add the ${config.rpcEnvVars.join(" / ")} RPC URLs to .env on every operator machine`);
+  console.log();
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("\n❌ ADD CHAIN FAILED:");
+    console.error(error);
+    process.exit(1);
+  });
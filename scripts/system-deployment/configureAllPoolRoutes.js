@@ -1,6 +1,10 @@
 const { ethers } = require("ethers");
-const fs = require("fs");
-const path = require("path");
+const { getChainNames, getRpcUrl, mapChains, getRemoteChains } = require("../utils/chainRegistry");
+const { loadDeployment, saveDeployment } = require("../utils/deploymentStore");
+const { assertWriteAllowed } = require("../utils/environment");
+const { getTxManager } = require("../utils/txManager");
+const { parseArgs } = require("../utils/cliArgs");
+const { parseSafeAddress, safeTransaction, writeSafeBatches, printSafeBatches } = require("../utils/safeBatch");
 require("dotenv").config();
 
 /**
@@ -18,9 +22,28 @@ require("dotenv").config();
  * - Pools must be deployed (deployAllCCIPPools.js)
  * - Pools must be registered in Token Admin Registry
  * - deployment.json must have pool addresses
+ *
+ * With --safe-batch, the routes a pool does not support yet are written as one
+ * applyChainUpdates call per pool in a Safe Transaction Builder batch per chain
+ * (deployments/safe-batches/) for the Safe that owns the pools; nothing is sent and
+ * deployment.json is left alone. Supported routes with a wrong remote pool are
+ * reported - batch their fix with fixPoolRoutes.js --safe-batch.
+ *
+ * Usage:
+ *   node scripts/system-deployment/configureAllPoolRoutes.js [--safe-batch <safe>]
  */
 
 async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2), { options: ["safe-batch"] });
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    console.error("Usage: node scripts/system-deployment/configureAllPoolRoutes.js [--safe-batch <safe>]");
+    process.exit(1);
+  }
+  const safe = args.options["safe-batch"] ? parseSafeAddress(args.options["safe-batch"]) : null;
+
   console.log("=".repeat(70));
   console.log("🔗 CONFIGURING CROSS-CHAIN ROUTING FOR ALL CCIP POOLS");
   console.log("=".repeat(70));
@@ -30,53 +53,44 @@ async function main() {
   // LOAD DEPLOYMENT & SETUP
   // ===================================================================
 
-  const deploymentPath = path.join(__dirname, "../../deployments/deployment.json");
-  const deployment = JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
+  const deployment = loadDeployment();
 
-  const chains = ["sepolia", "base", "arbitrum"];
+  const chains = getChainNames();
 
   // Verify pools exist
   for (const chain of chains) {
-    if (!deployment[chain]?.newCcipPool) {
+    if (!deployment[chain]?.ccipPool) {
       throw new Error(`❌ Pool not found for ${chain}. Run deployAllCCIPPools.js first.`);
     }
   }
 
   console.log("Pool Addresses:");
   for (const chain of chains) {
-    console.log(`  ${chain}: ${deployment[chain].newCcipPool}`);
+    console.log(`  ${chain}: ${deployment[chain].ccipPool}`);
   }
   console.log();
 
-  // Setup wallets
-  const wallet = new ethers.Wallet("0x" + process.env.PRIVATE_KEY);
+  // Setup wallets (batch mode only reads - the Safe signs)
   const providers = {};
   const wallets = {};
-
-  const RPC_ENV_VARS = {
-    sepolia: "SEPOLIA_RPC_URL",
-    base: "BASE_SEPOLIA_RPC_URL",
-    arbitrum: "ARBITRUM_SEPOLIA_RPC_URL"
-  };
-
   for (const chain of chains) {
-    const rpcUrl = process.env[RPC_ENV_VARS[chain]];
-    if (!rpcUrl) {
-      throw new Error(`Missing ${RPC_ENV_VARS[chain]} in .env`);
-    }
-    providers[chain] = new ethers.providers.JsonRpcProvider(rpcUrl);
-    wallets[chain] = wallet.connect(providers[chain]);
+    providers[chain] = new ethers.providers.JsonRpcProvider(getRpcUrl(chain));
   }
 
-  console.log("Deployer:", wallet.address);
+  if (safe) {
+    console.log("Owner (Safe):", safe);
+  } else {
+    assertWriteAllowed("Configure CCIP pool routes");
+    const wallet = new ethers.Wallet("0x" + process.env.PRIVATE_KEY);
+    for (const chain of chains) {
+      wallets[chain] = wallet.connect(providers[chain]);
+    }
+    console.log("Deployer:", wallet.address);
+  }
   console.log();
 
   // Token Admin Registry addresses (for verifying pool addresses)
-  const TOKEN_ADMIN_REGISTRIES = {
-    sepolia: "0x95F29FEE11c5C55d26cCcf1DB6772DE953B37B82",
-    base: "0x736D0bBb318c1B27Ff686cd19804094E66250e17",
-    arbitrum: "0x8126bE56454B628a88C17849B9ED99dd5a11Bd2f"
-  };
+  const TOKEN_ADMIN_REGISTRIES = mapChains("tokenAdminRegistry");
 
   // ===================================================================
   // STEP 1: VERIFY POOL ADDRESSES VIA TOKEN ADMIN REGISTRY
@@ -108,9 +122,9 @@ async function main() {
     console.log(`${chain}:`);
     console.log(`  shUSD token: ${shUSD}`);
     console.log(`  Registered pool: ${registeredPool}`);
-    console.log(`  deployment.json pool: ${deployment[chain].newCcipPool}`);
+    console.log(`  deployment.json pool: ${deployment[chain].ccipPool}`);
 
-    if (registeredPool.toLowerCase() !== deployment[chain].newCcipPool.toLowerCase()) {
+    if (registeredPool.toLowerCase() !== deployment[chain].ccipPool.toLowerCase()) {
       console.log(`  ⚠️  WARNING: Mismatch detected!`);
       console.log(`     Will use registered pool: ${registeredPool}`);
     } else {
@@ -120,11 +134,7 @@ async function main() {
   }
 
   // Use registered pools for configuration (source of truth!)
-  const pools = {
-    sepolia: registeredPools.sepolia,
-    base: registeredPools.base,
-    arbitrum: registeredPools.arbitrum
-  };
+  const pools = { ...registeredPools };
 
   // ===================================================================
   // STEP 2: CONFIGURE CROSS-CHAIN ROUTING
@@ -149,12 +159,48 @@ async function main() {
     rate: 0
   };
 
-  // Configure each pool to know about the other two chains
-  const routingConfigs = {
-    sepolia: ["base", "arbitrum"],      // Sepolia knows about Base + Arbitrum
-    base: ["sepolia", "arbitrum"],      // Base knows about Sepolia + Arbitrum
-    arbitrum: ["sepolia", "base"]       // Arbitrum knows about Sepolia + Base
-  };
+  // Configure each pool to know about every other chain
+  const routingConfigs = Object.fromEntries(chains.map(chain => [chain, getRemoteChains(chain)]));
+  const buildChainUpdate = (remoteChain) => ({
+    remoteChainSelector: deployment[remoteChain].chainSelector,
+    remotePoolAddresses: [
+      ethers.utils.defaultAbiCoder.encode(["address"], [pools[remoteChain]])
+    ],
+    remoteTokenAddress: ethers.utils.defaultAbiCoder.encode(
+      ["address"],
+      [deployment[remoteChain].vault]
+    ),
+    outboundRateLimiterConfig: rateLimiterConfig,
+    inboundRateLimiterConfig: rateLimiterConfig
+  });
+
+  if (safe) {
+    const transactions = {};
+    for (const [sourceChain, remoteChains] of Object.entries(routingConfigs)) {
+      const pool = new ethers.Contract(pools[sourceChain], POOL_ABI, providers[sourceChain]);
+      const missing = [];
+      for (const remoteChain of remoteChains) {
+        if (await pool.isSupportedChain(deployment[remoteChain].chainSelector)) {
+          console.log(`  ✅ ${sourceChain} → ${remoteChain}: already supported - skipped (check with driftCheck.js)`);
+        } else {
+          missing.push(remoteChain);
+        }
+      }
+      if (missing.length > 0) {
+        transactions[sourceChain] = [safeTransaction(pool, "applyChainUpdates", [[], missing.map(buildChainUpdate)])];
+        console.log(`  📦 ${sourceChain} → ${missing.join(", ")}: applyChainUpdates`);
+      }
+    }
+    console.log();
+    printSafeBatches(writeSafeBatches({
+      safe,
+      label: "configure-pool-routes",
+      description: "Add the missing cross-chain routes to the CCIP pool (rate limits disabled)",
+      transactions,
+    }));
+    console.log();
+    return;
+  }
 
   for (const [sourceChain, remoteChains] of Object.entries(routingConfigs)) {
     console.log(`Configuring ${sourceChain} pool → knows about: ${remoteChains.join(", ")}`);
@@ -162,23 +208,13 @@ async function main() {
     const pool = new ethers.Contract(pools[sourceChain], POOL_ABI, wallets[sourceChain]);
 
     // Build chain updates for all remote chains
-    const chainUpdates = remoteChains.map(remoteChain => ({
-      remoteChainSelector: deployment[remoteChain].chainSelector,
-      remotePoolAddresses: [
-        ethers.utils.defaultAbiCoder.encode(["address"], [pools[remoteChain]])
-      ],
-      remoteTokenAddress: ethers.utils.defaultAbiCoder.encode(
-        ["address"],
-        [deployment[remoteChain].vault]
-      ),
-      outboundRateLimiterConfig: rateLimiterConfig,
-      inboundRateLimiterConfig: rateLimiterConfig
-    }));
+    const chainUpdates = remoteChains.map(buildChainUpdate);
 
     console.log(`  Configuring ${chainUpdates.length} remote chains...`);
 
     try {
-      const tx = await pool.applyChainUpdates([], chainUpdates);
+      const tx = await getTxManager(sourceChain, wallets[sourceChain]).sendCall(pool, "applyChainUpdates", [[], chainUpdates]);
+      console.log(`    TX: ${tx.hash}`);
       const receipt = await tx.wait();
       console.log(`    ✅ Transaction confirmed (block ${receipt.blockNumber})`);
 
@@ -251,8 +287,11 @@ async function main() {
   deployment.status = "ccip-routing-configured";
   deployment.notes = "✅ All CCIP pools configured for cross-chain bridging. Deposits still paused. Run enableDepositsAllChains.js next.";
 
-  fs.writeFileSync(deploymentPath, JSON.stringify(deployment, null, 2));
-  console.log("✅ deployment.json status updated");
+  const { revision } = saveDeployment(deployment, {
+    script: "configureAllPoolRoutes.js",
+    reason: "Configured cross-chain routes between all pools",
+  });
+  console.log(`✅ deployment.json status updated (revision ${revision})`);
   console.log();
 
   // ===================================================================
@@ -1,6 +1,12 @@
 const { ethers } = require("ethers");
 const fs = require("fs");
 const path = require("path");
+const { getChainNames, getRpcUrl, mapChains } = require("../utils/chainRegistry");
+const { loadDeployment, saveDeployment } = require("../utils/deploymentStore");
+const { assertWriteAllowed } = require("../utils/environment");
+const { withSimulation } = require("../utils/revertDecoder");
+const { parseArgs } = require("../utils/cliArgs");
+const { parseSafeAddress, safeTransaction, writeSafeBatches, printSafeBatches } = require("../utils/safeBatch");
 require("dotenv").config();
 
 /**
@@ -15,33 +21,31 @@ require("dotenv").config();
  *
  * NOTE: Cross-chain routing is configured separately (configureAllPoolRoutes.js)
  *
+ * With --safe-batch the pools are still deployed with PRIVATE_KEY, but the calls the vault
+ * owner has to make (registerAdminViaOwner, acceptAdminRole, setPool, addCCIPPool) are
+ * written as one Safe Transaction Builder batch per chain (deployments/safe-batches/) for
+ * the Safe that owns the vaults, which becomes the token admin. Refused unless the Safe
+ * owns every vault.
+ *
  * Prerequisites:
  * - Vaults and wrappers must be deployed (deployFreshSystem-all3chains.js)
  * - deployment.json must have vault addresses
+ *
+ * Usage:
+ *   node scripts/system-deployment/deployAllCCIPPools.js [--safe-batch <safe>]
  */
 
-// RMN Proxy addresses (MUST use same RMN for all pools!)
-const RMN_PROXIES = {
-  sepolia: "0xba3f6251de62dED61Ff98590cB2fDf6871FbB991",
-  base: "0x99360767a4705f68CcCb9533195B761648d6d807",
-  arbitrum: "0x9527E2d01A3064ef6b50c1Da1C0cC523803BCFF2" // Arbitrum Sepolia
-};
-
-// Token Admin Registry addresses
-const TOKEN_ADMIN_REGISTRIES = {
-  sepolia: "0x95F29FEE11c5C55d26cCcf1DB6772DE953B37B82",
-  base: "0x736D0bBb318c1B27Ff686cd19804094E66250e17",
-  arbitrum: "0x8126bE56454B628a88C17849B9ED99dd5a11Bd2f" // Arbitrum Sepolia
-};
-
-// Registry Module addresses (for registering as admin)
-const REGISTRY_MODULES = {
-  sepolia: "0x62e731218d0D47305aba2BE3751E7EE9E5520790",
-  base: "0x8A55C61227f26a3e2f217842eCF20b52007bAaBe",
-  arbitrum: "0xE625f0b8b0Ac86946035a7729Aba124c8A64cf69" // Arbitrum Sepolia
-};
-
 async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2), { options: ["safe-batch"] });
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    console.error("Usage: node scripts/system-deployment/deployAllCCIPPools.js [--safe-batch <safe>]");
+    process.exit(1);
+  }
+  const safe = args.options["safe-batch"] ? parseSafeAddress(args.options["safe-batch"]) : null;
+
   console.log("=".repeat(70));
   console.log("🏊 DEPLOYING CCIP POOLS FOR ALL 3 CHAINS");
   console.log("=".repeat(70));
@@ -51,10 +55,16 @@ async function main() {
   // LOAD DEPLOYMENT & SETUP
   // ===================================================================
 
-  const deploymentPath = path.join(__dirname, "../../deployments/deployment.json");
-  const deployment = JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
+  const deployment = loadDeployment();
+
+  const chains = getChainNames();
 
-  const chains = ["sepolia", "base", "arbitrum"];
+  // CCIP infrastructure addresses from scripts/config/chains.json
+  // RMN Proxy addresses (MUST use same RMN for all pools!)
+  const RMN_PROXIES = mapChains("rmnProxy");
+  const TOKEN_ADMIN_REGISTRIES = mapChains("tokenAdminRegistry");
+  // Registry Module addresses (for registering as admin)
+  const REGISTRY_MODULES = mapChains("registryModule");
 
   // Verify vaults exist
   for (const chain of chains) {
@@ -70,26 +80,20 @@ async function main() {
   console.log();
 
   // Setup wallets
+  assertWriteAllowed("Deploy CCIP pools on all chains");
   const wallet = new ethers.Wallet("0x" + process.env.PRIVATE_KEY);
   const providers = {};
   const wallets = {};
 
-  const RPC_ENV_VARS = {
-    sepolia: "SEPOLIA_RPC_URL",
-    base: "BASE_SEPOLIA_RPC_URL",
-    arbitrum: "ARBITRUM_SEPOLIA_RPC_URL"
-  };
-
   for (const chain of chains) {
-    const rpcUrl = process.env[RPC_ENV_VARS[chain]];
-    if (!rpcUrl) {
-      throw new Error(`Missing ${RPC_ENV_VARS[chain]} in .env`);
-    }
-    providers[chain] = new ethers.providers.JsonRpcProvider(rpcUrl);
+    providers[chain] = new ethers.providers.JsonRpcProvider(getRpcUrl(chain));
     wallets[chain] = wallet.connect(providers[chain]);
   }
 
   console.log("Deployer:", wallet.address);
+  if (safe) {
+    console.log("Vault owner (Safe):", safe);
+  }
   console.log();
 
   // Check balances
@@ -131,20 +135,45 @@ async function main() {
     "function getTokenConfig(address token) external view returns (address administrator, address pendingAdministrator)"
   ];
 
+  // --safe-batch: owner calls per chain, in the order the Safe executes them
+  const safeTransactions = Object.fromEntries(chains.map(chain => [chain, []]));
+
   for (const chain of chains) {
     console.log(`${chain}:`);
 
     const shUSD = deployment[chain].vault;
-    const registryModule = new ethers.Contract(
+    const registryModule = withSimulation(new ethers.Contract(
       REGISTRY_MODULES[chain],
       REGISTRY_MODULE_ABI,
       wallets[chain]
-    );
-    const tokenAdmin = new ethers.Contract(
+    ));
+    const tokenAdmin = withSimulation(new ethers.Contract(
       TOKEN_ADMIN_REGISTRIES[chain],
       TOKEN_ADMIN_REGISTRY_ABI,
       wallets[chain]
-    );
+    ));
+
+    if (safe) {
+      const vault = new ethers.Contract(shUSD, vaultArtifact.abi, providers[chain]);
+      const owner = await vault.owner();
+      if (owner.toLowerCase() !== safe.toLowerCase()) {
+        throw new Error(`${chain}: the vault is owned by ${owner}, not the Safe ${safe} - no batch written`);
+      }
+      const tokenConfig = await tokenAdmin.getTokenConfig(shUSD);
+      if (tokenConfig.administrator.toLowerCase() === safe.toLowerCase()) {
+        console.log("  ℹ️  The Safe is already token admin");
+      } else if (tokenConfig.administrator !== ethers.constants.AddressZero) {
+        throw new Error(`${chain}: token admin is ${tokenConfig.administrator}, not the Safe ${safe} - transfer the role first`);
+      } else {
+        if (tokenConfig.pendingAdministrator.toLowerCase() !== safe.toLowerCase()) {
+          safeTransactions[chain].push(safeTransaction(registryModule, "registerAdminViaOwner", [shUSD]));
+        }
+        safeTransactions[chain].push(safeTransaction(tokenAdmin, "acceptAdminRole", [shUSD]));
+        console.log("  📦 Token admin registration batched for the Safe");
+      }
+      console.log();
+      continue;
+    }
 
     // Check if already has pool registered
     const existingPool = await tokenAdmin.getPool(shUSD);
@@ -238,11 +267,11 @@ async function main() {
     console.log(`Registering ${chain} pool...`);
 
     const shUSD = deployment[chain].vault;
-    const tokenAdmin = new ethers.Contract(
+    const tokenAdmin = withSimulation(new ethers.Contract(
       TOKEN_ADMIN_REGISTRIES[chain],
       TOKEN_ADMIN_REGISTRY_ABI,
       wallets[chain]
-    );
+    ));
 
     // Check if pool already registered
     const existingPool = await tokenAdmin.getPool(shUSD);
@@ -257,6 +286,13 @@ async function main() {
       console.log(`  Attempting to update to new pool: ${pools[chain].address}`);
     }
 
+    if (safe) {
+      safeTransactions[chain].push(safeTransaction(tokenAdmin, "setPool", [shUSD, pools[chain].address]));
+      console.log("  📦 setPool batched for the Safe");
+      console.log();
+      continue;
+    }
+
     // Verify we are the admin before trying to set pool
     const tokenConfig = await tokenAdmin.getTokenConfig(shUSD);
     if (tokenConfig.administrator.toLowerCase() !== wallet.address.toLowerCase()) {
@@ -292,11 +328,11 @@ async function main() {
   for (const chain of chains) {
     console.log(`Authorizing ${chain} pool in vault...`);
 
-    const vault = new ethers.Contract(
+    const vault = withSimulation(new ethers.Contract(
       deployment[chain].vault,
       vaultArtifact.abi,
       wallets[chain]
-    );
+    ));
 
     // Check if already authorized
     const isAlreadyAuthorized = await vault.ccipPools(pools[chain].address);
@@ -306,6 +342,13 @@ async function main() {
       continue;
     }
 
+    if (safe) {
+      safeTransactions[chain].push(safeTransaction(vault, "addCCIPPool", [pools[chain].address]));
+      console.log("  📦 addCCIPPool batched for the Safe");
+      console.log();
+      continue;
+    }
+
     try {
       const tx = await vault.addCCIPPool(pools[chain].address);
       console.log(`  Transaction sent: ${tx.hash}`);
@@ -335,17 +378,37 @@ async function main() {
   console.log();
 
   for (const chain of chains) {
-    deployment[chain].newCcipPool = pools[chain].address;
+    deployment[chain].ccipPool = pools[chain].address;
     deployment[chain].poolType = "BurnFromMintTokenPool 1.6.1";
   }
 
   deployment.status = "ccip-pools-deployed";
-  deployment.notes = "🚧 Pools deployed but not yet configured for cross-chain routing. Run configureAllPoolRoutes.js next.";
+  deployment.notes = safe
+    ? "🚧 Pools deployed; registration and authorization wait for the Safe batches. Run configureAllPoolRoutes.js next."
+    : "🚧 Pools deployed but not yet configured for cross-chain routing. Run configureAllPoolRoutes.js next.";
 
-  fs.writeFileSync(deploymentPath, JSON.stringify(deployment, null, 2));
-  console.log("✅ deployment.json updated with pool addresses");
+  const { revision } = saveDeployment(deployment, {
+    script: "deployAllCCIPPools.js",
+    reason: safe ? "Deployed CCIP pools (registration batched for the Safe)" : "Deployed and registered CCIP pools",
+  });
+  console.log(`✅ deployment.json updated with pool addresses (revision ${revision})`);
   console.log();
 
+  if (safe) {
+    printSafeBatches(writeSafeBatches({
+      safe,
+      label: "register-ccip-pools",
+      description: "Register the Safe as token admin, register the new CCIP pool and authorize it in the vault",
+      transactions: safeTransactions,
+    }));
+    console.log();
+    console.log("📋 NEXT STEPS:");
+    console.log("1. Propose, verify and execute the batches in the Safe");
+    console.log("2. node scripts/system-deployment/configureAllPoolRoutes.js (the pools are owned by the deployer)");
+    console.log();
+    return;
+  }
+
   // ===================================================================
   // VERIFICATION
   // ===================================================================
@@ -1,19 +1,23 @@
 const { ethers } = require("ethers");
 const fs = require("fs");
 const path = require("path");
+const { getChainNames, getChain, getPrimaryChain, getRpcUrl, requireField } = require("../utils/chainRegistry");
+const { saveDeployment } = require("../utils/deploymentStore");
+const { assertWriteAllowed } = require("../utils/environment");
+const { withSimulation } = require("../utils/revertDecoder");
 require("dotenv").config();
 
 /**
  * Deploy Fresh SherpaVault System on All 3 Chains
  *
  * Deploys:
- * - SherpaVault (shUSD) on Sepolia, Base, Arbitrum
- * - SherpaUSD (wrapper) on Sepolia, Base, Arbitrum
+ * - SherpaVault (shUSD) on every chain in scripts/config/chains.json (Sepolia, Base, Arbitrum)
+ * - SherpaUSD (wrapper) on every chain in scripts/config/chains.json
  *
  * NOTE: CCIP pools are deployed separately (deployAllCCIPPools.js)
  *
  * This script:
- * 1. Backs up existing deployment.json
+ * 1. Previous deployment.json is kept in deployments/history/ by the deployment store
  * 2. Deploys all vaults with temporary wrapper addresses
  * 3. Deploys all wrappers
  * 4. Updates vaults with correct wrapper addresses
@@ -40,33 +44,18 @@ async function main() {
     fs.readFileSync(path.join(__dirname, "../../artifacts/contracts/SherpaUSD.sol/SherpaUSD.json"), "utf8")
   );
 
-  // Chain configurations
-  const CHAINS = {
-    sepolia: {
-      mockUSDC: "0x03f346E161B2cD07F4B14a14F8B661f0E57AF14F",
-      ccipRouter: "0x0BF3dE8c5D3e8A2B34D2BEeB17ABfCeBaf363A59",
-      chainSelector: "16015286601757825753",
-      chainId: 11155111,
-      rpcEnvVar: "SEPOLIA_RPC_URL",
-      isPrimary: true
-    },
-    base: {
-      mockUSDC: "0x20b64A9fa5546247C31bD694eCF6E910874f4e55",
-      ccipRouter: "0xD3b06cEbF099CE7DA4AcCf578aaebFDBd6e88a93",
-      chainSelector: "10344971235874465080",
-      chainId: 84532,
-      rpcEnvVar: "BASE_SEPOLIA_RPC_URL",
-      isPrimary: false
-    },
-    arbitrum: {
-      mockUSDC: "0x7c9EEbb6A8DC30fe5fC8CBB00fe666f08eFfED12",
-      ccipRouter: "0x2a9C5afB0d0e4BAb2BCdaE109EC4b0c4Be15a165",
-      chainSelector: "3478487238524512106",
-      chainId: 421614,
-      rpcEnvVar: "ARBITRUM_SEPOLIA_RPC_URL",
-      isPrimary: false
-    }
-  };
+  // Chain configurations (scripts/config/chains.json)
+  const CHAINS = Object.fromEntries(getChainNames().map(name => {
+    const chain = getChain(name);
+    return [name, {
+      mockUSDC: requireField(name, "usdc"),
+      ccipRouter: requireField(name, "ccipRouter"),
+      chainSelector: chain.chainSelector,
+      chainId: chain.chainId,
+      isPrimary: chain.isPrimary
+    }];
+  }));
+  const primaryChain = getPrimaryChain();
 
   // Vault parameters
   const vaultParams = {
@@ -82,6 +71,7 @@ async function main() {
   console.log();
 
   // Setup wallets
+  assertWriteAllowed("Deploy fresh system on all chains");
   const wallet = new ethers.Wallet("0x" + process.env.PRIVATE_KEY);
   const providers = {};
   const wallets = {};
@@ -89,12 +79,8 @@ async function main() {
   console.log("Deployer:", wallet.address);
   console.log();
 
-  for (const [chain, config] of Object.entries(CHAINS)) {
-    const rpcUrl = process.env[config.rpcEnvVar];
-    if (!rpcUrl) {
-      throw new Error(`Missing ${config.rpcEnvVar} in .env`);
-    }
-    providers[chain] = new ethers.providers.JsonRpcProvider(rpcUrl);
+  for (const chain of Object.keys(CHAINS)) {
+    providers[chain] = new ethers.providers.JsonRpcProvider(getRpcUrl(chain));
     wallets[chain] = wallet.connect(providers[chain]);
   }
 
@@ -106,20 +92,6 @@ async function main() {
   }
   console.log();
 
-  // ===================================================================
-  // BACKUP EXISTING DEPLOYMENT
-  // ===================================================================
-
-  const deploymentPath = path.join(__dirname, "../../deployments/deployment.json");
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  const backupPath = path.join(__dirname, `../../deployments/deployment-backup-${timestamp}.json`);
-
-  if (fs.existsSync(deploymentPath)) {
-    fs.copyFileSync(deploymentPath, backupPath);
-    console.log("✅ Backed up deployment.json to:", backupPath);
-    console.log();
-  }
-
   // ===================================================================
   // STEP 1: DEPLOY VAULTS (TEMPORARY WRAPPER)
   // ===================================================================
@@ -146,7 +118,7 @@ async function main() {
       vaultParams
     );
     await vault.deployed();
-    vaults[chain] = vault;
+    vaults[chain] = withSimulation(vault);
     console.log(`  ✅ ${chain} Vault: ${vault.address}`);
     console.log();
   }
@@ -173,7 +145,7 @@ async function main() {
       vaults[chain].address // _keeper (vault)
     );
     await wrapper.deployed();
-    wrappers[chain] = wrapper;
+    wrappers[chain] = withSimulation(wrapper);
     console.log(`  ✅ ${chain} Wrapper: ${wrapper.address}`);
     console.log();
   }
@@ -210,23 +182,14 @@ async function main() {
   console.log("-".repeat(70));
   console.log();
 
-  // Set Sepolia as primary
-  console.log("Setting Sepolia as primary chain...");
-  let tx = await vaults.sepolia.setPrimaryChain(CHAINS.sepolia.chainSelector, true);
-  await tx.wait();
-  console.log("  ✅ Sepolia set as primary");
-
-  // Set Base as secondary (not primary)
-  console.log("Setting Base as secondary chain...");
-  tx = await vaults.base.setPrimaryChain(CHAINS.sepolia.chainSelector, false);
-  await tx.wait();
-  console.log("  ✅ Base set as secondary");
-
-  // Set Arbitrum as secondary (not primary)
-  console.log("Setting Arbitrum as secondary chain...");
-  tx = await vaults.arbitrum.setPrimaryChain(CHAINS.sepolia.chainSelector, false);
-  await tx.wait();
-  console.log("  ✅ Arbitrum set as secondary");
+  // Every vault points at the primary chain's selector; only the primary sets isPrimary
+  for (const [chain, config] of Object.entries(CHAINS)) {
+    const role = config.isPrimary ? "primary" : "secondary";
+    console.log(`Setting ${chain} as ${role} chain...`);
+    const tx = await vaults[chain].setPrimaryChain(CHAINS[primaryChain].chainSelector, config.isPrimary);
+    await tx.wait();
+    console.log(`  ✅ ${chain} set as ${role}`);
+  }
   console.log();
 
   // ===================================================================
@@ -256,33 +219,15 @@ async function main() {
   const deployment = {
     timestamp: new Date().toISOString(),
     deployer: wallet.address,
-    sepolia: {
-      chainId: CHAINS.sepolia.chainId,
-      chainSelector: CHAINS.sepolia.chainSelector,
-      vault: vaults.sepolia.address,
-      sherpaUSD: wrappers.sepolia.address,
-      mockUSDC: CHAINS.sepolia.mockUSDC,
-      ccipRouter: CHAINS.sepolia.ccipRouter,
-      isPrimary: true
-    },
-    base: {
-      chainId: CHAINS.base.chainId,
-      chainSelector: CHAINS.base.chainSelector,
-      vault: vaults.base.address,
-      sherpaUSD: wrappers.base.address,
-      mockUSDC: CHAINS.base.mockUSDC,
-      ccipRouter: CHAINS.base.ccipRouter,
-      isPrimary: false
-    },
-    arbitrum: {
-      chainId: CHAINS.arbitrum.chainId,
-      chainSelector: CHAINS.arbitrum.chainSelector,
-      vault: vaults.arbitrum.address,
-      sherpaUSD: wrappers.arbitrum.address,
-      mockUSDC: CHAINS.arbitrum.mockUSDC,
-      ccipRouter: CHAINS.arbitrum.ccipRouter,
-      isPrimary: false
-    },
+    ...Object.fromEntries(Object.entries(CHAINS).map(([chain, config]) => [chain, {
+      chainId: config.chainId,
+      chainSelector: config.chainSelector,
+      vault: vaults[chain].address,
+      sherpaUSD: wrappers[chain].address,
+      mockUSDC: config.mockUSDC,
+      ccipRouter: config.ccipRouter,
+      isPrimary: config.isPrimary
+    }])),
     vaultParams: {
       decimals: vaultParams.decimals,
       minimumSupply: vaultParams.minimumSupply.toString(),
@@ -292,8 +237,11 @@ async function main() {
     notes: "🚧 CCIP pools not yet deployed. Deposits paused. Run deployAllCCIPPools.js next."
   };
 
-  fs.writeFileSync(deploymentPath, JSON.stringify(deployment, null, 2));
-  console.log("✅ Deployment data saved to:", deploymentPath);
+  const { revision } = saveDeployment(deployment, {
+    script: "deployFreshSystem-all3chains.js",
+    reason: "Fresh deployment of vaults and wrappers",
+  });
+  console.log(`✅ Deployment data saved to deployments/deployment.json (revision ${revision})`);
   console.log();
 
   // ===================================================================
@@ -328,18 +276,12 @@ async function main() {
   console.log();
   console.log("📋 Deployment Summary:");
   console.log();
-  console.log("Sepolia (PRIMARY):");
-  console.log(`  Vault (shUSD): ${vaults.sepolia.address}`);
-  console.log(`  Wrapper (sherpaUSD): ${wrappers.sepolia.address}`);
-  console.log();
-  console.log("Base (SECONDARY):");
-  console.log(`  Vault (shUSD): ${vaults.base.address}`);
-  console.log(`  Wrapper (sherpaUSD): ${wrappers.base.address}`);
-  console.log();
-  console.log("Arbitrum (SECONDARY):");
-  console.log(`  Vault (shUSD): ${vaults.arbitrum.address}`);
-  console.log(`  Wrapper (sherpaUSD): ${wrappers.arbitrum.address}`);
-  console.log();
+  for (const [chain, config] of Object.entries(CHAINS)) {
+    console.log(`${getChain(chain).displayName} (${config.isPrimary ? "PRIMARY" : "SECONDARY"}):`);
+    console.log(`  Vault (shUSD): ${vaults[chain].address}`);
+    console.log(`  Wrapper (sherpaUSD): ${wrappers[chain].address}`);
+    console.log();
+  }
   console.log("✅ Vaults and wrappers configured");
   console.log("✅ Primary/secondary roles set");
   console.log("✅ Deposits paused on all chains");
@@ -357,7 +299,7 @@ main()
     console.error(error);
     console.log("\n💡 If deployment failed partway:");
     console.log("  - Check which step failed in the output above");
-    console.log("  - Restore backup: cp deployments/deployment-backup-*.json deployments/deployment.json");
+    console.log("  - Previous deployment.json is unchanged until STEP 6; older versions are in deployments/history/");
     console.log("  - Fix the issue and re-run this script");
     process.exit(1);
   });
@@ -1,6 +1,10 @@
 const { ethers } = require("ethers");
 const fs = require("fs");
 const path = require("path");
+const { getRpcUrl, getExplorerTxUrl } = require("../utils/chainRegistry");
+const { loadDeployment } = require("../utils/deploymentStore");
+const { assertWriteAllowed, parseEnvArgs } = require("../utils/environment");
+const { withSimulation } = require("../utils/revertDecoder");
 require("dotenv").config();
 
 /**
@@ -12,20 +16,9 @@ require("dotenv").config();
  * Usage: node scripts/system-deployment/deployerInitialize1usdc.js sepolia
  */
 
-const RPC_URLS = {
-  sepolia: process.env.SEPOLIA_RPC_URL,
-  base: process.env.BASE_SEPOLIA_RPC_URL,
-  arbitrum: process.env.ARBITRUM_SEPOLIA_RPC_URL
-};
-
-const EXPLORERS = {
-  sepolia: "https://sepolia.etherscan.io",
-  base: "https://sepolia.basescan.org",
-  arbitrum: "https://sepolia.arbiscan.io"
-};
-
 async function main() {
-  const chain = process.argv[2]?.toLowerCase() || "sepolia";
+  const args = parseEnvArgs(process.argv.slice(2)).rest;
+  const chain = args[0]?.toLowerCase() || "sepolia";
   const amountUSDC = 1; // Always 1 USDC for initialization
   const amountWithDecimals = ethers.utils.parseUnits(amountUSDC.toString(), 6);
 
@@ -38,8 +31,7 @@ async function main() {
   console.log();
 
   // Load deployment
-  const deploymentPath = path.join(__dirname, "../../deployments/deployment.json");
-  const deployment = JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
+  const deployment = loadDeployment();
 
   const mockUSDC = deployment[chain].mockUSDC;
   const sherpaUSD = deployment[chain].sherpaUSD;
@@ -52,7 +44,8 @@ async function main() {
   console.log();
 
   // Setup provider and wallet
-  const provider = new ethers.providers.JsonRpcProvider(RPC_URLS[chain]);
+  const provider = new ethers.providers.JsonRpcProvider(getRpcUrl(chain));
+  assertWriteAllowed("Deployer 1 USDC initialization deposit");
   const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
 
   console.log("Deployer Address:", wallet.address);
@@ -71,8 +64,8 @@ async function main() {
     fs.readFileSync(path.join(__dirname, "../../artifacts/contracts/SherpaVault.sol/SherpaVault.json"), "utf8")
   ).abi;
 
-  const mockUSDCContract = new ethers.Contract(mockUSDC, mockUSDCABI, wallet);
-  const vaultContract = new ethers.Contract(vault, vaultABI, wallet);
+  const mockUSDCContract = withSimulation(new ethers.Contract(mockUSDC, mockUSDCABI, wallet));
+  const vaultContract = withSimulation(new ethers.Contract(vault, vaultABI, wallet));
 
   // =================================================================
   // STEP 1: Check balances
@@ -180,7 +173,7 @@ async function main() {
   console.log("✅ INITIALIZATION COMPLETE!");
   console.log("=".repeat(70));
   console.log();
-  console.log("Transaction:", `${EXPLORERS[chain]}/tx/${depositTx.hash}`);
+  console.log("Transaction:", `${getExplorerTxUrl(chain, depositTx.hash)}`);
   console.log();
   console.log("Summary:");
   console.log(`  Deployer: ${wallet.address}`);
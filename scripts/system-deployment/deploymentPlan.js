@@ -0,0 +1,1059 @@
+const { ethers } = require("ethers");
+const fs = require("fs");
+const path = require("path");
+const { getChain, getChainBySelector } = require("../utils/chainRegistry");
+const { DEPLOYMENT_PATH, loadDeployment, saveDeployment, getDeploymentChains } = require("../utils/deploymentStore");
+const { loadSpec } = require("../utils/deploymentSpec");
+const { queryWithConsensus, queryCallsWithConsensus, getWallet } = require("../utils/consensusProvider");
+const { sendAndConfirm } = require("../utils/txConfirmation");
+const { getTxManager } = require("../utils/txManager");
+const { parseArgs, confirm } = require("../utils/cliArgs");
+const { loadJournal } = require("../utils/rollJournal");
+const { assertWriteAllowed } = require("../utils/environment");
+const { findRevertData } = require("../utils/revertDecoder");
+const { parseSafeAddress, safeTransaction, writeSafeBatches, printSafeBatches } = require("../utils/safeBatch");
+require("dotenv").config();
+
+/**
+ * Deployment Plan / Apply
+ *
+ * Declarative replacement for running deployFreshSystem-all3chains.js,
+ * deployAllCCIPPools.js, configureAllPoolRoutes.js and enableDepositsAllChains.js in
+ * sequence. The desired state lives in deployments/spec.json (format:
+ * scripts/utils/deploymentSpec.js); on-chain state is read through RPC consensus.
+ *
+ *   plan   Prints every transaction needed to reach the spec, phase by phase, with the
+ *          value each one changes. Sends nothing.
+ *   apply  Prints the plan, asks for confirmation and sends it. On-chain state is read
+ *          again before every phase and only what still differs is sent, so a failed
+ *          apply is resumed by re-running it, and an up-to-date deployment sends nothing.
+ *
+ * Phases:
+ *   1. deploy     SherpaVault + SherpaUSD for spec chains missing from deployment.json
+ *                 (only while no vault is past round 1 - extend a live deployment with
+ *                 add-chain/addChain.js, which syncs round history)
+ *   2. contracts  Wrapper / keeper locks, primary role, cap, allowIndependence, operator.
+ *                 Deposits are held off on vaults without an authorized pool
+ *   3. pools      Token Admin Registry admin, BurnFromMintTokenPool, setPool, addCCIPPool
+ *   4. routes     One applyChainUpdates() per pool (adds missing routes, removes routes
+ *                 between spec chains the spec does not list, re-adds routes pointing at
+ *                 the wrong pool / token) and setChainRateLimiterConfig() where the rate
+ *                 limits differ
+ *   5. deposits   setDepositsEnabled()
+ *   6. ownership  transferOwnership() of vaults and wrappers (shown as pending until the
+ *                 new owner calls acceptOwnership())
+ *
+ * Not managed: CCIP pool ownership and the Token Admin Registry admin role, chains in
+ * deployment.json that are not in the spec (retire them with sunsetChain.js) and routes
+ * to chains outside the spec (reported, left as they are). Changing the primary chain is
+ * refused. New contracts are written to deployment.json as soon as they are deployed (vault
+ * and wrapper together).
+ *
+ * With --safe-batch the Safe is the signer: plan checks that the Safe owns everything it
+ * would change, and apply writes the whole plan as one Safe Transaction Builder batch per
+ * chain (deployments/safe-batches/, phase order) instead of sending it. Contract
+ * deployments cannot go through a Safe - apply them with PRIVATE_KEY first.
+ *
+ * Usage:
+ *   node scripts/system-deployment/deploymentPlan.js plan [--spec <file>] [--safe-batch <safe>]
+ *   node scripts/system-deployment/deploymentPlan.js apply [--spec <file>] [--yes] [--safe-batch <safe>]
+ *
+ * Options:
+ *   --spec: Spec file (default deployments/spec.json)
+ *   --yes: Apply without asking for confirmation
+ *   --safe-batch: Safe address - plan for the Safe as signer, apply writes Transaction Builder batches
+ */
+
+const POOL_TYPE = "BurnFromMintTokenPool 1.6.1";
+
+const RATE_LIMITER_CONFIG = "tuple(bool isEnabled, uint128 capacity, uint128 rate)";
+const TOKEN_BUCKET = "tuple(uint128 tokens, uint32 lastUpdated, bool isEnabled, uint128 capacity, uint128 rate)";
+
+const VAULT_ABI = [
+  "function owner() external view returns (address)",
+  "function pendingOwner() external view returns (address)",
+  "function operator() external view returns (address)",
+  "function cap() external view returns (uint256)",
+  "function isPrimaryChain() external view returns (bool)",
+  "function primaryChainSelector() external view returns (uint64)",
+  "function depositsEnabled() external view returns (bool)",
+  "function allowIndependence() external view returns (bool)",
+  "function vaultParams() external view returns (uint8 decimals, uint56 minimumSupply, uint104 cap)",
+  "function stableWrapper() external view returns (address)",
+  "function round() external view returns (uint256)",
+  "function ccipPools(address pool) external view returns (bool)",
+  "function setStableWrapper(address newWrapper) external",
+  "function setPrimaryChain(uint64 chainSelector, bool isPrimary) external",
+  "function setCap(uint104 newCap) external",
+  "function setOperator(address newOperator) external",
+  "function addCCIPPool(address pool) external",
+  "function setDepositsEnabled(bool enabled) external",
+  "function setAllowIndependence(bool _allowIndependence) external",
+  "function transferOwnership(address newOwner) external",
+  "error StableWrapperAlreadyLocked()"
+];
+
+const WRAPPER_ABI = [
+  "function owner() external view returns (address)",
+  "function pendingOwner() external view returns (address)",
+  "function operator() external view returns (address)",
+  "function keeper() external view returns (address)",
+  "function setKeeper(address keeper) external",
+  "function setOperator(address newOperator) external",
+  "function transferOwnership(address newOwner) external",
+  "error KeeperAlreadyLocked()"
+];
+
+const POOL_ABI = [
+  "function owner() external view returns (address)",
+  "function getSupportedChains() external view returns (uint64[] memory)",
+  "function getRemotePools(uint64 remoteChainSelector) external view returns (bytes[] memory)",
+  "function getRemoteToken(uint64 remoteChainSelector) external view returns (bytes memory)",
+  `function getCurrentOutboundRateLimiterState(uint64 remoteChainSelector) external view returns (${TOKEN_BUCKET})`,
+  `function getCurrentInboundRateLimiterState(uint64 remoteChainSelector) external view returns (${TOKEN_BUCKET})`,
+  `function applyChainUpdates(uint64[] calldata remoteChainSelectorsToRemove, tuple(uint64 remoteChainSelector, bytes[] remotePoolAddresses, bytes remoteTokenAddress, ${RATE_LIMITER_CONFIG} outboundRateLimiterConfig, ${RATE_LIMITER_CONFIG} inboundRateLimiterConfig)[] calldata chainsToAdd) external`,
+  `function setChainRateLimiterConfig(uint64 remoteChainSelector, ${RATE_LIMITER_CONFIG} outboundConfig, ${RATE_LIMITER_CONFIG} inboundConfig) external`
+];
+
+const TOKEN_ADMIN_REGISTRY_ABI = [
+  "function acceptAdminRole(address token) external",
+  "function setPool(address token, address pool) external",
+  "function getPool(address token) external view returns (address)",
+  "function getTokenConfig(address token) external view returns (address administrator, address pendingAdministrator)"
+];
+
+const REGISTRY_MODULE_ABI = ["function registerAdminViaOwner(address token) external"];
+
+const ABIS = {
+  SherpaVault: VAULT_ABI,
+  SherpaUSD: WRAPPER_ABI,
+  Pool: POOL_ABI,
+  TokenAdminRegistry: TOKEN_ADMIN_REGISTRY_ABI,
+  RegistryModule: REGISTRY_MODULE_ABI,
+};
+
+const ARTIFACTS = {
+  SherpaVault: "contracts/SherpaVault.sol/SherpaVault.json",
+  SherpaUSD: "contracts/SherpaUSD.sol/SherpaUSD.json",
+  Pool: "@chainlink/contracts-ccip/contracts/pools/BurnFromMintTokenPool.sol/BurnFromMintTokenPool.json",
+};
+
+const PHASES = [
+  { key: "deploy", title: "DEPLOY VAULTS & WRAPPERS", plan: planDeploy },
+  { key: "contracts", title: "LOCKS, PRIMARY ROLE, CAPS & OPERATORS", plan: planContracts },
+  { key: "pools", title: "TOKEN ADMIN & CCIP POOLS", plan: planPools },
+  { key: "routes", title: "ROUTES & RATE LIMITS", plan: planRoutes },
+  { key: "deposits", title: "DEPOSITS", plan: planDeposits },
+  { key: "ownership", title: "OWNERSHIP", plan: planOwnership },
+];
+
+const ZERO = ethers.constants.AddressZero;
+
+function printUsage() {
+  console.error("Usage: node scripts/system-deployment/deploymentPlan.js <plan|apply> [--spec <file>] [--yes] [--safe-batch <safe>]");
+  console.error("");
+  console.error("  plan: Print the transactions needed to reach the spec");
+  console.error("  apply: Send them (asks for confirmation unless --yes)");
+  console.error("  --spec: Spec file (default deployments/spec.json)");
+  console.error("  --safe-batch: Safe address - apply writes Transaction Builder batches instead of sending");
+}
+
+// ===================================================================
+// HELPERS
+// ===================================================================
+
+/**
+ * Stand-in address of a contract the plan deploys (only ever shown, never sent)
+ */
+function placeholder(chain, contract) {
+  return `<new ${chain} ${contract}>`;
+}
+
+function isPlaceholder(value) {
+  return typeof value === "string" && value.startsWith("<new ");
+}
+
+function sameAddress(a, b) {
+  return String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+function encodeAddress(address) {
+  return isPlaceholder(address) ? address : ethers.utils.defaultAbiCoder.encode(["address"], [address]);
+}
+
+function decodeAddress(encoded) {
+  return ethers.utils.getAddress("0x" + encoded.slice(-40));
+}
+
+function toLimiter(bucket) {
+  return { isEnabled: bucket.isEnabled, capacity: bucket.capacity.toString(), rate: bucket.rate.toString() };
+}
+
+function sameLimiter(a, b) {
+  return a.isEnabled === b.isEnabled && a.capacity === b.capacity && a.rate === b.rate;
+}
+
+function formatLimiter(limiter) {
+  return limiter.isEnabled ? `capacity ${limiter.capacity} / rate ${limiter.rate}` : "disabled";
+}
+
+function describeChange(current, desired) {
+  return sameAddress(current, desired) ? desired : `${current} → ${desired}`;
+}
+
+function formatArg(value) {
+  return typeof value === "string" ? value : JSON.stringify(value);
+}
+
+function chainUpdate(remoteChainSelector, remotePool, remoteToken, rateLimits) {
+  return {
+    remoteChainSelector,
+    remotePoolAddresses: [encodeAddress(remotePool)],
+    remoteTokenAddress: encodeAddress(remoteToken),
+    outboundRateLimiterConfig: rateLimits.outbound,
+    inboundRateLimiterConfig: rateLimits.inbound
+  };
+}
+
+function readArtifact(relativePath) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, "../../artifacts", relativePath), "utf8"));
+}
+
+function signerAddress(deployment) {
+  const key = process.env.PRIVATE_KEY;
+  if (key) {
+    return new ethers.Wallet(key.startsWith("0x") ? key : "0x" + key).address;
+  }
+  if (deployment?.deployer) {
+    return deployment.deployer;
+  }
+  throw new Error("Missing PRIVATE_KEY in .env");
+}
+
+// ===================================================================
+// ON-CHAIN STATE
+// ===================================================================
+
+/**
+ * Whether a one-time setter is locked: simulated from the owner (on every RPC, with
+ * consensus), it reverts with lockedError. The error selector comes from the ABI above,
+ * so no compiled artifacts are needed.
+ */
+async function isLocked(chain, contract, method, args, owner, lockedError, minBlock = 0) {
+  const lockedSelector = contract.interface.getSighash(lockedError);
+  return queryWithConsensus(chain, async (provider) => {
+    try {
+      await provider.call({
+        to: contract.address,
+        from: owner,
+        data: contract.interface.encodeFunctionData(method, args),
+      });
+      return false;
+    } catch (error) {
+      if (findRevertData(error)?.toLowerCase().startsWith(lockedSelector)) {
+        return true;
+      }
+      throw error;
+    }
+  }, { requireMajority: true, minBlock, log: () => {} });
+}
+
+/**
+ * State of one chain's contracts (consensus reads); vault and pool are null if not deployed
+ *
+ * @param {string} chain - Chain name
+ * @param {Object|null} deployment - deployment.json (null if there is none yet)
+ * @param {number} minBlock - Read at or after this block (our last tx on the chain)
+ */
+async function readChainState(chain, deployment, minBlock) {
+  const config = getChain(chain);
+  const state = { chain, selector: config.chainSelector, vault: null, wrapper: null, tokenAdmin: null, pool: null, adoptedPool: false };
+  const entry = deployment?.[chain];
+  if (!entry) {
+    return state;
+  }
+
+  const options = { requireMajority: true, minBlock, log: () => {} };
+  const vault = new ethers.Contract(entry.vault, VAULT_ABI);
+  const wrapper = new ethers.Contract(entry.sherpaUSD, WRAPPER_ABI);
+  const tokenAdmin = new ethers.Contract(config.tokenAdminRegistry, TOKEN_ADMIN_REGISTRY_ABI);
+
+  const core = await queryCallsWithConsensus(chain, {
+    owner: { contract: vault, method: "owner" },
+    pendingOwner: { contract: vault, method: "pendingOwner" },
+    operator: { contract: vault, method: "operator" },
+    cap: { contract: vault, method: "cap" },
+    isPrimaryChain: { contract: vault, method: "isPrimaryChain" },
+    primaryChainSelector: { contract: vault, method: "primaryChainSelector" },
+    depositsEnabled: { contract: vault, method: "depositsEnabled" },
+    allowIndependence: { contract: vault, method: "allowIndependence" },
+    vaultParams: { contract: vault, method: "vaultParams" },
+    stableWrapper: { contract: vault, method: "stableWrapper" },
+    round: { contract: vault, method: "round" },
+    wrapperOwner: { contract: wrapper, method: "owner" },
+    wrapperPendingOwner: { contract: wrapper, method: "pendingOwner" },
+    wrapperOperator: { contract: wrapper, method: "operator" },
+    keeper: { contract: wrapper, method: "keeper" },
+    registeredPool: { contract: tokenAdmin, method: "getPool", args: [entry.vault] },
+    tokenConfig: { contract: tokenAdmin, method: "getTokenConfig", args: [entry.vault] },
+  }, options);
+
+  state.vault = {
+    address: entry.vault,
+    owner: core.owner,
+    pendingOwner: core.pendingOwner,
+    operator: core.operator,
+    cap: core.cap.toString(),
+    isPrimaryChain: core.isPrimaryChain,
+    primaryChainSelector: core.primaryChainSelector.toString(),
+    depositsEnabled: core.depositsEnabled,
+    allowIndependence: core.allowIndependence,
+    decimals: Number(core.vaultParams.decimals),
+    minimumSupply: core.vaultParams.minimumSupply.toString(),
+    stableWrapper: core.stableWrapper,
+    round: Number(core.round),
+    wrapperLocked: await isLocked(chain, vault, "setStableWrapper", [entry.sherpaUSD], core.owner, "StableWrapperAlreadyLocked", minBlock),
+  };
+  state.wrapper = {
+    address: entry.sherpaUSD,
+    owner: core.wrapperOwner,
+    pendingOwner: core.wrapperPendingOwner,
+    operator: core.wrapperOperator,
+    keeper: core.keeper,
+    keeperLocked: await isLocked(chain, wrapper, "setKeeper", [entry.vault], core.wrapperOwner, "KeeperAlreadyLocked", minBlock),
+  };
+  state.tokenAdmin = {
+    address: config.tokenAdminRegistry,
+    administrator: core.tokenConfig.administrator,
+    pendingAdministrator: core.tokenConfig.pendingAdministrator,
+    pool: core.registeredPool,
+  };
+
+  // deployment.json pool, or the one registered in the Token Admin Registry (recorded on apply)
+  const poolAddress = entry.ccipPool || (core.registeredPool !== ZERO ? core.registeredPool : null);
+  if (!poolAddress) {
+    return state;
+  }
+  state.adoptedPool = !entry.ccipPool;
+
+  const pool = new ethers.Contract(poolAddress, POOL_ABI);
+  const poolCore = await queryCallsWithConsensus(chain, {
+    owner: { contract: pool, method: "owner" },
+    supportedChains: { contract: pool, method: "getSupportedChains" },
+    authorized: { contract: vault, method: "ccipPools", args: [poolAddress] },
+  }, options);
+
+  const selectors = poolCore.supportedChains.map(selector => selector.toString());
+  const routeCalls = selectors.flatMap(selector => [
+    { contract: pool, method: "getRemotePools", args: [selector] },
+    { contract: pool, method: "getRemoteToken", args: [selector] },
+    { contract: pool, method: "getCurrentOutboundRateLimiterState", args: [selector] },
+    { contract: pool, method: "getCurrentInboundRateLimiterState", args: [selector] },
+  ]);
+  const results = routeCalls.length > 0 ? await queryCallsWithConsensus(chain, routeCalls, options) : [];
+
+  state.pool = {
+    address: poolAddress,
+    owner: poolCore.owner,
+    authorized: poolCore.authorized,
+    routes: Object.fromEntries(selectors.map((selector, i) => [selector, {
+      remotePools: results[i * 4].map(decodeAddress),
+      remoteToken: decodeAddress(results[i * 4 + 1]),
+      outbound: toLimiter(results[i * 4 + 2]),
+      inbound: toLimiter(results[i * 4 + 3]),
+    }])),
+  };
+  return state;
+}
+
+/**
+ * State of every spec chain and every deployed chain
+ */
+async function readState(spec, deployment, minBlocks = {}) {
+  const chains = [...new Set([...Object.keys(spec.chains), ...getDeploymentChains(deployment || {})])];
+  const states = {};
+  for (const chain of chains) {
+    states[chain] = await readChainState(chain, deployment, minBlocks[chain] || 0);
+  }
+  return states;
+}
+
+/**
+ * Vault, wrapper and token admin as they are right after the deploy phase
+ */
+function freshChainState(chain, signer, settings, vaultParams) {
+  const vault = placeholder(chain, "SherpaVault");
+  return {
+    vault: {
+      address: vault,
+      owner: signer,
+      pendingOwner: ZERO,
+      operator: ZERO,
+      cap: settings.cap,
+      isPrimaryChain: false,
+      primaryChainSelector: "0",
+      depositsEnabled: true,
+      allowIndependence: false,
+      decimals: vaultParams.decimals,
+      minimumSupply: vaultParams.minimumSupply,
+      stableWrapper: signer,
+      round: 1,
+      wrapperLocked: false,
+    },
+    wrapper: {
+      address: placeholder(chain, "SherpaUSD"),
+      owner: signer,
+      pendingOwner: ZERO,
+      operator: ZERO,
+      keeper: vault,
+      keeperLocked: false,
+    },
+    tokenAdmin: {
+      address: getChain(chain).tokenAdminRegistry,
+      administrator: ZERO,
+      pendingAdministrator: ZERO,
+      pool: ZERO,
+    },
+  };
+}
+
+// ===================================================================
+// PLAN
+// ===================================================================
+// Each phase adds its actions and updates ctx.state to what it will be once they are
+// sent, so later phases plan against the result (and new contracts show as placeholders).
+
+function addAction(ctx, phase, action) {
+  ctx.plan.actions.push({ phase, args: [], ...action });
+}
+
+function planDeploy(ctx) {
+  const { spec, state, signer } = ctx;
+  const missing = ctx.chains
+    .filter(chain => !state[chain].vault)
+    .sort((a, b) => Number(b === spec.primary) - Number(a === spec.primary));
+  if (missing.length === 0) {
+    return;
+  }
+
+  const live = Object.keys(state).filter(chain => state[chain].vault && state[chain].vault.round > 1);
+  if (live.length > 0) {
+    ctx.plan.blockers.push(
+      `${missing.join(", ")} not deployed, but ${live.join(", ")} ${live.length === 1 ? "is" : "are"} past round 1 - ` +
+      "add each with add-chain/addChain.js <chain> (syncs round history), then re-run"
+    );
+    return;
+  }
+
+  for (const chain of missing) {
+    const settings = spec.chains[chain];
+    const fresh = freshChainState(chain, signer, settings, spec.vaultParams);
+    addAction(ctx, "deploy", {
+      chain,
+      contract: "SherpaVault",
+      method: "deploy",
+      args: ["Staked Sherpa USD", "shUSD", signer, signer, {
+        decimals: spec.vaultParams.decimals,
+        minimumSupply: spec.vaultParams.minimumSupply,
+        cap: settings.cap,
+      }],
+      from: signer,
+      change: "new vault (temporary wrapper = deployer, replaced and locked in the contracts phase)",
+    });
+    addAction(ctx, "deploy", {
+      chain,
+      contract: "SherpaUSD",
+      method: "deploy",
+      args: [getChain(chain).usdc, fresh.vault.address],
+      from: signer,
+      change: "new wrapper (keeper = vault)",
+    });
+    Object.assign(state[chain], fresh);
+  }
+}
+
+function planContracts(ctx) {
+  const { spec, state } = ctx;
+  const primarySelector = getChain(spec.primary).chainSelector;
+
+  for (const chain of ctx.chains) {
+    const { vault, wrapper, pool } = state[chain];
+    const settings = spec.chains[chain];
+    if (!vault) {
+      continue;
+    }
+    const vaultCall = (method, args, change) => addAction(ctx, "contracts", {
+      chain, contract: "SherpaVault", address: vault.address, method, args, from: vault.owner, change,
+    });
+    const wrapperCall = (method, args, change) => addAction(ctx, "contracts", {
+      chain, contract: "SherpaUSD", address: wrapper.address, method, args, from: wrapper.owner, change,
+    });
+
+    if (!vault.wrapperLocked) {
+      vaultCall("setStableWrapper", [wrapper.address], `stableWrapper ${describeChange(vault.stableWrapper, wrapper.address)} (locks)`);
+      vault.stableWrapper = wrapper.address;
+      vault.wrapperLocked = true;
+    } else if (!sameAddress(vault.stableWrapper, wrapper.address)) {
+      ctx.plan.blockers.push(`${chain}: vault wrapper is locked to ${vault.stableWrapper}, not ${wrapper.address} - redeploy the chain`);
+    }
+
+    if (!wrapper.keeperLocked) {
+      wrapperCall("setKeeper", [vault.address], `keeper ${describeChange(wrapper.keeper, vault.address)} (locks)`);
+      wrapper.keeper = vault.address;
+      wrapper.keeperLocked = true;
+    } else if (!sameAddress(wrapper.keeper, vault.address)) {
+      ctx.plan.blockers.push(`${chain}: SherpaUSD keeper is locked to ${wrapper.keeper}, not ${vault.address} - redeploy the chain`);
+    }
+
+    if (vault.isPrimaryChain !== settings.isPrimary || vault.primaryChainSelector !== primarySelector) {
+      vaultCall("setPrimaryChain", [primarySelector, settings.isPrimary],
+        `${vault.isPrimaryChain ? "primary" : "secondary"} (selector ${vault.primaryChainSelector}) → ` +
+        `${settings.isPrimary ? "primary" : "secondary"} (selector ${primarySelector})`);
+      vault.isPrimaryChain = settings.isPrimary;
+      vault.primaryChainSelector = primarySelector;
+    }
+
+    if (vault.cap !== settings.cap) {
+      vaultCall("setCap", [settings.cap], `cap ${vault.cap} → ${settings.cap}`);
+      vault.cap = settings.cap;
+    }
+
+    if (vault.allowIndependence !== settings.allowIndependence) {
+      vaultCall("setAllowIndependence", [settings.allowIndependence],
+        `allowIndependence ${vault.allowIndependence} → ${settings.allowIndependence}`);
+      vault.allowIndependence = settings.allowIndependence;
+    }
+
+    if (settings.operator !== null) {
+      if (!sameAddress(vault.operator, settings.operator)) {
+        vaultCall("setOperator", [settings.operator], `operator ${vault.operator} → ${settings.operator}`);
+        vault.operator = settings.operator;
+      }
+      if (!sameAddress(wrapper.operator, settings.operator)) {
+        wrapperCall("setOperator", [settings.operator], `operator ${wrapper.operator} → ${settings.operator}`);
+        wrapper.operator = settings.operator;
+      }
+    }
+
+    // No deposits into a vault that cannot bridge yet (the deposits phase turns them on)
+    if (vault.depositsEnabled && !pool?.authorized) {
+      vaultCall("setDepositsEnabled", [false], "deposits enabled → disabled (until the pool is authorized)");
+      vault.depositsEnabled = false;
+    }
+  }
+}
+
+function planPools(ctx) {
+  const { state, signer } = ctx;
+
+  for (const chain of ctx.chains) {
+    const chainState = state[chain];
+    const { vault, tokenAdmin } = chainState;
+    if (!vault) {
+      continue;
+    }
+    const config = getChain(chain);
+
+    if (!chainState.pool) {
+      const address = placeholder(chain, "Pool");
+      addAction(ctx, "pools", {
+        chain,
+        contract: "Pool",
+        method: "deploy",
+        args: [vault.address, 6, [], config.rmnProxy, config.ccipRouter],
+        from: signer,
+        change: `new ${POOL_TYPE}`,
+      });
+      chainState.pool = { address, owner: signer, authorized: false, routes: {} };
+    } else if (chainState.adoptedPool) {
+      ctx.plan.notes.push(`${chain}: pool ${chainState.pool.address} (Token Admin Registry) is not in deployment.json - recorded on apply`);
+    }
+    const pool = chainState.pool;
+
+    if (!sameAddress(tokenAdmin.pool, pool.address)) {
+      if (tokenAdmin.administrator === ZERO) {
+        if (tokenAdmin.pendingAdministrator === ZERO) {
+          addAction(ctx, "pools", {
+            chain, contract: "RegistryModule", address: config.registryModule, method: "registerAdminViaOwner",
+            args: [vault.address], from: vault.owner, change: `pending token admin → ${vault.owner}`,
+          });
+          tokenAdmin.pendingAdministrator = vault.owner;
+        }
+        addAction(ctx, "pools", {
+          chain, contract: "TokenAdminRegistry", address: tokenAdmin.address, method: "acceptAdminRole",
+          args: [vault.address], from: tokenAdmin.pendingAdministrator, change: `token admin → ${tokenAdmin.pendingAdministrator}`,
+        });
+        tokenAdmin.administrator = tokenAdmin.pendingAdministrator;
+        tokenAdmin.pendingAdministrator = ZERO;
+      }
+      addAction(ctx, "pools", {
+        chain, contract: "TokenAdminRegistry", address: tokenAdmin.address, method: "setPool",
+        args: [vault.address, pool.address], from: tokenAdmin.administrator, change: `registered pool ${tokenAdmin.pool} → ${pool.address}`,
+      });
+      tokenAdmin.pool = pool.address;
+    }
+
+    if (!pool.authorized) {
+      addAction(ctx, "pools", {
+        chain, contract: "SherpaVault", address: vault.address, method: "addCCIPPool",
+        args: [pool.address], from: vault.owner, change: "pool authorized to mint/burn shUSD",
+      });
+      pool.authorized = true;
+    }
+  }
+}
+
+function planRoutes(ctx) {
+  const { spec, state } = ctx;
+
+  for (const chain of ctx.chains) {
+    const { pool } = state[chain];
+    if (!pool) {
+      continue;
+    }
+    const { rateLimits } = spec.chains[chain];
+    const removes = [];
+    const adds = [];
+    const changes = [];
+
+    for (const remote of ctx.chains.filter(name => name !== chain && state[name].pool)) {
+      const remoteState = state[remote];
+      const route = pool.routes[remoteState.selector];
+      const update = chainUpdate(remoteState.selector, remoteState.pool.address, remoteState.vault.address, rateLimits);
+
+      if (!spec.routes.has(`${chain}>${remote}`)) {
+        if (route) {
+          removes.push(remoteState.selector);
+          changes.push(`remove → ${remote}`);
+        }
+      } else if (!route) {
+        adds.push(update);
+        changes.push(`add → ${remote}`);
+      } else if (!route.remotePools.some(address => sameAddress(address, remoteState.pool.address)) ||
+                 !sameAddress(route.remoteToken, remoteState.vault.address)) {
+        removes.push(remoteState.selector);
+        adds.push(update);
+        changes.push(`re-add → ${remote} (pool ${route.remotePools.join("/")}, token ${route.remoteToken})`);
+      } else if (!sameLimiter(route.outbound, rateLimits.outbound) || !sameLimiter(route.inbound, rateLimits.inbound)) {
+        addAction(ctx, "routes", {
+          chain, contract: "Pool", address: pool.address, method: "setChainRateLimiterConfig",
+          args: [remoteState.selector, rateLimits.outbound, rateLimits.inbound], from: pool.owner,
+          change: `→ ${remote} outbound ${formatLimiter(route.outbound)} → ${formatLimiter(rateLimits.outbound)}, ` +
+                  `inbound ${formatLimiter(route.inbound)} → ${formatLimiter(rateLimits.inbound)}`,
+        });
+        route.outbound = rateLimits.outbound;
+        route.inbound = rateLimits.inbound;
+      }
+    }
+
+    if (removes.length > 0 || adds.length > 0) {
+      addAction(ctx, "routes", {
+        chain, contract: "Pool", address: pool.address, method: "applyChainUpdates",
+        args: [removes, adds], from: pool.owner, change: changes.join(", "),
+      });
+      removes.forEach(selector => delete pool.routes[selector]);
+      adds.forEach(({ remoteChainSelector }) => {
+        const remote = getChainBySelector(remoteChainSelector);
+        pool.routes[remoteChainSelector] = {
+          remotePools: [state[remote].pool.address],
+          remoteToken: state[remote].vault.address,
+          outbound: rateLimits.outbound,
+          inbound: rateLimits.inbound,
+        };
+      });
+    }
+
+    for (const selector of Object.keys(pool.routes)) {
+      const remote = getChainBySelector(selector);
+      if (!ctx.chains.includes(remote)) {
+        ctx.plan.warnings.push(`${chain}: pool routes to ${remote || `selector ${selector}`}, which is not in the spec - left as is`);
+      }
+    }
+  }
+}
+
+function planDeposits(ctx) {
+  const { spec, state } = ctx;
+
+  for (const chain of ctx.chains) {
+    const { vault, pool } = state[chain];
+    const { depositsEnabled } = spec.chains[chain];
+    if (!vault || vault.depositsEnabled === depositsEnabled) {
+      continue;
+    }
+    if (depositsEnabled && !pool?.authorized) {
+      ctx.plan.warnings.push(`${chain}: deposits stay disabled until the pool is authorized`);
+      continue;
+    }
+    addAction(ctx, "deposits", {
+      chain, contract: "SherpaVault", address: vault.address, method: "setDepositsEnabled",
+      args: [depositsEnabled], from: vault.owner,
+      change: `deposits ${vault.depositsEnabled ? "enabled" : "disabled"} → ${depositsEnabled ? "enabled" : "disabled"}`,
+    });
+    vault.depositsEnabled = depositsEnabled;
+  }
+}
+
+function planOwnership(ctx) {
+  const { spec, state } = ctx;
+
+  for (const chain of ctx.chains) {
+    const { owner } = spec.chains[chain];
+    if (owner === null || !state[chain].vault) {
+      continue;
+    }
+    for (const [contract, info] of [["SherpaVault", state[chain].vault], ["SherpaUSD", state[chain].wrapper]]) {
+      if (sameAddress(info.owner, owner)) {
+        continue;
+      }
+      if (sameAddress(info.pendingOwner, owner)) {
+        ctx.plan.notes.push(`${chain}: ${contract} ownership transfer to ${owner} awaits acceptOwnership()`);
+        continue;
+      }
+      addAction(ctx, "ownership", {
+        chain, contract, address: info.address, method: "transferOwnership",
+        args: [owner], from: info.owner, change: `owner ${info.owner} → ${owner} (pending until acceptOwnership())`,
+      });
+      info.pendingOwner = owner;
+    }
+  }
+}
+
+/**
+ * Diff the spec against on-chain state
+ *
+ * @param {Object} params - { spec, deployment, states: readState(), signer }
+ * @returns {{actions: Object[], blockers: string[], warnings: string[], notes: string[]}}
+ */
+function buildPlan({ spec, deployment, states, signer }) {
+  const plan = { actions: [], blockers: [], warnings: [], notes: [] };
+  const ctx = { spec, signer, plan, chains: Object.keys(spec.chains), state: JSON.parse(JSON.stringify(states)) };
+
+  if (deployment) {
+    const deployed = getDeploymentChains(deployment);
+    const deployedPrimary = deployed.find(chain => deployment[chain].isPrimary);
+    if (deployedPrimary && deployedPrimary !== spec.primary) {
+      plan.blockers.push(`Spec primary is ${spec.primary}, deployment.json primary is ${deployedPrimary} - changing the primary chain is not supported`);
+    }
+    deployed
+      .filter(chain => !ctx.chains.includes(chain))
+      .forEach(chain => plan.warnings.push(`${chain} is deployed but not in the spec - left as is (retire it with sunsetChain.js ${chain})`));
+  }
+
+  for (const phase of PHASES) {
+    phase.plan(ctx);
+  }
+
+  for (const action of plan.actions) {
+    if (!sameAddress(action.from, signer)) {
+      plan.blockers.push(`${action.chain}: ${action.contract}.${action.method}() must be sent by ${action.from} (signer is ${signer})`);
+    }
+  }
+  const { active } = loadJournal();
+  if (active && plan.actions.length > 0) {
+    plan.blockers.push(`Roll of round ${active.round} is in progress - finish it (rollRound-allChains.js) first`);
+  }
+  return plan;
+}
+
+function describeAction(action) {
+  const args = action.args.map(formatArg).join(", ");
+  return action.method === "deploy"
+    ? `new ${action.contract === "Pool" ? "BurnFromMintTokenPool" : action.contract}(${args})`
+    : `${action.contract}(${action.address}).${action.method}(${args})`;
+}
+
+function printPlan(plan) {
+  for (const phase of PHASES) {
+    const actions = plan.actions.filter(action => action.phase === phase.key);
+    if (actions.length === 0) {
+      continue;
+    }
+    console.log(`📍 ${phase.title} (${actions.length})`);
+    console.log("-".repeat(70));
+    for (const action of actions) {
+      console.log(`  [${action.chain}] ${describeAction(action)}`);
+      console.log(`      ${action.change}`);
+    }
+    console.log();
+  }
+
+  plan.notes.forEach(note => console.log(`ℹ️  ${note}`));
+  plan.warnings.forEach(warning => console.log(`⚠️  ${warning}`));
+  plan.blockers.forEach(blocker => console.log(`❌ ${blocker}`));
+  if (plan.notes.length + plan.warnings.length + plan.blockers.length > 0) {
+    console.log();
+  }
+
+  if (plan.blockers.length > 0) {
+    console.log(`❌ ${plan.blockers.length} blocker(s) - apply is refused until they are resolved`);
+  } else if (plan.actions.length === 0) {
+    console.log("✅ No changes - on-chain state matches the spec");
+  } else {
+    console.log(`📋 ${plan.actions.length} transaction(s) to reach the spec`);
+  }
+}
+
+// ===================================================================
+// APPLY
+// ===================================================================
+
+/**
+ * Write (or create) a chain's deployment.json entry
+ */
+function recordChain(ctx, chain, fields, reason) {
+  const config = getChain(chain);
+  const deployment = ctx.deployment || {
+    timestamp: new Date().toISOString(),
+    deployer: ctx.signer,
+    vaultParams: { ...ctx.spec.vaultParams, cap: ctx.spec.chains[ctx.spec.primary].cap },
+    status: "vaults-and-wrappers-deployed",
+  };
+  deployment[chain] = deployment[chain] || {
+    chainId: config.chainId,
+    chainSelector: config.chainSelector,
+    vault: null,
+    sherpaUSD: null,
+    mockUSDC: ethers.utils.getAddress(config.usdc),
+    ccipRouter: ethers.utils.getAddress(config.ccipRouter),
+    isPrimary: chain === ctx.spec.primary,
+  };
+  Object.assign(deployment[chain], fields);
+
+  const { revision } = saveDeployment(deployment, { script: "deploymentPlan.js", reason });
+  ctx.deployment = loadDeployment();
+  console.log(`    ✅ deployment.json updated (revision ${revision})`);
+}
+
+async function deployContract(ctx, action) {
+  const artifact = readArtifact(ARTIFACTS[action.contract]);
+  const deployed = ctx.deployed[action.chain] || {};
+  const args = action.args.map(arg => (isPlaceholder(arg) ? deployed.vault : arg));
+
+  const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, ctx.wallets[action.chain]);
+  const manager = getTxManager(action.chain, ctx.wallets[action.chain]);
+  const label = describeAction(action).split("(")[0];
+  let address;
+  const { receipt } = await sendAndConfirm(action.chain, async () => {
+    const tx = await manager.sendDeploy(factory, args, { label });
+    address = tx.contractAddress;
+    return tx;
+  }, {
+    label,
+    confirmState: async ({ blockNumber }) => (await queryWithConsensus(
+      action.chain,
+      provider => provider.getCode(address),
+      { requireMajority: true, minBlock: blockNumber, log: () => {} }
+    )) !== "0x",
+  });
+  ctx.minBlocks[action.chain] = Math.max(ctx.minBlocks[action.chain] || 0, receipt.blockNumber);
+  console.log(`    ✅ ${address}`);
+
+  if (action.contract === "SherpaVault") {
+    ctx.deployed[action.chain] = { vault: address };
+  } else if (action.contract === "SherpaUSD") {
+    recordChain(ctx, action.chain, { vault: deployed.vault, sherpaUSD: address }, `Deployed ${action.chain} vault and wrapper (spec)`);
+  } else {
+    recordChain(ctx, action.chain, { ccipPool: address, poolType: POOL_TYPE }, `Deployed ${action.chain} CCIP pool (spec)`);
+  }
+}
+
+async function executeAction(ctx, action) {
+  if (action.method === "deploy") {
+    return deployContract(ctx, action);
+  }
+  if (JSON.stringify(action.args).includes("<new ")) {
+    throw new Error(`${action.chain}: ${action.contract}.${action.method}() still refers to a contract that is not deployed`);
+  }
+
+  const contract = new ethers.Contract(action.address, ABIS[action.contract], ctx.wallets[action.chain]);
+  const manager = getTxManager(action.chain, ctx.wallets[action.chain]);
+  const { receipt } = await sendAndConfirm(action.chain, () => manager.sendCall(contract, action.method, action.args), {
+    label: `${action.contract}.${action.method}()`,
+  });
+  ctx.minBlocks[action.chain] = Math.max(ctx.minBlocks[action.chain] || 0, receipt.blockNumber);
+}
+
+/**
+ * Record pools that are registered in the Token Admin Registry but missing from deployment.json
+ */
+function recordAdoptedPools(ctx, states) {
+  for (const chain of Object.keys(ctx.spec.chains)) {
+    if (states[chain].adoptedPool) {
+      recordChain(ctx, chain, { ccipPool: states[chain].pool.address, poolType: POOL_TYPE }, `Recorded ${chain} CCIP pool (Token Admin Registry)`);
+    }
+  }
+}
+
+async function apply(ctx, { yes }) {
+  if (!process.env.PRIVATE_KEY) {
+    throw new Error("Missing PRIVATE_KEY in .env");
+  }
+
+  const initial = await readState(ctx.spec, ctx.deployment);
+  let plan = buildPlan({ ...ctx, states: initial });
+  printPlan(plan);
+  console.log();
+  if (plan.blockers.length > 0) {
+    throw new Error(`${plan.blockers.length} blocker(s) - resolve them and re-run`);
+  }
+  if (plan.actions.length === 0) {
+    recordAdoptedPools(ctx, initial);
+    return;
+  }
+  if (!yes && !(await confirm(`Send ${plan.actions.length} transaction(s)?`))) {
+    console.log("Aborted - nothing sent");
+    return;
+  }
+  assertWriteAllowed("Apply deployments/spec.json");
+
+  ctx.wallets = Object.fromEntries(Object.keys(ctx.spec.chains).map(chain => [chain, getWallet(chain, process.env.PRIVATE_KEY)]));
+  ctx.minBlocks = {};
+  ctx.deployed = {};
+  const sent = plan.actions.length;
+
+  for (const phase of PHASES) {
+    // Re-read and re-plan: only what still differs is sent
+    const states = await readState(ctx.spec, ctx.deployment, ctx.minBlocks);
+    recordAdoptedPools(ctx, states);
+    plan = buildPlan({ ...ctx, states });
+    if (plan.blockers.length > 0) {
+      plan.blockers.forEach(blocker => console.log(`❌ ${blocker}`));
+      throw new Error(`${plan.blockers.length} blocker(s) before the ${phase.key} phase - resolve them and re-run`);
+    }
+    const earlier = plan.actions.filter(action => PHASES.findIndex(p => p.key === action.phase) < PHASES.indexOf(phase));
+    if (earlier.length > 0) {
+      throw new Error(`${earlier.length} change(s) from earlier phases are still pending (${earlier.map(a => `${a.chain} ${a.method}`).join(", ")}) - re-run`);
+    }
+
+    const actions = plan.actions.filter(action => action.phase === phase.key);
+    if (actions.length === 0) {
+      continue;
+    }
+    console.log(`📍 ${phase.title}`);
+    console.log("-".repeat(70));
+    for (const action of actions) {
+      console.log(`  [${action.chain}] ${action.change}`);
+      await executeAction(ctx, action);
+    }
+    console.log();
+  }
+
+  console.log("📍 VERIFYING");
+  console.log("-".repeat(70));
+  plan = buildPlan({ ...ctx, states: await readState(ctx.spec, ctx.deployment, ctx.minBlocks) });
+  if (plan.actions.length > 0) {
+    printPlan(plan);
+    throw new Error(`${plan.actions.length} change(s) still pending after apply - re-run`);
+  }
+  plan.notes.forEach(note => console.log(`ℹ️  ${note}`));
+  console.log(`✅ On-chain state matches the spec (${sent} transaction(s) planned)`);
+
+  if (ctx.deployment && ctx.deployment.status !== "deployed-and-operational") {
+    const deployment = { ...ctx.deployment, status: "deployed-and-operational", notes: "✅ Matches deployments/spec.json (deploymentPlan.js apply)." };
+    const { revision } = saveDeployment(deployment, { script: "deploymentPlan.js", reason: "Deployment matches the spec" });
+    console.log(`✅ deployment.json status updated (revision ${revision})`);
+  }
+}
+
+/**
+ * Write the plan as Safe Transaction Builder batches (one per chain, phase order) instead of sending it
+ */
+function writePlanBatches(ctx, plan) {
+  const transactions = {};
+  for (const action of plan.actions) {
+    const contract = new ethers.Contract(action.address, ABIS[action.contract]);
+    transactions[action.chain] = transactions[action.chain] || [];
+    transactions[action.chain].push(safeTransaction(contract, action.method, action.args));
+  }
+  printSafeBatches(writeSafeBatches({
+    safe: ctx.signer,
+    label: "deployment-plan",
+    description: `Reach ${path.basename(ctx.spec.path)} (deploymentPlan.js apply)`,
+    transactions,
+  }));
+}
+
+async function applyAsSafe(ctx) {
+  const states = await readState(ctx.spec, ctx.deployment);
+  const plan = buildPlan({ ...ctx, states });
+  const deploys = plan.actions.filter(action => action.method === "deploy");
+  if (deploys.length > 0) {
+    plan.blockers.push(`${deploys.length} contract deployment(s) cannot go through a Safe - run apply with PRIVATE_KEY first`);
+  }
+  printPlan(plan);
+  console.log();
+  if (plan.blockers.length > 0) {
+    throw new Error(`${plan.blockers.length} blocker(s) - resolve them and re-run`);
+  }
+  recordAdoptedPools(ctx, states);
+  writePlanBatches(ctx, plan);
+}
+
+// ===================================================================
+// MAIN
+// ===================================================================
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2), { flags: ["yes"], options: ["spec", "safe-batch"] });
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    printUsage();
+    process.exit(1);
+  }
+  const [command] = args.positional;
+  if (!["plan", "apply"].includes(command)) {
+    printUsage();
+    process.exit(1);
+  }
+
+  const spec = loadSpec({ path: args.options.spec });
+  const deployment = fs.existsSync(DEPLOYMENT_PATH) ? loadDeployment() : null;
+  const safe = args.options["safe-batch"] ? parseSafeAddress(args.options["safe-batch"]) : null;
+  const signer = safe || signerAddress(deployment);
+
+  console.log("=".repeat(70));
+  console.log(`🗺️  DEPLOYMENT ${command.toUpperCase()}`);
+  console.log("=".repeat(70));
+  console.log();
+  console.log(`Spec: ${path.relative(process.cwd(), spec.path)}`);
+  console.log(`Deployment: ${deployment ? `revision ${deployment.revision}` : "none yet"}`);
+  console.log(`Chains: ${Object.keys(spec.chains).join(", ")} (primary ${spec.primary})`);
+  if (safe) {
+    console.log(`Signer: ${signer} (Safe - apply writes Transaction Builder batches)`);
+  } else {
+    console.log(`Signer: ${signer}${process.env.PRIVATE_KEY ? "" : " (deployer from deployment.json - no PRIVATE_KEY)"}`);
+  }
+  console.log();
+
+  const ctx = { spec, deployment, signer };
+  if (command === "plan") {
+    printPlan(buildPlan({ ...ctx, states: await readState(spec, deployment) }));
+  } else if (safe) {
+    await applyAsSafe(ctx);
+  } else {
+    await apply(ctx, { yes: args.flags.yes });
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("\n❌ DEPLOYMENT PLAN FAILED:");
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  ABIS,
+  readState,
+  buildPlan,
+  printPlan,
+  sameAddress,
+  sameLimiter,
+  formatLimiter,
+};
@@ -0,0 +1,144 @@
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("../utils/cliArgs");
+const {
+  DEPLOYMENT_PATH,
+  SCHEMA_VERSION,
+  validateDeployment,
+  migrateDeployment,
+  saveDeployment,
+  diffDeployments,
+  listRevisions,
+  loadRevision,
+} = require("../utils/deploymentStore");
+
+/**
+ * Deployment Revisions
+ *
+ * Inspect and maintain deployments/deployment.json through the deployment store.
+ *
+ * Usage:
+ *   node scripts/system-deployment/deploymentRevisions.js validate            # Check deployment.json against the schema
+ *   node scripts/system-deployment/deploymentRevisions.js log                 # List revisions (script, reason, fields changed)
+ *   node scripts/system-deployment/deploymentRevisions.js diff <rev> [rev]    # Field diff between two revisions (default: vs current)
+ *   node scripts/system-deployment/deploymentRevisions.js migrate [--reason "..."]  # Persist schema migrations
+ */
+
+function readCurrent() {
+  return JSON.parse(fs.readFileSync(DEPLOYMENT_PATH, "utf8"));
+}
+
+function loadVersion(ref) {
+  if (ref === undefined || ref === "current") {
+    return { label: "current", deployment: readCurrent() };
+  }
+  if (!/^[0-9]+$/.test(ref)) {
+    throw new Error(`Invalid revision "${ref}" (expected a number or "current")`);
+  }
+  return { label: `r${ref}`, deployment: loadRevision(Number(ref)) };
+}
+
+function formatValue(value) {
+  return value === undefined ? "(unset)" : JSON.stringify(value);
+}
+
+function validate() {
+  const { deployment, applied } = migrateDeployment(readCurrent());
+  if (applied.length > 0) {
+    console.log(`⚠️  Stored file needs migration to v${SCHEMA_VERSION} (run: migrate). Validating the migrated form.`);
+  }
+  const errors = validateDeployment(deployment);
+  if (errors.length > 0) {
+    console.log(`❌ deployment.json is invalid (${errors.length} problems):`);
+    errors.forEach(error => console.log(`  - ${error}`));
+    return false;
+  }
+  console.log(`✅ deployment.json is valid (schema v${SCHEMA_VERSION}, revision ${deployment.revision})`);
+  return true;
+}
+
+function log() {
+  const revisions = listRevisions();
+  if (revisions.length === 0) {
+    console.log("No saved revisions yet (deployments/history/ is empty).");
+    return;
+  }
+  for (const { revision, entry } of revisions) {
+    if (!entry) {
+      console.log(`r${revision}  (baseline, no history entry)`);
+      continue;
+    }
+    console.log(`r${revision}  ${entry.timestamp}  ${entry.script}`);
+    console.log(`     ${entry.reason}`);
+    console.log(`     ${entry.changes.length} field(s): ${entry.changes.map(change => change.field).join(", ")}`);
+  }
+}
+
+function diff(refA, refB) {
+  if (refA === undefined) {
+    throw new Error("Usage: deploymentRevisions.js diff <rev> [rev|current]");
+  }
+  const a = loadVersion(refA);
+  const b = loadVersion(refB);
+  const changes = diffDeployments(a.deployment, b.deployment);
+
+  console.log(`Diff ${a.label} → ${b.label}: ${changes.length} field(s) changed`);
+  console.log("-".repeat(70));
+  for (const change of changes) {
+    console.log(`  ${change.field}`);
+    console.log(`    - ${formatValue(change.from)}`);
+    console.log(`    + ${formatValue(change.to)}`);
+  }
+}
+
+function migrate(reason) {
+  const { deployment, applied } = migrateDeployment(readCurrent());
+  if (applied.length === 0) {
+    console.log(`✅ Already at schema v${SCHEMA_VERSION}, nothing to migrate`);
+    return;
+  }
+  applied.forEach(migration => console.log(`  → v${migration.version}: ${migration.description}`));
+
+  const { revision, changes } = saveDeployment(deployment, {
+    script: "deploymentRevisions.js migrate",
+    reason: reason || `Schema migration to v${SCHEMA_VERSION}`,
+  });
+  console.log(`✅ deployment.json migrated to v${SCHEMA_VERSION} (revision ${revision}, ${changes.length} field(s) changed)`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2), { options: ["reason"] });
+  const [command, ...rest] = args.positional;
+
+  console.log("=".repeat(70));
+  console.log("🗂️  DEPLOYMENT REVISIONS");
+  console.log("=".repeat(70));
+  console.log();
+
+  switch (command) {
+    case "validate":
+      if (!validate()) process.exitCode = 1;
+      break;
+    case "log":
+      log();
+      break;
+    case "diff":
+      diff(rest[0], rest[1]);
+      break;
+    case "migrate":
+      migrate(args.options.reason);
+      break;
+    default:
+      console.error("Usage: node scripts/system-deployment/deploymentRevisions.js <validate|log|diff|migrate>");
+      console.error(`  Deployment file: ${path.relative(process.cwd(), DEPLOYMENT_PATH)}`);
+      process.exitCode = 1;
+  }
+}
+
+main()
+  .then(() => process.exit(process.exitCode || 0))
+  .catch((error) => {
+    console.error("\n❌ DEPLOYMENT REVISIONS FAILED:");
+    console.error(error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,254 @@
+const { ethers } = require("ethers");
+const fs = require("fs");
+const path = require("path");
+const { getChain, getChainBySelector } = require("../utils/chainRegistry");
+const { DEPLOYMENT_PATH, loadDeployment, getDeploymentChains } = require("../utils/deploymentStore");
+const { loadSpec } = require("../utils/deploymentSpec");
+const { parseArgs } = require("../utils/cliArgs");
+const { readState, sameAddress, sameLimiter, formatLimiter } = require("./deploymentPlan");
+require("dotenv").config();
+
+/**
+ * Configuration Drift Check
+ *
+ * Compares every on-chain configuration value on every chain (consensus reads) with the
+ * committed spec (deployments/spec.json) and deployment.json:
+ *   - deployment.json: spec chains that are not deployed, deployed chains not in the spec
+ *   - SherpaVault: owner, pending ownership transfer, operator, cap, depositsEnabled,
+ *     allowIndependence, vaultParams (decimals, minimumSupply), primary role, stableWrapper
+ *     (and its lock), pool authorization
+ *   - SherpaUSD: owner, pending ownership transfer, operator, keeper (and its lock)
+ *   - Token Admin Registry: registered pool
+ *   - CCIP pool: missing and unexpected routes, remote pool and token of every route,
+ *     outbound / inbound rate limits
+ * Settings the spec leaves null (owner, operator) cannot be checked: they are listed as
+ * unpinned with a warning. With --strict they fail the check like drift - schedule it
+ * that way once the spec pins them.
+ *
+ * Prints a spec / on-chain diff per chain and exits with code 1 if anything drifted (or,
+ * with --strict, is unpinned), so it can run from cron. Bring the chain back with
+ * deploymentPlan.js apply, or change the spec if the change was intended.
+ *
+ * Usage:
+ *   node scripts/system-deployment/driftCheck.js [--spec <file>] [--json] [--strict]
+ *
+ * Options:
+ *   --spec: Spec file (default deployments/spec.json)
+ *   --json: Print the drift as JSON ({ drift: [...], unchecked: [...] }) instead of the report
+ *   --strict: Also exit with code 1 on owner / operator the spec does not pin
+ */
+
+const ZERO = ethers.constants.AddressZero;
+
+function printUsage() {
+  console.error("Usage: node scripts/system-deployment/driftCheck.js [--spec <file>] [--json] [--strict]");
+  console.error("");
+  console.error("  --spec: Spec file (default deployments/spec.json)");
+  console.error("  --json: Print the drift as JSON");
+  console.error("  --strict: Also fail on owner / operator the spec does not pin");
+}
+
+/**
+ * Every configuration value that differs from the spec
+ *
+ * @param {Object} spec - loadSpec()
+ * @param {Object} deployment - loadDeployment()
+ * @param {Object} states - readState() of deploymentPlan.js
+ * @returns {{drift: Object[], unchecked: string[]}} drift: [{ chain, field, expected, actual }]
+ */
+function findDrift(spec, deployment, states) {
+  const drift = [];
+  const unchecked = [];
+  const chains = Object.keys(spec.chains);
+  const primarySelector = getChain(spec.primary).chainSelector;
+
+  const report = (chain, field, expected, actual) => drift.push({ chain, field, expected: String(expected), actual: String(actual) });
+  const check = (chain, field, expected, actual) => {
+    if (String(expected) !== String(actual)) {
+      report(chain, field, expected, actual);
+    }
+  };
+  const checkAddress = (chain, field, expected, actual) => {
+    if (!sameAddress(expected, actual)) {
+      report(chain, field, expected, actual);
+    }
+  };
+
+  getDeploymentChains(deployment)
+    .filter(chain => !chains.includes(chain))
+    .forEach(chain => report(chain, "deployment.json", "not in the spec", "deployed"));
+
+  for (const chain of chains) {
+    const settings = spec.chains[chain];
+    const { vault, wrapper, tokenAdmin, pool } = states[chain];
+    if (!vault) {
+      report(chain, "deployment.json", "deployed", "missing");
+      continue;
+    }
+
+    // Ownership and operator (vault and wrapper)
+    for (const [contract, info] of [["SherpaVault", vault], ["SherpaUSD", wrapper]]) {
+      if (settings.owner !== null) {
+        checkAddress(chain, `${contract}.owner`, settings.owner, info.owner);
+      }
+      checkAddress(chain, `${contract}.pendingOwner`, ZERO, info.pendingOwner);
+      if (settings.operator !== null) {
+        checkAddress(chain, `${contract}.operator`, settings.operator, info.operator);
+      }
+    }
+    ["owner", "operator"]
+      .filter(setting => settings[setting] === null)
+      .forEach(setting => unchecked.push(`${chain}.${setting}`));
+
+    // Vault parameters
+    check(chain, "SherpaVault.cap", settings.cap, vault.cap);
+    check(chain, "SherpaVault.depositsEnabled", settings.depositsEnabled, vault.depositsEnabled);
+    check(chain, "SherpaVault.allowIndependence", settings.allowIndependence, vault.allowIndependence);
+    check(chain, "SherpaVault.vaultParams.decimals", spec.vaultParams.decimals, vault.decimals);
+    check(chain, "SherpaVault.vaultParams.minimumSupply", spec.vaultParams.minimumSupply, vault.minimumSupply);
+    check(chain, "SherpaVault.isPrimaryChain", settings.isPrimary, vault.isPrimaryChain);
+    check(chain, "SherpaVault.primaryChainSelector", primarySelector, vault.primaryChainSelector);
+
+    // Wrapper / keeper wiring
+    checkAddress(chain, "SherpaVault.stableWrapper", wrapper.address, vault.stableWrapper);
+    check(chain, "SherpaVault.stableWrapper locked", true, vault.wrapperLocked);
+    checkAddress(chain, "SherpaUSD.keeper", vault.address, wrapper.keeper);
+    check(chain, "SherpaUSD.keeper locked", true, wrapper.keeperLocked);
+
+    // CCIP pool registration
+    const recordedPool = deployment[chain].ccipPool;
+    if (!pool) {
+      report(chain, "Pool", "deployed", "missing");
+      continue;
+    }
+    check(chain, "deployment.json ccipPool", pool.address, recordedPool || "(unset)");
+    checkAddress(chain, "TokenAdminRegistry.getPool", pool.address, tokenAdmin.pool);
+    check(chain, "SherpaVault.ccipPools(pool)", true, pool.authorized);
+
+    // Routes
+    for (const remote of chains.filter(name => name !== chain)) {
+      const remoteState = states[remote];
+      const route = pool.routes[remoteState.selector];
+      const wanted = spec.routes.has(`${chain}>${remote}`);
+      const label = `Pool route → ${remote}`;
+
+      if (!route) {
+        if (wanted) {
+          report(chain, label, "configured", "missing");
+        }
+        continue;
+      }
+      if (!wanted) {
+        report(chain, label, "absent", "configured");
+        continue;
+      }
+      if (remoteState.pool && !route.remotePools.some(address => sameAddress(address, remoteState.pool.address))) {
+        report(chain, `${label} remote pool`, remoteState.pool.address, route.remotePools.join(", ") || "(none)");
+      }
+      if (remoteState.vault) {
+        checkAddress(chain, `${label} remote token`, remoteState.vault.address, route.remoteToken);
+      }
+      if (!sameLimiter(route.outbound, settings.rateLimits.outbound)) {
+        report(chain, `${label} outbound rate limit`, formatLimiter(settings.rateLimits.outbound), formatLimiter(route.outbound));
+      }
+      if (!sameLimiter(route.inbound, settings.rateLimits.inbound)) {
+        report(chain, `${label} inbound rate limit`, formatLimiter(settings.rateLimits.inbound), formatLimiter(route.inbound));
+      }
+    }
+    for (const selector of Object.keys(pool.routes)) {
+      const remote = getChainBySelector(selector);
+      if (!chains.includes(remote)) {
+        report(chain, `Pool route → ${remote || `selector ${selector}`}`, "absent", "configured");
+      }
+    }
+  }
+
+  return { drift, unchecked };
+}
+
+function printDrift({ drift, unchecked }, chains, strict) {
+  for (const chain of chains) {
+    const items = drift.filter(item => item.chain === chain);
+    console.log(`📍 ${chain.toUpperCase()}`);
+    console.log("-".repeat(70));
+    if (items.length === 0) {
+      console.log("  ✅ Matches the spec");
+    }
+    for (const item of items) {
+      console.log(`  ❌ ${item.field}`);
+      console.log(`       - ${item.expected}  (spec)`);
+      console.log(`       + ${item.actual}  (on-chain)`);
+    }
+    console.log();
+  }
+
+  if (unchecked.length > 0) {
+    console.log(`${strict ? "🚨" : "⚠️ "} Not pinned in the spec (unchecked): ${unchecked.join(", ")}`);
+    console.log("  Set owner / operator in the spec to the addresses that should hold them");
+    console.log();
+  }
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2), { flags: ["json", "strict"], options: ["spec"] });
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    printUsage();
+    process.exit(1);
+  }
+
+  const spec = loadSpec({ path: args.options.spec });
+  if (!fs.existsSync(DEPLOYMENT_PATH)) {
+    throw new Error(`${path.relative(process.cwd(), DEPLOYMENT_PATH)} not found - nothing is deployed to check`);
+  }
+  const deployment = loadDeployment();
+  const chains = [...new Set([...Object.keys(spec.chains), ...getDeploymentChains(deployment)])];
+
+  if (!args.flags.json) {
+    console.log("=".repeat(70));
+    console.log("🔍 CONFIGURATION DRIFT CHECK");
+    console.log("=".repeat(70));
+    console.log();
+    console.log(`Spec: ${path.relative(process.cwd(), spec.path)}`);
+    console.log(`Deployment: revision ${deployment.revision}`);
+    console.log(`Chains: ${chains.join(", ")}`);
+    console.log();
+  }
+
+  const result = findDrift(spec, deployment, await readState(spec, deployment));
+  const strict = args.flags.strict;
+
+  if (args.flags.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    printDrift(result, chains, strict);
+    if (result.drift.length === 0 && result.unchecked.length === 0) {
+      console.log("✅ NO DRIFT - on-chain configuration matches the spec");
+    } else if (result.drift.length === 0) {
+      console.log(`${strict ? "🚨" : "⚠️ "} NO DRIFT, BUT ${result.unchecked.length} SETTING(S) NOT PINNED IN THE SPEC`);
+    } else {
+      console.log(`🚨 ${result.drift.length} DRIFTED VALUE(S)`);
+      console.log("  Restore with: node scripts/system-deployment/deploymentPlan.js plan / apply");
+      console.log("  Or, if the change was intended, update the spec and commit it");
+    }
+  }
+  if (result.drift.length > 0 || (strict && result.unchecked.length > 0)) {
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("\n❌ DRIFT CHECK FAILED:");
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  findDrift,
+};
@@ -1,6 +1,12 @@
 const { ethers } = require("ethers");
 const fs = require("fs");
 const path = require("path");
+const { getChainNames, getRpcUrl, getRemoteChains } = require("../utils/chainRegistry");
+const { loadDeployment, saveDeployment } = require("../utils/deploymentStore");
+const { assertWriteAllowed } = require("../utils/environment");
+const { getTxManager } = require("../utils/txManager");
+const { parseArgs } = require("../utils/cliArgs");
+const { parseSafeAddress, safeTransaction, writeSafeBatches, printSafeBatches } = require("../utils/safeBatch");
 require("dotenv").config();
 
 /**
@@ -12,13 +18,30 @@ require("dotenv").config();
  * 3. Runs basic health checks
  * 4. Updates deployment.json status
  *
+ * With --safe-batch, step 1 is written as one Safe Transaction Builder batch per chain
+ * (deployments/safe-batches/) for the Safe that owns the vaults; nothing is sent and
+ * steps 2-4 are left for after the Safe executed the batches (run preFlightCheck.js).
+ *
  * Prerequisites:
  * - Vaults and wrappers deployed
  * - CCIP pools deployed and configured
  * - Cross-chain routing configured
+ *
+ * Usage:
+ *   node scripts/system-deployment/enableDepositsAllChains.js [--safe-batch <safe>]
  */
 
 async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2), { options: ["safe-batch"] });
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    console.error("Usage: node scripts/system-deployment/enableDepositsAllChains.js [--safe-batch <safe>]");
+    process.exit(1);
+  }
+  const safe = args.options["safe-batch"] ? parseSafeAddress(args.options["safe-batch"]) : null;
+
   console.log("=".repeat(70));
   console.log("🎉 ENABLING DEPOSITS & VERIFYING SYSTEM");
   console.log("=".repeat(70));
@@ -28,42 +51,37 @@ async function main() {
   // LOAD DEPLOYMENT & SETUP
   // ===================================================================
 
-  const deploymentPath = path.join(__dirname, "../../deployments/deployment.json");
-  const deployment = JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
+  const deployment = loadDeployment();
 
-  const chains = ["sepolia", "base", "arbitrum"];
+  const chains = getChainNames();
 
   // Verify deployment is ready
   for (const chain of chains) {
     if (!deployment[chain]?.vault) {
       throw new Error(`❌ Vault not found for ${chain}`);
     }
-    if (!deployment[chain]?.newCcipPool) {
+    if (!deployment[chain]?.ccipPool) {
       throw new Error(`❌ CCIP pool not found for ${chain}`);
     }
   }
 
-  // Setup wallets
-  const wallet = new ethers.Wallet("0x" + process.env.PRIVATE_KEY);
+  // Setup wallets (batch mode only reads - the Safe signs)
   const providers = {};
   const wallets = {};
-
-  const RPC_ENV_VARS = {
-    sepolia: "SEPOLIA_RPC_URL",
-    base: "BASE_SEPOLIA_RPC_URL",
-    arbitrum: "ARBITRUM_SEPOLIA_RPC_URL"
-  };
-
   for (const chain of chains) {
-    const rpcUrl = process.env[RPC_ENV_VARS[chain]];
-    if (!rpcUrl) {
-      throw new Error(`Missing ${RPC_ENV_VARS[chain]} in .env`);
-    }
-    providers[chain] = new ethers.providers.JsonRpcProvider(rpcUrl);
-    wallets[chain] = wallet.connect(providers[chain]);
+    providers[chain] = new ethers.providers.JsonRpcProvider(getRpcUrl(chain));
   }
 
-  console.log("Deployer:", wallet.address);
+  if (safe) {
+    console.log("Owner (Safe):", safe);
+  } else {
+    assertWriteAllowed("Enable deposits on all chains");
+    const wallet = new ethers.Wallet("0x" + process.env.PRIVATE_KEY);
+    for (const chain of chains) {
+      wallets[chain] = wallet.connect(providers[chain]);
+    }
+    console.log("Deployer:", wallet.address);
+  }
   console.log();
 
   // Load vault artifact
@@ -88,16 +106,46 @@ async function main() {
     vaults[chain] = new ethers.Contract(
       deployment[chain].vault,
       vaultArtifact.abi,
-      wallets[chain]
+      wallets[chain] || providers[chain]
     );
 
+    if (safe) {
+      continue;
+    }
+
     console.log(`Enabling ${chain} deposits...`);
-    const tx = await vaults[chain].setDepositsEnabled(true);
+    const tx = await getTxManager(chain, wallets[chain]).sendCall(vaults[chain], "setDepositsEnabled", [true]);
+    console.log(`  TX: ${tx.hash}`);
     await tx.wait();
     console.log(`  ✅ ${chain} deposits ENABLED`);
     console.log();
   }
 
+  if (safe) {
+    const transactions = {};
+    for (const chain of chains) {
+      if (await vaults[chain].depositsEnabled()) {
+        console.log(`  ✅ ${chain} deposits already enabled - skipped`);
+        continue;
+      }
+      transactions[chain] = [safeTransaction(vaults[chain], "setDepositsEnabled", [true])];
+      console.log(`  📦 ${chain}: setDepositsEnabled(true)`);
+    }
+    console.log();
+    printSafeBatches(writeSafeBatches({
+      safe,
+      label: "enable-deposits",
+      description: "Enable deposits on the vault",
+      transactions,
+    }));
+    console.log();
+    console.log("📋 NEXT STEPS:");
+    console.log("1. Propose, verify and execute the batches in the Safe");
+    console.log("2. Check the system: node scripts/system-deployment/preFlightCheck.js");
+    console.log();
+    return;
+  }
+
   // ===================================================================
   // STEP 2: VERIFY SYSTEM CONFIGURATION
   // ===================================================================
@@ -130,7 +178,7 @@ async function main() {
     console.log(`  Total Supply: ${ethers.utils.formatUnits(totalSupply, 6)} shUSD`);
 
     // Check CCIP pool authorization
-    const poolAuthorized = await vault.ccipPools(deployment[chain].newCcipPool);
+    const poolAuthorized = await vault.ccipPools(deployment[chain].ccipPool);
     console.log(`  CCIP Pool Authorized: ${poolAuthorized ? '✅ YES' : '❌ NO'}`);
 
     console.log();
@@ -155,17 +203,13 @@ async function main() {
     "function isSupportedChain(uint64 remoteChainSelector) external view returns (bool)"
   ];
 
-  const routingConfigs = {
-    sepolia: ["base", "arbitrum"],
-    base: ["sepolia", "arbitrum"],
-    arbitrum: ["sepolia", "base"]
-  };
+  const routingConfigs = Object.fromEntries(chains.map(chain => [chain, getRemoteChains(chain)]));
 
   const routeChecks = [];
 
   for (const [sourceChain, remoteChains] of Object.entries(routingConfigs)) {
     const pool = new ethers.Contract(
-      deployment[sourceChain].newCcipPool,
+      deployment[sourceChain].ccipPool,
       POOL_ABI,
       providers[sourceChain]
     );
@@ -190,8 +234,11 @@ async function main() {
   deployment.status = "deployed-and-operational";
   deployment.notes = "✅ Complete deployment: vaults, wrappers, CCIP pools configured. Deposits enabled. System ready for users.";
 
-  fs.writeFileSync(deploymentPath, JSON.stringify(deployment, null, 2));
-  console.log("✅ deployment.json status updated");
+  const { revision } = saveDeployment(deployment, {
+    script: "enableDepositsAllChains.js",
+    reason: "Deposits enabled on all chains",
+  });
+  console.log(`✅ deployment.json status updated (revision ${revision})`);
   console.log();
 
   // ===================================================================
@@ -238,7 +285,7 @@ async function main() {
     console.log(`${chain} (${deployment[chain].isPrimary ? 'PRIMARY' : 'SECONDARY'}):`);
     console.log(`  Vault (shUSD): ${deployment[chain].vault}`);
     console.log(`  Wrapper (sherpaUSD): ${deployment[chain].sherpaUSD}`);
-    console.log(`  CCIP Pool: ${deployment[chain].newCcipPool}`);
+    console.log(`  CCIP Pool: ${deployment[chain].ccipPool}`);
     console.log(`  Mock USDC: ${deployment[chain].mockUSDC}`);
     console.log();
   }
@@ -251,7 +298,7 @@ async function main() {
   console.log("📋 NEXT STEPS:");
   console.log();
   console.log("1. Roll to initial round (sets price to 1.0):");
-  console.log("   node scripts/core/rollAllChains-dynamic-with-consensus.js 0 true");
+  console.log("   node scripts/core/rollRound-allChains.js 0 true");
   console.log();
   console.log("2. Test deposit on each chain:");
   console.log("   node scripts/testing/singleUserDeposit-universalChain.js 1 sepolia 100");
@@ -1,6 +1,10 @@
 const { ethers } = require("ethers");
-const fs = require("fs");
-const path = require("path");
+const { getChainNames, getRpcUrl, getRemoteChains } = require("../utils/chainRegistry");
+const { loadDeployment } = require("../utils/deploymentStore");
+const { assertWriteAllowed } = require("../utils/environment");
+const { getTxManager } = require("../utils/txManager");
+const { parseArgs } = require("../utils/cliArgs");
+const { parseSafeAddress, safeTransaction, writeSafeBatches, printSafeBatches } = require("../utils/safeBatch");
 require("dotenv").config();
 
 /**
@@ -10,17 +14,31 @@ require("dotenv").config();
  * remote pool addresses properly set, which causes "Invalid source pool address"
  * errors in CCIP.
  *
+ * With --safe-batch, the remove and re-add calls of each broken pool are written as a
+ * Safe Transaction Builder batch per chain (deployments/safe-batches/) for the Safe
+ * that owns the pools instead of being sent; the Safe executes both in one transaction.
+ *
  * Usage:
- *   node scripts/system-deployment/fixPoolRoutes.js [chain]
+ *   node scripts/system-deployment/fixPoolRoutes.js [chain] [--safe-batch <safe>]
  *
  * Examples:
  *   node scripts/system-deployment/fixPoolRoutes.js base     # Fix Base pool only
  *   node scripts/system-deployment/fixPoolRoutes.js          # Fix all pools
+ *   node scripts/system-deployment/fixPoolRoutes.js --safe-batch 0xSafe...
  */
 
 async function main() {
-  const chainArg = process.argv[2];
-  const chainsToFix = chainArg ? [chainArg] : ["sepolia", "base", "arbitrum"];
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2), { options: ["safe-batch"] });
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    console.error("Usage: node scripts/system-deployment/fixPoolRoutes.js [chain] [--safe-batch <safe>]");
+    process.exit(1);
+  }
+  const safe = args.options["safe-batch"] ? parseSafeAddress(args.options["safe-batch"]) : null;
+  const chainArg = args.positional[0];
+  const chainsToFix = chainArg ? [chainArg] : getChainNames();
 
   console.log("=".repeat(70));
   console.log("🔧 FIX POOL ROUTE CONFIGURATION");
@@ -35,42 +53,37 @@ async function main() {
   console.log();
 
   // Load deployment
-  const deploymentPath = path.join(__dirname, "../../deployments/deployment.json");
-  const deployment = JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
+  const deployment = loadDeployment();
 
-  const allChains = ["sepolia", "base", "arbitrum"];
+  const allChains = getChainNames();
 
   // Verify pools exist
   for (const chain of chainsToFix) {
     if (!allChains.includes(chain)) {
       throw new Error(`Invalid chain: ${chain}. Must be one of: ${allChains.join(", ")}`);
     }
-    if (!deployment[chain]?.newCcipPool) {
+    if (!deployment[chain]?.ccipPool) {
       throw new Error(`Pool not found for ${chain} in deployment.json`);
     }
   }
 
-  // Setup wallets
-  const wallet = new ethers.Wallet("0x" + process.env.PRIVATE_KEY);
+  // Setup wallets (batch mode only reads - the Safe signs)
   const providers = {};
   const wallets = {};
-
-  const RPC_ENV_VARS = {
-    sepolia: "SEPOLIA_RPC_URL",
-    base: "BASE_SEPOLIA_RPC_URL",
-    arbitrum: "ARBITRUM_SEPOLIA_RPC_URL"
-  };
-
   for (const chain of allChains) {
-    const rpcUrl = process.env[RPC_ENV_VARS[chain]];
-    if (!rpcUrl) {
-      throw new Error(`Missing ${RPC_ENV_VARS[chain]} in .env`);
-    }
-    providers[chain] = new ethers.providers.JsonRpcProvider(rpcUrl);
-    wallets[chain] = wallet.connect(providers[chain]);
+    providers[chain] = new ethers.providers.JsonRpcProvider(getRpcUrl(chain));
   }
 
-  console.log("Deployer:", wallet.address);
+  if (safe) {
+    console.log("Owner (Safe):", safe);
+  } else {
+    assertWriteAllowed("Fix CCIP pool routes");
+    const wallet = new ethers.Wallet("0x" + process.env.PRIVATE_KEY);
+    for (const chain of allChains) {
+      wallets[chain] = wallet.connect(providers[chain]);
+    }
+    console.log("Deployer:", wallet.address);
+  }
   console.log();
 
   // Pool ABI
@@ -87,11 +100,8 @@ async function main() {
   };
 
   // Define routing (which chains each pool should know about)
-  const routingConfigs = {
-    sepolia: ["base", "arbitrum"],
-    base: ["sepolia", "arbitrum"],
-    arbitrum: ["sepolia", "base"]
-  };
+  const routingConfigs = Object.fromEntries(allChains.map(chain => [chain, getRemoteChains(chain)]));
+  const batchTransactions = {};
 
   // Fix each pool
   for (const sourceChain of chainsToFix) {
@@ -101,9 +111,9 @@ async function main() {
     console.log();
 
     const pool = new ethers.Contract(
-      deployment[sourceChain].newCcipPool,
+      deployment[sourceChain].ccipPool,
       POOL_ABI,
-      wallets[sourceChain]
+      wallets[sourceChain] || providers[sourceChain]
     );
 
     const remoteChains = routingConfigs[sourceChain];
@@ -111,10 +121,14 @@ async function main() {
     // Step 1: Check current state
     console.log("Step 1: Checking current state...");
     const chainsToRemove = [];
+    const unsupported = [];
 
     for (const remoteChain of remoteChains) {
       const isSupported = await pool.isSupportedChain(deployment[remoteChain].chainSelector);
       console.log(`  ${sourceChain} → ${remoteChain}: ${isSupported ? 'Supported' : 'Not supported'}`);
+      if (!isSupported) {
+        unsupported.push(remoteChain);
+      }
 
       if (isSupported) {
         // Check if remote pool is actually set
@@ -122,7 +136,7 @@ async function main() {
           const remotePoolsArray = await pool.getRemotePools(deployment[remoteChain].chainSelector);
           if (remotePoolsArray.length > 0) {
             const remotePoolAddr = '0x' + remotePoolsArray[0].slice(-40);
-            if (remotePoolAddr.toLowerCase() === deployment[remoteChain].newCcipPool.toLowerCase()) {
+            if (remotePoolAddr.toLowerCase() === deployment[remoteChain].ccipPool.toLowerCase()) {
               console.log(`    ✅ Remote pool address correctly set`);
             } else {
               console.log(`    ⚠️  Remote pool address WRONG: ${remotePoolAddr}`);
@@ -146,10 +160,38 @@ async function main() {
       continue;
     }
 
+    const chainUpdates = remoteChains.map(remoteChain => ({
+      remoteChainSelector: deployment[remoteChain].chainSelector,
+      remotePoolAddresses: [
+        ethers.utils.defaultAbiCoder.encode(["address"], [deployment[remoteChain].ccipPool])
+      ],
+      remoteTokenAddress: ethers.utils.defaultAbiCoder.encode(
+        ["address"],
+        [deployment[remoteChain].vault]
+      ),
+      outboundRateLimiterConfig: rateLimiterConfig,
+      inboundRateLimiterConfig: rateLimiterConfig
+    }));
+
+    if (safe) {
+      // The batch runs atomically: re-add only what is removed or missing, a route that
+      // still exists would revert it with ChainAlreadyExists
+      const readd = chainUpdates.filter(update =>
+        chainsToRemove.includes(update.remoteChainSelector) ||
+        unsupported.some(remoteChain => deployment[remoteChain].chainSelector === update.remoteChainSelector));
+      batchTransactions[sourceChain] = [
+        safeTransaction(pool, "applyChainUpdates", [chainsToRemove, []]),
+        safeTransaction(pool, "applyChainUpdates", [[], readd]),
+      ];
+      console.log(`📦 Batched: remove ${chainsToRemove.length} chain(s), re-add ${readd.length} with correct pool addresses`);
+      console.log();
+      continue;
+    }
+
     // Step 2: Remove chains
     console.log(`Step 2: Removing ${chainsToRemove.length} chains...`);
     try {
-      const removeTx = await pool.applyChainUpdates(chainsToRemove, []);
+      const removeTx = await getTxManager(sourceChain, wallets[sourceChain]).sendCall(pool, "applyChainUpdates", [chainsToRemove, []]);
       console.log(`  Tx: ${removeTx.hash}`);
       await removeTx.wait();
       console.log(`  ✅ Chains removed`);
@@ -162,21 +204,8 @@ async function main() {
     // Step 3: Re-add chains with correct configuration
     console.log("Step 3: Re-adding chains with correct pool addresses...");
 
-    const chainUpdates = remoteChains.map(remoteChain => ({
-      remoteChainSelector: deployment[remoteChain].chainSelector,
-      remotePoolAddresses: [
-        ethers.utils.defaultAbiCoder.encode(["address"], [deployment[remoteChain].newCcipPool])
-      ],
-      remoteTokenAddress: ethers.utils.defaultAbiCoder.encode(
-        ["address"],
-        [deployment[remoteChain].vault]
-      ),
-      outboundRateLimiterConfig: rateLimiterConfig,
-      inboundRateLimiterConfig: rateLimiterConfig
-    }));
-
     try {
-      const addTx = await pool.applyChainUpdates([], chainUpdates);
+      const addTx = await getTxManager(sourceChain, wallets[sourceChain]).sendCall(pool, "applyChainUpdates", [[], chainUpdates]);
       console.log(`  Tx: ${addTx.hash}`);
       await addTx.wait();
       console.log(`  ✅ Chains re-added with correct configuration`);
@@ -196,7 +225,7 @@ async function main() {
         const remotePoolsArray = await pool.getRemotePools(deployment[remoteChain].chainSelector);
         if (remotePoolsArray.length > 0) {
           const remotePoolAddr = '0x' + remotePoolsArray[0].slice(-40);
-          remotePoolSet = remotePoolAddr.toLowerCase() === deployment[remoteChain].newCcipPool.toLowerCase();
+          remotePoolSet = remotePoolAddr.toLowerCase() === deployment[remoteChain].ccipPool.toLowerCase();
         }
       } catch (e) {
         remotePoolSet = false;
@@ -214,6 +243,17 @@ async function main() {
     console.log();
   }
 
+  if (safe) {
+    printSafeBatches(writeSafeBatches({
+      safe,
+      label: "fix-pool-routes",
+      description: "Remove the misconfigured CCIP pool routes and re-add them with the correct remote pools",
+      transactions: batchTransactions,
+    }));
+    console.log();
+    return;
+  }
+
   console.log("=".repeat(70));
   console.log("🎉 POOL ROUTE FIX COMPLETE");
   console.log("=".repeat(70));
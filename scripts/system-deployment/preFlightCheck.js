@@ -1,6 +1,6 @@
 const { ethers } = require("ethers");
-const fs = require("fs");
-const path = require("path");
+const { getChainNames, getRpcUrl, mapChains, getRemoteChains } = require("../utils/chainRegistry");
+const { loadDeployment } = require("../utils/deploymentStore");
 require("dotenv").config();
 
 /**
@@ -9,7 +9,7 @@ require("dotenv").config();
  * Verifies all critical configurations before enabling deposits:
  * 1. Pool authorization (mint/burn permissions)
  * 2. Pool registration in Token Admin Registry
- * 3. Cross-chain routing (all 6 routes)
+ * 3. Cross-chain routing (every chain pair)
  * 4. Vault-wrapper connections
  * 5. Primary/secondary chain settings
  * 6. CCIP router configurations
@@ -26,27 +26,20 @@ async function main() {
   // LOAD DEPLOYMENT & SETUP
   // ===================================================================
 
-  const deploymentPath = path.join(__dirname, "../../deployments/deployment.json");
-  const deployment = JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
+  const deployment = loadDeployment();
 
-  const chains = ["sepolia", "base", "arbitrum"];
+  const chains = getChainNames();
 
-  const providers = {
-    sepolia: new ethers.providers.JsonRpcProvider(process.env.SEPOLIA_RPC_URL),
-    base: new ethers.providers.JsonRpcProvider(process.env.BASE_SEPOLIA_RPC_URL),
-    arbitrum: new ethers.providers.JsonRpcProvider(process.env.ARBITRUM_SEPOLIA_RPC_URL)
-  };
+  const providers = Object.fromEntries(
+    chains.map(chain => [chain, new ethers.providers.JsonRpcProvider(getRpcUrl(chain))])
+  );
 
   const wallet = new ethers.Wallet("0x" + process.env.PRIVATE_KEY);
 
   console.log("Deployer Address:", wallet.address);
   console.log();
 
-  const TOKEN_ADMIN_REGISTRIES = {
-    sepolia: "0x95F29FEE11c5C55d26cCcf1DB6772DE953B37B82",
-    base: "0x736D0bBb318c1B27Ff686cd19804094E66250e17",
-    arbitrum: "0x8126bE56454B628a88C17849B9ED99dd5a11Bd2f"
-  };
+  const TOKEN_ADMIN_REGISTRIES = mapChains("tokenAdminRegistry");
 
   // ABIs
   const VAULT_ABI = [
@@ -88,10 +81,10 @@ async function main() {
 
   for (const chain of chains) {
     const vault = new ethers.Contract(deployment[chain].vault, VAULT_ABI, providers[chain]);
-    const isAuthorized = await vault.ccipPools(deployment[chain].newCcipPool);
+    const isAuthorized = await vault.ccipPools(deployment[chain].ccipPool);
 
     console.log(`${chain}:`);
-    console.log(`  Pool: ${deployment[chain].newCcipPool}`);
+    console.log(`  Pool: ${deployment[chain].ccipPool}`);
     console.log(`  Authorized: ${isAuthorized ? '✅' : '❌'}`);
 
     if (!isAuthorized) {
@@ -119,9 +112,9 @@ async function main() {
 
     console.log(`${chain}:`);
     console.log(`  Registered pool: ${registeredPool}`);
-    console.log(`  Expected pool:   ${deployment[chain].newCcipPool}`);
+    console.log(`  Expected pool:   ${deployment[chain].ccipPool}`);
 
-    const matches = registeredPool.toLowerCase() === deployment[chain].newCcipPool.toLowerCase();
+    const matches = registeredPool.toLowerCase() === deployment[chain].ccipPool.toLowerCase();
     console.log(`  Matches: ${matches ? '✅' : '❌'}`);
 
     if (!matches) {
@@ -138,17 +131,13 @@ async function main() {
   console.log("-".repeat(70));
   console.log();
 
-  const routingConfigs = {
-    sepolia: ["base", "arbitrum"],
-    base: ["sepolia", "arbitrum"],
-    arbitrum: ["sepolia", "base"]
-  };
+  const routingConfigs = Object.fromEntries(chains.map(chain => [chain, getRemoteChains(chain)]));
 
   for (const [sourceChain, remoteChains] of Object.entries(routingConfigs)) {
     console.log(`${sourceChain} routes:`);
 
     const pool = new ethers.Contract(
-      deployment[sourceChain].newCcipPool,
+      deployment[sourceChain].ccipPool,
       POOL_ABI,
       providers[sourceChain]
     );
@@ -165,14 +154,14 @@ async function main() {
           // Try getRemotePool first (singular)
           const remotePoolBytes = await pool.getRemotePool(deployment[remoteChain].chainSelector);
           remotePoolAddress = '0x' + remotePoolBytes.slice(-40);
-          remotePoolConfigured = remotePoolAddress.toLowerCase() === deployment[remoteChain].newCcipPool.toLowerCase();
+          remotePoolConfigured = remotePoolAddress.toLowerCase() === deployment[remoteChain].ccipPool.toLowerCase();
         } catch (e1) {
           // If getRemotePool fails, try getRemotePools (plural)
           try {
             const remotePools = await pool.getRemotePools(deployment[remoteChain].chainSelector);
             const decodedPool = ethers.utils.defaultAbiCoder.decode(["address"], remotePools[0])[0];
             remotePoolAddress = decodedPool;
-            remotePoolConfigured = decodedPool.toLowerCase() === deployment[remoteChain].newCcipPool.toLowerCase();
+            remotePoolConfigured = decodedPool.toLowerCase() === deployment[remoteChain].ccipPool.toLowerCase();
           } catch (e2) {
             // Both functions failed - remote pool not configured
             remotePoolConfigured = false;
@@ -189,8 +178,8 @@ async function main() {
         issues.push(`${sourceChain} → ${remoteChain}: CRITICAL - Chain supported but remote pool address NOT SET! This causes "Invalid source pool address" errors.`);
         console.log(`    ⚠️  CRITICAL: Remote pool address not configured!`);
         console.log(`    💡 Fix: node scripts/system-deployment/fixPoolRoutes.js ${sourceChain}`);
-      } else if (remotePoolAddress && remotePoolAddress.toLowerCase() !== deployment[remoteChain].newCcipPool.toLowerCase()) {
-        issues.push(`${sourceChain} → ${remoteChain}: Remote pool address mismatch! Expected ${deployment[remoteChain].newCcipPool}, got ${remotePoolAddress}`);
+      } else if (remotePoolAddress && remotePoolAddress.toLowerCase() !== deployment[remoteChain].ccipPool.toLowerCase()) {
+        issues.push(`${sourceChain} → ${remoteChain}: Remote pool address mismatch! Expected ${deployment[remoteChain].ccipPool}, got ${remotePoolAddress}`);
       }
     }
     console.log();
@@ -321,7 +310,7 @@ async function main() {
     console.log(`${chain}:`);
     console.log(`  Vault: ${deployment[chain].vault}`);
     console.log(`  Wrapper: ${deployment[chain].sherpaUSD}`);
-    console.log(`  Pool: ${deployment[chain].newCcipPool}`);
+    console.log(`  Pool: ${deployment[chain].ccipPool}`);
     console.log(`  Mock USDC: ${deployment[chain].mockUSDC}`);
     console.log();
   }
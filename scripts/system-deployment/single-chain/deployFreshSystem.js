@@ -1,6 +1,9 @@
 const { ethers } = require("ethers");
 const fs = require("fs");
 const path = require("path");
+const { SCHEMA_VERSION, saveDeployment, validateDeployment } = require("../../utils/deploymentStore");
+const { assertWriteAllowed } = require("../../utils/environment");
+const { withSimulation } = require("../../utils/revertDecoder");
 require("dotenv").config();
 
 /**
@@ -25,6 +28,7 @@ async function main() {
   const sepoliaProvider = new ethers.providers.JsonRpcProvider(process.env.SEPOLIA_RPC_URL);
   const baseProvider = new ethers.providers.JsonRpcProvider(process.env.BASE_SEPOLIA_RPC_URL);
 
+  assertWriteAllowed("Deploy fresh system");
   const wallet = new ethers.Wallet("0x" + process.env.PRIVATE_KEY);
   const sepoliaWallet = wallet.connect(sepoliaProvider);
   const baseWallet = wallet.connect(baseProvider);
@@ -64,6 +68,48 @@ async function main() {
   console.log("  Cap:", ethers.utils.formatUnits(vaultParams.cap, 6), "USDC per chain");
   console.log();
 
+  // deployment.json for the deployed addresses
+  const buildDeployment = (addresses) => ({
+    timestamp: new Date().toISOString(),
+    deployer: wallet.address,
+    sepolia: {
+      chainId: 11155111,
+      chainSelector: SEPOLIA_CHAIN_SELECTOR,
+      vault: addresses.sepoliaVault,
+      sherpaUSD: addresses.sepoliaSherpaUSD,
+      mockUSDC: SEPOLIA_MOCK_USDC,
+      ccipRouter: SEPOLIA_CCIP_ROUTER,
+      isPrimary: true
+    },
+    base: {
+      chainId: 84532,
+      chainSelector: BASE_CHAIN_SELECTOR,
+      vault: addresses.baseVault,
+      sherpaUSD: addresses.baseSherpaUSD,
+      mockUSDC: BASE_MOCK_USDC,
+      ccipRouter: BASE_CCIP_ROUTER,
+      isPrimary: false
+    },
+    vaultParams: {
+      decimals: 6,
+      minimumSupply: "1000000",
+      cap: "1000000000000"
+    },
+    status: "deployed-fresh-with-cap-fixes",
+    notes: "✅ Fresh deployment with clean accounting. Cap fixes: 1) Deposit check includes 'amount', 2) Yield cap removed"
+  });
+
+  // Refuse a deployment.json the store would reject before anything is deployed
+  const placeholder = wallet.address;
+  const schemaErrors = validateDeployment({
+    schemaVersion: SCHEMA_VERSION,
+    revision: 0,
+    ...buildDeployment({ sepoliaVault: placeholder, sepoliaSherpaUSD: placeholder, baseVault: placeholder, baseSherpaUSD: placeholder }),
+  });
+  if (schemaErrors.length > 0) {
+    throw new Error(`deployment.json entry would be invalid:\n  - ${schemaErrors.join("\n  - ")}`);
+  }
+
   // =================================================================
   // STEP 1: Deploy Vaults with placeholder wrapper
   // =================================================================
@@ -80,24 +126,24 @@ async function main() {
   const tempWrapper = wallet.address;
 
   console.log("Deploying Sepolia vault (temp wrapper)...");
-  const sepoliaVault = await vaultFactory.connect(sepoliaWallet).deploy(
+  const sepoliaVault = withSimulation(await vaultFactory.connect(sepoliaWallet).deploy(
     "Staked Sherpa USD",
     "shUSD",
     tempWrapper,
     wallet.address,
     vaultParams
-  );
+  ));
   await sepoliaVault.deployed();
   console.log("  ✅ Sepolia Vault:", sepoliaVault.address);
 
   console.log("Deploying Base vault (temp wrapper)...");
-  const baseVault = await vaultFactory.connect(baseWallet).deploy(
+  const baseVault = withSimulation(await vaultFactory.connect(baseWallet).deploy(
     "Staked Sherpa USD",
     "shUSD",
     tempWrapper,
     wallet.address,
     vaultParams
-  );
+  ));
   await baseVault.deployed();
   console.log("  ✅ Base Vault:", baseVault.address);
   console.log();
@@ -115,18 +161,18 @@ async function main() {
   );
 
   console.log("Deploying Sepolia SherpaUSD...");
-  const sepoliaSherpaUSD = await sherpaUSDFactory.connect(sepoliaWallet).deploy(
+  const sepoliaSherpaUSD = withSimulation(await sherpaUSDFactory.connect(sepoliaWallet).deploy(
     SEPOLIA_MOCK_USDC,
     sepoliaVault.address
-  );
+  ));
   await sepoliaSherpaUSD.deployed();
   console.log("  ✅ Sepolia SherpaUSD:", sepoliaSherpaUSD.address);
 
   console.log("Deploying Base SherpaUSD...");
-  const baseSherpaUSD = await sherpaUSDFactory.connect(baseWallet).deploy(
+  const baseSherpaUSD = withSimulation(await sherpaUSDFactory.connect(baseWallet).deploy(
     BASE_MOCK_USDC,
     baseVault.address
-  );
+  ));
   await baseSherpaUSD.deployed();
   console.log("  ✅ Base SherpaUSD:", baseSherpaUSD.address);
   console.log();
@@ -181,39 +227,24 @@ async function main() {
   // STEP 5: Save deployment
   // =================================================================
 
-  const deployment = {
-    timestamp: new Date().toISOString(),
-    deployer: wallet.address,
-    sepolia: {
-      chainId: 11155111,
-      chainSelector: SEPOLIA_CHAIN_SELECTOR,
-      vault: sepoliaVault.address,
-      sherpaUSD: sepoliaSherpaUSD.address,
-      mockUSDC: SEPOLIA_MOCK_USDC,
-      ccipRouter: SEPOLIA_CCIP_ROUTER,
-      isPrimary: true
-    },
-    base: {
-      chainId: 84532,
-      chainSelector: BASE_CHAIN_SELECTOR,
-      vault: baseVault.address,
-      sherpaUSD: baseSherpaUSD.address,
-      ccipRouter: BASE_CCIP_ROUTER,
-      isPrimary: false
-    },
-    vaultParams: {
-      decimals: 6,
-      minimumSupply: "1000000",
-      cap: "1000000000000"
-    },
-    status: "deployed-fresh-with-cap-fixes",
-    notes: "✅ Fresh deployment with clean accounting. Cap fixes: 1) Deposit check includes 'amount', 2) Yield cap removed"
-  };
-
-  fs.writeFileSync(
-    path.join(__dirname, "../../../deployments/deployment.json"),
-    JSON.stringify(deployment, null, 2)
-  );
+  const deployment = buildDeployment({
+    sepoliaVault: sepoliaVault.address,
+    sepoliaSherpaUSD: sepoliaSherpaUSD.address,
+    baseVault: baseVault.address,
+    baseSherpaUSD: baseSherpaUSD.address,
+  });
+
+  try {
+    saveDeployment(deployment, {
+      script: "single-chain/deployFreshSystem.js",
+      reason: "Fresh two-chain deployment (Sepolia + Base)",
+    });
+  } catch (error) {
+    // The contracts exist on-chain - do not lose their addresses
+    console.error("❌ Could not save deployment.json - record the deployed contracts by hand:");
+    console.error(JSON.stringify(deployment, null, 2));
+    throw error;
+  }
 
   console.log("=".repeat(70));
   console.log("DEPLOYMENT COMPLETE");
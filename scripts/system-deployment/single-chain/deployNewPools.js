@@ -1,6 +1,9 @@
 const { ethers } = require("ethers");
 const fs = require("fs");
 const path = require("path");
+const { loadDeployment } = require("../../utils/deploymentStore");
+const { assertWriteAllowed } = require("../../utils/environment");
+const { withSimulation } = require("../../utils/revertDecoder");
 require("dotenv").config();
 
 /**
@@ -18,9 +21,7 @@ require("dotenv").config();
  */
 
 // Load current deployment
-const deployment = JSON.parse(
-  fs.readFileSync(path.join(__dirname, "../../../deployments/deployment.json"), "utf8")
-);
+const deployment = loadDeployment();
 
 const SEPOLIA_SHUSD = deployment.sepolia.vault;  // shUSD = vault token
 const BASE_SHUSD = deployment.base.vault;  // shUSD = vault token
@@ -56,6 +57,7 @@ async function main() {
   const sepoliaProvider = new ethers.providers.JsonRpcProvider(process.env.SEPOLIA_RPC_URL);
   const baseProvider = new ethers.providers.JsonRpcProvider(process.env.BASE_SEPOLIA_RPC_URL);
 
+  assertWriteAllowed("Deploy new CCIP pools");
   const sepoliaWallet = new ethers.Wallet("0x" + process.env.PRIVATE_KEY, sepoliaProvider);
   const baseWallet = new ethers.Wallet("0x" + process.env.PRIVATE_KEY, baseProvider);
 
@@ -82,11 +84,11 @@ async function main() {
     "function getPool(address token) external view returns (address)"
   ];
 
-  const sepoliaRegistryModule = new ethers.Contract(SEPOLIA_REGISTRY_MODULE, REGISTRY_MODULE_ABI, sepoliaWallet);
-  const baseRegistryModule = new ethers.Contract(BASE_REGISTRY_MODULE, REGISTRY_MODULE_ABI, baseWallet);
+  const sepoliaRegistryModule = withSimulation(new ethers.Contract(SEPOLIA_REGISTRY_MODULE, REGISTRY_MODULE_ABI, sepoliaWallet));
+  const baseRegistryModule = withSimulation(new ethers.Contract(BASE_REGISTRY_MODULE, REGISTRY_MODULE_ABI, baseWallet));
 
-  const sepoliaTokenAdmin = new ethers.Contract(SEPOLIA_TOKEN_ADMIN_REGISTRY, TOKEN_ADMIN_REGISTRY_ABI, sepoliaWallet);
-  const baseTokenAdmin = new ethers.Contract(BASE_TOKEN_ADMIN_REGISTRY, TOKEN_ADMIN_REGISTRY_ABI, baseWallet);
+  const sepoliaTokenAdmin = withSimulation(new ethers.Contract(SEPOLIA_TOKEN_ADMIN_REGISTRY, TOKEN_ADMIN_REGISTRY_ABI, sepoliaWallet));
+  const baseTokenAdmin = withSimulation(new ethers.Contract(BASE_TOKEN_ADMIN_REGISTRY, TOKEN_ADMIN_REGISTRY_ABI, baseWallet));
 
   // Check if already registered
   let sepoliaPoolCheck = await sepoliaTokenAdmin.getPool(SEPOLIA_SHUSD);
@@ -199,8 +201,8 @@ async function main() {
     "function applyChainUpdates(uint64[] calldata remoteChainSelectorsToRemove, tuple(uint64 remoteChainSelector, bytes[] remotePoolAddresses, bytes remoteTokenAddress, tuple(bool isEnabled, uint128 capacity, uint128 rate) outboundRateLimiterConfig, tuple(bool isEnabled, uint128 capacity, uint128 rate) inboundRateLimiterConfig)[] calldata chainsToAdd) external"
   ];
 
-  const sepoliaPoolContract = new ethers.Contract(sepoliaPool.address, POOL_ABI, sepoliaWallet);
-  const basePoolContract = new ethers.Contract(basePool.address, POOL_ABI, baseWallet);
+  const sepoliaPoolContract = withSimulation(new ethers.Contract(sepoliaPool.address, POOL_ABI, sepoliaWallet));
+  const basePoolContract = withSimulation(new ethers.Contract(basePool.address, POOL_ABI, baseWallet));
 
   // Configure Sepolia -> Base
   const sepoliaChainUpdate = {
@@ -240,8 +242,8 @@ async function main() {
     fs.readFileSync(path.join(__dirname, "../../../artifacts/contracts/SherpaVault.sol/SherpaVault.json"), "utf8")
   );
 
-  const sepoliaVault = new ethers.Contract(SEPOLIA_SHUSD, vaultArtifact.abi, sepoliaWallet);
-  const baseVault = new ethers.Contract(BASE_SHUSD, vaultArtifact.abi, baseWallet);
+  const sepoliaVault = withSimulation(new ethers.Contract(SEPOLIA_SHUSD, vaultArtifact.abi, sepoliaWallet));
+  const baseVault = withSimulation(new ethers.Contract(BASE_SHUSD, vaultArtifact.abi, baseWallet));
 
   tx = await sepoliaVault.addCCIPPool(sepoliaPool.address);
   await tx.wait();
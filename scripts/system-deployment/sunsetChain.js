@@ -0,0 +1,753 @@
+const { ethers } = require("ethers");
+const path = require("path");
+const { getChain, getChainBySelector, markChainSunset, saveChainsConfig } = require("../utils/chainRegistry");
+const { loadDeployment, saveDeployment, getDeploymentChains, archiveChain } = require("../utils/deploymentStore");
+const { queryCallsWithConsensus, getProvider } = require("../utils/consensusProvider");
+const { sendAndConfirm } = require("../utils/txConfirmation");
+const { getTxManager } = require("../utils/txManager");
+const { trackTransfers, blockAtTimestamp, getLogsChunked } = require("../utils/ccipTransferTracker");
+const {
+  connectContracts,
+  readRebalanceState,
+  lastMinedBlock,
+  buildChainLegs,
+  pauseLeg,
+  executeLegs,
+  verifyRebalance,
+  printLegs,
+  printRecoveryPlan,
+  saveRebalanceReport,
+} = require("../core/rebalance");
+const { assetToShares } = require("../utils/shareMath");
+const { parseArgs, confirm } = require("../utils/cliArgs");
+const { loadJournal } = require("../utils/rollJournal");
+const { assertWriteAllowed } = require("../utils/environment");
+const { parseSafeAddress, safeTransaction, writeSafeBatches, printSafeBatches } = require("../utils/safeBatch");
+require("dotenv").config({ path: path.join(__dirname, "../../.env") });
+
+/**
+ * Sunset a Chain - Retire a Secondary Chain from the Live Deployment
+ *
+ * Guided, resumable workflow. Every step checks on-chain state first (done steps are
+ * skipped) and re-checks the pre-conditions right before anything destructive is sent:
+ * 1. Disable deposits on the chain's vault
+ * 2. Drain: move the vault's whole accountingSupply and totalStaked to --to (default:
+ *    the primary) with the rebalance legs from scripts/core/rebalance.js
+ *      - shares: ownerBurn/ownerMint of the smallest amount that converts to exactly
+ *        accountingSupply at roundPricePerShare[round - 1], plus adjustAccountingSupply
+ *      - backing drift (yield lands on the primary only): ownerBurnAssetOnly /
+ *        ownerMintAssetOnly so totalStaked ends at exactly 0
+ *    Report in docs/rebalances/sunset-drain-<chain>-<to>-<timestamp>.json
+ * 3. Remove routes: applyChainUpdates([selectors], []) on the chain's pool (every remote
+ *    chain) and on every other pool (the chain's selector); pools are taken from the
+ *    Token Admin Registry
+ * 4. removeCCIPPool() on the chain's vault
+ * 5. Archive: move the chain's entry to `archived` in deployment.json and flag it
+ *    "sunset" in scripts/config/chains.json, so round rolls, snapshots and every
+ *    "all chains" script stop using it
+ *
+ * Pre-conditions (checked before steps 2-5):
+ *   - no round roll in progress, deposits disabled
+ *   - no deposits pending for the next round (totalPending)
+ *   - no shUSD left on the chain (holders bridged out or unstaked, no unclaimed shares)
+ *   - no withdrawals waiting for the epoch (withdrawalAmountForEpoch) and no uncompleted
+ *     withdrawal receipts (WithdrawalInitiated users with withdrawalReceipts.amount > 0)
+ *   - no enroute CCIP transfers from or to the chain (scripts/utils/ccipTransferTracker.js)
+ *   - steps 3-5: the vault is drained (totalStaked and accountingSupply are 0)
+ *
+ * With --safe-batch the owner calls (steps 1, 3 and 4) are not sent: the first step that
+ * needs them writes them as Safe Transaction Builder batches (deployments/safe-batches/,
+ * refused unless the Safe owns every target) and the run stops there. Re-run once the
+ * Safe executed them. The drain legs are operator calls and are still sent with PRIVATE_KEY.
+ *
+ * Usage:
+ *   node scripts/system-deployment/sunsetChain.js <chain> [--to <chain>] [--lookback <hours>] [--reason <text>] [--dry-run] [--yes] [--safe-batch <safe>]
+ *
+ * Examples:
+ *   node scripts/system-deployment/sunsetChain.js arbitrum --dry-run   # Status, plan and blockers
+ *   node scripts/system-deployment/sunsetChain.js arbitrum --to base   # Drain into base instead of the primary
+ *
+ * Arguments:
+ *   chain: Secondary chain to retire
+ *   --to: Chain receiving the drained accounting and backing (default: primary)
+ *   --lookback: Hours of CCIP history scanned for enroute transfers (default 24)
+ *   --reason: Stored with the archived entry
+ *   --dry-run: Print status, planned transactions and blockers without sending
+ *   --yes: Skip the confirmation before each destructive step
+ *   --safe-batch: Safe address (owner) - write the owner calls as Transaction Builder batches
+ */
+
+const DECIMALS = 6;
+const DEFAULT_LOOKBACK_HOURS = 24;
+
+const TOKEN_ADMIN_REGISTRY_ABI = [
+  "function getPool(address token) external view returns (address)"
+];
+
+const POOL_ABI = [
+  "function applyChainUpdates(uint64[] calldata remoteChainSelectorsToRemove, tuple(uint64 remoteChainSelector, bytes[] remotePoolAddresses, bytes remoteTokenAddress, tuple(bool isEnabled, uint128 capacity, uint128 rate) outboundRateLimiterConfig, tuple(bool isEnabled, uint128 capacity, uint128 rate) inboundRateLimiterConfig)[] calldata chainsToAdd) external",
+  "function isSupportedChain(uint64 remoteChainSelector) external view returns (bool)",
+  "function getSupportedChains() external view returns (uint64[] memory)",
+  "function owner() external view returns (address)"
+];
+
+const ERC20_ABI = ["function balanceOf(address account) external view returns (uint256)"];
+
+const WRAPPER_EVENTS = new ethers.utils.Interface([
+  "event WithdrawalInitiated(address indexed user, uint224 amount, uint32 indexed epoch)"
+]);
+
+function printUsage() {
+  console.error("Usage: node scripts/system-deployment/sunsetChain.js <chain> [--to <chain>] [--lookback <hours>] [--reason <text>] [--dry-run] [--yes] [--safe-batch <safe>]");
+  console.error("");
+  console.error("Arguments:");
+  console.error("  chain: Secondary chain to retire");
+  console.error("  --to: Chain receiving the drained accounting and backing (default: primary)");
+  console.error("  --lookback: Hours of CCIP history scanned for enroute transfers (default 24)");
+  console.error("  --reason: Stored with the archived deployment entry");
+  console.error("  --dry-run: Print status, planned transactions and blockers without sending");
+  console.error("  --yes: Skip the confirmation before each destructive step");
+  console.error("  --safe-batch: Safe address (owner) - write the owner calls as Transaction Builder batches");
+}
+
+function formatUsdc(amount) {
+  return ethers.utils.formatUnits(amount, DECIMALS);
+}
+
+function chainLabel(selector) {
+  return getChainBySelector(selector) || selector.toString();
+}
+
+/**
+ * Consensus read of the sunset chain's vault, wrapper and pool authorization.
+ * minBlock keeps the read from pinning below a tx we just mined.
+ */
+async function readSunsetState(ctx, minBlock = ctx.minBlocks[ctx.chain] || 0) {
+  const { vault, wrapper } = ctx.contracts[ctx.chain];
+  const usdc = new ethers.Contract(ctx.deployment[ctx.chain].mockUSDC, ERC20_ABI);
+  return queryCallsWithConsensus(ctx.chain, {
+    depositsEnabled: { contract: vault, method: "depositsEnabled" },
+    totalPending: { contract: vault, method: "totalPending" },
+    totalSupply: { contract: vault, method: "totalSupply" },
+    totalStaked: { contract: vault, method: "totalStaked" },
+    accountingSupply: { contract: vault, method: "accountingSupply" },
+    poolAuthorized: { contract: vault, method: "ccipPools", args: [ctx.pool] },
+    withdrawalAmountForEpoch: { contract: wrapper, method: "withdrawalAmountForEpoch" },
+    wrapperAssets: { contract: usdc, method: "balanceOf", args: [wrapper.address] },
+  }, { requireMajority: true, minBlock });
+}
+
+/**
+ * Withdrawal receipts on the chain's SherpaUSD that were never completed
+ * (every WithdrawalInitiated user since the deployment with withdrawalReceipts.amount > 0)
+ */
+async function findPendingWithdrawals(ctx) {
+  const provider = getProvider(ctx.chain);
+  const { wrapper } = ctx.contracts[ctx.chain];
+  const latest = await provider.getBlockNumber();
+  const fromBlock = await blockAtTimestamp(provider, Math.floor(Date.parse(ctx.deployment.timestamp) / 1000), latest);
+
+  const logs = await getLogsChunked(provider, {
+    address: wrapper.address,
+    topics: [WRAPPER_EVENTS.getEventTopic("WithdrawalInitiated")],
+  }, fromBlock, latest);
+  const users = [...new Set(logs.map(log => WRAPPER_EVENTS.parseLog(log).args.user))];
+  if (users.length === 0) {
+    return [];
+  }
+
+  const receipts = await queryCallsWithConsensus(
+    ctx.chain,
+    users.map(user => ({ contract: wrapper, method: "withdrawalReceipts", args: [user] })),
+    { requireMajority: true }
+  );
+  return users
+    .map((user, i) => ({ user, amount: receipts[i].amount, epoch: receipts[i].epoch }))
+    .filter(receipt => receipt.amount.gt(0));
+}
+
+/**
+ * Enroute CCIP transfers from or to the chain (legacy burns without a destination count too)
+ */
+async function findEnrouteTransfers(ctx) {
+  const result = await trackTransfers(ctx.deployment, { lookbackHours: ctx.lookbackHours });
+  return result.pending.filter(transfer =>
+    transfer.chain === ctx.chain || transfer.destChain === ctx.chain || !transfer.destChain
+  );
+}
+
+/**
+ * Re-read everything the next destructive step depends on
+ *
+ * @param {Object} ctx - Sunset context
+ * @param {Object} options - { requireDrained: also require totalStaked and accountingSupply to be 0 }
+ * @returns {Promise<{state: Object, problems: string[]}>}
+ */
+async function checkPreconditions(ctx, { requireDrained = false } = {}) {
+  const state = await readSunsetState(ctx);
+  const problems = [];
+
+  if (loadJournal().active) {
+    problems.push("A round roll is in progress (round journal) - finish it first");
+  }
+  if (state.depositsEnabled) {
+    problems.push("Deposits are still enabled");
+  }
+  if (state.totalPending.gt(0)) {
+    problems.push(`${formatUsdc(state.totalPending)} USDC of deposits pending for the next round - roll the round, then holders claim and exit`);
+  }
+  if (state.totalSupply.gt(0)) {
+    problems.push(`${formatUsdc(state.totalSupply)} shUSD still exists on ${ctx.chain} (held by users or unclaimed in the vault) - holders must bridge out or unstake`);
+  }
+  if (state.withdrawalAmountForEpoch.gt(0)) {
+    problems.push(`${formatUsdc(state.withdrawalAmountForEpoch)} SherpaUSD of withdrawals waiting for the next epoch - roll the round first`);
+  }
+
+  const pendingWithdrawals = await findPendingWithdrawals(ctx);
+  if (pendingWithdrawals.length > 0) {
+    const total = pendingWithdrawals.reduce((sum, receipt) => sum.add(receipt.amount), ethers.BigNumber.from(0));
+    problems.push(
+      `${pendingWithdrawals.length} withdrawal receipt(s) not completed (${formatUsdc(total)} USDC): ` +
+      pendingWithdrawals.map(receipt => `${receipt.user} ${formatUsdc(receipt.amount)} (epoch ${receipt.epoch})`).join(", ")
+    );
+  }
+
+  const enroute = await findEnrouteTransfers(ctx);
+  if (enroute.length > 0) {
+    problems.push(
+      `${enroute.length} enroute CCIP transfer(s) from/to ${ctx.chain}: ` +
+      enroute.map(transfer => `${transfer.chain} → ${transfer.destChain || "?"} ${formatUsdc(transfer.amount)} shUSD (${transfer.messageId || transfer.txHash})`).join(", ")
+    );
+  }
+
+  if (requireDrained && (state.totalStaked.gt(0) || state.accountingSupply.gt(0))) {
+    problems.push(
+      `Vault not drained (totalStaked ${formatUsdc(state.totalStaked)}, accountingSupply ${formatUsdc(state.accountingSupply)}) - run the drain step first`
+    );
+  }
+
+  return { state, problems };
+}
+
+/**
+ * Print blockers; refuse (throw) unless this is a dry run
+ *
+ * @returns {boolean} true if the step may proceed
+ */
+function gate(ctx, step, problems) {
+  if (problems.length === 0) {
+    console.log("  ✅ Pre-conditions met");
+    return true;
+  }
+  console.log(`  ❌ ${step} blocked:`);
+  problems.forEach(problem => console.log(`    - ${problem}`));
+  if (ctx.dryRun) {
+    return false;
+  }
+  throw new Error(`${step}: pre-conditions not met - nothing was sent (re-run once resolved)`);
+}
+
+async function approve(ctx, question) {
+  if (ctx.dryRun) {
+    return false;
+  }
+  if (ctx.yes || (await confirm(question))) {
+    return true;
+  }
+  throw new Error("Aborted - nothing more was sent (re-run to continue)");
+}
+
+/**
+ * Owner write through the chain's tx manager (simulated, managed nonce and fees), with a
+ * consensus-confirmed receipt and resulting state
+ */
+async function sendOwnerTx(ctx, chain, label, contract, method, args, confirmState) {
+  const sendTx = () => getTxManager(chain, contract.signer).sendCall(contract, method, args, { label });
+  const { receipt } = await sendAndConfirm(chain, sendTx, { label, confirmState });
+  ctx.minBlocks[chain] = Math.max(ctx.minBlocks[chain] || 0, receipt.blockNumber);
+}
+
+/**
+ * --safe-batch: write owner calls ([{ chain, contract, method, args }]) as one Transaction
+ * Builder batch per chain, after checking (consensus reads) that the Safe owns every target
+ */
+async function writeOwnerBatches(ctx, label, description, calls) {
+  for (const { chain, contract } of calls) {
+    const { owner } = await queryCallsWithConsensus(chain, {
+      owner: { contract, method: "owner" },
+    }, { requireMajority: true, minBlock: ctx.minBlocks[chain] || 0 });
+    if (owner.toLowerCase() !== ctx.safe.toLowerCase()) {
+      throw new Error(`${chain}: ${contract.address} is owned by ${owner}, not the Safe ${ctx.safe} - no batch written`);
+    }
+  }
+
+  const transactions = {};
+  for (const { chain, contract, method, args } of calls) {
+    (transactions[chain] = transactions[chain] || []).push(safeTransaction(contract, method, args));
+  }
+  console.log();
+  printSafeBatches(writeSafeBatches({ safe: ctx.safe, label, description, transactions }));
+  console.log();
+  console.log("=".repeat(70));
+  console.log("⏸️  WAITING FOR THE SAFE");
+  console.log("=".repeat(70));
+  console.log();
+  console.log("📋 NEXT STEPS:");
+  console.log("  1. Propose, verify and execute the batch(es) in the Safe");
+  console.log(`  2. Re-run: node scripts/system-deployment/sunsetChain.js ${ctx.chain} --to ${ctx.to} --safe-batch ${ctx.safe}`);
+  console.log();
+}
+
+/**
+ * Legs that move the whole accountingSupply and totalStaked of `chain` to `to`
+ *
+ * @param {Object} params - { chain, to, states: { [chain]: readRebalanceState() }, deployment, operator }
+ * @returns {{shares, amount, drift, round, pricePerShare, pauseLegs, legs, unpauseLegs, problems}}
+ */
+function planDrain({ chain, to, states, deployment, operator }) {
+  const source = states[chain];
+  const destination = states[to];
+  const problems = [];
+
+  if (source.round !== destination.round) {
+    problems.push(`${chain} is on round ${source.round}, ${to} on round ${destination.round} - finish the round roll first`);
+  }
+  if (!source.pricePerShare.eq(destination.pricePerShare)) {
+    problems.push(
+      `roundPricePerShare[${source.round - 1}] differs (${chain} ${source.pricePerShare}, ${to} ${destination.pricePerShare})`
+    );
+  }
+  for (const name of [chain, to]) {
+    const state = states[name];
+    if (!state.approvedTotalStaked.isZero() || !state.approvedAccounting.isZero()) {
+      problems.push(`${name}: unconsumed rebalance approvals - resolve with scripts/core/rebalanceApprovals.js`);
+    }
+    if (!state.vaultOperators.includes(operator) || !state.wrapperOperators.includes(operator)) {
+      problems.push(`${name}: ${operator} is not operator/owner of the vault and SherpaUSD`);
+    }
+  }
+
+  // Smallest amount that adjustAccountingSupply converts to exactly the whole accountingSupply
+  const shares = source.accountingSupply;
+  const unit = ethers.BigNumber.from(10).pow(source.decimals);
+  const amount = shares.mul(source.pricePerShare).add(unit).sub(1).div(unit);
+  try {
+    if (!assetToShares(amount, source.pricePerShare, source.decimals).eq(shares)) {
+      problems.push(`No SherpaUSD amount converts to exactly ${formatUsdc(shares)} shUSD at price ${formatUsdc(source.pricePerShare)} - drain manually`);
+    }
+  } catch (error) {
+    problems.push(`Cannot convert accountingSupply to an amount: ${error.message}`);
+  }
+
+  // Backing above/below what the shares are worth (yield is minted on the primary only)
+  const drift = source.totalStaked.sub(amount);
+  if (source.wrapperBalance.lt(source.totalStaked)) {
+    problems.push(`${chain} vault holds only ${formatUsdc(source.wrapperBalance)} SherpaUSD for ${formatUsdc(source.totalStaked)} totalStaked`);
+  }
+  if (drift.lt(0) && (destination.totalStaked.lt(drift.abs()) || destination.wrapperBalance.lt(drift.abs()))) {
+    problems.push(`${to} cannot cover the ${formatUsdc(drift.abs())} SherpaUSD backing shortfall of ${chain}`);
+  }
+
+  const backingLegs = (from, into, value) => [
+    ...buildChainLegs({ chain: from, vault: deployment[from].vault, direction: "out", amount: value, assetOnly: true }),
+    ...buildChainLegs({ chain: into, vault: deployment[into].vault, direction: "in", amount: value, assetOnly: true }),
+  ].map(leg => ({ ...leg, id: `${leg.id}-backing` }));
+
+  const chains = [chain, to];
+  return {
+    shares,
+    amount,
+    drift,
+    round: source.round,
+    pricePerShare: source.pricePerShare,
+    pauseLegs: chains.filter(name => !states[name].isPaused).map(name => pauseLeg(name, true)),
+    legs: [
+      // Burn before mint everywhere: a shortfall is first burned on the destination
+      ...(drift.lt(0) ? backingLegs(to, chain, drift.abs()) : []),
+      ...(shares.gt(0) ? [
+        ...buildChainLegs({ chain, vault: deployment[chain].vault, direction: "out", amount, shares }),
+        ...buildChainLegs({ chain: to, vault: deployment[to].vault, direction: "in", amount, shares }),
+      ] : []),
+      ...(drift.gt(0) ? backingLegs(chain, to, drift) : []),
+    ],
+    unpauseLegs: chains.filter(name => !states[name].isPaused).map(name => pauseLeg(name, false)),
+    problems,
+  };
+}
+
+/**
+ * Routes still pointing at or from the chain: [{ chain, pool, selectors }]
+ * (the chain's own pool first, so nothing new can leave it)
+ */
+async function planRouteRemovals(ctx) {
+  const selector = ctx.deployment[ctx.chain].chainSelector;
+  const removals = [];
+
+  const ownPool = new ethers.Contract(ctx.pools[ctx.chain], POOL_ABI, getProvider(ctx.chain));
+  const remoteSelectors = (await ownPool.getSupportedChains()).map(remote => remote.toString());
+  if (remoteSelectors.length > 0) {
+    removals.push({ chain: ctx.chain, pool: ctx.pools[ctx.chain], selectors: remoteSelectors });
+  }
+
+  for (const other of ctx.chains.filter(name => name !== ctx.chain)) {
+    const pool = new ethers.Contract(ctx.pools[other], POOL_ABI, getProvider(other));
+    if (await pool.isSupportedChain(selector)) {
+      removals.push({ chain: other, pool: ctx.pools[other], selectors: [selector] });
+    }
+  }
+  return removals;
+}
+
+async function runDrain(ctx, plan, before) {
+  const { chain, to, contracts } = ctx;
+  const record = {
+    type: "sunset-drain",
+    chains: [chain, to],
+    from: chain,
+    to,
+    amount: plan.amount.toString(),
+    shares: plan.shares.toString(),
+    backingDrift: plan.drift.toString(),
+    round: plan.round,
+    pricePerShare: plan.pricePerShare.toString(),
+    operator: ctx.operator,
+    status: "in-progress",
+    startedAt: new Date().toISOString(),
+    pauseLegs: plan.pauseLegs,
+    legs: plan.legs,
+    unpauseLegs: plan.unpauseLegs,
+  };
+  saveRebalanceReport(record);
+
+  try {
+    await executeLegs(plan.pauseLegs, contracts, record);
+    await executeLegs(plan.legs, contracts, record);
+
+    const after = {};
+    for (const name of [chain, to]) {
+      after[name] = await readRebalanceState(name, contracts, lastMinedBlock(record, name));
+    }
+    const problems = verifyRebalance(after, {
+      [chain]: { totalStaked: ethers.BigNumber.from(0), accountingSupply: ethers.BigNumber.from(0) },
+      [to]: {
+        totalStaked: before[to].totalStaked.add(before[chain].totalStaked),
+        accountingSupply: before[to].accountingSupply.add(plan.shares),
+      },
+    });
+    if (problems.length > 0) {
+      problems.forEach(problem => console.log(`  ❌ ${problem}`));
+      record.verificationProblems = problems;
+      record.status = "failed";
+      saveRebalanceReport(record);
+      throw new Error("Drain verification failed - vaults left paused");
+    }
+    console.log(`  ✅ ${chain} drained (totalStaked and accountingSupply are 0)`);
+
+    await executeLegs(plan.unpauseLegs, contracts, record);
+  } catch (error) {
+    await printRecoveryPlan(record, contracts);
+    throw error;
+  }
+
+  record.status = "completed";
+  record.completedAt = new Date().toISOString();
+  saveRebalanceReport(record);
+  ctx.minBlocks[chain] = Math.max(ctx.minBlocks[chain] || 0, lastMinedBlock(record, chain));
+  console.log(`  Report: ${record.reportPath}`);
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2), { flags: ["dry-run", "yes"], options: ["to", "lookback", "reason", "safe-batch"] });
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    printUsage();
+    process.exit(1);
+  }
+  const chain = args.positional[0]?.toLowerCase();
+  const dryRun = args.flags["dry-run"];
+  const safe = args.options["safe-batch"] ? parseSafeAddress(args.options["safe-batch"]) : null;
+  if (!chain) {
+    printUsage();
+    process.exit(1);
+  }
+
+  console.log("=".repeat(70));
+  console.log(dryRun ? `🌅 SUNSET ${chain.toUpperCase()} (DRY RUN)` : `🌅 SUNSET ${chain.toUpperCase()}`);
+  console.log("=".repeat(70));
+  console.log();
+
+  // ===================================================================
+  // LOAD DEPLOYMENT & SETUP
+  // ===================================================================
+
+  const deployment = loadDeployment();
+  const chains = getDeploymentChains(deployment);
+  if (!chains.includes(chain)) {
+    if (deployment.archived?.[chain]) {
+      console.log(`✅ ${chain} was already archived on ${deployment.archived[chain].archivedAt}`);
+      return;
+    }
+    throw new Error(`Chain "${chain}" is not in deployment.json (${chains.join(", ")})`);
+  }
+  if (deployment[chain].isPrimary) {
+    throw new Error(`${chain} is the primary chain - only secondary chains can be retired`);
+  }
+
+  const primaryChain = chains.find(name => deployment[name].isPrimary);
+  const to = args.options.to?.toLowerCase() || primaryChain;
+  if (!chains.includes(to) || to === chain) {
+    throw new Error(`--to must be another chain in deployment.json (${chains.filter(name => name !== chain).join(", ")})`);
+  }
+
+  const lookbackHours = Number(args.options.lookback || DEFAULT_LOOKBACK_HOURS);
+  if (!(lookbackHours > 0)) {
+    throw new Error(`Invalid --lookback: ${args.options.lookback}`);
+  }
+
+  if (loadJournal().active) {
+    throw new Error("A round roll is in progress (round journal) - finish it before retiring a chain");
+  }
+  if (!process.env.PRIVATE_KEY) {
+    throw new Error("Missing PRIVATE_KEY in .env");
+  }
+  if (!dryRun) {
+    assertWriteAllowed(`Sunset ${chain}`);
+  }
+
+  const contracts = connectContracts(deployment, process.env.PRIVATE_KEY);
+  const operator = contracts[chain].vault.signer.address;
+
+  // Pools from the Token Admin Registry (source of truth for pool addresses)
+  const pools = {};
+  for (const name of chains) {
+    const registry = new ethers.Contract(getChain(name).tokenAdminRegistry, TOKEN_ADMIN_REGISTRY_ABI, getProvider(name));
+    pools[name] = await registry.getPool(deployment[name].vault);
+    if (pools[name] === ethers.constants.AddressZero) {
+      throw new Error(`${name}: no pool registered for ${deployment[name].vault} in the Token Admin Registry`);
+    }
+  }
+
+  const ctx = {
+    chain,
+    to,
+    deployment,
+    chains,
+    contracts,
+    operator,
+    pools,
+    pool: pools[chain],
+    lookbackHours,
+    dryRun,
+    yes: args.flags.yes,
+    safe,
+    minBlocks: {},
+  };
+
+  console.log(`Chain: ${getChain(chain).displayName} (selector ${deployment[chain].chainSelector})`);
+  console.log(`Drain into: ${to}${to === primaryChain ? " (primary)" : ""}`);
+  console.log(safe ? `Operator: ${operator}` : `Operator/owner: ${operator}`);
+  if (safe) {
+    console.log(`Owner (Safe): ${safe}`);
+  }
+  console.log(`Vault: ${deployment[chain].vault}`);
+  console.log(`Pool: ${ctx.pool}`);
+  console.log();
+
+  // ===================================================================
+  // STEP 1: DISABLE DEPOSITS
+  // ===================================================================
+
+  console.log("📍 STEP 1: DISABLING DEPOSITS");
+  console.log("-".repeat(70));
+
+  const { vault } = contracts[chain];
+  let state = await readSunsetState(ctx);
+  if (!state.depositsEnabled) {
+    console.log("  ℹ️  Deposits already disabled");
+  } else if (dryRun) {
+    console.log("  ⏳ Would send setDepositsEnabled(false)");
+  } else if (safe) {
+    await writeOwnerBatches(ctx, `sunset-${chain}-disable-deposits`, `Disable deposits on the ${chain} vault (sunset)`, [
+      { chain, contract: vault, method: "setDepositsEnabled", args: [false] },
+    ]);
+    return;
+  } else {
+    await sendOwnerTx(ctx, chain, "setDepositsEnabled(false)", vault, "setDepositsEnabled", [false],
+      async ({ blockNumber }) => !(await readSunsetState(ctx, blockNumber)).depositsEnabled);
+  }
+  console.log();
+
+  // ===================================================================
+  // STEP 2: DRAIN ACCOUNTING & BACKING
+  // ===================================================================
+
+  console.log("📍 STEP 2: DRAINING ACCOUNTING & BACKING");
+  console.log("-".repeat(70));
+
+  let checked = await checkPreconditions(ctx);
+  state = checked.state;
+  console.log(`  totalStaked: ${formatUsdc(state.totalStaked)}  accountingSupply: ${formatUsdc(state.accountingSupply)}  shUSD supply: ${formatUsdc(state.totalSupply)}`);
+
+  if (state.totalStaked.isZero() && state.accountingSupply.isZero()) {
+    console.log("  ℹ️  Already drained");
+  } else {
+    const before = {
+      [chain]: await readRebalanceState(chain, contracts, ctx.minBlocks[chain] || 0),
+      [to]: await readRebalanceState(to, contracts),
+    };
+    const plan = planDrain({ chain, to, states: before, deployment, operator });
+    console.log(`  Price (round ${plan.round - 1}): ${formatUsdc(plan.pricePerShare)} USDC/shUSD`);
+    console.log(`  Shares: ${formatUsdc(plan.shares)} shUSD ↔ ${formatUsdc(plan.amount)} SherpaUSD`);
+    console.log(`  Backing drift: ${plan.drift.gte(0) ? "+" : ""}${formatUsdc(plan.drift)} SherpaUSD (asset-only)`);
+    console.log();
+    console.log("  Planned transactions:");
+    printLegs([...plan.pauseLegs, ...plan.legs, ...plan.unpauseLegs], contracts);
+    console.log();
+
+    if (gate(ctx, "Drain", [...checked.problems, ...plan.problems]) &&
+        await approve(ctx, `Drain ${chain} into ${to}?`)) {
+      await runDrain(ctx, plan, before);
+    }
+  }
+  console.log();
+
+  // ===================================================================
+  // STEP 3: REMOVE CROSS-CHAIN ROUTES
+  // ===================================================================
+
+  console.log("📍 STEP 3: REMOVING CROSS-CHAIN ROUTES");
+  console.log("-".repeat(70));
+
+  const removals = await planRouteRemovals(ctx);
+  if (removals.length === 0) {
+    console.log("  ℹ️  No routes from or to this chain left");
+  } else {
+    for (const removal of removals) {
+      console.log(`  ⏳ ${removal.chain.padEnd(10)} pool ${removal.pool}: remove ${removal.selectors.map(chainLabel).join(", ")}`);
+    }
+    checked = await checkPreconditions(ctx, { requireDrained: true });
+    if (gate(ctx, "Route removal", checked.problems) &&
+        await approve(ctx, `Remove ${removals.length} pool route configuration(s)? Bridging from/to ${chain} stops`)) {
+      if (safe) {
+        await writeOwnerBatches(ctx, `sunset-${chain}-remove-routes`, `Remove the pool routes from and to ${chain} (sunset)`,
+          removals.map(removal => ({
+            chain: removal.chain,
+            contract: new ethers.Contract(removal.pool, POOL_ABI),
+            method: "applyChainUpdates",
+            args: [removal.selectors, []],
+          })));
+        return;
+      }
+      for (const removal of removals) {
+        const pool = new ethers.Contract(removal.pool, POOL_ABI, contracts[removal.chain].vault.signer);
+        await sendOwnerTx(ctx, removal.chain, `applyChainUpdates(remove ${removal.selectors.map(chainLabel).join(", ")})`,
+          pool, "applyChainUpdates", [removal.selectors, []],
+          async ({ blockNumber }) => {
+            const supported = await queryCallsWithConsensus(removal.chain,
+              removal.selectors.map(selector => ({ contract: pool, method: "isSupportedChain", args: [selector] })),
+              { requireMajority: true, minBlock: blockNumber });
+            return supported.every(isSupported => !isSupported);
+          });
+      }
+    }
+  }
+  console.log();
+
+  // ===================================================================
+  // STEP 4: DEAUTHORIZE POOL IN VAULT
+  // ===================================================================
+
+  console.log("📍 STEP 4: DEAUTHORIZING POOL IN VAULT");
+  console.log("-".repeat(70));
+
+  checked = await checkPreconditions(ctx, { requireDrained: true });
+  if (!checked.state.poolAuthorized) {
+    console.log("  ℹ️  Pool not authorized");
+  } else {
+    const routesLeft = await planRouteRemovals(ctx);
+    const problems = [
+      ...checked.problems,
+      ...(routesLeft.length > 0 ? [`${routesLeft.length} pool(s) still have routes from/to ${chain} - remove them first`] : []),
+    ];
+    console.log(`  ⏳ removeCCIPPool(${ctx.pool})`);
+    if (gate(ctx, "Pool removal", problems) &&
+        await approve(ctx, `Remove the CCIP pool from the ${chain} vault? It can no longer mint/burn shUSD`)) {
+      if (safe) {
+        await writeOwnerBatches(ctx, `sunset-${chain}-remove-pool`, `Remove the CCIP pool from the ${chain} vault (sunset)`, [
+          { chain, contract: vault, method: "removeCCIPPool", args: [ctx.pool] },
+        ]);
+        return;
+      }
+      await sendOwnerTx(ctx, chain, "removeCCIPPool", vault, "removeCCIPPool", [ctx.pool],
+        async ({ blockNumber }) => !(await readSunsetState(ctx, blockNumber)).poolAuthorized);
+    }
+  }
+  console.log();
+
+  // ===================================================================
+  // STEP 5: ARCHIVE DEPLOYMENT ENTRY
+  // ===================================================================
+
+  console.log("📍 STEP 5: ARCHIVING DEPLOYMENT ENTRY");
+  console.log("-".repeat(70));
+
+  checked = await checkPreconditions(ctx, { requireDrained: true });
+  const problems = [...checked.problems];
+  if (checked.state.poolAuthorized) {
+    problems.push("The pool is still authorized in the vault");
+  }
+  if ((await planRouteRemovals(ctx)).length > 0) {
+    problems.push(`Routes from/to ${chain} are still configured`);
+  }
+  console.log(`  ⏳ Move ${chain} to "archived" in deployment.json and flag it sunset in scripts/config/chains.json`);
+  if (!gate(ctx, "Archive", problems) ||
+      !(await approve(ctx, `Archive ${chain}? Round rolls and all-chain scripts stop using it`))) {
+    console.log();
+    console.log("=".repeat(70));
+    console.log(dryRun ? "✅ DRY RUN COMPLETE - NO TRANSACTIONS SENT" : "⏸️  SUNSET NOT FINISHED");
+    console.log("=".repeat(70));
+    console.log();
+    return;
+  }
+
+  const reason = args.options.reason || `Sunset: drained into ${to}, routes and pool removed`;
+  archiveChain(deployment, chain, reason);
+  const { revision } = saveDeployment(deployment, { script: "sunsetChain.js", reason: `Archived ${chain} (${reason})` });
+  markChainSunset(chain);
+  saveChainsConfig();
+  console.log(`  ✅ deployment.json revision ${revision}: ${chain} archived`);
+  console.log(`  ✅ ${chain} flagged sunset in scripts/config/chains.json`);
+  console.log();
+
+  // ===================================================================
+  // SUMMARY
+  // ===================================================================
+
+  console.log("=".repeat(70));
+  console.log(`🌅 ${chain.toUpperCase()} RETIRED`);
+  console.log("=".repeat(70));
+  console.log();
+  console.log(`  Active chains: ${getDeploymentChains(deployment).join(", ")}`);
+  console.log(`  USDC still held by ${chain} SherpaUSD: ${formatUsdc(checked.state.wrapperAssets)}`);
+  console.log();
+  console.log("📋 NEXT STEPS:");
+  console.log(`  1. Move the remaining USDC out of ${chain} SherpaUSD (transferAsset, operator)`);
+  console.log("  2. node scripts/system-deployment/preFlightCheck.js");
+  console.log();
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("\n❌ SUNSET FAILED:");
+      console.error(error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  planDrain,
+};
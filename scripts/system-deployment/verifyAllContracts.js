@@ -2,16 +2,18 @@ const { exec } = require("child_process");
 const fs = require("fs");
 const path = require("path");
 const util = require("util");
+const { getChainNames, getChain, requireField, getExplorerAddressUrl } = require("../utils/chainRegistry");
+const { loadDeployment } = require("../utils/deploymentStore");
 
 const execPromise = util.promisify(exec);
 
 /**
  * Verify All Newly Deployed Contracts on Block Explorers
  *
- * Verifies:
- * - 3 SherpaVault (shUSD) contracts
- * - 3 SherpaUSD (wrapper) contracts
- * - 3 CCIP BurnFromMintTokenPool contracts
+ * Verifies, on every chain in scripts/config/chains.json:
+ * - SherpaVault (shUSD) contract
+ * - SherpaUSD (wrapper) contract
+ * - CCIP BurnFromMintTokenPool contract
  */
 
 async function main() {
@@ -21,106 +23,44 @@ async function main() {
   console.log();
 
   // Load deployment
-  const deploymentPath = path.join(__dirname, "../../deployments/deployment.json");
-  const deployment = JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
+  const deployment = loadDeployment();
 
-  const chains = ["sepolia", "base", "arbitrum"];
+  const chains = getChainNames();
 
   // Verification commands
   const verifications = [];
 
-  // ===================================================================
-  // SEPOLIA CONTRACTS
-  // ===================================================================
-
-  console.log("📍 SEPOLIA CONTRACTS");
-  console.log("-".repeat(70));
-
-  // Sepolia Vault
-  verifications.push({
-    chain: "sepolia",
-    contract: "SherpaVault",
-    address: deployment.sepolia.vault,
-    command: `npx hardhat verify --network sepolia --constructor-args scripts/system-deployment/args/args-sepolia-vault.js ${deployment.sepolia.vault}`
-  });
-
-  // Sepolia Wrapper
-  verifications.push({
-    chain: "sepolia",
-    contract: "SherpaUSD",
-    address: deployment.sepolia.sherpaUSD,
-    command: `npx hardhat verify --network sepolia ${deployment.sepolia.sherpaUSD} "${deployment.sepolia.mockUSDC}" "${deployment.sepolia.vault}"`
-  });
-
-  // Sepolia Pool
-  verifications.push({
-    chain: "sepolia",
-    contract: "BurnFromMintTokenPool",
-    address: deployment.sepolia.newCcipPool,
-    command: `npx hardhat verify --network sepolia ${deployment.sepolia.newCcipPool} "${deployment.sepolia.vault}" 6 "[]" "0xba3f6251de62dED61Ff98590cB2fDf6871FbB991" "${deployment.sepolia.ccipRouter}"`
-  });
-
-  // ===================================================================
-  // BASE CONTRACTS
-  // ===================================================================
-
-  console.log("📍 BASE CONTRACTS");
-  console.log("-".repeat(70));
-
-  // Base Vault
-  verifications.push({
-    chain: "base",
-    contract: "SherpaVault",
-    address: deployment.base.vault,
-    command: `npx hardhat verify --network baseSepolia --constructor-args scripts/system-deployment/args/args-base-vault.js ${deployment.base.vault}`
-  });
-
-  // Base Wrapper
-  verifications.push({
-    chain: "base",
-    contract: "SherpaUSD",
-    address: deployment.base.sherpaUSD,
-    command: `npx hardhat verify --network baseSepolia ${deployment.base.sherpaUSD} "${deployment.base.mockUSDC}" "${deployment.base.vault}"`
-  });
-
-  // Base Pool
-  verifications.push({
-    chain: "base",
-    contract: "BurnFromMintTokenPool",
-    address: deployment.base.newCcipPool,
-    command: `npx hardhat verify --network baseSepolia ${deployment.base.newCcipPool} "${deployment.base.vault}" 6 "[]" "0x99360767a4705f68CcCb9533195B761648d6d807" "${deployment.base.ccipRouter}"`
-  });
-
-  // ===================================================================
-  // ARBITRUM CONTRACTS
-  // ===================================================================
-
-  console.log("📍 ARBITRUM CONTRACTS");
-  console.log("-".repeat(70));
-
-  // Arbitrum Vault
-  verifications.push({
-    chain: "arbitrum",
-    contract: "SherpaVault",
-    address: deployment.arbitrum.vault,
-    command: `npx hardhat verify --network arbitrumSepolia --constructor-args scripts/system-deployment/args/args-arbitrum-vault.js ${deployment.arbitrum.vault}`
-  });
-
-  // Arbitrum Wrapper
-  verifications.push({
-    chain: "arbitrum",
-    contract: "SherpaUSD",
-    address: deployment.arbitrum.sherpaUSD,
-    command: `npx hardhat verify --network arbitrumSepolia ${deployment.arbitrum.sherpaUSD} "${deployment.arbitrum.mockUSDC}" "${deployment.arbitrum.vault}"`
-  });
-
-  // Arbitrum Pool
-  verifications.push({
-    chain: "arbitrum",
-    contract: "BurnFromMintTokenPool",
-    address: deployment.arbitrum.newCcipPool,
-    command: `npx hardhat verify --network arbitrumSepolia ${deployment.arbitrum.newCcipPool} "${deployment.arbitrum.vault}" 6 "[]" "0x9527E2d01A3064ef6b50c1Da1C0cC523803BCFF2" "${deployment.arbitrum.ccipRouter}"`
-  });
+  for (const chain of chains) {
+    const network = getChain(chain).hardhatNetwork;
+    const rmnProxy = requireField(chain, "rmnProxy");
+
+    console.log(`📍 ${chain.toUpperCase()} CONTRACTS`);
+    console.log("-".repeat(70));
+
+    // Vault
+    verifications.push({
+      chain,
+      contract: "SherpaVault",
+      address: deployment[chain].vault,
+      command: `npx hardhat verify --network ${network} --constructor-args scripts/system-deployment/args/args-${chain}-vault.js ${deployment[chain].vault}`
+    });
+
+    // Wrapper
+    verifications.push({
+      chain,
+      contract: "SherpaUSD",
+      address: deployment[chain].sherpaUSD,
+      command: `npx hardhat verify --network ${network} ${deployment[chain].sherpaUSD} "${deployment[chain].mockUSDC}" "${deployment[chain].vault}"`
+    });
+
+    // Pool
+    verifications.push({
+      chain,
+      contract: "BurnFromMintTokenPool",
+      address: deployment[chain].ccipPool,
+      command: `npx hardhat verify --network ${network} ${deployment[chain].ccipPool} "${deployment[chain].vault}" 6 "[]" "${rmnProxy}" "${deployment[chain].ccipRouter}"`
+    });
+  }
 
   // ===================================================================
   // CREATE CONSTRUCTOR ARGS FILES
@@ -141,41 +81,18 @@ async function main() {
     fs.mkdirSync(argsDir, { recursive: true });
   }
 
-  // Sepolia vault args
-  fs.writeFileSync(
-    path.join(argsDir, "args-sepolia-vault.js"),
-    `module.exports = [
-  "Staked Sherpa USD",
-  "shUSD",
-  "${deployment.sepolia.sherpaUSD}",
-  "${deployment.sepolia.ccipRouter}",
-  [${vaultParams.decimals}, "${vaultParams.minimumSupply}", "${vaultParams.cap}"]
-];`
-  );
-
-  // Base vault args
-  fs.writeFileSync(
-    path.join(argsDir, "args-base-vault.js"),
-    `module.exports = [
-  "Staked Sherpa USD",
-  "shUSD",
-  "${deployment.base.sherpaUSD}",
-  "${deployment.base.ccipRouter}",
-  [${vaultParams.decimals}, "${vaultParams.minimumSupply}", "${vaultParams.cap}"]
-];`
-  );
-
-  // Arbitrum vault args
-  fs.writeFileSync(
-    path.join(argsDir, "args-arbitrum-vault.js"),
-    `module.exports = [
+  for (const chain of chains) {
+    fs.writeFileSync(
+      path.join(argsDir, `args-${chain}-vault.js`),
+      `module.exports = [
   "Staked Sherpa USD",
   "shUSD",
-  "${deployment.arbitrum.sherpaUSD}",
-  "${deployment.arbitrum.ccipRouter}",
+  "${deployment[chain].sherpaUSD}",
+  "${deployment[chain].ccipRouter}",
   [${vaultParams.decimals}, "${vaultParams.minimumSupply}", "${vaultParams.cap}"]
 ];`
-  );
+    );
+  }
 
   console.log("✅ Constructor args files created");
   console.log();
@@ -239,21 +156,13 @@ async function main() {
 
   console.log("📋 Contract Links:");
   console.log();
-  console.log("Sepolia:");
-  console.log(`  Vault: https://sepolia.etherscan.io/address/${deployment.sepolia.vault}#code`);
-  console.log(`  Wrapper: https://sepolia.etherscan.io/address/${deployment.sepolia.sherpaUSD}#code`);
-  console.log(`  Pool: https://sepolia.etherscan.io/address/${deployment.sepolia.newCcipPool}#code`);
-  console.log();
-  console.log("Base:");
-  console.log(`  Vault: https://sepolia.basescan.org/address/${deployment.base.vault}#code`);
-  console.log(`  Wrapper: https://sepolia.basescan.org/address/${deployment.base.sherpaUSD}#code`);
-  console.log(`  Pool: https://sepolia.basescan.org/address/${deployment.base.newCcipPool}#code`);
-  console.log();
-  console.log("Arbitrum:");
-  console.log(`  Vault: https://sepolia.arbiscan.io/address/${deployment.arbitrum.vault}#code`);
-  console.log(`  Wrapper: https://sepolia.arbiscan.io/address/${deployment.arbitrum.sherpaUSD}#code`);
-  console.log(`  Pool: https://sepolia.arbiscan.io/address/${deployment.arbitrum.newCcipPool}#code`);
-  console.log();
+  for (const chain of chains) {
+    console.log(`${getChain(chain).displayName}:`);
+    console.log(`  Vault: ${getExplorerAddressUrl(chain, deployment[chain].vault)}#code`);
+    console.log(`  Wrapper: ${getExplorerAddressUrl(chain, deployment[chain].sherpaUSD)}#code`);
+    console.log(`  Pool: ${getExplorerAddressUrl(chain, deployment[chain].ccipPool)}#code`);
+    console.log();
+  }
 
   console.log("📁 Constructor args files saved in: scripts/system-deployment/args/");
   console.log();
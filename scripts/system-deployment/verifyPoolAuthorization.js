@@ -1,6 +1,8 @@
 const { ethers } = require("ethers");
 const fs = require("fs");
 const path = require("path");
+const { getChainNames, getRpcUrl } = require("../utils/chainRegistry");
+const { loadDeployment } = require("../utils/deploymentStore");
 require("dotenv").config();
 
 /**
@@ -17,23 +19,20 @@ async function main() {
   console.log();
 
   // Load deployment
-  const deploymentPath = path.join(__dirname, "../../deployments/deployment.json");
-  const deployment = JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
+  const deployment = loadDeployment();
 
-  const chains = ["sepolia", "base", "arbitrum"];
+  const chains = getChainNames();
 
   // Setup providers
-  const providers = {
-    sepolia: new ethers.providers.JsonRpcProvider(process.env.SEPOLIA_RPC_URL),
-    base: new ethers.providers.JsonRpcProvider(process.env.BASE_SEPOLIA_RPC_URL),
-    arbitrum: new ethers.providers.JsonRpcProvider(process.env.ARBITRUM_SEPOLIA_RPC_URL)
-  };
+  const providers = Object.fromEntries(
+    chains.map(chain => [chain, new ethers.providers.JsonRpcProvider(getRpcUrl(chain))])
+  );
 
   const VAULT_ABI = ["function ccipPools(address) external view returns (bool)"];
 
   console.log("Pool Addresses:");
   for (const chain of chains) {
-    console.log(`  ${chain}: ${deployment[chain].newCcipPool}`);
+    console.log(`  ${chain}: ${deployment[chain].ccipPool}`);
   }
   console.log();
 
@@ -57,10 +56,10 @@ async function main() {
     );
 
     try {
-      const isAuthorized = await vault.ccipPools(deployment[chain].newCcipPool);
+      const isAuthorized = await vault.ccipPools(deployment[chain].ccipPool);
 
       console.log(`${chain}:`);
-      console.log(`  Pool: ${deployment[chain].newCcipPool}`);
+      console.log(`  Pool: ${deployment[chain].ccipPool}`);
       console.log(`  Vault: ${deployment[chain].vault}`);
       console.log(`  Authorized: ${isAuthorized ? '✅ true' : '❌ false'}`);
 
@@ -131,7 +130,7 @@ async function main() {
     console.log("     const provider = new ethers.providers.JsonRpcProvider(process.env.SEPOLIA_RPC_URL); // or BASE_SEPOLIA_RPC_URL, etc.");
     console.log("     const signer = wallet.connect(provider);");
     console.log("     const vault = new ethers.Contract(deployment.sepolia.vault, ['function addCCIPPool(address)'], signer);");
-    console.log("     const tx = await vault.addCCIPPool(deployment.sepolia.newCcipPool);");
+    console.log("     const tx = await vault.addCCIPPool(deployment.sepolia.ccipPool);");
     console.log("     await tx.wait();");
     console.log("     console.log('Fixed!');");
     console.log("   }");
@@ -0,0 +1,362 @@
+const { ethers } = require("ethers");
+const path = require("path");
+const { getChain } = require("../utils/chainRegistry");
+const { loadDeployment, getDeploymentChains } = require("../utils/deploymentStore");
+const { queryCallsWithConsensus } = require("../utils/consensusProvider");
+const { parseArgs } = require("../utils/cliArgs");
+const { readSafeBatch } = require("../utils/safeBatch");
+const { ABIS } = require("./deploymentPlan");
+require("dotenv").config();
+
+/**
+ * Verify a Safe Transaction Batch
+ *
+ * Run by every Safe signer before signing an owner-level batch (written by the owner
+ * scripts with --safe-batch). Accepts the Transaction Builder file, or the proposed
+ * transaction as returned by the Safe Transaction Service
+ * (GET /api/v1/multisig-transactions/<safeTxHash>/ - MultiSend batches are unpacked;
+ * delegatecalls to anything but the canonical MultiSend contracts, gas refunds and a
+ * safeTxHash that is not the hash of the proposal's fields are refused).
+ *
+ * Checks:
+ *   1. Every call targets a contract of this deployment (vault, wrapper, the CCIP pool
+ *      registered for the vault in the Token Admin Registry - the pool the owner scripts
+ *      batch against, even if deployment.json is stale) or the chain's Token Admin
+ *      Registry / Registry Module, sends no value, is a plain call and decodes to an
+ *      owner-level function - the decoded calls are printed
+ *   2. The Safe is the owner of every target (registry calls: the token administrator /
+ *      vault owner), read through RPC consensus - otherwise the batch would revert
+ *   3. With --expect: the batch is exactly the generated one (chain, Safe, and every
+ *      call's target, value and calldata, in order)
+ *
+ * Exits with code 1 on any problem - do not sign.
+ *
+ * Usage:
+ *   node scripts/system-deployment/verifySafeBatch.js <batch.json> [--expect <generated.json>] [--chain <chain>]
+ *
+ * Options:
+ *   --expect: Batch written by the owner script (deployments/safe-batches/) to compare with
+ *   --chain: Chain of the batch (required for Safe Transaction Service JSON, which has no chainId)
+ */
+
+const OWNER_FUNCTIONS = {
+  SherpaVault: [
+    "function removeCCIPPool(address pool) external",
+    "function rescueTokens(address token, uint256 amount) external",
+    "function acceptOwnership() external",
+  ],
+  SherpaUSD: [
+    "function setAutoTransfer(bool _enabled) external",
+    "function acceptOwnership() external",
+  ],
+};
+
+const INTERFACES = Object.fromEntries(Object.entries(ABIS).map(([contract, abi]) => [
+  contract,
+  new ethers.utils.Interface([...abi, ...(OWNER_FUNCTIONS[contract] || [])]),
+]));
+
+function printUsage() {
+  console.error("Usage: node scripts/system-deployment/verifySafeBatch.js <batch.json> [--expect <generated.json>] [--chain <chain>]");
+  console.error("");
+  console.error("  batch.json: Transaction Builder file or Safe Transaction Service transaction JSON");
+  console.error("  --expect: Batch written by the owner script to compare with");
+  console.error("  --chain: Chain of the batch (required for Safe Transaction Service JSON)");
+}
+
+function formatDecoded(value) {
+  if (ethers.BigNumber.isBigNumber(value)) {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(formatDecoded).join(", ")}]`;
+  }
+  return String(value);
+}
+
+/**
+ * CCIP pool registered for the vault in the Token Admin Registry (null if none), read
+ * through RPC consensus - the pool addChain.js / sunsetChain.js batch against
+ */
+async function registeredPool(chain, deployment) {
+  const registry = new ethers.Contract(getChain(chain).tokenAdminRegistry, ABIS.TokenAdminRegistry);
+  const { pool } = await queryCallsWithConsensus(chain, {
+    pool: { contract: registry, method: "getPool", args: [deployment[chain].vault] },
+  }, { requireMajority: true, log: () => {} });
+  return pool === ethers.constants.AddressZero ? null : pool;
+}
+
+/**
+ * Contracts a batch on this chain may call, by lowercase address
+ */
+function knownTargets(chain, deployment, pool) {
+  const entry = deployment[chain];
+  const config = getChain(chain);
+  return Object.fromEntries([
+    ["SherpaVault", entry.vault],
+    ["SherpaUSD", entry.sherpaUSD],
+    ["Pool", pool],
+    ["TokenAdminRegistry", config.tokenAdminRegistry],
+    ["RegistryModule", config.registryModule],
+  ]
+    .filter(([, address]) => address)
+    .map(([contract, address]) => [address.toLowerCase(), contract]));
+}
+
+/**
+ * Decode one call; returns { contract, name, args, text } (contract/name null if unknown)
+ */
+function decodeCall(targets, tx) {
+  const contract = targets[tx.to.toLowerCase()] || null;
+  if (!contract) {
+    return { contract, name: null, args: [], text: `${tx.to} (not a contract of this deployment) data ${tx.data.slice(0, 10)}...` };
+  }
+  try {
+    const parsed = INTERFACES[contract].parseTransaction({ data: tx.data });
+    return {
+      contract,
+      name: parsed.name,
+      args: parsed.args,
+      text: `${contract}(${tx.to}).${parsed.name}(${parsed.args.map(formatDecoded).join(", ")})`,
+    };
+  } catch (e) {
+    return { contract, name: null, args: [], text: `${contract}(${tx.to}) unknown function ${tx.data.slice(0, 10)}` };
+  }
+}
+
+/**
+ * Account each call needs as msg.sender (the Safe), read through RPC consensus
+ */
+async function requiredSenders(chain, deployment, calls, pool) {
+  const entry = deployment[chain];
+  const config = getChain(chain);
+  const vault = new ethers.Contract(entry.vault, ABIS.SherpaVault);
+  const reads = {
+    vaultOwner: { contract: vault, method: "owner" },
+    wrapperOwner: { contract: new ethers.Contract(entry.sherpaUSD, ABIS.SherpaUSD), method: "owner" },
+    tokenConfig: {
+      contract: new ethers.Contract(config.tokenAdminRegistry, ABIS.TokenAdminRegistry),
+      method: "getTokenConfig",
+      args: [entry.vault],
+    },
+  };
+  if (pool) {
+    reads.poolOwner = { contract: new ethers.Contract(pool, ABIS.Pool), method: "owner" };
+  }
+  const state = await queryCallsWithConsensus(chain, reads, { requireMajority: true, log: () => {} });
+
+  // Token admin roles as earlier calls of the batch leave them (register → accept → setPool)
+  let { administrator, pendingAdministrator } = state.tokenConfig;
+
+  return calls.map(({ contract, name }) => {
+    switch (contract) {
+      case "SherpaVault":
+        return name === "acceptOwnership" ? null : { role: "vault owner", address: state.vaultOwner };
+      case "SherpaUSD":
+        return name === "acceptOwnership" ? null : { role: "wrapper owner", address: state.wrapperOwner };
+      case "Pool":
+        return { role: "pool owner", address: state.poolOwner };
+      case "RegistryModule":
+        pendingAdministrator = state.vaultOwner;
+        return { role: "vault owner", address: state.vaultOwner };
+      case "TokenAdminRegistry":
+        if (name === "acceptAdminRole") {
+          const sender = { role: "pending token administrator", address: pendingAdministrator };
+          administrator = pendingAdministrator;
+          pendingAdministrator = ethers.constants.AddressZero;
+          return sender;
+        }
+        return { role: "token administrator", address: administrator };
+      default:
+        return null;
+    }
+  });
+}
+
+/**
+ * Chain of the batch: its chainId among the deployed chains, checked against --chain
+ */
+function resolveChain(batch, deployment, chainOption, problems) {
+  const chains = getDeploymentChains(deployment);
+  const byId = batch.chainId ? chains.find(chain => String(getChain(chain).chainId) === batch.chainId) : null;
+  if (chainOption && !chains.includes(chainOption)) {
+    throw new Error(`--chain ${chainOption} is not deployed (deployed: ${chains.join(", ")})`);
+  }
+  if (batch.chainId && !byId) {
+    throw new Error(`Batch is for chainId ${batch.chainId}, which is not a deployed chain`);
+  }
+  if (chainOption && byId && chainOption !== byId) {
+    problems.push(`Batch is for ${byId} (chainId ${batch.chainId}), not ${chainOption}`);
+  }
+  const chain = byId || chainOption;
+  if (!chain) {
+    throw new Error("The batch has no chainId - pass --chain");
+  }
+  return chain;
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2), { options: ["expect", "chain"] });
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    printUsage();
+    process.exit(1);
+  }
+  const [file] = args.positional;
+  if (!file) {
+    printUsage();
+    process.exit(1);
+  }
+
+  const deployment = loadDeployment();
+  const batch = readSafeBatch(file, { chain: args.options.chain });
+  const problems = [];
+  const chain = resolveChain(batch, deployment, args.options.chain, problems);
+  const pool = await registeredPool(chain, deployment);
+  const targets = knownTargets(chain, deployment, pool);
+
+  console.log("=".repeat(70));
+  console.log("🔐 VERIFY SAFE TRANSACTION BATCH");
+  console.log("=".repeat(70));
+  console.log();
+  console.log(`Batch: ${path.basename(file)} (${batch.source})`);
+  console.log(`Chain: ${chain}`);
+  console.log(`Safe: ${batch.safe || "(not in the file)"}`);
+  console.log(`Pool: ${pool || "(none registered)"} (Token Admin Registry)`);
+  if (deployment[chain].ccipPool && deployment[chain].ccipPool !== pool) {
+    console.log(`  ⚠️  deployment.json lists ${deployment[chain].ccipPool} - calls to it are not accepted`);
+  }
+  console.log(`Transactions: ${batch.transactions.length}`);
+  console.log();
+
+  // ===================================================================
+  // STEP 1: DECODE CALLS
+  // ===================================================================
+
+  console.log("📍 STEP 1: DECODING CALLS");
+  console.log("-".repeat(70));
+
+  const calls = batch.transactions.map(tx => decodeCall(targets, tx));
+  batch.transactions.forEach((tx, i) => {
+    const call = calls[i];
+    const issues = [];
+    if (!call.contract) {
+      issues.push("unknown target");
+    } else if (!call.name) {
+      issues.push("function is not an owner-level call of this contract");
+    }
+    if (tx.value !== "0") {
+      issues.push(`sends ${ethers.utils.formatEther(tx.value)} native token`);
+    }
+    if (Number(tx.operation) !== 0) {
+      issues.push("delegatecall");
+    }
+
+    console.log(`  ${issues.length === 0 ? "✅" : "❌"} ${i + 1}. ${call.text}`);
+    issues.forEach(issue => {
+      console.log(`       ${issue}`);
+      problems.push(`Call ${i + 1}: ${issue}`);
+    });
+  });
+  if (batch.transactions.length === 0) {
+    problems.push("Batch has no transactions");
+  }
+  console.log();
+
+  // ===================================================================
+  // STEP 2: OWNERSHIP
+  // ===================================================================
+
+  console.log("📍 STEP 2: CHECKING THE SAFE CAN SEND EVERY CALL");
+  console.log("-".repeat(70));
+
+  if (!batch.safe) {
+    console.log("  ⚠️  No Safe address in the batch - skipped");
+  } else {
+    const senders = await requiredSenders(chain, deployment, calls, pool);
+    senders.forEach((sender, i) => {
+      if (!sender) {
+        return;
+      }
+      if (sender.address && sender.address.toLowerCase() === batch.safe.toLowerCase()) {
+        console.log(`  ✅ ${i + 1}. Safe is the ${sender.role}`);
+      } else {
+        console.log(`  ❌ ${i + 1}. ${sender.role} is ${sender.address || "(unknown)"}, not the Safe - the call would revert`);
+        problems.push(`Call ${i + 1}: the Safe is not the ${sender.role}`);
+      }
+    });
+  }
+  console.log();
+
+  // ===================================================================
+  // STEP 3: INTENDED CHANGE
+  // ===================================================================
+
+  console.log("📍 STEP 3: COMPARING WITH THE INTENDED CHANGE");
+  console.log("-".repeat(70));
+
+  if (!args.options.expect) {
+    console.log("  ⚠️  No --expect batch - compare the decoded calls above with the intended change by hand");
+  } else {
+    const expected = readSafeBatch(args.options.expect);
+    console.log(`  Expected: ${path.basename(args.options.expect)}`);
+
+    if (expected.chainId && String(getChain(chain).chainId) !== expected.chainId) {
+      problems.push(`Expected batch is for chainId ${expected.chainId}, this one for ${chain}`);
+    }
+    if (expected.safe && batch.safe && expected.safe !== batch.safe) {
+      problems.push(`Expected Safe ${expected.safe}, batch is for ${batch.safe}`);
+    }
+    if (expected.transactions.length !== batch.transactions.length) {
+      problems.push(`Expected ${expected.transactions.length} transaction(s), batch has ${batch.transactions.length}`);
+    }
+
+    const count = Math.max(expected.transactions.length, batch.transactions.length);
+    for (let i = 0; i < count; i++) {
+      const want = expected.transactions[i];
+      const got = batch.transactions[i];
+      const same = want && got &&
+        want.to === got.to &&
+        want.value === got.value &&
+        want.data.toLowerCase() === got.data.toLowerCase() &&
+        Number(want.operation) === Number(got.operation);
+      if (same) {
+        console.log(`  ✅ ${i + 1}. matches`);
+        continue;
+      }
+      console.log(`  ❌ ${i + 1}. differs`);
+      console.log(`       - ${want ? decodeCall(targets, want).text : "(none)"}  (expected)`);
+      console.log(`       + ${got ? decodeCall(targets, got).text : "(none)"}  (batch)`);
+      problems.push(`Call ${i + 1} differs from the expected batch`);
+    }
+  }
+  console.log();
+
+  // ===================================================================
+  // RESULT
+  // ===================================================================
+
+  console.log("=".repeat(70));
+  if (problems.length > 0) {
+    console.log(`❌ ${problems.length} PROBLEM(S) - DO NOT SIGN`);
+    console.log("=".repeat(70));
+    problems.forEach(problem => console.log(`  - ${problem}`));
+    console.log();
+    process.exit(1);
+  }
+  console.log("✅ BATCH VERIFIED");
+  console.log("=".repeat(70));
+  console.log();
+  console.log("Also check in the Safe app that the transaction hash you sign matches the proposal.");
+  console.log();
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("\n❌ VERIFICATION FAILED:");
+    console.error(error);
+    process.exit(1);
+  });
@@ -1,5 +1,9 @@
 const { ethers } = require("ethers");
 const fs = require("fs");
+const { getChainNames, getRpcEnvVar } = require("../utils/chainRegistry");
+const { loadDeployment } = require("../utils/deploymentStore");
+const { assertWriteAllowed } = require("../utils/environment");
+const { getTxManager } = require("../utils/txManager");
 require("dotenv").config();
 
 /**
@@ -16,22 +20,19 @@ async function main() {
   console.log();
 
   // Load deployment data
-  const deployment = JSON.parse(
-    fs.readFileSync("deployments/deployment.json", "utf8")
-  );
+  const deployment = loadDeployment();
 
   // Load vault ABI
   const vaultArtifact = JSON.parse(
     fs.readFileSync("artifacts/contracts/SherpaVault.sol/SherpaVault.json", "utf8")
   );
 
-  const chains = [
-    { name: "sepolia", rpcEnvVar: "SEPOLIA_RPC_URL" },
-    { name: "base", rpcEnvVar: "BASE_SEPOLIA_RPC_URL" },
-    { name: "arbitrum", rpcEnvVar: "ARBITRUM_SEPOLIA_RPC_URL" }
-  ];
+  const chains = getChainNames()
+    .filter(name => deployment[name])
+    .map(name => ({ name, rpcEnvVar: getRpcEnvVar(name) }));
 
   // Setup wallet
+  assertWriteAllowed("Unpause vaults on all chains");
   const wallet = new ethers.Wallet("0x" + process.env.PRIVATE_KEY);
   console.log("Operator:", wallet.address);
   console.log();
@@ -72,10 +73,7 @@ async function main() {
     }
 
     console.log(`  ${chain.name}: Sending unpause transaction...`);
-    const tx = await vault.setSystemPaused(false, {
-      maxFeePerGas: ethers.utils.parseUnits("2", "gwei"),
-      maxPriorityFeePerGas: ethers.utils.parseUnits("1.5", "gwei")
-    });
+    const tx = await getTxManager(chain.name, vault.signer).sendCall(vault, "setSystemPaused", [false]);
 
     console.log(`    TX: ${tx.hash}`);
     const receipt = await tx.wait();
@@ -2,6 +2,10 @@ const { ethers } = require("ethers");
 const fs = require("fs");
 const path = require("path");
 const { TEST_USERS } = require("../config/testUsers");
+const { getChain } = require("../utils/chainRegistry");
+const { loadDeployment, getDeploymentChains } = require("../utils/deploymentStore");
+const { assertWriteAllowed, parseEnvArgs } = require("../utils/environment");
+const { withSimulation } = require("../utils/revertDecoder");
 require("dotenv").config({ path: path.join(__dirname, "../../.env") });
 
 /**
@@ -25,9 +29,7 @@ require("dotenv").config({ path: path.join(__dirname, "../../.env") });
  */
 
 // Load deployment configuration
-const deployment = JSON.parse(
-  fs.readFileSync(path.join(__dirname, "../../deployments/deployment.json"), "utf8")
-);
+const deployment = loadDeployment();
 
 // ABIs
 const mockUSDCAbi = [
@@ -64,30 +66,14 @@ function getRandomDepositAmount(min, max) {
  * Get RPC URL for chain
  */
 function getRpcUrl(chain) {
-  if (chain === 'sepolia') {
-    return process.env.SEPOLIA_RPC_URL;
-  } else if (chain === 'base') {
-    return process.env.BASE_SEPOLIA_RPC_URL;
-  } else if (chain === 'arbitrum') {
-    return process.env.ARBITRUM_SEPOLIA_RPC_URL;
-  } else {
-    throw new Error(`Unknown chain: ${chain}`);
-  }
+  return process.env[getChain(chain).rpcEnvVars[0]];
 }
 
 /**
  * Get chain explorer URL
  */
 function getExplorerUrl(chain) {
-  if (chain === 'sepolia') {
-    return 'https://sepolia.etherscan.io/tx/';
-  } else if (chain === 'base') {
-    return 'https://sepolia.basescan.org/tx/';
-  } else if (chain === 'arbitrum') {
-    return 'https://sepolia.arbiscan.io/tx/';
-  } else {
-    return '';
-  }
+  return `${getChain(chain).explorer}/tx/`;
 }
 
 /**
@@ -112,8 +98,8 @@ async function processUserDeposit(user, minAmount, maxAmount, vaultAddress, wrap
   }
 
   // Create contract instances
-  const mockUSDC = new ethers.Contract(mockUSDCAddress, mockUSDCAbi, wallet);
-  const vault = new ethers.Contract(vaultAddress, vaultAbi, wallet);
+  const mockUSDC = withSimulation(new ethers.Contract(mockUSDCAddress, mockUSDCAbi, wallet));
+  const vault = withSimulation(new ethers.Contract(vaultAddress, vaultAbi, wallet));
 
   // Check MockUSDC balance
   const usdcBalance = await mockUSDC.balanceOf(wallet.address);
@@ -174,10 +160,13 @@ async function processUserDeposit(user, minAmount, maxAmount, vaultAddress, wrap
 }
 
 async function main() {
+  assertWriteAllowed("Simulate test user deposits");
+
   // Parse CLI arguments
-  const chain = process.argv[2]?.toLowerCase();
-  const minAmount = parseInt(process.argv[3]);
-  const maxAmount = parseInt(process.argv[4]);
+  const args = parseEnvArgs(process.argv.slice(2)).rest;
+  const chain = args[0]?.toLowerCase();
+  const minAmount = parseInt(args[1]);
+  const maxAmount = parseInt(args[2]);
 
   if (!chain || isNaN(minAmount) || isNaN(maxAmount)) {
     console.error("Usage: node simulate10userDeposits-universalChain.js <chain> <minAmount> <maxAmount>");
@@ -201,7 +190,7 @@ async function main() {
 
   if (!deployment[chain]) {
     console.error(`❌ Error: Chain '${chain}' not found in deployment.json`);
-    console.error(`Available chains: ${Object.keys(deployment).filter(k => typeof deployment[k] === 'object' && deployment[k].vault).join(', ')}`);
+    console.error(`Available chains: ${getDeploymentChains(deployment).join(', ')}`);
     process.exit(1);
   }
 
@@ -1,13 +1,16 @@
 const { ethers } = require("ethers");
-const fs = require("fs");
-const path = require("path");
 const { getTestUser } = require("../config/testUsers");
+const { getChainNames, getChain } = require("../utils/chainRegistry");
+const { loadDeployment } = require("../utils/deploymentStore");
+const { assertWriteAllowed, parseEnvArgs } = require("../utils/environment");
+const { withSimulation } = require("../utils/revertDecoder");
 require("dotenv").config();
 
 /**
  * Test All Bridge Routes for a Single User
  *
- * This script systematically tests all 6 possible bridge routes:
+ * This script systematically tests every bridge route between deployed chains
+ * (all 6 for the testnet chains):
  * - sepolia → base
  * - sepolia → arbitrum
  * - base → sepolia
@@ -26,47 +29,30 @@ require("dotenv").config();
  */
 
 // Load deployment info
-const deployment = JSON.parse(fs.readFileSync(path.join(__dirname, "../../deployments/deployment.json"), "utf8"));
-
-const CHAINS = {
-  sepolia: {
-    name: "Sepolia",
-    rpcUrl: process.env.SEPOLIA_RPC_URL,
-    router: "0x0BF3dE8c5D3e8A2B34D2BEeB17ABfCeBaf363A59",
-    chainSelector: "16015286601757825753",
-    shUSD: deployment.sepolia.vault,
-    linkToken: "0x779877A7B0D9E8603169DdbD7836e478b4624789",
-    explorer: "https://sepolia.etherscan.io"
-  },
-  base: {
-    name: "Base Sepolia",
-    rpcUrl: process.env.BASE_SEPOLIA_RPC_URL,
-    router: "0xD3b06cEbF099CE7DA4AcCf578aaebFDBd6e88a93",
-    chainSelector: "10344971235874465080",
-    shUSD: deployment.base.vault,
-    linkToken: "0xE4aB69C077896252FAFBD49EFD26B5D171A32410",
-    explorer: "https://sepolia.basescan.org"
-  },
-  arbitrum: {
-    name: "Arbitrum Sepolia",
-    rpcUrl: process.env.ARBITRUM_SEPOLIA_RPC_URL,
-    router: "0x2a9C5afB0d0e4BAb2BCdaE109EC4b0c4Be15a165",
-    chainSelector: "3478487238524512106",
-    shUSD: deployment.arbitrum.vault,
-    linkToken: "0xb1D4538B4571d411F07960EF2838Ce337FE1E80E",
-    explorer: "https://sepolia.arbiscan.io"
-  }
-};
-
-// All 6 bridge routes to test
-const ROUTES = [
-  { from: "sepolia", to: "base" },
-  { from: "sepolia", to: "arbitrum" },
-  { from: "base", to: "sepolia" },
-  { from: "base", to: "arbitrum" },
-  { from: "arbitrum", to: "sepolia" },
-  { from: "arbitrum", to: "base" }
-];
+const deployment = loadDeployment();
+
+// Chain config from scripts/config/chains.json, shUSD addresses from deployment.json
+const CHAINS = Object.fromEntries(
+  getChainNames()
+    .filter(name => deployment[name])
+    .map(name => {
+      const chain = getChain(name);
+      return [name, {
+        name: chain.displayName,
+        rpcUrl: process.env[chain.rpcEnvVars[0]],
+        router: chain.ccipRouter,
+        chainSelector: chain.chainSelector,
+        shUSD: deployment[name].vault,
+        linkToken: chain.linkToken,
+        explorer: chain.explorer
+      }];
+    })
+);
+
+// Every bridge route between deployed chains (6 for 3 chains)
+const ROUTES = Object.keys(CHAINS).flatMap(from =>
+  Object.keys(CHAINS).filter(to => to !== from).map(to => ({ from, to }))
+);
 
 // CCIP Router ABI
 const ROUTER_ABI = [
@@ -95,8 +81,8 @@ async function bridgeTokens(fromChain, toChain, amount, wallet, receiverAddress)
   console.log();
 
   // Connect to contracts
-  const token = new ethers.Contract(sourceChain.shUSD, ERC20_ABI, wallet);
-  const router = new ethers.Contract(sourceChain.router, ROUTER_ABI, wallet);
+  const token = withSimulation(new ethers.Contract(sourceChain.shUSD, ERC20_ABI, wallet));
+  const router = withSimulation(new ethers.Contract(sourceChain.router, ROUTER_ABI, wallet));
 
   // Check balance
   const balance = await token.balanceOf(wallet.address);
@@ -162,7 +148,9 @@ async function bridgeTokens(fromChain, toChain, amount, wallet, receiverAddress)
 }
 
 async function main() {
-  const args = process.argv.slice(2);
+  assertWriteAllowed("Bridge test tokens on all routes");
+
+  const args = parseEnvArgs(process.argv.slice(2)).rest;
 
   if (args.length < 1) {
     console.error("Usage: node scripts/testing/singleUser-testAllBridgeRoutes.js <userNumber> [amountPerRoute]");
@@ -1,7 +1,9 @@
 const { ethers } = require("ethers");
-const fs = require("fs");
-const path = require("path");
 const { getTestUser } = require("../config/testUsers");
+const { getChainNames, getChain } = require("../utils/chainRegistry");
+const { loadDeployment } = require("../utils/deploymentStore");
+const { assertWriteAllowed, parseEnvArgs } = require("../utils/environment");
+const { withSimulation } = require("../utils/revertDecoder");
 require("dotenv").config();
 
 /**
@@ -22,31 +24,23 @@ require("dotenv").config();
  */
 
 // Load deployment info - always use main deployment.json
-const deployment = JSON.parse(fs.readFileSync(path.join(__dirname, "../../deployments/deployment.json"), "utf8"));
-
-const CHAINS = {
-  sepolia: {
-    rpcUrl: process.env.SEPOLIA_RPC_URL,
-    router: "0x0BF3dE8c5D3e8A2B34D2BEeB17ABfCeBaf363A59",
-    chainSelector: "16015286601757825753",
-    shUSD: deployment.sepolia.vault,
-    linkToken: "0x779877A7B0D9E8603169DdbD7836e478b4624789"
-  },
-  base: {
-    rpcUrl: process.env.BASE_SEPOLIA_RPC_URL,
-    router: "0xD3b06cEbF099CE7DA4AcCf578aaebFDBd6e88a93",
-    chainSelector: "10344971235874465080",
-    shUSD: deployment.base.vault,
-    linkToken: "0xE4aB69C077896252FAFBD49EFD26B5D171A32410"
-  },
-  arbitrum: {
-    rpcUrl: process.env.ARBITRUM_SEPOLIA_RPC_URL,
-    router: "0x2a9C5afB0d0e4BAb2BCdaE109EC4b0c4Be15a165",
-    chainSelector: "3478487238524512106",
-    shUSD: deployment.arbitrum.vault,
-    linkToken: "0xb1D4538B4571d411F07960EF2838Ce337FE1E80E"
-  }
-};
+const deployment = loadDeployment();
+
+// Chain config from scripts/config/chains.json, shUSD addresses from deployment.json
+const CHAINS = Object.fromEntries(
+  getChainNames()
+    .filter(name => deployment[name])
+    .map(name => {
+      const chain = getChain(name);
+      return [name, {
+        rpcUrl: process.env[chain.rpcEnvVars[0]],
+        router: chain.ccipRouter,
+        chainSelector: chain.chainSelector,
+        shUSD: deployment[name].vault,
+        linkToken: chain.linkToken
+      }];
+    })
+);
 
 // CCIP Router ABI
 const ROUTER_ABI = [
@@ -63,12 +57,12 @@ const ERC20_ABI = [
 ];
 
 async function main() {
-  const args = process.argv.slice(2);
+  const args = parseEnvArgs(process.argv.slice(2)).rest;
 
   if (args.length < 4) {
     console.error("Usage: node scripts/testing/singleUserBridgeTokens.js <fromChain> <toChain> <amount> <userNumber|receiverAddress> [privateKey]");
     console.error("");
-    console.error("Supported chains: sepolia, base, arbitrum");
+    console.error(`Supported chains: ${Object.keys(CHAINS).join(", ")}`);
     console.error("");
     console.error("Examples:");
     console.error("  # Using test user (bridges to self):");
@@ -128,11 +122,12 @@ async function main() {
 
   // Setup provider and wallet
   const provider = new ethers.providers.JsonRpcProvider(sourceChain.rpcUrl);
+  assertWriteAllowed("Bridge test tokens");
   const wallet = new ethers.Wallet(privateKey, provider);
 
   // Connect to contracts
-  const token = new ethers.Contract(sourceChain.shUSD, ERC20_ABI, wallet);
-  const router = new ethers.Contract(sourceChain.router, ROUTER_ABI, wallet);
+  const token = withSimulation(new ethers.Contract(sourceChain.shUSD, ERC20_ABI, wallet));
+  const router = withSimulation(new ethers.Contract(sourceChain.router, ROUTER_ABI, wallet));
 
   // Check balance
   const balance = await token.balanceOf(wallet.address);
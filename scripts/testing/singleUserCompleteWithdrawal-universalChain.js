@@ -2,6 +2,10 @@ const { ethers } = require("ethers");
 const fs = require("fs");
 const path = require("path");
 const { getTestUser } = require("../config/testUsers");
+const { getChainNames, isSupportedChain, getRpcUrl, getExplorerTxUrl } = require("../utils/chainRegistry");
+const { loadDeployment } = require("../utils/deploymentStore");
+const { assertWriteAllowed, parseEnvArgs } = require("../utils/environment");
+const { withSimulation } = require("../utils/revertDecoder");
 require("dotenv").config();
 
 /**
@@ -16,24 +20,11 @@ require("dotenv").config();
  * Supported users: 1-10
  */
 
-// RPC URL mapping
-const RPC_URLS = {
-  sepolia: process.env.SEPOLIA_RPC_URL,
-  base: process.env.BASE_SEPOLIA_RPC_URL,
-  arbitrum: process.env.ARBITRUM_SEPOLIA_RPC_URL
-};
-
-// Block explorer mapping
-const EXPLORERS = {
-  sepolia: "https://sepolia.etherscan.io",
-  base: "https://sepolia.basescan.org",
-  arbitrum: "https://sepolia.arbiscan.io"
-};
-
 async function main() {
   // Parse CLI arguments
-  const userNumber = parseInt(process.argv[2]);
-  const chain = process.argv[3]?.toLowerCase();
+  const args = parseEnvArgs(process.argv.slice(2)).rest;
+  const userNumber = parseInt(args[0]);
+  const chain = args[1]?.toLowerCase();
 
   // Validate arguments
   if (!userNumber || !chain) {
@@ -41,7 +32,7 @@ async function main() {
     console.error("");
     console.error("Arguments:");
     console.error("  user_number: 1-10");
-    console.error("  chain: sepolia, base, or arbitrum");
+    console.error(`  chain: ${getChainNames().join(", ")}`);
     console.error("");
     console.error("Example: node scripts/testing/singleUserCompleteWithdrawal-universalChain.js 3 base");
     process.exit(1);
@@ -52,8 +43,8 @@ async function main() {
     process.exit(1);
   }
 
-  if (!RPC_URLS[chain]) {
-    console.error(`❌ Invalid chain. Supported chains: ${Object.keys(RPC_URLS).join(", ")}`);
+  if (!isSupportedChain(chain)) {
+    console.error(`❌ Invalid chain. Supported chains: ${getChainNames().join(", ")}`);
     process.exit(1);
   }
 
@@ -68,8 +59,7 @@ async function main() {
   console.log();
 
   // Load deployment
-  const deploymentPath = path.join(__dirname, "../../deployments/deployment.json");
-  const deployment = JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
+  const deployment = loadDeployment();
 
   if (!deployment[chain]) {
     console.error(`❌ Chain '${chain}' not found in deployment.json`);
@@ -85,7 +75,8 @@ async function main() {
   console.log();
 
   // Setup provider and wallet
-  const provider = new ethers.providers.JsonRpcProvider(RPC_URLS[chain]);
+  const provider = new ethers.providers.JsonRpcProvider(getRpcUrl(chain));
+  assertWriteAllowed("Test user complete withdrawal");
   const wallet = new ethers.Wallet(user.key, provider);
 
   console.log("User Address:", wallet.address);
@@ -103,7 +94,7 @@ async function main() {
     "function decimals() view returns (uint8)"
   ];
 
-  const sherpaUSDContract = new ethers.Contract(sherpaUSD, sherpaUSDABI, wallet);
+  const sherpaUSDContract = withSimulation(new ethers.Contract(sherpaUSD, sherpaUSDABI, wallet));
   const usdcContract = new ethers.Contract(usdc, usdcABI, provider);
 
   // =================================================================
@@ -215,7 +206,7 @@ async function main() {
   console.log("✅ WITHDRAWAL COMPLETED!");
   console.log("=".repeat(70));
   console.log();
-  console.log("Transaction:", `${EXPLORERS[chain]}/tx/${completeTx.hash}`);
+  console.log("Transaction:", `${getExplorerTxUrl(chain, completeTx.hash)}`);
   console.log();
   console.log("Summary:");
   console.log(`  User: ${user.name} (${wallet.address})`);
@@ -2,6 +2,10 @@ const { ethers } = require("ethers");
 const fs = require("fs");
 const path = require("path");
 const { getTestUser } = require("../config/testUsers");
+const { getChainNames, isSupportedChain, getRpcUrl, getExplorerTxUrl } = require("../utils/chainRegistry");
+const { loadDeployment } = require("../utils/deploymentStore");
+const { assertWriteAllowed, parseEnvArgs } = require("../utils/environment");
+const { withSimulation } = require("../utils/revertDecoder");
 require("dotenv").config();
 
 /**
@@ -16,25 +20,12 @@ require("dotenv").config();
  * Supported users: 1, 2, 3, 4, 5
  */
 
-// RPC URL mapping
-const RPC_URLS = {
-  sepolia: process.env.SEPOLIA_RPC_URL,
-  base: process.env.BASE_SEPOLIA_RPC_URL,
-  arbitrum: process.env.ARBITRUM_SEPOLIA_RPC_URL
-};
-
-// Block explorer mapping
-const EXPLORERS = {
-  sepolia: "https://sepolia.etherscan.io",
-  base: "https://sepolia.basescan.org",
-  arbitrum: "https://sepolia.arbiscan.io"
-};
-
 async function main() {
   // Parse CLI arguments
-  const userNumber = parseInt(process.argv[2]);
-  const chain = process.argv[3]?.toLowerCase();
-  const amountArg = process.argv[4];
+  const args = parseEnvArgs(process.argv.slice(2)).rest;
+  const userNumber = parseInt(args[0]);
+  const chain = args[1]?.toLowerCase();
+  const amountArg = args[2];
 
   // Validate arguments
   if (!userNumber || !chain || !amountArg) {
@@ -42,7 +33,7 @@ async function main() {
     console.error("");
     console.error("Arguments:");
     console.error("  user_number: 1-10 (test user number)");
-    console.error("  chain: sepolia, base, or arbitrum");
+    console.error(`  chain: ${getChainNames().join(", ")}`);
     console.error("  amount: Amount of USDC to deposit (e.g., 10000)");
     console.error("");
     console.error("Example: node scripts/testing/singleUserDeposit-universalChain.js 1 arbitrum 10000");
@@ -54,8 +45,8 @@ async function main() {
     process.exit(1);
   }
 
-  if (!RPC_URLS[chain]) {
-    console.error(`❌ Invalid chain. Supported chains: ${Object.keys(RPC_URLS).join(", ")}`);
+  if (!isSupportedChain(chain)) {
+    console.error(`❌ Invalid chain. Supported chains: ${getChainNames().join(", ")}`);
     process.exit(1);
   }
 
@@ -73,8 +64,7 @@ async function main() {
   console.log();
 
   // Load deployment
-  const deploymentPath = path.join(__dirname, "../../deployments/deployment.json");
-  const deployment = JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
+  const deployment = loadDeployment();
 
   if (!deployment[chain]) {
     console.error(`❌ Chain '${chain}' not found in deployment.json`);
@@ -98,7 +88,8 @@ async function main() {
   console.log();
 
   // Setup provider and wallet
-  const provider = new ethers.providers.JsonRpcProvider(RPC_URLS[chain]);
+  const provider = new ethers.providers.JsonRpcProvider(getRpcUrl(chain));
+  assertWriteAllowed("Test user deposit");
   const wallet = new ethers.Wallet(user.key, provider);
 
   console.log("User Address:", wallet.address);
@@ -121,9 +112,9 @@ async function main() {
     fs.readFileSync(path.join(__dirname, "../../artifacts/contracts/SherpaVault.sol/SherpaVault.json"), "utf8")
   ).abi;
 
-  const mockUSDCContract = new ethers.Contract(mockUSDC, mockUSDCABI, wallet);
-  const sherpaUSDContract = new ethers.Contract(sherpaUSD, sherpaUSDABI, wallet);
-  const vaultContract = new ethers.Contract(vault, vaultABI, wallet);
+  const mockUSDCContract = withSimulation(new ethers.Contract(mockUSDC, mockUSDCABI, wallet));
+  const sherpaUSDContract = withSimulation(new ethers.Contract(sherpaUSD, sherpaUSDABI, wallet));
+  const vaultContract = withSimulation(new ethers.Contract(vault, vaultABI, wallet));
 
   // =================================================================
   // STEP 1: Check balances
@@ -231,7 +222,7 @@ async function main() {
   console.log("✅ DEPOSIT COMPLETE!");
   console.log("=".repeat(70));
   console.log();
-  console.log("Transaction:", `${EXPLORERS[chain]}/tx/${depositTx.hash}`);
+  console.log("Transaction:", `${getExplorerTxUrl(chain, depositTx.hash)}`);
   console.log();
   console.log("Summary:");
   console.log(`  User: ${user.name} (${wallet.address})`);
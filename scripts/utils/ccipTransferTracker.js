@@ -0,0 +1,409 @@
+const { ethers } = require("ethers");
+const path = require("path");
+const { queryWithConsensus } = require("./consensusProvider");
+const { loadDeployment, getDeploymentChains } = require("./deploymentStore");
+const { parseArgs } = require("./cliArgs");
+require("dotenv").config({ path: path.join(__dirname, "../../.env") });
+
+/**
+ * CCIP Transfer Tracker
+ *
+ * Lists shUSD bridge transfers that have left one chain but not yet arrived on another,
+ * which is exactly what the gap between Σ accountingSupply and Σ shUSD totalSupply
+ * should consist of.
+ *
+ * Source side: pool LockedOrBurned (pool 1.6) / Burned (legacy) events. The CCIP
+ * message ID comes from the OnRamp CCIPMessageSent (1.6) / CCIPSendRequested (legacy)
+ * log in the same transaction.
+ * Destination side: pool ReleasedOrMinted (1.6) / Minted (legacy) events. The message
+ * ID comes from the OffRamp ExecutionStateChanged log in the same transaction.
+ *
+ * Transfers are matched by message ID. A source burn with no matching destination
+ * mint (up to the scanned block) is pending.
+ *
+ * Chains are scanned in parallel, each one over every configured RPC with consensus
+ * (scripts/utils/consensusProvider.js): the RPCs agree on the scan end block and the
+ * transfer lists they return must match. Receipts and block timestamps are fetched in
+ * JSON-RPC batches.
+ *
+ * Usage:
+ *   const { trackTransfers } = require('./utils/ccipTransferTracker');
+ *   const result = await trackTransfers(deployment, { lookbackHours: 24, toBlocks });
+ *
+ *   node scripts/utils/ccipTransferTracker.js [lookbackHours]   # Print pending transfers
+ */
+
+const DECIMALS = 6;
+const DEFAULT_LOOKBACK_HOURS = 24;
+
+// Max block range per eth_getLogs request
+const LOG_CHUNK_SIZE = Number(process.env.CCIP_LOG_CHUNK_SIZE || 10000);
+
+// Max requests per JSON-RPC batch (receipts, blocks)
+const RPC_BATCH_SIZE = 100;
+
+// Blocks behind the head used to estimate the average block time
+const BLOCK_TIME_SAMPLE = 1000;
+
+// A whole chain scan per RPC takes far longer than a single consensus read
+const SCAN_TIMEOUT_MS = 120000;
+
+const POOL_EVENTS = new ethers.utils.Interface([
+  "event LockedOrBurned(uint64 indexed remoteChainSelector, address token, address sender, uint256 amount)",
+  "event ReleasedOrMinted(uint64 indexed remoteChainSelector, address token, address sender, address recipient, uint256 amount)",
+  "event Burned(address indexed sender, uint256 amount)",
+  "event Minted(address indexed sender, address indexed recipient, uint256 amount)"
+]);
+
+const RAMP_TOPICS = {
+  // OnRamp 1.6: CCIPMessageSent(uint64 indexed destChainSelector, uint64 indexed sequenceNumber, EVM2AnyRampMessage message)
+  ccipMessageSent: ethers.utils.id(
+    "CCIPMessageSent(uint64,uint64,((bytes32,uint64,uint64,uint64,uint64),address,bytes,bytes,bytes,address,uint256,uint256,(address,bytes,bytes,uint256,bytes)[]))"
+  ),
+  // OnRamp 1.5: CCIPSendRequested(EVM2EVMMessage message)
+  ccipSendRequested: ethers.utils.id(
+    "CCIPSendRequested((uint64,address,address,uint64,uint256,bool,uint64,address,uint256,bytes,(address,uint256)[],bytes[],bytes32))"
+  ),
+  // OffRamp 1.6: ExecutionStateChanged(uint64 indexed sourceChainSelector, uint64 indexed sequenceNumber, bytes32 indexed messageId, ...)
+  executionStateChanged: ethers.utils.id("ExecutionStateChanged(uint64,uint64,bytes32,bytes32,uint8,bytes,uint256)"),
+  // OffRamp 1.5: ExecutionStateChanged(uint64 indexed sequenceNumber, bytes32 indexed messageId, uint8 state, bytes returnData)
+  executionStateChangedLegacy: ethers.utils.id("ExecutionStateChanged(uint64,bytes32,uint8,bytes)"),
+};
+
+/**
+ * Extract the CCIP message ID from the OnRamp log of a send transaction
+ */
+function messageIdFromSendReceipt(receipt) {
+  for (const log of receipt.logs) {
+    const data = log.data.slice(2);
+    if (log.topics[0] === RAMP_TOPICS.ccipMessageSent) {
+      // Dynamic tuple: word 0 is the offset, header.messageId is the first word of the tuple
+      return "0x" + data.slice(64, 128);
+    }
+    if (log.topics[0] === RAMP_TOPICS.ccipSendRequested) {
+      // Dynamic tuple: word 0 is the offset, messageId is the 13th field
+      return "0x" + data.slice(13 * 64, 14 * 64);
+    }
+  }
+  return null;
+}
+
+/**
+ * Extract the CCIP message ID from the OffRamp log of an execution transaction
+ */
+function messageIdFromExecutionReceipt(receipt) {
+  for (const log of receipt.logs) {
+    if (log.topics[0] === RAMP_TOPICS.executionStateChanged) {
+      return log.topics[3];
+    }
+    if (log.topics[0] === RAMP_TOPICS.executionStateChangedLegacy) {
+      return log.topics[2];
+    }
+  }
+  return null;
+}
+
+/**
+ * First block with timestamp >= target
+ *
+ * Starts from the head: the target is estimated from the average block time over the
+ * last BLOCK_TIME_SAMPLE blocks, the estimate moves back until it is before the
+ * target, and the binary search only covers the blocks between it and the head.
+ */
+async function blockAtTimestamp(provider, timestamp, latestBlock) {
+  const head = await provider.getBlock(latestBlock);
+  if (head.timestamp < timestamp) {
+    return latestBlock;
+  }
+
+  const sample = await provider.getBlock(Math.max(latestBlock - BLOCK_TIME_SAMPLE, 0));
+  const blockTime = latestBlock > sample.number
+    ? Math.max((head.timestamp - sample.timestamp) / (latestBlock - sample.number), 0.01)
+    : 1;
+
+  let high = latestBlock;
+  let distance = Math.max(Math.ceil((head.timestamp - timestamp) / blockTime), 1);
+  let low = Math.max(latestBlock - distance, 0);
+  while (low > 0 && (await provider.getBlock(low)).timestamp >= timestamp) {
+    high = low;
+    distance *= 2;
+    low = Math.max(latestBlock - distance, 0);
+  }
+
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    const block = await provider.getBlock(mid);
+    if (block.timestamp < timestamp) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+/**
+ * Send one JSON-RPC method for every params entry, RPC_BATCH_SIZE requests per batch
+ *
+ * @returns {Promise<any[]>} Raw results in params order
+ */
+async function batchRequest(provider, method, paramsList) {
+  const results = [];
+  for (let start = 0; start < paramsList.length; start += RPC_BATCH_SIZE) {
+    const payload = paramsList.slice(start, start + RPC_BATCH_SIZE).map((params, id) => ({
+      jsonrpc: "2.0",
+      id,
+      method,
+      params,
+    }));
+
+    const responses = await ethers.utils.fetchJson(provider.connection, JSON.stringify(payload));
+    if (!Array.isArray(responses)) {
+      throw new Error(`RPC does not support JSON-RPC batches: ${JSON.stringify(responses).substring(0, 100)}`);
+    }
+    const byId = new Map(responses.map(response => [response.id, response]));
+    payload.forEach(({ id, params }) => {
+      const response = byId.get(id);
+      if (!response || response.error || response.result === null) {
+        throw new Error(`${method} ${params[0]} failed: ${response?.error?.message || "no result"}`);
+      }
+      results.push(response.result);
+    });
+  }
+  return results;
+}
+
+/**
+ * eth_getLogs in LOG_CHUNK_SIZE block ranges
+ */
+async function getLogsChunked(provider, filter, fromBlock, toBlock) {
+  const logs = [];
+  for (let start = fromBlock; start <= toBlock; start += LOG_CHUNK_SIZE) {
+    const end = Math.min(start + LOG_CHUNK_SIZE - 1, toBlock);
+    logs.push(...await provider.getLogs({ ...filter, fromBlock: start, toBlock: end }));
+  }
+  return logs;
+}
+
+/**
+ * Scan one chain's pool for outbound burns and inbound mints up to toBlock
+ * (runs once per RPC inside queryWithConsensus)
+ */
+async function scanPool(provider, chain, config, selectorToChain, fromTimestamp, toBlock) {
+  const fromBlock = await blockAtTimestamp(provider, fromTimestamp, toBlock);
+  const logs = await getLogsChunked(provider, { address: config.ccipPool }, fromBlock, toBlock);
+
+  const transfers = [];
+  for (const log of logs) {
+    try {
+      transfers.push({ log, event: POOL_EVENTS.parseLog(log) });
+    } catch (e) {
+      continue; // Not a transfer event (config changes, rate limits...)
+    }
+  }
+
+  const txHashes = [...new Set(transfers.map(({ log }) => log.transactionHash))];
+  const blockNumbers = [...new Set(transfers.map(({ log }) => log.blockNumber))];
+  const receipts = await batchRequest(provider, "eth_getTransactionReceipt", txHashes.map(hash => [hash]));
+  const blocks = await batchRequest(
+    provider,
+    "eth_getBlockByNumber",
+    blockNumbers.map(blockNumber => [ethers.utils.hexValue(blockNumber), false])
+  );
+  const receiptByHash = Object.fromEntries(txHashes.map((hash, i) => [hash, receipts[i]]));
+  const blockTimes = Object.fromEntries(blockNumbers.map((blockNumber, i) => [blockNumber, Number(blocks[i].timestamp)]));
+
+  const remoteChain = (event) => event.args.remoteChainSelector !== undefined
+    ? selectorToChain[event.args.remoteChainSelector.toString()] || event.args.remoteChainSelector.toString()
+    : null;
+
+  const outbound = [];
+  const inbound = [];
+  for (const { log, event } of transfers) {
+    const receipt = receiptByHash[log.transactionHash];
+    const base = {
+      chain,
+      txHash: log.transactionHash,
+      blockNumber: log.blockNumber,
+      timestamp: blockTimes[log.blockNumber],
+      amount: event.args.amount,
+    };
+
+    if (event.name === "LockedOrBurned" || event.name === "Burned") {
+      outbound.push({
+        ...base,
+        messageId: messageIdFromSendReceipt(receipt),
+        destChain: remoteChain(event),
+        sender: event.args.sender,
+      });
+    } else {
+      inbound.push({
+        ...base,
+        messageId: messageIdFromExecutionReceipt(receipt),
+        sourceChain: remoteChain(event),
+        recipient: event.args.recipient,
+      });
+    }
+  }
+
+  return { fromBlock, toBlock, outbound, inbound };
+}
+
+/**
+ * Scan one chain with consensus across its RPCs (log lines are buffered so parallel
+ * chain scans print one block per chain)
+ */
+async function scanChain(chain, config, selectorToChain, fromTimestamp, toBlock) {
+  const lines = [];
+  try {
+    const result = await queryWithConsensus(
+      chain,
+      (provider, blockNumber) => scanPool(provider, chain, config, selectorToChain, fromTimestamp, blockNumber),
+      { blockTag: toBlock ?? "latest", requireMajority: true, timeout: SCAN_TIMEOUT_MS, log: line => lines.push(line) }
+    );
+    lines.unshift(`🔎 ${chain}: scanning pool ${config.ccipPool} blocks ${result.fromBlock}-${result.toBlock}`);
+    return { result, lines };
+  } catch (error) {
+    lines.unshift(`🔎 ${chain}: scanning pool ${config.ccipPool}`);
+    lines.push(`  ❌ ${error.message}`);
+    return { error, lines };
+  }
+}
+
+/**
+ * Match outbound burns with inbound mints across every chain in the deployment
+ *
+ * @param {Object} deployment - Parsed deployments/deployment.json
+ * @param {Object} options
+ * @param {number} options.lookbackHours - How far back to scan (default 24)
+ * @param {Object} options.toBlocks - { [chain]: blockNumber } scan end per chain (default: latest)
+ * @returns {Promise<Object>} { scanned, completed, pending, unmatchedInbound, pendingByChain }
+ */
+async function trackTransfers(deployment, options = {}) {
+  const lookbackHours = options.lookbackHours ?? DEFAULT_LOOKBACK_HOURS;
+  const toBlocks = options.toBlocks || {};
+  const fromTimestamp = Math.floor(Date.now() / 1000) - lookbackHours * 3600;
+
+  const chains = getDeploymentChains(deployment).filter(chain => deployment[chain].ccipPool);
+  const selectorToChain = {};
+  for (const chain of chains) {
+    selectorToChain[deployment[chain].chainSelector] = chain;
+  }
+
+  const scans = await Promise.all(chains.map(chain =>
+    scanChain(chain, deployment[chain], selectorToChain, fromTimestamp, toBlocks[chain])
+  ));
+  scans.forEach(scan => scan.lines.forEach(line => console.log(line)));
+  const failed = scans.find(scan => scan.error);
+  if (failed) {
+    throw failed.error;
+  }
+  const scanned = Object.fromEntries(chains.map((chain, i) => [chain, scans[i].result]));
+
+  const inboundById = {};
+  for (const chain of chains) {
+    for (const transfer of scanned[chain].inbound) {
+      if (transfer.messageId) {
+        inboundById[transfer.messageId.toLowerCase()] = transfer;
+      }
+    }
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const completed = [];
+  const pending = [];
+  const matchedIds = new Set();
+
+  for (const chain of chains) {
+    for (const transfer of scanned[chain].outbound) {
+      const id = transfer.messageId?.toLowerCase();
+      const arrival = id ? inboundById[id] : null;
+      if (arrival) {
+        matchedIds.add(id);
+        completed.push({ ...transfer, destChain: transfer.destChain || arrival.chain, arrival });
+      } else {
+        pending.push({ ...transfer, ageSeconds: now - transfer.timestamp });
+      }
+    }
+  }
+
+  // Arrivals whose source burn happened before the scan window
+  const unmatchedInbound = Object.entries(inboundById)
+    .filter(([id]) => !matchedIds.has(id))
+    .map(([, transfer]) => transfer);
+
+  const pendingByChain = {};
+  for (const chain of chains) {
+    pendingByChain[chain] = pending
+      .filter(transfer => transfer.chain === chain)
+      .reduce((total, transfer) => total.add(transfer.amount), ethers.BigNumber.from(0));
+  }
+  const pendingTotal = pending.reduce((total, transfer) => total.add(transfer.amount), ethers.BigNumber.from(0));
+
+  return {
+    lookbackHours,
+    scanned: Object.fromEntries(chains.map(chain => [chain, { fromBlock: scanned[chain].fromBlock, toBlock: scanned[chain].toBlock }])),
+    completed,
+    pending,
+    unmatchedInbound,
+    pendingByChain,
+    pendingTotal,
+  };
+}
+
+/**
+ * Print pending transfers with age and amount
+ */
+function printPendingTransfers(result) {
+  console.log(`📦 Enroute CCIP transfers (last ${result.lookbackHours}h): ${result.pending.length}`);
+  for (const transfer of result.pending) {
+    const age = `${Math.floor(transfer.ageSeconds / 60)}m`;
+    console.log(
+      `  ${transfer.chain} → ${transfer.destChain || "?"}  ` +
+      `${ethers.utils.formatUnits(transfer.amount, DECIMALS).padEnd(14)} shUSD  age ${age.padEnd(6)} ` +
+      `${transfer.messageId || transfer.txHash}`
+    );
+  }
+  console.log(`  Total enroute: ${ethers.utils.formatUnits(result.pendingTotal, DECIMALS)} shUSD`);
+  console.log(`  Completed in window: ${result.completed.length}`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const lookbackHours = Number(args.positional[0] || DEFAULT_LOOKBACK_HOURS);
+  if (!(lookbackHours > 0)) {
+    console.error(`❌ Invalid lookbackHours: ${args.positional[0]}`);
+    console.error("Usage: node scripts/utils/ccipTransferTracker.js [lookbackHours]");
+    process.exit(1);
+  }
+
+  console.log("=".repeat(70));
+  console.log("🌉 CCIP TRANSFER TRACKER");
+  console.log("=".repeat(70));
+  console.log();
+
+  const deployment = loadDeployment();
+
+  const result = await trackTransfers(deployment, { lookbackHours });
+  console.log();
+  printPendingTransfers(result);
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("\n❌ TRANSFER TRACKING FAILED:");
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  trackTransfers,
+  printPendingTransfers,
+  blockAtTimestamp,
+  getLogsChunked,
+  messageIdFromSendReceipt,
+  messageIdFromExecutionReceipt,
+};
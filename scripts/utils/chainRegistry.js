@@ -0,0 +1,261 @@
+const fs = require("fs");
+const path = require("path");
+require("dotenv").config({ path: path.join(__dirname, "../../.env") });
+
+/**
+ * Chain Registry
+ *
+ * Single source of truth for per-chain configuration (chain IDs, CCIP selectors,
+ * routers, LINK, RMN proxies, Token Admin Registries, explorers, RPC env vars, fee caps).
+ * Values live in scripts/config/chains.json, grouped by profile.
+ *
+ * Profiles:
+ *   testnet      - Sepolia, Base Sepolia, Arbitrum Sepolia
+ *   staging-fork - local forks of the mainnet chains (defaultRpcUrl = local node)
+ *   mainnet      - Ethereum, Base, Arbitrum One (null = not configured yet)
+ *
+ * The profile comes from the selected environment (--env, see utils/environment.js).
+ * Adding a chain only requires a new entry in chains.json
+ * (scripts/system-deployment/add-chain/addChain.js adds it together with the deployment).
+ * Retired chains keep their entry with "sunset": "<ISO date>" (set by sunsetChain.js):
+ * getChain() still resolves them, getChainNames() and every script looping over it skip them.
+ *
+ * Usage:
+ *   const { getChainNames, getChain, getRpcUrl } = require('./utils/chainRegistry');
+ *   for (const chain of getChainNames()) {
+ *     const provider = new ethers.providers.JsonRpcProvider(getRpcUrl(chain));
+ *     console.log(getChain(chain).ccipRouter);
+ *   }
+ */
+
+const CHAINS_CONFIG_PATH = path.join(__dirname, "../config/chains.json");
+const CHAINS_CONFIG = require(CHAINS_CONFIG_PATH);
+const { ENVIRONMENT } = require("./environment");
+
+const PROFILE = ENVIRONMENT.chainProfile;
+
+if (!CHAINS_CONFIG[PROFILE]) {
+  throw new Error(
+    `Unknown chain profile "${PROFILE}" (environment ${ENVIRONMENT.name}). Available: ${Object.keys(CHAINS_CONFIG).join(", ")}`
+  );
+}
+
+const CHAINS = CHAINS_CONFIG[PROFILE];
+
+/**
+ * Names of every active chain in the profile (e.g. ["sepolia", "base", "arbitrum"]),
+ * without sunset chains
+ */
+function getChainNames() {
+  return Object.keys(CHAINS).filter(name => !CHAINS[name].sunset);
+}
+
+function isSupportedChain(name) {
+  return Object.prototype.hasOwnProperty.call(CHAINS, name);
+}
+
+/**
+ * Full config of a chain (throws with the list of supported chains if unknown)
+ */
+function getChain(name) {
+  if (!isSupportedChain(name)) {
+    throw new Error(`Unsupported chain "${name}" (${PROFILE}). Supported chains: ${getChainNames().join(", ")}`);
+  }
+  return { name, ...CHAINS[name] };
+}
+
+/**
+ * The chain flagged isPrimary (exactly one per profile)
+ */
+function getPrimaryChain() {
+  const primaries = getChainNames().filter(name => CHAINS[name].isPrimary);
+  if (primaries.length !== 1) {
+    throw new Error(`Expected exactly one primary chain in ${PROFILE} profile, found ${primaries.length}`);
+  }
+  return primaries[0];
+}
+
+/**
+ * Read a config field that must be set (mainnet entries may still be null)
+ */
+function requireField(name, field) {
+  const value = getChain(name)[field];
+  if (value === null || value === undefined) {
+    throw new Error(`${field} is not configured for ${name} (${PROFILE}) in scripts/config/chains.json`);
+  }
+  return value;
+}
+
+/**
+ * { [chain]: value } of one field for every chain in the profile (throws if any chain lacks it)
+ */
+function mapChains(field) {
+  return Object.fromEntries(getChainNames().map(name => [name, requireField(name, field)]));
+}
+
+/**
+ * Every RPC URL for a chain: env vars first (in order), then the default (local fork)
+ * URL if no env var is set, then public fallbacks
+ */
+function getRpcUrls(name) {
+  const chain = getChain(name);
+  const fromEnv = chain.rpcEnvVars.map(envVar => process.env[envVar]).filter(Boolean);
+  return [
+    ...fromEnv,
+    ...(fromEnv.length === 0 && chain.defaultRpcUrl ? [chain.defaultRpcUrl] : []),
+    ...(chain.publicRpcUrls || []),
+  ];
+}
+
+/**
+ * Primary RPC URL for a chain (first env var, e.g. SEPOLIA_RPC_URL, or defaultRpcUrl)
+ */
+function getRpcUrl(name) {
+  const chain = getChain(name);
+  const url = process.env[chain.rpcEnvVars[0]] || chain.defaultRpcUrl;
+  if (!url) {
+    throw new Error(`Missing ${chain.rpcEnvVars[0]} in .env`);
+  }
+  return url;
+}
+
+/**
+ * Name of the env var holding the primary RPC URL
+ */
+function getRpcEnvVar(name) {
+  return getChain(name).rpcEnvVars[0];
+}
+
+// Chains without an explorer (local forks) just show the hash / address
+function getExplorerTxUrl(name, txHash) {
+  const explorer = getChain(name).explorer;
+  return explorer ? `${explorer}/tx/${txHash}` : txHash;
+}
+
+function getExplorerAddressUrl(name, address) {
+  const explorer = getChain(name).explorer;
+  return explorer ? `${explorer}/address/${address}` : address;
+}
+
+/**
+ * Chain name for a CCIP chain selector, sunset chains included (null if not in the active profile)
+ */
+function getChainBySelector(selector) {
+  const match = Object.keys(CHAINS).find(name => CHAINS[name].chainSelector === selector.toString());
+  return match || null;
+}
+
+/**
+ * Every other chain in the profile (remote routes for CCIP pool configuration)
+ */
+function getRemoteChains(name) {
+  getChain(name);
+  return getChainNames().filter(other => other !== name);
+}
+
+// Fields a chain entry must have (non-null) before contracts can be deployed on it
+const DEPLOYABLE_FIELDS = [
+  "displayName", "chainId", "chainSelector", "hardhatNetwork", "rpcEnvVars", "feeCaps",
+  "usdc", "ccipRouter", "rmnProxy", "tokenAdminRegistry", "registryModule",
+];
+
+// Field order of a chains.json entry (optional fields default to empty / null)
+const ENTRY_FIELDS = {
+  displayName: null, isPrimary: false, chainId: null, chainSelector: null, hardhatNetwork: null,
+  rpcEnvVars: [], publicRpcUrls: [], explorer: null, explorerApi: null, feeCaps: null,
+  usdc: null, ccipRouter: null, linkToken: null, rmnProxy: null, tokenAdminRegistry: null, registryModule: null,
+};
+
+// Arrays written one item per line in chains.json (everything else stays on one line)
+const MULTILINE_ARRAYS = ["publicRpcUrls"];
+
+/**
+ * Add a chain to the active profile in memory (saveChainsConfig() persists it)
+ *
+ * @param {string} name - Chain name (key in chains.json)
+ * @param {Object} entry - Chain entry in the chains.json format
+ */
+function registerChain(name, entry) {
+  if (isSupportedChain(name)) {
+    throw new Error(`${name} is already in the ${PROFILE} profile of scripts/config/chains.json`);
+  }
+  const missing = DEPLOYABLE_FIELDS.filter(field => entry[field] === null || entry[field] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`${name}: missing ${missing.join(", ")} (see the other entries in scripts/config/chains.json)`);
+  }
+  if (typeof entry.chainSelector !== "string" || !/^[0-9]+$/.test(entry.chainSelector)) {
+    throw new Error(`${name}: chainSelector must be a decimal string`);
+  }
+  const sameSelector = getChainBySelector(entry.chainSelector);
+  if (sameSelector) {
+    throw new Error(`${name}: chainSelector ${entry.chainSelector} is already used by ${sameSelector}`);
+  }
+  CHAINS[name] = { ...ENTRY_FIELDS, ...entry };
+  return getChain(name);
+}
+
+/**
+ * Flag a chain as retired in memory (saveChainsConfig() persists it)
+ */
+function markChainSunset(name) {
+  getChain(name);
+  CHAINS[name].sunset = new Date().toISOString();
+  return getChain(name);
+}
+
+function formatConfigValue(key, value) {
+  if (Array.isArray(value)) {
+    if (MULTILINE_ARRAYS.includes(key) && value.length > 0) {
+      return `[\n${value.map(item => `        ${JSON.stringify(item)}`).join(",\n")}\n      ]`;
+    }
+    return `[${value.map(item => JSON.stringify(item)).join(", ")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{ ${Object.entries(value).map(([k, v]) => `${JSON.stringify(k)}: ${JSON.stringify(v)}`).join(", ")} }`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * chains.json in its hand-written layout (one field per line, short arrays/objects inline)
+ */
+function formatChainsConfig(config) {
+  const profiles = Object.entries(config).map(([profile, chains]) => {
+    const entries = Object.entries(chains).map(([name, chain]) => {
+      const fields = Object.entries(chain).map(([key, value]) => `      ${JSON.stringify(key)}: ${formatConfigValue(key, value)}`);
+      return `    ${JSON.stringify(name)}: {\n${fields.join(",\n")}\n    }`;
+    });
+    return `  ${JSON.stringify(profile)}: {\n${entries.join(",\n")}\n  }`;
+  });
+  return `{\n${profiles.join(",\n")}\n}\n`;
+}
+
+/**
+ * Write every profile (including chains added with registerChain) back to chains.json
+ */
+function saveChainsConfig() {
+  const tmpPath = `${CHAINS_CONFIG_PATH}.tmp`;
+  fs.writeFileSync(tmpPath, formatChainsConfig(CHAINS_CONFIG));
+  fs.renameSync(tmpPath, CHAINS_CONFIG_PATH);
+}
+
+module.exports = {
+  PROFILE,
+  getChainNames,
+  isSupportedChain,
+  getChain,
+  getPrimaryChain,
+  requireField,
+  mapChains,
+  getRpcUrls,
+  getRpcUrl,
+  getRpcEnvVar,
+  getExplorerTxUrl,
+  getExplorerAddressUrl,
+  getChainBySelector,
+  getRemoteChains,
+  registerChain,
+  markChainSunset,
+  formatChainsConfig,
+  saveChainsConfig,
+};
@@ -0,0 +1,78 @@
+const readline = require("readline");
+const { parseEnvArgs } = require("./environment");
+
+/**
+ * Minimal CLI argument parser for operator scripts
+ *
+ * Splits argv into positional arguments, boolean flags and value options.
+ * Value options accept both "--name value" and "--name=value". The environment
+ * arguments (--env, --confirm-mainnet) are read by utils/environment.js and skipped here.
+ * confirm() asks the operator a yes/no question before a write.
+ *
+ * Usage:
+ *   const { parseArgs } = require('./utils/cliArgs');
+ *   const args = parseArgs(process.argv.slice(2), { flags: ["dry-run"], options: ["yield-file"] });
+ *   args.positional  // ["125.5", "true"]
+ *   args.flags       // { "dry-run": true }
+ *   args.options     // { "yield-file": "reports/pnl.csv" }
+ */
+
+/**
+ * @param {string[]} argv - Arguments (usually process.argv.slice(2))
+ * @param {Object} spec - { flags: string[], options: string[] }
+ * @returns {{positional: string[], flags: Object, options: Object}}
+ */
+function parseArgs(argv, spec = {}) {
+  const flagNames = spec.flags || [];
+  const optionNames = spec.options || [];
+
+  const result = { positional: [], flags: {}, options: {} };
+  for (const name of flagNames) {
+    result.flags[name] = false;
+  }
+
+  const args = parseEnvArgs(argv).rest;
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith("--")) {
+      result.positional.push(arg);
+      continue;
+    }
+
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    if (flagNames.includes(name)) {
+      result.flags[name] = true;
+    } else if (optionNames.includes(name)) {
+      const value = inlineValue !== undefined ? inlineValue : args[++i];
+      if (value === undefined || value.startsWith("--")) {
+        throw new Error(`Missing value for --${name}`);
+      }
+      result.options[name] = value;
+    } else {
+      throw new Error(`Unknown option: --${name}`);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Ask a yes/no question on the terminal (anything but "y"/"yes" is no)
+ *
+ * @param {string} question - Shown followed by " [y/N] "
+ * @returns {Promise<boolean>}
+ */
+function confirm(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise((resolve) => {
+    rl.question(`${question} [y/N] `, (answer) => {
+      rl.close();
+      resolve(["y", "yes"].includes(answer.trim().toLowerCase()));
+    });
+  });
+}
+
+module.exports = {
+  parseArgs,
+  confirm,
+};
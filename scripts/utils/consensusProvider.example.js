@@ -2,6 +2,8 @@ const { ethers } = require("ethers");
 const fs = require("fs");
 const path = require("path");
 const { queryWithConsensus, queryMultipleChainsWithConsensus } = require("./consensusProvider");
+const { getChainNames } = require("./chainRegistry");
+const { loadDeployment } = require("./deploymentStore");
 
 /**
  * Example: Using Consensus Provider for Critical Operations
@@ -11,9 +13,7 @@ const { queryWithConsensus, queryMultipleChainsWithConsensus } = require("./cons
  */
 
 async function exampleConsensusQuery() {
-  const deployment = JSON.parse(
-    fs.readFileSync(path.join(__dirname, "../../deployments/deployment.json"), "utf8")
-  );
+  const deployment = loadDeployment();
 
   console.log("EXAMPLE 1: Single Chain Query with Consensus");
   console.log("=".repeat(70));
@@ -47,7 +47,7 @@ async function exampleConsensusQuery() {
   console.log("=".repeat(70));
 
   // Query all chains' vault states with consensus
-  const chains = ["sepolia", "base", "arbitrum"];
+  const chains = getChainNames();
   const vaultStates = await queryMultipleChainsWithConsensus(
     chains,
     async (chain, provider) => {
@@ -1,5 +1,8 @@
 const { ethers } = require("ethers");
 require("dotenv").config();
+const { getChainNames, getRpcUrls, isSupportedChain } = require("./chainRegistry");
+const { ENVIRONMENT } = require("./environment");
+const rpcHealth = require("./rpcHealth");
 
 /**
  * Consensus-Based RPC Provider
@@ -10,82 +13,234 @@ require("dotenv").config();
  * - Verifying state across chains
  * - Setting global prices
  *
+ * Block pinning: the RPCs first agree on a block (the lowest head among responsive
+ * RPCs, minus an optional lag, or a tag like "finalized"), then every queryFn runs
+ * against that block, so RPCs a block apart still return comparable values. The
+ * provider handed to queryFn defaults every read (contract calls, getBalance, ...) to
+ * the pinned block; the block number is also passed as the second argument. Reads
+ * that follow one of our own txs pass minBlock (the receipt's block) so they never
+ * pin to a block before it.
+ *
  * Usage:
  *   const { queryWithConsensus } = require('./utils/consensusProvider');
  *   const balance = await queryWithConsensus('sepolia', async (provider) => {
  *     const vault = new ethers.Contract(address, abi, provider);
  *     return await vault.totalAssets();
  *   });
+ *
+ *   // Value plus the block it was read at (for audit logs)
+ *   const { value, blockNumber } = await queryWithConsensus('sepolia', queryFn, { withBlock: true });
+ *
+ * Batched reads: multicall(provider, calls) runs a list of view calls as one Multicall3
+ * aggregate3 per RPC (one JSON-RPC batch of eth_calls where Multicall3 is not deployed),
+ * and queryCallsWithConsensus compares the whole result tuple across RPCs:
+ *
+ *   const { round, totalStaked } = await queryCallsWithConsensus('sepolia', {
+ *     round: { contract: vault, method: 'round' },
+ *     totalStaked: { contract: vault, method: 'totalStaked' },
+ *   });
+ *
+ * queryMultipleChainsWithConsensus queries all chains in parallel (logs are printed
+ * per chain once every chain has answered).
+ *
+ * Weighted consensus: every RPC carries a weight from scripts/utils/rpcHealth.js (its
+ * track record of errors and disagreements, public fallbacks at half weight,
+ * quarantined RPCs at zero). The value with the most weight wins; minConsensus still
+ * counts RPCs, but quarantined RPCs never count towards it or towards a majority.
  */
 
-// Define multiple RPC URLs for each chain
-const RPC_URLS = {
-  sepolia: [
-    process.env.SEPOLIA_RPC_URL,
-    process.env.SEPOLIA_RPC_URL_2,
-    process.env.SEPOLIA_RPC_URL_3,
-    // Public fallbacks
-    "https://rpc.sepolia.org",
-    "https://ethereum-sepolia-rpc.publicnode.com",
-  ].filter(Boolean),
-
-  base: [
-    process.env.BASE_SEPOLIA_RPC_URL,
-    process.env.BASE_SEPOLIA_RPC_URL_2,
-    process.env.BASE_SEPOLIA_RPC_URL_3,
-    // Public fallbacks
-    "https://sepolia.base.org",
-    "https://base-sepolia-rpc.publicnode.com",
-  ].filter(Boolean),
-
-  arbitrum: [
-    process.env.ARBITRUM_SEPOLIA_RPC_URL,
-    process.env.ARBITRUM_SEPOLIA_RPC_URL_2,
-    process.env.ARBITRUM_SEPOLIA_RPC_URL_3,
-    // Public fallbacks
-    "https://sepolia-rollup.arbitrum.io/rpc",
-    "https://arbitrum-sepolia-rpc.publicnode.com",
-  ].filter(Boolean),
-};
+// Multiple RPC URLs for each chain (env vars first, then public fallbacks),
+// from scripts/config/chains.json for the selected environment's chain profile
+const RPC_URLS = Object.fromEntries(getChainNames().map(chain => [chain, getRpcUrls(chain)]));
+
+/**
+ * RPC URLs of a chain (chains registered after load, e.g. by add-chain --config, are
+ * looked up on first use)
+ */
+function rpcUrlsFor(chain) {
+  if (!RPC_URLS[chain] && isSupportedChain(chain)) {
+    RPC_URLS[chain] = getRpcUrls(chain);
+  }
+  return RPC_URLS[chain];
+}
+
+// RPCs whose head is further behind the highest head are left out of block agreement
+const MAX_HEAD_SPREAD = 50;
+const MIN_BLOCK_ATTEMPTS = 10;
+const MIN_BLOCK_RETRY_MS = 3000;
+
+// Multicall3 is deployed at the same address on every supported chain
+const MULTICALL3_ADDRESS = "0xcA11bde05977b3631167028862bE2a173976CA11";
+const MULTICALL3_ABI = [
+  "function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) payable returns (tuple(bool success, bytes returnData)[] returnData)",
+];
+
+// RPC URL -> whether Multicall3 has code there
+const multicallSupport = new Map();
+
+/**
+ * JsonRpcProvider whose reads default to a pinned block instead of "latest"
+ * (an explicit blockTag still wins)
+ */
+class PinnedProvider extends ethers.providers.JsonRpcProvider {
+  pin(blockNumber) {
+    this.pinnedBlock = blockNumber;
+  }
+
+  _pinned(blockTag) {
+    return blockTag === undefined || blockTag === null ? this.pinnedBlock : blockTag;
+  }
+
+  call(transaction, blockTag) {
+    return super.call(transaction, this._pinned(blockTag));
+  }
+
+  getBalance(address, blockTag) {
+    return super.getBalance(address, this._pinned(blockTag));
+  }
+
+  getCode(address, blockTag) {
+    return super.getCode(address, this._pinned(blockTag));
+  }
+
+  getStorageAt(address, position, blockTag) {
+    return super.getStorageAt(address, position, this._pinned(blockTag));
+  }
+
+  getTransactionCount(address, blockTag) {
+    return super.getTransactionCount(address, this._pinned(blockTag));
+  }
+}
+
+function withTimeout(promise, timeout) {
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => setTimeout(() => reject(new Error("Timeout")), timeout)),
+  ]);
+}
+
+/**
+ * Agree on the block every RPC will be queried at
+ *
+ * @param {string} chain - Chain name (for logs / errors)
+ * @param {PinnedProvider[]} providers - One per RPC
+ * @param {Object} options - { blockTag, blockLag, minBlock, timeout, log, entries (rpcHealth, one per RPC) }
+ * @returns {Promise<number>} Block number
+ */
+async function agreeOnBlock(chain, providers, { blockTag, blockLag, minBlock, timeout, log, entries }) {
+  if (typeof blockTag === "number") {
+    return blockTag;
+  }
+
+  // RPCs can trail the one that mined our last tx by a few blocks - give them a moment
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await agreeOnHead(chain, providers, { blockTag, blockLag, minBlock, timeout, log, entries });
+    } catch (error) {
+      if (!error.behindMinBlock || attempt >= MIN_BLOCK_ATTEMPTS) {
+        throw error;
+      }
+      log(`  ⏳ Waiting for RPCs to reach block ${minBlock}...`);
+      await new Promise(resolve => setTimeout(resolve, MIN_BLOCK_RETRY_MS));
+    }
+  }
+}
+
+async function agreeOnHead(chain, providers, { blockTag, blockLag, minBlock, timeout, log, entries }) {
+  // "finalized" / "safe" / "latest": ask every RPC, take the lowest answer among
+  // responsive RPCs so every one of them can serve the block
+  const results = await Promise.allSettled(
+    providers.map(provider => withTimeout(
+      blockTag === "latest"
+        ? provider.getBlockNumber()
+        : provider.send("eth_getBlockByNumber", [blockTag, false]).then(block => Number(block.number)),
+      timeout
+    ))
+  );
+  const responded = results
+    .map((r, i) => ({ head: r.status === "fulfilled" ? r.value : null, entry: entries[i] }))
+    .filter(r => r.head !== null);
+  // Quarantined RPCs get no say in the block either (a bogus head would drag it around)
+  const heads = responded.filter(r => !rpcHealth.isQuarantined(r.entry)).map(r => r.head);
+  if (heads.length === 0) {
+    throw new Error(
+      `No non-quarantined RPC returned a ${blockTag} block for ${chain}:\n` +
+      results.map((r, i) => `  ${i}: ${r.reason?.message || "quarantined"}`).join("\n")
+    );
+  }
+
+  const highest = Math.max(...heads);
+  responded.forEach(r => rpcHealth.recordHeadLag(r.entry, highest - r.head));
+
+  const usable = heads.filter(head => highest - head <= MAX_HEAD_SPREAD && head >= minBlock);
+  if (usable.length === 0) {
+    const error = new Error(`No RPC for ${chain} has reached block ${minBlock} yet (highest ${blockTag}: ${highest})`);
+    error.behindMinBlock = true;
+    throw error;
+  }
+  if (usable.length < heads.length) {
+    log(`  ⚠️  ${heads.length - usable.length} RPC(s) lagging behind - ignored for block selection`);
+  }
+  return Math.max(Math.min(...usable) - blockLag, minBlock);
+}
 
 /**
  * Query multiple RPCs in parallel and return consensus result
  *
  * @param {string} chain - Chain name (sepolia, base, arbitrum)
- * @param {Function} queryFn - Async function that takes a provider and returns a value
+ * @param {Function} queryFn - Async function (provider, blockNumber) returning a value; provider reads default to blockNumber
  * @param {Object} options - Configuration options
- * @param {number} options.minConsensus - Minimum number of matching responses (default: 2)
+ * @param {number} options.minConsensus - Minimum number of matching responses (default: environment minConsensus, 2 on testnet/mainnet)
  * @param {number} options.timeout - Timeout per RPC in ms (default: 10000)
  * @param {boolean} options.requireMajority - Require majority of RPCs to agree (default: false)
- * @returns {Promise<any>} Consensus value
+ * @param {number|string} options.blockTag - Block number, or "latest" / "safe" / "finalized" to agree on (default: "latest")
+ * @param {number} options.blockLag - Blocks to stay behind the agreed head (default: 0)
+ * @param {number} options.minBlock - Never read below this block, e.g. a just-mined tx (default: 0)
+ * @param {boolean} options.withBlock - Return { value, blockNumber } instead of the value (default: false)
+ * @param {Function} options.log - Where progress lines go (default: console.log)
+ * @param {boolean} options.trackHealth - Count agreement in RPC health (default: true; off for
+ *   values RPCs legitimately see at different times, like a fresh receipt)
+ * @returns {Promise<any>} Consensus value (or { value, blockNumber } with withBlock)
  * @throws {Error} If consensus not reached
  */
 async function queryWithConsensus(chain, queryFn, options = {}) {
   const {
-    minConsensus = 2,
+    minConsensus = ENVIRONMENT.minConsensus,
     timeout = 10000,
     requireMajority = false,
+    blockTag = "latest",
+    blockLag = 0,
+    minBlock = 0,
+    withBlock = false,
+    log = console.log,
+    trackHealth = true,
   } = options;
 
-  const rpcUrls = RPC_URLS[chain];
+  const rpcUrls = rpcUrlsFor(chain);
   if (!rpcUrls || rpcUrls.length === 0) {
     throw new Error(`No RPC URLs configured for ${chain}`);
   }
 
-  console.log(`🔍 Querying ${rpcUrls.length} RPCs for ${chain}...`);
+  log(`🔍 Querying ${rpcUrls.length} RPCs for ${chain}...`);
 
-  // Query all RPCs in parallel with timeout
-  const results = await Promise.allSettled(
-    rpcUrls.map(async (url) => {
-      const provider = new ethers.providers.JsonRpcProvider(url);
+  const entries = rpcUrls.map(url => rpcHealth.getRpcEntry(chain, url));
+  const weights = entries.map(entry => rpcHealth.rpcWeight(entry));
+  const quarantined = entries.filter(entry => rpcHealth.isQuarantined(entry)).length;
+  if (quarantined > 0) {
+    log(`  🚫 ${quarantined} quarantined RPC(s) - queried but not counted (see scripts/utils/rpcHealth.js)`);
+  }
 
-      // Race between query and timeout
-      const queryPromise = queryFn(provider);
-      const timeoutPromise = new Promise((_, reject) =>
-        setTimeout(() => reject(new Error("Timeout")), timeout)
-      );
+  const providers = rpcUrls.map(url => new PinnedProvider(url));
+  const blockNumber = await agreeOnBlock(chain, providers, { blockTag, blockLag, minBlock, timeout, log, entries });
+  providers.forEach(provider => provider.pin(blockNumber));
+  log(`  📌 Block ${blockNumber}`);
 
-      return Promise.race([queryPromise, timeoutPromise]);
+  // Query all RPCs in parallel at the agreed block, with timeout
+  const results = await Promise.allSettled(
+    providers.map(async (provider) => {
+      const startedAt = Date.now();
+      const value = await withTimeout(queryFn(provider, blockNumber), timeout);
+      return { value, latencyMs: Date.now() - startedAt };
     })
   );
 
@@ -93,14 +248,34 @@ async function queryWithConsensus(chain, queryFn, options = {}) {
   const successful = results
     .map((result, index) => ({
       rpcIndex: index,
-      rpcUrl: rpcUrls[index].substring(0, 50),
+      rpc: entries[index].label,
+      weight: weights[index],
+      counted: weights[index] > 0,
       success: result.status === "fulfilled",
-      value: result.status === "fulfilled" ? result.value : null,
+      value: result.status === "fulfilled" ? result.value.value : null,
+      latencyMs: result.status === "fulfilled" ? result.value.latencyMs : null,
       error: result.status === "rejected" ? result.reason?.message : null,
     }))
     .filter(r => r.success);
 
+  // Update RPC health once the outcome is known (agreed: null when there is no consensus)
+  const recordHealth = (consensusKey) => {
+    if (!trackHealth) {
+      return;
+    }
+    results.forEach((result, index) => {
+      rpcHealth.recordResult(entries[index], result.status === "fulfilled"
+        ? {
+          latencyMs: result.value.latencyMs,
+          agreed: consensusKey === null ? null : serializeValue(result.value.value) === consensusKey,
+        }
+        : { error: result.reason?.message || "failed" });
+    });
+    rpcHealth.saveHealth();
+  };
+
   if (successful.length === 0) {
+    recordHealth(null);
     throw new Error(
       `All RPCs failed for ${chain}:\n` +
       results.map((r, i) => `  ${i}: ${r.reason?.message}`).join("\n")
@@ -113,26 +288,46 @@ async function queryWithConsensus(chain, queryFn, options = {}) {
     const key = serializeValue(result.value);
     if (!groups[key]) {
       groups[key] = {
+        key,
         value: result.value,
         count: 0,
+        weight: 0,
         rpcs: [],
       };
     }
-    groups[key].count++;
-    groups[key].rpcs.push(result.rpcUrl);
+    if (result.counted) {
+      groups[key].count++;
+    }
+    groups[key].weight += result.weight;
+    groups[key].rpcs.push(`${result.rpc} (weight ${result.weight.toFixed(2)})`);
   }
 
-  // Find the most common value
-  const sorted = Object.values(groups).sort((a, b) => b.count - a.count);
+  // Find the value with the most weight behind it
+  const sorted = Object.values(groups).sort((a, b) => b.weight - a.weight || b.count - a.count);
   const consensus = sorted[0];
+  const counted = successful.filter(r => r.counted).length;
+  const totalWeight = successful.reduce((total, r) => total + r.weight, 0);
 
-  console.log(`  ✅ ${successful.length}/${rpcUrls.length} RPCs responded`);
-  console.log(`  📊 Consensus: ${consensus.count}/${successful.length} agree`);
+  log(`  ✅ ${successful.length}/${rpcUrls.length} RPCs responded`);
+  log(
+    `  📊 Consensus: ${consensus.count}/${counted} agree ` +
+    `(weight ${consensus.weight.toFixed(2)}/${totalWeight.toFixed(2)})`
+  );
+
+  // Log any disagreements
+  if (sorted.length > 1) {
+    log(`  ⚠️  Found ${sorted.length} different responses:`);
+    sorted.forEach((g, i) => {
+      log(`    ${i + 1}. ${g.count}x: ${deserializeValue(g.value)}`);
+      g.rpcs.forEach(rpc => log(`       - ${rpc}`));
+    });
+  }
 
   // Check if consensus threshold met
   if (consensus.count < minConsensus) {
+    recordHealth(null);
     throw new Error(
-      `Consensus not reached for ${chain}. ` +
+      `Consensus not reached for ${chain} at block ${blockNumber}. ` +
       `Need ${minConsensus} matching responses, got ${consensus.count}. ` +
       `Responses:\n` +
       sorted.map(g => `  ${g.count}x: ${deserializeValue(g.value)}`).join("\n")
@@ -140,49 +335,140 @@ async function queryWithConsensus(chain, queryFn, options = {}) {
   }
 
   // Check if majority required
-  if (requireMajority && consensus.count <= successful.length / 2) {
+  if (requireMajority && consensus.weight <= totalWeight / 2) {
+    recordHealth(null);
     throw new Error(
       `Majority consensus not reached for ${chain}. ` +
-      `Got ${consensus.count}/${successful.length} agreements.`
+      `Got weight ${consensus.weight.toFixed(2)}/${totalWeight.toFixed(2)} ` +
+      `(${consensus.count}/${counted} RPCs).`
     );
   }
 
-  // Log any disagreements
-  if (sorted.length > 1) {
-    console.log(`  ⚠️  Found ${sorted.length} different responses:`);
-    sorted.forEach((g, i) => {
-      console.log(`    ${i + 1}. ${g.count}x: ${deserializeValue(g.value)}`);
-      g.rpcs.forEach(rpc => console.log(`       - ${rpc}`));
-    });
-  }
+  recordHealth(consensus.key);
 
-  return consensus.value;
+  return withBlock ? { value: consensus.value, blockNumber } : consensus.value;
 }
 
 /**
- * Query multiple chains with consensus
+ * Query multiple chains with consensus, all chains in parallel
  *
  * @param {string[]} chains - Array of chain names
- * @param {Function} queryFn - Async function that takes (chain, provider) and returns a value
+ * @param {Function} queryFn - Async function that takes (chain, provider, blockNumber) and returns a value
  * @param {Object} options - Same as queryWithConsensus
  * @returns {Promise<Object>} Object with chain names as keys, consensus values as values
+ * @throws {Error} The first failing chain's error (after every chain's log is printed)
  */
 async function queryMultipleChainsWithConsensus(chains, queryFn, options = {}) {
-  const results = {};
+  const logs = Object.fromEntries(chains.map(chain => [chain, []]));
 
-  for (const chain of chains) {
+  const settled = await Promise.allSettled(chains.map(chain => queryWithConsensus(
+    chain,
+    (provider, blockNumber) => queryFn(chain, provider, blockNumber),
+    { ...options, log: line => logs[chain].push(line) }
+  )));
+
+  // Print each chain's log as one block so parallel queries stay readable
+  const results = {};
+  let firstError = null;
+  chains.forEach((chain, i) => {
     console.log(`\n${"=".repeat(70)}`);
     console.log(`Querying ${chain.toUpperCase()}`);
     console.log("=".repeat(70));
+    logs[chain].forEach(line => console.log(line));
+
+    if (settled[i].status === "fulfilled") {
+      results[chain] = settled[i].value;
+    } else {
+      console.log(`  ❌ ${settled[i].reason.message}`);
+      firstError = firstError || settled[i].reason;
+    }
+  });
 
-    results[chain] = await queryWithConsensus(
-      chain,
-      (provider) => queryFn(chain, provider),
-      options
+  if (firstError) {
+    throw firstError;
+  }
+  return results;
+}
+
+/**
+ * Run view calls as one batch at the provider's pinned block: a single Multicall3
+ * aggregate3, or one JSON-RPC batch of eth_calls where Multicall3 has no code
+ *
+ * @param {ethers.providers.JsonRpcProvider} provider - Usually the PinnedProvider handed to a queryFn
+ * @param {Object[]} calls - [{ contract, method, args }] (contract: ethers.Contract or { address, interface })
+ * @returns {Promise<any[]>} Decoded results in call order (single return values unwrapped, like ethers.Contract)
+ */
+async function multicall(provider, calls) {
+  const encoded = calls.map(({ contract, method, args = [] }) => ({
+    target: contract.address,
+    callData: contract.interface.encodeFunctionData(method, args),
+  }));
+
+  const url = provider.connection.url;
+  if (!multicallSupport.has(url)) {
+    multicallSupport.set(url, (await provider.getCode(MULTICALL3_ADDRESS)) !== "0x");
+  }
+
+  let returnData;
+  if (multicallSupport.get(url)) {
+    const multicall3 = new ethers.Contract(MULTICALL3_ADDRESS, MULTICALL3_ABI, provider);
+    const results = await multicall3.callStatic.aggregate3(
+      encoded.map(({ target, callData }) => ({ target, allowFailure: false, callData }))
     );
+    returnData = results.map(result => result.returnData);
+  } else {
+    returnData = await batchCall(provider, encoded);
   }
 
-  return results;
+  return calls.map(({ contract, method }, i) => {
+    const result = contract.interface.decodeFunctionResult(method, returnData[i]);
+    return result.length === 1 ? result[0] : result;
+  });
+}
+
+/**
+ * Send eth_calls as one JSON-RPC batch request
+ */
+async function batchCall(provider, encoded) {
+  const blockTag = provider.pinnedBlock === undefined ? "latest" : ethers.utils.hexValue(provider.pinnedBlock);
+  const payload = encoded.map(({ target, callData }, id) => ({
+    jsonrpc: "2.0",
+    id,
+    method: "eth_call",
+    params: [{ to: target, data: callData }, blockTag],
+  }));
+
+  const responses = await ethers.utils.fetchJson(provider.connection, JSON.stringify(payload));
+  if (!Array.isArray(responses)) {
+    throw new Error(`RPC does not support JSON-RPC batches: ${JSON.stringify(responses).substring(0, 100)}`);
+  }
+  const byId = new Map(responses.map(response => [response.id, response]));
+  return encoded.map((_, id) => {
+    const response = byId.get(id);
+    if (!response || response.error) {
+      throw new Error(`eth_call ${id} failed: ${response?.error?.message || "no response"}`);
+    }
+    return response.result;
+  });
+}
+
+/**
+ * Consensus read of a set of contract calls, batched into one request per RPC.
+ * The whole result tuple must match across RPCs.
+ *
+ * @param {string} chain - Chain name
+ * @param {Object[]|Object} calls - Array of { contract, method, args }, or an object of them by name
+ * @param {Object} options - Same as queryWithConsensus
+ * @returns {Promise<any[]|Object>} Results in the same shape as calls
+ */
+async function queryCallsWithConsensus(chain, calls, options = {}) {
+  const names = Array.isArray(calls) ? null : Object.keys(calls);
+  const list = names ? names.map(name => calls[name]) : calls;
+
+  const read = await queryWithConsensus(chain, provider => multicall(provider, list), options);
+  const values = options.withBlock ? read.value : read;
+  const shaped = names ? Object.fromEntries(names.map((name, i) => [name, values[i]])) : values;
+  return options.withBlock ? { value: shaped, blockNumber: read.blockNumber } : shaped;
 }
 
 /**
@@ -223,7 +509,7 @@ function deserializeValue(value) {
  * For non-critical reads where consensus isn't needed
  */
 function getProvider(chain) {
-  const rpcUrls = RPC_URLS[chain];
+  const rpcUrls = rpcUrlsFor(chain);
   if (!rpcUrls || rpcUrls.length === 0) {
     throw new Error(`No RPC URLs configured for ${chain}`);
   }
@@ -243,7 +529,11 @@ function getWallet(chain, privateKey) {
 module.exports = {
   queryWithConsensus,
   queryMultipleChainsWithConsensus,
+  queryCallsWithConsensus,
+  multicall,
   getProvider,
   getWallet,
   RPC_URLS,
+  PinnedProvider,
+  MULTICALL3_ADDRESS,
 };
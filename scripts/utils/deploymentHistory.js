@@ -0,0 +1,54 @@
+const fs = require("fs");
+const path = require("path");
+const { scopedPath } = require("./environment");
+
+/**
+ * Deployment History Log
+ *
+ * Append-only JSONL record of operator actions that change the system outside the
+ * normal flow (guard overrides, manual fixes...). One JSON object per line so the
+ * file can be appended safely and grepped/diffed easily.
+ *
+ * Usage:
+ *   const { appendHistory } = require('./utils/deploymentHistory');
+ *   appendHistory({ type: "price-guard-override", reason: "..." });
+ */
+
+// Next to the environment's deployment file
+const HISTORY_PATH = path.join(scopedPath("deployments"), "deployment-history.jsonl");
+
+/**
+ * Append one entry (timestamp added automatically)
+ *
+ * @param {Object} entry - JSON-serializable entry, must have a "type"
+ * @returns {Object} The entry as written
+ */
+function appendHistory(entry, historyPath = HISTORY_PATH) {
+  if (!entry.type) {
+    throw new Error("History entry must have a type");
+  }
+  const record = { timestamp: new Date().toISOString(), ...entry };
+  fs.mkdirSync(path.dirname(historyPath), { recursive: true });
+  fs.appendFileSync(historyPath, JSON.stringify(record) + "\n");
+  return record;
+}
+
+/**
+ * Read all entries (optionally filtered by type)
+ */
+function readHistory(type = null, historyPath = HISTORY_PATH) {
+  if (!fs.existsSync(historyPath)) {
+    return [];
+  }
+  return fs.readFileSync(historyPath, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map(line => JSON.parse(line))
+    .filter(entry => !type || entry.type === type);
+}
+
+module.exports = {
+  HISTORY_PATH,
+  appendHistory,
+  readHistory,
+};
@@ -0,0 +1,230 @@
+const { ethers } = require("ethers");
+const fs = require("fs");
+const path = require("path");
+const { isSupportedChain } = require("./chainRegistry");
+const { scopedPath } = require("./environment");
+
+/**
+ * Deployment Spec
+ *
+ * The desired state of the deployment of the selected environment
+ * (deployments/spec.json for testnet, deployments/<env>/spec.json otherwise).
+ * scripts/system-deployment/deploymentPlan.js diffs it against on-chain state
+ * (plan) and sends exactly the transactions needed to reach it (apply);
+ * scripts/system-deployment/driftCheck.js reports every on-chain value that differs.
+ *
+ * Format:
+ *   primary      chain name of the primary chain
+ *   vaultParams  { decimals: integer, minimumSupply: uint string } (used for new vaults)
+ *   defaults     settings for every chain, each overridable per chain:
+ *                  owner            address, or null to leave ownership alone
+ *                  operator         address, or null to leave the operator alone
+ *                  cap              uint string (asset decimals)
+ *                  depositsEnabled  true/false
+ *                  allowIndependence  true/false (direct unstake / instantUnstake)
+ *                  rateLimits       { outbound, inbound }: { isEnabled, capacity, rate } per
+ *                                   remote chain on this chain's pool (uint strings; disabled
+ *                                   limiters need capacity and rate "0", enabled ones
+ *                                   0 < rate < capacity)
+ *   chains       { <chain>: overrides } - every chain that should exist (key = chain name
+ *                in scripts/config/chains.json; {} = defaults only)
+ *   routes       "all" (every pair of chains, both directions) or a list of
+ *                [chainA, chainB] pairs (both directions)
+ *
+ * Usage:
+ *   const { loadSpec } = require('./utils/deploymentSpec');
+ *   const spec = loadSpec();
+ *   spec.chains.base.cap;                 // resolved (defaults + overrides)
+ *   spec.routes.has("base>arbitrum");     // directed route from base's pool to arbitrum
+ */
+
+const SPEC_PATH = path.join(scopedPath("deployments"), "spec.json");
+
+const TOP_LEVEL_FIELDS = ["primary", "vaultParams", "defaults", "chains", "routes"];
+
+const CHAIN_SETTINGS = {
+  owner: "address-or-null",
+  operator: "address-or-null",
+  cap: "uint-string",
+  depositsEnabled: "boolean",
+  allowIndependence: "boolean",
+  rateLimits: "rate-limits",
+};
+
+function isUintString(value) {
+  return typeof value === "string" && /^[0-9]+$/.test(value);
+}
+
+function validateLimiter(label, limiter) {
+  const errors = [];
+  if (!limiter || typeof limiter !== "object") {
+    return [`${label} must be { isEnabled, capacity, rate }`];
+  }
+  if (typeof limiter.isEnabled !== "boolean") {
+    errors.push(`${label}.isEnabled must be true/false`);
+  }
+  for (const field of ["capacity", "rate"]) {
+    if (!isUintString(limiter[field])) {
+      errors.push(`${label}.${field} must be a decimal string`);
+    }
+  }
+  if (errors.length > 0) {
+    return errors;
+  }
+  const capacity = ethers.BigNumber.from(limiter.capacity);
+  const rate = ethers.BigNumber.from(limiter.rate);
+  if (!limiter.isEnabled && (!capacity.isZero() || !rate.isZero())) {
+    errors.push(`${label}: a disabled rate limiter needs capacity and rate "0"`);
+  }
+  if (limiter.isEnabled && (rate.isZero() || rate.gte(capacity))) {
+    errors.push(`${label}: an enabled rate limiter needs 0 < rate < capacity`);
+  }
+  return errors;
+}
+
+function validateSetting(label, type, value) {
+  switch (type) {
+    case "address-or-null":
+      return value === null || (ethers.utils.isAddress(value) && ethers.utils.getAddress(value) === value)
+        ? []
+        : [`${label} must be a checksummed address or null`];
+    case "uint-string":
+      return isUintString(value) ? [] : [`${label} must be a decimal string`];
+    case "boolean":
+      return typeof value === "boolean" ? [] : [`${label} must be true/false`];
+    case "rate-limits":
+      if (!value || typeof value !== "object") {
+        return [`${label} must be { outbound, inbound }`];
+      }
+      return [
+        ...validateLimiter(`${label}.outbound`, value.outbound),
+        ...validateLimiter(`${label}.inbound`, value.inbound),
+      ];
+    default:
+      return [`${label}: unknown setting type ${type}`];
+  }
+}
+
+/**
+ * Validate a spec
+ *
+ * @returns {string[]} Problems found (empty if valid)
+ */
+function validateSpec(spec) {
+  const errors = [];
+
+  for (const field of Object.keys(spec)) {
+    if (!TOP_LEVEL_FIELDS.includes(field)) {
+      errors.push(`${field} is not a known field`);
+    }
+  }
+
+  const chains = spec.chains && typeof spec.chains === "object" ? Object.keys(spec.chains) : [];
+  if (chains.length === 0) {
+    errors.push("chains must list at least one chain");
+  }
+  for (const chain of chains) {
+    if (!isSupportedChain(chain)) {
+      errors.push(`chains.${chain} is not in scripts/config/chains.json`);
+    }
+  }
+  if (!chains.includes(spec.primary)) {
+    errors.push(`primary must be one of the chains (got ${JSON.stringify(spec.primary)})`);
+  }
+
+  const params = spec.vaultParams;
+  if (!params || !Number.isInteger(params.decimals) || !isUintString(params.minimumSupply)) {
+    errors.push("vaultParams must be { decimals: integer, minimumSupply: decimal string }");
+  }
+
+  const defaults = spec.defaults || {};
+  for (const [setting, type] of Object.entries(CHAIN_SETTINGS)) {
+    if (defaults[setting] === undefined) {
+      errors.push(`defaults.${setting} is required`);
+    } else {
+      errors.push(...validateSetting(`defaults.${setting}`, type, defaults[setting]));
+    }
+  }
+  for (const field of Object.keys(defaults)) {
+    if (!CHAIN_SETTINGS[field]) {
+      errors.push(`defaults.${field} is not a known setting`);
+    }
+  }
+
+  for (const chain of chains) {
+    const overrides = spec.chains[chain] || {};
+    for (const [setting, value] of Object.entries(overrides)) {
+      if (!CHAIN_SETTINGS[setting]) {
+        errors.push(`chains.${chain}.${setting} is not a known setting`);
+        continue;
+      }
+      errors.push(...validateSetting(`chains.${chain}.${setting}`, CHAIN_SETTINGS[setting], value));
+    }
+  }
+
+  if (spec.routes !== "all") {
+    if (!Array.isArray(spec.routes)) {
+      errors.push('routes must be "all" or a list of [chainA, chainB] pairs');
+    } else {
+      spec.routes.forEach((pair, i) => {
+        if (!Array.isArray(pair) || pair.length !== 2 || pair[0] === pair[1] ||
+            !chains.includes(pair[0]) || !chains.includes(pair[1])) {
+          errors.push(`routes[${i}] must be a pair of two different chains from chains`);
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Directed routes ("from>to") the spec asks for
+ */
+function desiredRoutes(spec) {
+  const chains = Object.keys(spec.chains);
+  const pairs = spec.routes === "all"
+    ? chains.flatMap((a, i) => chains.slice(i + 1).map(b => [a, b]))
+    : spec.routes;
+  return new Set(pairs.flatMap(([a, b]) => [`${a}>${b}`, `${b}>${a}`]));
+}
+
+/**
+ * Load and validate the spec, with per-chain settings resolved (defaults + overrides)
+ *
+ * @param {Object} options
+ * @param {string} options.path - Spec file (default deployments/spec.json)
+ * @returns {{primary: string, vaultParams: Object, chains: Object, routes: Set<string>, path: string}}
+ */
+function loadSpec(options = {}) {
+  const specPath = options.path || SPEC_PATH;
+  if (!fs.existsSync(specPath)) {
+    throw new Error(`${path.relative(process.cwd(), specPath)} not found`);
+  }
+  const spec = JSON.parse(fs.readFileSync(specPath, "utf8"));
+
+  const errors = validateSpec(spec);
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${path.basename(specPath)}:\n  - ${errors.join("\n  - ")}`);
+  }
+
+  const chains = Object.fromEntries(Object.keys(spec.chains).map(chain => [
+    chain,
+    { ...spec.defaults, ...spec.chains[chain], isPrimary: chain === spec.primary },
+  ]));
+
+  return {
+    primary: spec.primary,
+    vaultParams: spec.vaultParams,
+    chains,
+    routes: desiredRoutes(spec),
+    path: specPath,
+  };
+}
+
+module.exports = {
+  SPEC_PATH,
+  validateSpec,
+  desiredRoutes,
+  loadSpec,
+};
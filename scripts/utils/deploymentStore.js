@@ -0,0 +1,455 @@
+const { ethers } = require("ethers");
+const fs = require("fs");
+const path = require("path");
+const { appendHistory, readHistory } = require("./deploymentHistory");
+const { scopedPath, assertWriteAllowed } = require("./environment");
+
+/**
+ * Deployment Store
+ *
+ * The only code that reads or writes the deployment file of the selected environment
+ * (deployments/deployment.json for testnet, deployments/<env>/deployment.json otherwise):
+ *   - validates the file against the schema below on every load and save
+ *   - migrates older formats to SCHEMA_VERSION (in memory on load, persisted by `migrate`)
+ *   - writes atomically (temp file + rename)
+ *   - every save bumps `revision`, keeps a full copy in deployments/history/ and logs
+ *     which script changed which fields and why to deployments/deployment-history.jsonl
+ *
+ * Schema (v2):
+ *   schemaVersion  2
+ *   revision       integer, incremented by every save
+ *   timestamp      ISO date of the original deployment
+ *   deployer       checksummed address
+ *   vaultParams    { decimals: integer, minimumSupply: uint string, cap: uint string }
+ *   status         string
+ *   notes          string (optional)
+ *   <chain>        one object per chain (key = chain name in scripts/config/chains.json):
+ *                    chainId, chainSelector (uint string), vault, sherpaUSD, mockUSDC,
+ *                    ccipRouter, isPrimary (required)
+ *                    ccipPool, poolType (optional, set once CCIP pools are deployed)
+ *   archived       chains retired by sunsetChain.js (optional): { <chain>: chain entry +
+ *                    archivedAt (ISO date), archiveReason } - kept for reference, ignored
+ *                    by getDeploymentChains()
+ *
+ * Usage:
+ *   const { loadDeployment, saveDeployment } = require('./utils/deploymentStore');
+ *   const deployment = loadDeployment();
+ *   deployment.base.ccipPool = pool.address;
+ *   saveDeployment(deployment, { script: "deployAllCCIPPools.js", reason: "Deployed CCIP pools" });
+ */
+
+const DEPLOYMENT_PATH = path.join(scopedPath("deployments"), "deployment.json");
+const REVISIONS_DIR = path.join(scopedPath("deployments"), "history");
+
+const SCHEMA_VERSION = 2;
+
+const META_FIELDS = ["schemaVersion", "revision", "timestamp", "deployer", "vaultParams", "status", "notes", "archived"];
+
+const CHAIN_FIELDS = {
+  chainId: { type: "integer", required: true },
+  chainSelector: { type: "uint-string", required: true },
+  vault: { type: "address", required: true },
+  sherpaUSD: { type: "address", required: true },
+  mockUSDC: { type: "address", required: true },
+  ccipRouter: { type: "address", required: true },
+  isPrimary: { type: "boolean", required: true },
+  ccipPool: { type: "address", required: false },
+  poolType: { type: "string", required: false },
+};
+
+// Extra fields of an archived chain entry
+const ARCHIVE_FIELDS = {
+  archivedAt: { type: "string", required: true },
+  archiveReason: { type: "string", required: true },
+};
+
+/**
+ * Format migrations, applied in order to files below their version.
+ * Files written before versioning have no schemaVersion and count as version 1.
+ */
+const MIGRATIONS = [
+  {
+    version: 2,
+    description: "Rename newCcipPool → ccipPool, checksum addresses, selectors as strings, add revision",
+    up(deployment) {
+      for (const chain of getDeploymentChains(deployment)) {
+        const entry = deployment[chain];
+        if (entry.newCcipPool !== undefined) {
+          entry.ccipPool = entry.newCcipPool;
+          delete entry.newCcipPool;
+        }
+        for (const [field, spec] of Object.entries(CHAIN_FIELDS)) {
+          if (spec.type === "address" && isAddressLike(entry[field])) {
+            entry[field] = ethers.utils.getAddress(entry[field]);
+          }
+        }
+        if (typeof entry.chainSelector === "number") {
+          throw new Error(`${chain}.chainSelector was stored as a number and lost precision - fix it by hand`);
+        }
+        if (entry.chainSelector !== undefined) {
+          entry.chainSelector = entry.chainSelector.toString();
+        }
+      }
+      if (isAddressLike(deployment.deployer)) {
+        deployment.deployer = ethers.utils.getAddress(deployment.deployer);
+      }
+      deployment.revision = deployment.revision ?? 0;
+      return deployment;
+    },
+  },
+];
+
+/**
+ * Chain entries of a deployment (every top-level key that is not metadata)
+ */
+function getDeploymentChains(deployment) {
+  return Object.keys(deployment).filter(key =>
+    !META_FIELDS.includes(key) && deployment[key] && typeof deployment[key] === "object"
+  );
+}
+
+function isAddressLike(value) {
+  return typeof value === "string" && ethers.utils.isAddress(value);
+}
+
+function checkType(value, type) {
+  switch (type) {
+    case "integer":
+      return Number.isInteger(value) && value >= 0;
+    case "uint-string":
+      return typeof value === "string" && /^[0-9]+$/.test(value);
+    case "address":
+      return isAddressLike(value) && ethers.utils.getAddress(value) === value;
+    case "boolean":
+      return typeof value === "boolean";
+    case "string":
+      return typeof value === "string";
+    default:
+      return false;
+  }
+}
+
+function describeType(type) {
+  return {
+    "integer": "a non-negative integer",
+    "uint-string": "a decimal string",
+    "address": "a checksummed address",
+    "boolean": "true/false",
+    "string": "a string",
+  }[type];
+}
+
+/**
+ * Validate a deployment against the current schema
+ *
+ * @returns {string[]} Problems found (empty if valid)
+ */
+function validateDeployment(deployment) {
+  const errors = [];
+
+  if (deployment.schemaVersion !== SCHEMA_VERSION) {
+    errors.push(`schemaVersion is ${deployment.schemaVersion}, expected ${SCHEMA_VERSION}`);
+  }
+  if (!checkType(deployment.revision, "integer")) {
+    errors.push("revision must be a non-negative integer");
+  }
+  if (typeof deployment.timestamp !== "string" || isNaN(Date.parse(deployment.timestamp))) {
+    errors.push("timestamp must be an ISO date string");
+  }
+  if (!checkType(deployment.deployer, "address")) {
+    errors.push(`deployer must be a checksummed address (got ${deployment.deployer})`);
+  }
+  if (typeof deployment.status !== "string") {
+    errors.push("status must be a string");
+  }
+  if (deployment.notes !== undefined && typeof deployment.notes !== "string") {
+    errors.push("notes must be a string");
+  }
+
+  const params = deployment.vaultParams;
+  if (!params || typeof params !== "object") {
+    errors.push("vaultParams is missing");
+  } else {
+    if (!checkType(params.decimals, "integer")) errors.push("vaultParams.decimals must be a non-negative integer");
+    if (!checkType(params.minimumSupply, "uint-string")) errors.push("vaultParams.minimumSupply must be a decimal string");
+    if (!checkType(params.cap, "uint-string")) errors.push("vaultParams.cap must be a decimal string");
+  }
+
+  const chains = getDeploymentChains(deployment);
+  if (chains.length === 0) {
+    errors.push("no chain entries");
+  }
+
+  const selectors = {};
+  for (const chain of chains) {
+    const entry = deployment[chain];
+    errors.push(...validateChainEntry(chain, entry, CHAIN_FIELDS));
+    if (entry.chainSelector) {
+      if (selectors[entry.chainSelector]) {
+        errors.push(`${chain} and ${selectors[entry.chainSelector]} share chainSelector ${entry.chainSelector}`);
+      }
+      selectors[entry.chainSelector] = chain;
+    }
+  }
+
+  const primaries = chains.filter(chain => deployment[chain].isPrimary === true);
+  if (chains.length > 0 && primaries.length !== 1) {
+    errors.push(`exactly one chain must be primary (found ${primaries.length}: ${primaries.join(", ") || "none"})`);
+  }
+
+  if (deployment.archived !== undefined) {
+    if (!deployment.archived || typeof deployment.archived !== "object") {
+      errors.push("archived must be an object of chain entries");
+    } else {
+      for (const [chain, entry] of Object.entries(deployment.archived)) {
+        if (chains.includes(chain)) {
+          errors.push(`${chain} is both deployed and archived`);
+        }
+        errors.push(...validateChainEntry(`archived.${chain}`, entry, { ...CHAIN_FIELDS, ...ARCHIVE_FIELDS }));
+        if (entry.isPrimary) {
+          errors.push(`archived.${chain} is primary - the primary chain cannot be archived`);
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Check one chain entry against a field spec
+ *
+ * @returns {string[]} Problems found, prefixed with label
+ */
+function validateChainEntry(label, entry, fields) {
+  const errors = [];
+  for (const [field, spec] of Object.entries(fields)) {
+    if (entry[field] === undefined || entry[field] === null) {
+      if (spec.required) errors.push(`${label}.${field} is required`);
+      continue;
+    }
+    if (!checkType(entry[field], spec.type)) {
+      errors.push(`${label}.${field} must be ${describeType(spec.type)} (got ${JSON.stringify(entry[field])})`);
+    }
+  }
+  for (const field of Object.keys(entry)) {
+    if (!fields[field]) {
+      errors.push(`${label}.${field} is not a known field`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Move a chain entry to deployment.archived (in memory; saveDeployment() persists it)
+ *
+ * @param {Object} deployment - Deployment at SCHEMA_VERSION
+ * @param {string} chain - Chain to retire (must not be the primary)
+ * @param {string} reason - Why it was retired
+ * @returns {Object} The archived entry
+ */
+function archiveChain(deployment, chain, reason) {
+  const entry = deployment[chain];
+  if (!entry || !getDeploymentChains(deployment).includes(chain)) {
+    throw new Error(`${chain} is not in deployment.json`);
+  }
+  if (entry.isPrimary) {
+    throw new Error(`${chain} is the primary chain and cannot be archived`);
+  }
+  const archived = { ...entry, archivedAt: new Date().toISOString(), archiveReason: reason };
+  deployment.archived = { ...(deployment.archived || {}), [chain]: archived };
+  delete deployment[chain];
+  return archived;
+}
+
+function assertValid(deployment, label) {
+  const errors = validateDeployment(deployment);
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${label}:\n  - ${errors.join("\n  - ")}`);
+  }
+}
+
+/**
+ * Bring a deployment up to SCHEMA_VERSION
+ *
+ * @returns {Object} { deployment, applied: [{ version, description }] }
+ */
+function migrateDeployment(deployment) {
+  const migrated = JSON.parse(JSON.stringify(deployment));
+  const fromVersion = migrated.schemaVersion || 1;
+  const applied = [];
+
+  if (fromVersion > SCHEMA_VERSION) {
+    throw new Error(`deployment.json schemaVersion ${fromVersion} is newer than this code (${SCHEMA_VERSION}) - update your checkout`);
+  }
+
+  for (const migration of MIGRATIONS) {
+    if (migration.version > fromVersion) {
+      migration.up(migrated);
+      migrated.schemaVersion = migration.version;
+      applied.push({ version: migration.version, description: migration.description });
+    }
+  }
+
+  return { deployment: migrated, applied };
+}
+
+function readJson(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`${path.relative(process.cwd(), filePath)} not found`);
+  }
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+/**
+ * Load, migrate (in memory) and validate deployments/deployment.json
+ *
+ * @param {Object} options
+ * @param {string} options.path - Deployment file (default deployments/deployment.json)
+ * @returns {Object} Deployment at SCHEMA_VERSION
+ */
+function loadDeployment(options = {}) {
+  const deploymentPath = options.path || DEPLOYMENT_PATH;
+  const { deployment, applied } = migrateDeployment(readJson(deploymentPath));
+
+  if (applied.length > 0) {
+    console.log(
+      `⚠️  ${path.basename(deploymentPath)} is schema v${applied[0].version - 1}, migrated in memory to v${SCHEMA_VERSION}. ` +
+      "Persist with: node scripts/system-deployment/deploymentRevisions.js migrate"
+    );
+  }
+
+  assertValid(deployment, path.basename(deploymentPath));
+  return deployment;
+}
+
+/**
+ * Flatten nested objects to { "a.b.c": value } for field-level diffs
+ */
+function flatten(value, prefix = "", out = {}) {
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    for (const key of Object.keys(value)) {
+      flatten(value[key], prefix ? `${prefix}.${key}` : key, out);
+    }
+  } else {
+    out[prefix] = value;
+  }
+  return out;
+}
+
+/**
+ * Field-level differences between two deployments
+ *
+ * @returns {Array<{field: string, from: any, to: any}>} from/to are undefined when a field is added/removed
+ */
+function diffDeployments(before, after, { ignore = ["revision"] } = {}) {
+  const a = flatten(before || {});
+  const b = flatten(after || {});
+  const fields = [...new Set([...Object.keys(a), ...Object.keys(b)])].sort();
+  return fields
+    .filter(field => !ignore.includes(field))
+    .filter(field => JSON.stringify(a[field]) !== JSON.stringify(b[field]))
+    .map(field => ({ field, from: a[field], to: b[field] }));
+}
+
+function revisionPath(revision) {
+  return path.join(REVISIONS_DIR, `deployment-r${revision}.json`);
+}
+
+function writeAtomic(filePath, content) {
+  const tmpPath = `${filePath}.tmp`;
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(tmpPath, content);
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Validate and write a deployment, recording the change
+ *
+ * The previous file is kept as deployments/history/deployment-r<revision>.json (if not
+ * already there) and the new one as deployment-r<revision + 1>.json.
+ *
+ * @param {Object} deployment - Full deployment object (schemaVersion 2)
+ * @param {Object} change
+ * @param {string} change.script - Script making the change
+ * @param {string} change.reason - Why the change was made
+ * @param {string} change.path - Deployment file (default deployments/deployment.json)
+ * @returns {Object} { revision, changes }
+ */
+function saveDeployment(deployment, { script, reason, path: deploymentPath = DEPLOYMENT_PATH } = {}) {
+  if (!script || !reason) {
+    throw new Error("saveDeployment requires a script and a reason");
+  }
+  assertWriteAllowed(`Update ${path.basename(deploymentPath)} (${reason})`);
+
+  const previous = fs.existsSync(deploymentPath) ? readJson(deploymentPath) : null;
+  const previousRevision = previous?.revision ?? 0;
+
+  if (previous && !fs.existsSync(revisionPath(previousRevision))) {
+    writeAtomic(revisionPath(previousRevision), JSON.stringify(previous, null, 2) + "\n");
+  }
+
+  const next = { ...deployment, schemaVersion: SCHEMA_VERSION, revision: previousRevision + 1 };
+  // Keep schemaVersion/revision at the top of the file
+  const ordered = { schemaVersion: next.schemaVersion, revision: next.revision, ...next };
+  assertValid(ordered, "deployment");
+
+  const changes = diffDeployments(previous, ordered);
+  const content = JSON.stringify(ordered, null, 2) + "\n";
+
+  writeAtomic(revisionPath(ordered.revision), content);
+  writeAtomic(deploymentPath, content);
+
+  appendHistory({
+    type: "deployment-update",
+    script,
+    reason,
+    revision: ordered.revision,
+    previousRevision,
+    changes,
+  });
+
+  return { revision: ordered.revision, changes };
+}
+
+/**
+ * Saved revisions, oldest first: [{ revision, path, entry }] (entry = history log record)
+ */
+function listRevisions() {
+  if (!fs.existsSync(REVISIONS_DIR)) {
+    return [];
+  }
+  const entries = readHistory("deployment-update");
+  return fs.readdirSync(REVISIONS_DIR)
+    .map(file => file.match(/^deployment-r(\d+)\.json$/))
+    .filter(Boolean)
+    .map(match => Number(match[1]))
+    .sort((a, b) => a - b)
+    .map(revision => ({
+      revision,
+      path: revisionPath(revision),
+      entry: entries.find(entry => entry.revision === revision) || null,
+    }));
+}
+
+/**
+ * Load one saved revision (as stored, not migrated)
+ */
+function loadRevision(revision) {
+  return readJson(revisionPath(revision));
+}
+
+module.exports = {
+  DEPLOYMENT_PATH,
+  REVISIONS_DIR,
+  SCHEMA_VERSION,
+  getDeploymentChains,
+  validateDeployment,
+  migrateDeployment,
+  loadDeployment,
+  saveDeployment,
+  diffDeployments,
+  archiveChain,
+  listRevisions,
+  loadRevision,
+};
@@ -0,0 +1,110 @@
+const path = require("path");
+
+/**
+ * Environment Selection
+ *
+ * Selects which environment (scripts/config/environments.json) every script runs
+ * against: the chain profile from scripts/config/chains.json, the deployment file and
+ * where runtime state / reports are written.
+ *
+ * Environments:
+ *   testnet (default) - deployments/deployment.json, existing paths unchanged
+ *   staging-fork      - deployments/staging-fork/deployment.json, local forks of mainnet
+ *   mainnet           - deployments/mainnet/deployment.json, writes need --confirm-mainnet
+ *
+ * Any script accepts --env <name> (or SHERPA_ENV=<name>). The environment is read from
+ * process.argv when this module loads, without modifying it; scripts drop --env and
+ * --confirm-mainnet from their own arguments with parseEnvArgs() (cliArgs.parseArgs()
+ * does this already).
+ *
+ * Usage:
+ *   node scripts/core/setVaultCap-universalChain.js base 500000 --env mainnet --confirm-mainnet
+ *
+ *   const { ENV_NAME, scopedPath, assertWriteAllowed, parseEnvArgs } = require('./utils/environment');
+ *   assertWriteAllowed("Set vault cap");   // throws on mainnet without --confirm-mainnet
+ *   const [chain, cap] = parseEnvArgs(process.argv.slice(2)).rest;
+ */
+
+const ENVIRONMENTS = require("../config/environments.json");
+
+const DEFAULT_ENV = "testnet";
+
+/**
+ * Split the environment arguments (--env <name> / --env=<name>, --confirm-mainnet) from
+ * a script's arguments. Does not modify argv.
+ *
+ * @param {string[]} argv - Arguments (usually process.argv.slice(2))
+ * @returns {{env: string|undefined, confirmMainnet: boolean, rest: string[]}}
+ */
+function parseEnvArgs(argv) {
+  const result = { env: undefined, confirmMainnet: false, rest: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--confirm-mainnet") {
+      result.confirmMainnet = true;
+    } else if (arg === "--env") {
+      const value = argv[++i];
+      if (value === undefined || value.startsWith("--")) {
+        throw new Error(`--env requires a value (${Object.keys(ENVIRONMENTS).join(", ")})`);
+      }
+      result.env = value;
+    } else if (arg.startsWith("--env=")) {
+      result.env = arg.slice("--env=".length);
+    } else {
+      result.rest.push(arg);
+    }
+  }
+  return result;
+}
+
+const PROCESS_ENV_ARGS = parseEnvArgs(process.argv.slice(2));
+const ENV_NAME = PROCESS_ENV_ARGS.env || process.env.SHERPA_ENV || DEFAULT_ENV;
+const MAINNET_CONFIRMED = PROCESS_ENV_ARGS.confirmMainnet;
+
+if (!ENVIRONMENTS[ENV_NAME]) {
+  throw new Error(`Unknown environment "${ENV_NAME}". Available: ${Object.keys(ENVIRONMENTS).join(", ")}`);
+}
+
+const ENVIRONMENT = { name: ENV_NAME, ...ENVIRONMENTS[ENV_NAME] };
+
+/**
+ * Per-environment location for a repo directory: unchanged for the default environment
+ * (testnet), <dir>/<env> otherwise. Keeps deployments, journals and reports of different
+ * environments side by side.
+ *
+ * @param {string} dir - Directory relative to the repo root (e.g. "deployments")
+ * @returns {string} Absolute path
+ */
+function scopedPath(dir) {
+  const root = path.join(__dirname, "../..");
+  return ENV_NAME === DEFAULT_ENV
+    ? path.join(root, dir)
+    : path.join(root, dir, ENV_NAME);
+}
+
+/**
+ * Refuse on-chain (or deployment file) writes on mainnet unless --confirm-mainnet was given
+ *
+ * @param {string} action - What is about to be written (shown in the error)
+ */
+function assertWriteAllowed(action) {
+  if (!ENVIRONMENT.mainnet) {
+    return;
+  }
+  if (!MAINNET_CONFIRMED) {
+    throw new Error(
+      `Refusing to run "${action}" on ${ENV_NAME} without confirmation. ` +
+      "Re-run with --confirm-mainnet once you have checked the parameters."
+    );
+  }
+  console.log(`⚠️  ${ENV_NAME.toUpperCase()} write confirmed: ${action}`);
+}
+
+module.exports = {
+  ENVIRONMENTS,
+  ENV_NAME,
+  ENVIRONMENT,
+  scopedPath,
+  assertWriteAllowed,
+  parseEnvArgs,
+};
@@ -0,0 +1,161 @@
+const { ethers } = require("ethers");
+const { HISTORY_PATH, appendHistory } = require("./deploymentHistory");
+
+/**
+ * Price Guard (circuit breaker)
+ *
+ * Checks a proposed round price against the previous round's price
+ * (roundPricePerShare[round - 1]) before any script sets it on-chain:
+ *   - max increase per roll (PRICE_MAX_UP_BPS, default 100 = 1%)
+ *   - max decrease per roll (PRICE_MAX_DOWN_BPS, default 500 = 5%)
+ *   - never below the floor (PRICE_FLOOR in USDC/share, default 0.5)
+ *
+ * Delta violations can be bypassed with --override "<reason>"; every override is
+ * logged to deployments/deployment-history.jsonl. The floor cannot be overridden.
+ *
+ * Usage:
+ *   const { enforcePriceGuard } = require('./utils/priceGuard');
+ *   enforcePriceGuard({ chain, round, proposedPrice, previousPrice, override, script, operator });
+ */
+
+const DECIMALS = 6;
+const BPS = 10000;
+
+const DEFAULT_LIMITS = {
+  maxUpBps: Number(process.env.PRICE_MAX_UP_BPS || 100),
+  maxDownBps: Number(process.env.PRICE_MAX_DOWN_BPS || 500),
+  floor: ethers.utils.parseUnits(process.env.PRICE_FLOOR || "0.5", DECIMALS),
+};
+
+function guardError(message, result) {
+  const error = new Error(message);
+  error.priceGuard = result;
+  return error;
+}
+
+/**
+ * Compare a proposed price with the previous round's price
+ *
+ * @param {BigNumber} proposedPrice - Price about to be set
+ * @param {BigNumber} previousPrice - roundPricePerShare[round - 1] (0 before the first roll)
+ * @param {Object} limits - { maxUpBps, maxDownBps, floor }
+ * @returns {Object} { referencePrice, deltaBps, violations: [{ rule, message, overridable }] }
+ */
+function checkPrice(proposedPrice, previousPrice, limits = DEFAULT_LIMITS) {
+  const proposed = ethers.BigNumber.from(proposedPrice);
+  // Before the first roll there is no previous price - shares start at 1:1
+  const reference = ethers.BigNumber.from(previousPrice || 0).isZero()
+    ? ethers.BigNumber.from(10).pow(DECIMALS)
+    : ethers.BigNumber.from(previousPrice);
+
+  const delta = proposed.sub(reference).mul(BPS).div(reference);
+  const deltaBps = delta.abs().gt(String(Number.MAX_SAFE_INTEGER))
+    ? (delta.isNegative() ? -Infinity : Infinity)
+    : delta.toNumber();
+  const violations = [];
+
+  if (proposed.lt(limits.floor)) {
+    violations.push({
+      rule: "floor",
+      message: `price ${format(proposed)} is below floor ${format(limits.floor)}`,
+      overridable: false,
+    });
+  }
+  if (deltaBps > limits.maxUpBps) {
+    violations.push({
+      rule: "max-up",
+      message: `price up ${formatBps(deltaBps)} (max +${formatBps(limits.maxUpBps)})`,
+      overridable: true,
+    });
+  }
+  if (-deltaBps > limits.maxDownBps) {
+    violations.push({
+      rule: "max-down",
+      message: `price down ${formatBps(-deltaBps)} (max -${formatBps(limits.maxDownBps)})`,
+      overridable: true,
+    });
+  }
+
+  return { referencePrice: reference, deltaBps, violations };
+}
+
+/**
+ * Check a price and throw unless it passes or is explicitly overridden
+ *
+ * @param {Object} params
+ * @param {string} params.chain - Chain the price is being set on
+ * @param {number} params.round - Round the price is for
+ * @param {BigNumber} params.proposedPrice - Price about to be set
+ * @param {BigNumber} params.previousPrice - roundPricePerShare[round - 1]
+ * @param {string|null} params.override - Override reason (from --override), null if none
+ * @param {string} params.script - Calling script (for the history log)
+ * @param {string} params.operator - Operator address (for the history log)
+ * @param {string} params.historyPath - History log overrides are appended to (default deployments/deployment-history.jsonl)
+ * @returns {Object} Check result, with overridden: true when an override was used
+ */
+function enforcePriceGuard({
+  chain,
+  round,
+  proposedPrice,
+  previousPrice,
+  override = null,
+  script,
+  operator,
+  limits = DEFAULT_LIMITS,
+  historyPath = HISTORY_PATH,
+}) {
+  const result = checkPrice(proposedPrice, previousPrice, limits);
+
+  console.log(
+    `  🛡️  Price guard (${chain}, round ${round}): ${format(proposedPrice)} vs previous ` +
+    `${format(result.referencePrice)} (${result.deltaBps >= 0 ? "+" : ""}${formatBps(result.deltaBps)})`
+  );
+
+  if (result.violations.length === 0) {
+    return { ...result, overridden: false };
+  }
+
+  result.violations.forEach(v => console.log(`     ❌ ${v.message}`));
+
+  const hard = result.violations.filter(v => !v.overridable);
+  if (hard.length > 0) {
+    throw guardError(`Price guard: ${hard.map(v => v.message).join("; ")} (cannot be overridden)`, result);
+  }
+  if (!override) {
+    throw guardError(
+      `Price guard: ${result.violations.map(v => v.message).join("; ")}. ` +
+      "Re-run with --override \"<reason>\" if this price is intended.",
+      result
+    );
+  }
+
+  appendHistory({
+    type: "price-guard-override",
+    script,
+    chain,
+    round,
+    proposedPrice: ethers.BigNumber.from(proposedPrice).toString(),
+    previousPrice: ethers.BigNumber.from(previousPrice || 0).toString(),
+    deltaBps: result.deltaBps,
+    violations: result.violations.map(v => v.message),
+    reason: override,
+    operator,
+  }, historyPath);
+  console.log(`     ⚠️  OVERRIDDEN: "${override}" (logged to deployment history)`);
+
+  return { ...result, overridden: true };
+}
+
+function format(price) {
+  return ethers.utils.formatUnits(price, DECIMALS);
+}
+
+function formatBps(bps) {
+  return `${(bps / 100).toFixed(2)}%`;
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  checkPrice,
+  enforcePriceGuard,
+};
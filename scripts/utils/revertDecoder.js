@@ -0,0 +1,298 @@
+const { ethers } = require("ethers");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Revert Decoding & Pre-Send Simulation
+ *
+ * Turns raw ethers revert errors into the custom error that caused them, e.g.
+ *   MinimumSupplyNotMet() - the round would leave the vault below vaultParams.minimumSupply ...
+ * by matching the revert data against every error in the SherpaVault, SherpaUSD and
+ * CCIP pool ABIs (plus Error(string) and Panic(uint256)), with a hint for what to do next.
+ *
+ * withSimulation(contract) wraps a wallet-connected contract so every write is run
+ * through callStatic first (a revert throws the decoded error instead of sending), and
+ * a tx that still reverts on-chain is replayed at the block before it to decode why.
+ * scripts/utils/txManager.js does the same for every tx it sends.
+ *
+ * Usage:
+ *   const { withSimulation, describeRevert } = require('./utils/revertDecoder');
+ *   const vault = withSimulation(new ethers.Contract(address, abi, wallet));
+ *   await (await vault.setCap(newCap)).wait();   // simulated, then sent
+ *
+ *   catch (error) { console.error(describeRevert(error)); }
+ *
+ *   findRevertData(error);   // raw revert data, to match against a local ABI without artifacts
+ */
+
+const ARTIFACTS_DIR = path.join(__dirname, "../../artifacts");
+
+// ABIs whose custom errors can be decoded
+const ERROR_ARTIFACTS = [
+  "contracts/SherpaVault.sol/SherpaVault.json",
+  "contracts/SherpaUSD.sol/SherpaUSD.json",
+  "@chainlink/contracts-ccip/contracts/pools/BurnFromMintTokenPool.sol/BurnFromMintTokenPool.json",
+];
+
+const ERROR_STRING_SELECTOR = "0x08c379a0";
+const PANIC_SELECTOR = "0x4e487b71";
+
+const PANIC_CODES = {
+  0x01: "assert failed",
+  0x11: "arithmetic overflow/underflow",
+  0x12: "division by zero",
+  0x21: "invalid enum value",
+  0x32: "array index out of bounds",
+  0x41: "out of memory",
+};
+
+// What to do next, by error name
+const HINTS = {
+  // SherpaVault
+  SystemPaused: "The vault is paused - finish or resume the round roll / rebalance first (rollRound-allChains.js resumes from the journal)",
+  NotPaused: "emergencyUnpause only works while the vault is paused",
+  OnlyOperator: "Send from the vault/wrapper operator or owner (check PRIVATE_KEY)",
+  OnlyPrimaryChain: "rollToNextRound must be sent on the primary chain (isPrimary in deployment.json)",
+  OnlySecondaryChain: "applyGlobalPrice must be sent on a secondary chain",
+  OnlyCCIPPool: "Only a registered CCIP pool can call this - check setCCIPPool / pool authorization",
+  InvalidRoundNumber: "applyGlobalPrice takes round() + 1 - the chain is already rolled or behind; compare round() across chains (snapshot.js)",
+  InvalidRound: "The vault has not reached the round this action needs yet",
+  MinimumSupplyNotMet: "The result would leave the vault below vaultParams.minimumSupply - lower the amount or top up the vault",
+  BelowMinimumDeposit: "Deposit at least vaultParams.minimumSupply",
+  CapExceeded: "Deposit would exceed the vault cap - raise it with setVaultCap-universalChain.js or deposit less",
+  CapMustBeGreaterThanZero: "Use a cap above zero",
+  DepositsDisabled: "Deposits are disabled - enable them with enableDepositsAllChains.js",
+  IndependenceNotAllowed: "Direct unstake / instantUnstake is disabled on this vault (allowIndependence)",
+  InsufficientReserves: "The wrapper holds less SherpaUSD backing than needed - rebalance backing to this chain (rebalance.js) first",
+  InsufficientBalance: "The account has less than the requested amount",
+  SlippageExceeded: "The price moved below minAmountOut - retry with a lower minimum",
+  DeadlineNotReached: "The pause deadline has not passed yet",
+  NoDeadlineSet: "No pause deadline is set for this pause",
+  AdjustmentNotApproved: "adjustTotalStaked must equal the approval left by ownerMint/ownerBurn - check approvals with rebalanceApprovals.js",
+  IncorrectCalculation: "adjustAccountingSupply must equal the approval converted to shares at roundPricePerShare[round - 1] - recompute with rebalance.js --dry-run",
+  InvalidDecimals: "Vault decimals must match the wrapper's",
+  StableWrapperAlreadyLocked: "The stable wrapper is locked and cannot be changed",
+  CannotRescueWrapperToken: "The wrapper token cannot be rescued",
+  AmountMustBeGreaterThanZero: "Use an amount above zero",
+  AddressMustBeNonZero: "An address argument is the zero address - check deployment.json",
+  CannotRenounceOwnership: "Ownership cannot be renounced",
+  // SherpaUSD
+  ApprovalNotConsumed: "A previous rebalance left approvals behind - run rebalanceApprovals.js --fix before minting/burning again",
+  NotKeeper: "Only the keeper (the vault) can call this",
+  CannotCompleteWithdrawalInSameEpoch: "Wait for the next epoch (round roll) before completing the withdrawal",
+  KeeperAlreadyLocked: "The keeper is locked and cannot be changed",
+  InvalidAssetDecimals: "The wrapped asset must have 6 decimals",
+  // OpenZeppelin
+  OwnableUnauthorizedAccount: "Send from the contract owner",
+  ERC20InsufficientBalance: "The sender's token balance is too low",
+  ERC20InsufficientAllowance: "Approve the spender for at least this amount first",
+};
+
+let errorInterface = null;
+
+/**
+ * Interface with every custom error from the known artifacts (missing artifacts are skipped)
+ */
+function getErrorInterface() {
+  if (!errorInterface) {
+    const fragments = new Map();
+    for (const artifact of ERROR_ARTIFACTS) {
+      const artifactPath = path.join(ARTIFACTS_DIR, artifact);
+      if (!fs.existsSync(artifactPath)) {
+        continue;
+      }
+      const { abi } = JSON.parse(fs.readFileSync(artifactPath, "utf8"));
+      for (const fragment of abi.filter(item => item.type === "error")) {
+        const signature = ethers.utils.ErrorFragment.from(fragment).format();
+        fragments.set(signature, fragment);
+      }
+    }
+    errorInterface = new ethers.utils.Interface([...fragments.values()]);
+  }
+  return errorInterface;
+}
+
+/**
+ * Find revert data in an ethers error (it is nested differently per provider / call type)
+ */
+function findRevertData(error, depth = 0) {
+  if (!error || depth > 5) {
+    return null;
+  }
+  if (typeof error === "string") {
+    return /^0x[0-9a-fA-F]*$/.test(error) ? error : null;
+  }
+  if (typeof error.data === "string" && /^0x[0-9a-fA-F]*$/.test(error.data)) {
+    return error.data;
+  }
+  if (typeof error.body === "string") {
+    try {
+      const found = findRevertData(JSON.parse(error.body).error, depth + 1);
+      if (found) {
+        return found;
+      }
+    } catch (parseError) {
+      // Not JSON - keep looking
+    }
+  }
+  return findRevertData(error.error, depth + 1) || findRevertData(error.data, depth + 1);
+}
+
+/**
+ * Decode the revert behind an ethers error
+ *
+ * @param {Error} error - Error thrown by a call, estimateGas or sendTransaction
+ * @returns {{name: string, args: Object, hint: string|null}|null} null if it is not a decodable revert
+ */
+function decodeRevert(error) {
+  const data = findRevertData(error);
+  if (!data || data.length < 10) {
+    return null;
+  }
+
+  const selector = data.substring(0, 10);
+  if (selector === ERROR_STRING_SELECTOR) {
+    const [reason] = ethers.utils.defaultAbiCoder.decode(["string"], ethers.utils.hexDataSlice(data, 4));
+    return { name: "Error", args: { reason }, hint: null };
+  }
+  if (selector === PANIC_SELECTOR) {
+    const [code] = ethers.utils.defaultAbiCoder.decode(["uint256"], ethers.utils.hexDataSlice(data, 4));
+    return { name: "Panic", args: { code: code.toHexString(), meaning: PANIC_CODES[code.toNumber()] || "unknown" }, hint: null };
+  }
+
+  try {
+    const parsed = getErrorInterface().parseError(data);
+    const args = Object.fromEntries(parsed.errorFragment.inputs.map((input, i) => [input.name || `arg${i}`, parsed.args[i].toString()]));
+    return { name: parsed.name, args, hint: HINTS[parsed.name] || null };
+  } catch (parseError) {
+    return { name: `unknown error ${selector}`, args: {}, hint: "Not in the SherpaVault / SherpaUSD / pool ABIs - compile (npx hardhat compile) or check the target contract" };
+  }
+}
+
+/**
+ * One-line description of an error: the decoded revert with its hint, or the raw message
+ */
+function describeRevert(error) {
+  const decoded = decodeRevert(error);
+  if (!decoded) {
+    return error.reason || error.message;
+  }
+  const args = Object.entries(decoded.args).map(([name, value]) => `${name}=${value}`).join(", ");
+  return `${decoded.name}(${args})${decoded.hint ? ` - ${decoded.hint}` : ""}`;
+}
+
+/**
+ * Error carrying the decoded revert (error.revert) and the original error (error.cause)
+ */
+function revertError(message, cause) {
+  const error = new Error(`${message}: ${describeRevert(cause)}`);
+  error.revert = decodeRevert(cause);
+  error.cause = cause;
+  return error;
+}
+
+/**
+ * eth_call a tx request from the signer; throws the decoded revert if it would fail
+ *
+ * @param {ethers.Signer} signer - Sender
+ * @param {Object} request - { to, data, value }
+ * @param {string} label - For the error message
+ */
+async function simulateRequest(signer, request, label) {
+  try {
+    await signer.call({ to: request.to, data: request.data, value: request.value });
+  } catch (error) {
+    throw revertError(`${label} would revert (simulated, not sent)`, error);
+  }
+}
+
+/**
+ * Explain a mined revert by replaying the tx at the block before it
+ *
+ * @returns {Promise<string>} Decoded revert, or why it could not be reproduced
+ */
+async function explainMinedRevert(provider, tx, receipt) {
+  try {
+    await provider.call(
+      { from: tx.from, to: tx.to, data: tx.data, value: tx.value, gasLimit: tx.gasLimit },
+      receipt.blockNumber - 1
+    );
+  } catch (error) {
+    return describeRevert(error);
+  }
+  if (receipt.gasUsed && tx.gasLimit && receipt.gasUsed.gte(tx.gasLimit)) {
+    return `out of gas (used all ${tx.gasLimit} gas)`;
+  }
+  return "replay at the previous block succeeds - state changed earlier in the same block";
+}
+
+/**
+ * Decode the revert behind a failed tx.wait()
+ */
+async function decodeWaitError(provider, tx, error, label) {
+  if (error.code === "CALL_EXCEPTION" && error.receipt) {
+    const reason = await explainMinedRevert(provider, tx, error.receipt);
+    const decoded = new Error(`${label} reverted in block ${error.receipt.blockNumber}: ${reason}`);
+    decoded.receipt = error.receipt;
+    decoded.cause = error;
+    return decoded;
+  }
+  return error;
+}
+
+function isWriteFunction(contract, name) {
+  try {
+    const fragment = contract.interface.getFunction(name);
+    return !fragment.constant && !["view", "pure"].includes(fragment.stateMutability);
+  } catch (error) {
+    // Not a single contract function (ethers.Contract member or overloaded name)
+    return false;
+  }
+}
+
+/**
+ * Wrap a signer-connected contract: every write is simulated with callStatic first,
+ * and tx.wait() failures are decoded
+ *
+ * @param {ethers.Contract} contract - Connected to a signer
+ * @returns {ethers.Contract} Proxy with the same API
+ */
+function withSimulation(contract) {
+  // ethers defines contract methods as read-only properties, which a Proxy cannot
+  // replace - proxy an object inheriting from the contract instead
+  return new Proxy(Object.create(contract), {
+    get(target, prop, receiver) {
+      const value = Reflect.get(target, prop, receiver);
+      if (typeof prop !== "string" || typeof value !== "function" || !isWriteFunction(contract, prop)) {
+        return value;
+      }
+      return async (...args) => {
+        try {
+          await contract.callStatic[prop](...args);
+        } catch (error) {
+          throw revertError(`${prop} would revert (simulated, not sent)`, error);
+        }
+        const tx = await value.apply(contract, args);
+        const wait = tx.wait.bind(tx);
+        tx.wait = async (confirmations) => {
+          try {
+            return await wait(confirmations);
+          } catch (error) {
+            throw await decodeWaitError(contract.provider, tx, error, prop);
+          }
+        };
+        return tx;
+      };
+    },
+  });
+}
+
+module.exports = {
+  findRevertData,
+  decodeRevert,
+  describeRevert,
+  revertError,
+  simulateRequest,
+  explainMinedRevert,
+  withSimulation,
+};
@@ -0,0 +1,343 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { scopedPath } = require("./environment");
+
+/**
+ * Round Roll Journal
+ *
+ * Persists the progress of a round roll as explicit steps so that a roll which
+ * dies halfway (RPC outage, out of gas, killed process) can be resumed exactly
+ * where it stopped. The journal is written after every state change.
+ *
+ * Phases of a roll (in order):
+ *   paused      → setSystemPaused(true) on every chain
+ *   snapshotted → consensus snapshot of totalStaked / accountingSupply / totalPending
+ *   rolled      → rollToNextRound() on the primary chain
+ *   applied     → applyGlobalPrice() on every secondary chain
+ *   processed   → processWrapperWithdrawals() on every chain
+ *   unpaused    → setSystemPaused(false) on every chain
+ *
+ * Step status:
+ *   pending → sent (tx broadcast; its nonce and the hash of every broadcast, speed-ups
+ *   included, recorded in txHashes) → done
+ *   A "sent" step is never re-broadcast blindly: the recorded txs are looked up first and,
+ *   while their nonce is still pending, waited for. This prevents a second
+ *   rollToNextRound() if the first one (or its replacement) is still in the mempool.
+ *
+ * Lock: a process that sends roll transactions (the roll itself, the pause watchdog's
+ * refresh) holds <journal>.lock while it runs, so two writers never interleave journal
+ * saves or race on the operator's nonces. The lock is released on exit; a lock left by
+ * a dead process on this host is taken over.
+ *
+ * Usage:
+ *   const journal = loadJournal();
+ *   const roll = startRoll(journal, { round, ... });
+ *   markStep(journal, stepId("pause", "sepolia"), { status: "sent", txHash, txHashes: [txHash], nonce });
+ *   const corrections = reconcileWithChain(journal, roll, onchain);
+ *   acquireJournalLock("rollRound-allChains.js");   // throws while another writer holds it
+ */
+
+// Kept next to deployment.json (one journal per environment), so the roll history
+// travels with the deployment it belongs to
+const JOURNAL_PATH = path.join(scopedPath("deployments"), "round-journal.json");
+
+const PHASES = ["paused", "snapshotted", "rolled", "applied", "processed", "unpaused"];
+
+/**
+ * Build the step ID for a step (chain-specific steps are suffixed with the chain)
+ */
+function stepId(step, chain) {
+  return chain ? `${step}:${chain}` : step;
+}
+
+/**
+ * Ordered list of every step a roll must complete
+ *
+ * @param {string} primaryChain - Primary chain name
+ * @param {string[]} chains - All chain names (primary included)
+ * @returns {Array<{id: string, step: string, chain: string|null, phase: string}>}
+ */
+function buildSteps(primaryChain, chains) {
+  const secondaries = chains.filter(chain => chain !== primaryChain);
+  return [
+    ...chains.map(chain => ({ id: stepId("pause", chain), step: "pause", chain, phase: "paused" })),
+    { id: "snapshot", step: "snapshot", chain: null, phase: "snapshotted" },
+    { id: stepId("roll-primary", primaryChain), step: "roll-primary", chain: primaryChain, phase: "rolled" },
+    ...secondaries.map(chain => ({ id: stepId("apply-price", chain), step: "apply-price", chain, phase: "applied" })),
+    ...chains.map(chain => ({ id: stepId("process-withdrawals", chain), step: "process-withdrawals", chain, phase: "processed" })),
+    ...chains.map(chain => ({ id: stepId("unpause", chain), step: "unpause", chain, phase: "unpaused" })),
+  ];
+}
+
+/**
+ * Load the journal from disk (empty journal if the file does not exist). The journal
+ * remembers the file it was loaded from, so every later save goes back to it.
+ */
+function loadJournal(journalPath = JOURNAL_PATH) {
+  const stored = fs.existsSync(journalPath) ? JSON.parse(fs.readFileSync(journalPath, "utf8")) : {};
+  const journal = {
+    active: stored.active || null,
+    completed: stored.completed || [],
+  };
+  Object.defineProperty(journal, "path", { value: journalPath, enumerable: false });
+  return journal;
+}
+
+/**
+ * Write the journal atomically (temp file + rename) so a crash never leaves it half-written
+ */
+function saveJournal(journal, journalPath = journal.path || JOURNAL_PATH) {
+  const tmpPath = `${journalPath}.tmp`;
+  fs.mkdirSync(path.dirname(journalPath), { recursive: true });
+  fs.writeFileSync(tmpPath, JSON.stringify(journal, null, 2));
+  fs.renameSync(tmpPath, journalPath);
+}
+
+function lockPath(journalPath) {
+  return `${journalPath}.lock`;
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === "EPERM";
+  }
+}
+
+/**
+ * Take the journal lock for this process (released automatically on exit)
+ *
+ * @param {string} owner - Script holding the lock (shown to the process that is refused)
+ * @param {string} journalPath - Journal the lock belongs to
+ * @throws {Error} If a live process (or a process on another host) holds the lock
+ */
+function acquireJournalLock(owner, journalPath = JOURNAL_PATH) {
+  const file = lockPath(journalPath);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const lock = { owner, pid: process.pid, host: os.hostname(), at: new Date().toISOString() };
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      fs.writeFileSync(file, JSON.stringify(lock, null, 2), { flag: "wx" });
+      process.on("exit", () => releaseJournalLock(journalPath));
+      return lock;
+    } catch (error) {
+      if (error.code !== "EEXIST") {
+        throw error;
+      }
+    }
+
+    const held = readJournalLock(journalPath);
+    if (held && (held.host !== os.hostname() || isProcessAlive(held.pid))) {
+      const error = new Error(
+        `Round journal is locked by ${held.owner} (pid ${held.pid} on ${held.host}, since ${held.at}) - ` +
+        `wait for it to finish, or remove ${file} if that process is gone`
+      );
+      error.lock = held;
+      throw error;
+    }
+    // Left behind by a process that died without releasing it
+    fs.rmSync(file, { force: true });
+  }
+  throw new Error(`Could not take the round journal lock (${file})`);
+}
+
+/**
+ * Current holder of the journal lock (null if unlocked)
+ */
+function readJournalLock(journalPath = JOURNAL_PATH) {
+  try {
+    return JSON.parse(fs.readFileSync(lockPath(journalPath), "utf8"));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Release the journal lock if this process holds it
+ */
+function releaseJournalLock(journalPath = JOURNAL_PATH) {
+  const held = readJournalLock(journalPath);
+  if (held && held.pid === process.pid && held.host === os.hostname()) {
+    fs.rmSync(lockPath(journalPath), { force: true });
+  }
+}
+
+/**
+ * Start tracking a new roll
+ *
+ * @param {Object} journal - Loaded journal
+ * @param {Object} params - { round, primaryChain, chains, yield, isYieldPositive, yieldSource, operator, recovered }
+ * @returns {Object} The active roll entry
+ */
+function startRoll(journal, params) {
+  if (journal.active) {
+    throw new Error(`Roll for round ${journal.active.round} is still in progress - resume it first`);
+  }
+
+  const steps = {};
+  for (const step of buildSteps(params.primaryChain, params.chains)) {
+    steps[step.id] = { status: "pending" };
+  }
+
+  journal.active = {
+    round: params.round,
+    newRound: params.round + 1,
+    primaryChain: params.primaryChain,
+    chains: params.chains,
+    yield: params.yield ?? null,
+    isYieldPositive: params.isYieldPositive ?? null,
+    yieldSource: params.yieldSource || null,
+    operator: params.operator,
+    recovered: params.recovered || false,
+    startedAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    snapshot: null,
+    globalTotals: null,
+    pricePerShare: null,
+    steps,
+  };
+  saveJournal(journal);
+  return journal.active;
+}
+
+/**
+ * Update a step of the active roll and persist immediately
+ */
+function markStep(journal, id, patch) {
+  const roll = journal.active;
+  if (!roll || !roll.steps[id]) {
+    throw new Error(`Unknown journal step: ${id}`);
+  }
+  roll.steps[id] = { ...roll.steps[id], ...patch, updatedAt: new Date().toISOString() };
+  roll.updatedAt = new Date().toISOString();
+  saveJournal(journal);
+  return roll.steps[id];
+}
+
+/**
+ * Update top-level fields of the active roll (snapshot, price...) and persist immediately
+ */
+function updateRoll(journal, patch) {
+  if (!journal.active) {
+    throw new Error("No active roll in journal");
+  }
+  Object.assign(journal.active, patch, { updatedAt: new Date().toISOString() });
+  saveJournal(journal);
+  return journal.active;
+}
+
+/**
+ * Latest phase where every step is done (null if nothing completed yet)
+ */
+function currentPhase(roll) {
+  const steps = buildSteps(roll.primaryChain, roll.chains);
+  let phase = null;
+  for (const name of PHASES) {
+    const phaseSteps = steps.filter(s => s.phase === name);
+    if (phaseSteps.every(s => roll.steps[s.id]?.status === "done")) {
+      phase = name;
+    } else {
+      break;
+    }
+  }
+  return phase;
+}
+
+/**
+ * Cross-check the journal with on-chain state and mark steps that are already applied
+ *
+ * @param {Object} journal - Loaded journal
+ * @param {Object} roll - The active roll
+ * @param {Object} onchain - { [chain]: { round, epoch } } read through consensus
+ * @returns {string[]} IDs of the steps marked done from on-chain state
+ * @throws {Error} If a chain is outside round → newRound, or a secondary is ahead of the primary
+ */
+function reconcileWithChain(journal, roll, onchain) {
+  const { round, newRound, primaryChain, chains } = roll;
+
+  for (const chain of chains) {
+    const state = onchain[chain];
+    if (![round, newRound].includes(state.round) || ![round, newRound].includes(state.epoch)) {
+      throw new Error(
+        `${chain} is on round ${state.round} / epoch ${state.epoch}, journal expects round ${round} → ${newRound}. ` +
+        "Journal and chain disagree - resolve manually."
+      );
+    }
+  }
+
+  const primaryRolled = onchain[primaryChain].round === newRound;
+  for (const chain of chains) {
+    if (chain !== primaryChain && onchain[chain].round === newRound && !primaryRolled) {
+      throw new Error(`${chain} advanced to round ${newRound} before the primary chain - resolve manually`);
+    }
+  }
+
+  const corrections = [];
+  const markDone = (id) => {
+    if (roll.steps[id].status !== "done") {
+      markStep(journal, id, { status: "done", recoveredFromChain: true });
+      corrections.push(id);
+    }
+  };
+
+  if (primaryRolled) {
+    markDone(stepId("roll-primary", primaryChain));
+    markDone("snapshot");
+  }
+  for (const chain of chains) {
+    if (chain !== primaryChain && onchain[chain].round === newRound) {
+      markDone(stepId("apply-price", chain));
+    }
+    if (onchain[chain].epoch === newRound) {
+      markDone(stepId("process-withdrawals", chain));
+    }
+  }
+  return corrections;
+}
+
+/**
+ * Move the active roll into the completed list
+ */
+function completeRoll(journal) {
+  const roll = journal.active;
+  if (!roll) {
+    throw new Error("No active roll in journal");
+  }
+  journal.completed.push({
+    round: roll.round,
+    newRound: roll.newRound,
+    pricePerShare: roll.pricePerShare,
+    yield: roll.yield,
+    isYieldPositive: roll.isYieldPositive,
+    yieldSourceSha256: roll.yieldSource?.sha256 || null,
+    impliedAprBps: roll.impliedAprBps ?? null,
+    recovered: roll.recovered,
+    startedAt: roll.startedAt,
+    completedAt: new Date().toISOString(),
+  });
+  journal.active = null;
+  saveJournal(journal);
+  return roll;
+}
+
+module.exports = {
+  JOURNAL_PATH,
+  PHASES,
+  stepId,
+  buildSteps,
+  loadJournal,
+  saveJournal,
+  acquireJournalLock,
+  readJournalLock,
+  releaseJournalLock,
+  startRoll,
+  markStep,
+  updateRoll,
+  currentPhase,
+  reconcileWithChain,
+  completeRoll,
+};
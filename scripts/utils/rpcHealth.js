@@ -0,0 +1,276 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { getChain, getChainNames, getRpcUrls } = require("./chainRegistry");
+const { ENV_NAME, scopedPath } = require("./environment");
+const { parseArgs } = require("./cliArgs");
+
+/**
+ * RPC Health Tracking
+ *
+ * Keeps per-RPC statistics across runs so queryWithConsensus can weigh RPCs by how
+ * trustworthy they have been instead of treating every URL equally:
+ *   - latency (moving average) and error rate (failures / timeouts)
+ *   - head lag behind the highest head seen in the same query
+ *   - agreements / disagreements with the consensus value
+ *
+ * An RPC that disagrees with consensus QUARANTINE_AFTER times in a row is quarantined
+ * for QUARANTINE_HOURS: it is still queried (so its answers keep being tracked) but
+ * carries no weight, so a stale or compromised RPC cannot become part of a majority.
+ * Public fallback URLs (publicRpcUrls in chains.json) start at half the weight of
+ * RPCs configured through env vars.
+ *
+ * RPCs are stored by a hash of their URL (URLs often embed API keys); reports show the host.
+ *
+ * Usage:
+ *   const health = require('./utils/rpcHealth');
+ *   const entry = health.getRpcEntry(chain, url);
+ *   health.recordResult(entry, { latencyMs, error, agreed });
+ *   health.rpcWeight(entry);
+ *   health.saveHealth();
+ *
+ *   node scripts/utils/rpcHealth.js                  # Health report for every configured RPC
+ *   node scripts/utils/rpcHealth.js --release <id>   # Lift a quarantine early
+ *   node scripts/utils/rpcHealth.js --reset          # Forget all statistics
+ */
+
+// Runtime state (gitignored), one file per environment
+const HEALTH_PATH = path.join(scopedPath(".operation-state"), "rpc-health.json");
+
+// Consecutive disagreements with the consensus value before an RPC is quarantined
+const QUARANTINE_AFTER = 3;
+const QUARANTINE_HOURS = 24;
+
+// Public fallbacks count half as much as RPCs from env vars
+const PUBLIC_RPC_WEIGHT = 0.5;
+
+// Non-quarantined RPCs never drop below this weight
+const MIN_WEIGHT = 0.1;
+
+// Smoothing factor for the latency moving average
+const LATENCY_ALPHA = 0.2;
+
+let health = null;
+
+/**
+ * Stable ID for an RPC URL (does not reveal the URL or its API key)
+ */
+function rpcId(chain, url) {
+  return `${chain}:${crypto.createHash("sha256").update(url).digest("hex").substring(0, 10)}`;
+}
+
+function rpcLabel(url) {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return url.substring(0, 30);
+  }
+}
+
+/**
+ * Load the health file once per process (empty if it does not exist)
+ */
+function loadHealth() {
+  if (!health) {
+    health = fs.existsSync(HEALTH_PATH)
+      ? JSON.parse(fs.readFileSync(HEALTH_PATH, "utf8"))
+      : { rpcs: {} };
+  }
+  return health;
+}
+
+/**
+ * Write the health file atomically (temp file + rename)
+ */
+function saveHealth() {
+  const tmpPath = `${HEALTH_PATH}.tmp`;
+  fs.mkdirSync(path.dirname(HEALTH_PATH), { recursive: true });
+  fs.writeFileSync(tmpPath, JSON.stringify(loadHealth(), null, 2));
+  fs.renameSync(tmpPath, HEALTH_PATH);
+}
+
+/**
+ * Health entry for one RPC of a chain (created on first use)
+ */
+function getRpcEntry(chain, url) {
+  const { rpcs } = loadHealth();
+  const id = rpcId(chain, url);
+  if (!rpcs[id]) {
+    rpcs[id] = {
+      chain,
+      label: rpcLabel(url),
+      requests: 0,
+      errors: 0,
+      agreements: 0,
+      disagreements: 0,
+      consecutiveDisagreements: 0,
+      avgLatencyMs: null,
+      headLag: null,
+      quarantinedUntil: null,
+      quarantineReason: null,
+      lastSeen: null,
+    };
+  }
+  // Public or not depends on the current chains.json, not on history
+  rpcs[id].public = (getChain(chain).publicRpcUrls || []).includes(url);
+  return rpcs[id];
+}
+
+function isQuarantined(entry, now = Date.now()) {
+  return Boolean(entry.quarantinedUntil) && Date.parse(entry.quarantinedUntil) > now;
+}
+
+/**
+ * Consensus weight of an RPC: 0 while quarantined, otherwise the base weight
+ * (1, or PUBLIC_RPC_WEIGHT for public fallbacks) scaled by its success and agreement rates
+ */
+function rpcWeight(entry, now = Date.now()) {
+  if (isQuarantined(entry, now)) {
+    return 0;
+  }
+  const base = entry.public ? PUBLIC_RPC_WEIGHT : 1;
+  const successRate = entry.requests > 0 ? 1 - entry.errors / entry.requests : 1;
+  const agreementRate = (entry.agreements + 1) / (entry.agreements + entry.disagreements + 1);
+  return Math.max(base * successRate * agreementRate, MIN_WEIGHT);
+}
+
+/**
+ * Record how far behind the highest head this RPC was
+ */
+function recordHeadLag(entry, lag) {
+  entry.headLag = lag;
+}
+
+/**
+ * Record one query answered (or not) by this RPC
+ *
+ * @param {Object} entry - From getRpcEntry
+ * @param {Object} result - { latencyMs, error, agreed } (agreed: true/false, or null if no consensus was reached)
+ */
+function recordResult(entry, { latencyMs = null, error = null, agreed = null }) {
+  entry.requests++;
+  entry.lastSeen = new Date().toISOString();
+
+  if (error) {
+    entry.errors++;
+    return;
+  }
+  if (latencyMs !== null) {
+    entry.avgLatencyMs = entry.avgLatencyMs === null
+      ? latencyMs
+      : Math.round(entry.avgLatencyMs * (1 - LATENCY_ALPHA) + latencyMs * LATENCY_ALPHA);
+  }
+
+  if (agreed === true) {
+    entry.agreements++;
+    entry.consecutiveDisagreements = 0;
+  } else if (agreed === false) {
+    entry.disagreements++;
+    entry.consecutiveDisagreements++;
+    if (entry.consecutiveDisagreements >= QUARANTINE_AFTER) {
+      entry.quarantinedUntil = new Date(Date.now() + QUARANTINE_HOURS * 3600 * 1000).toISOString();
+      entry.quarantineReason = `${entry.consecutiveDisagreements} consecutive disagreements with consensus`;
+      entry.consecutiveDisagreements = 0;
+    }
+  }
+}
+
+function formatPercent(part, total) {
+  return total > 0 ? `${(100 * part / total).toFixed(1)}%` : "-";
+}
+
+/**
+ * Print the health of every RPC configured for the environment (plus any
+ * quarantined RPC no longer in the config)
+ */
+function printHealthReport() {
+  const { rpcs } = loadHealth();
+  const now = Date.now();
+
+  for (const chain of getChainNames()) {
+    console.log(`${chain.toUpperCase()}`);
+    console.log("-".repeat(70));
+
+    const configured = getRpcUrls(chain).map(url => {
+      getRpcEntry(chain, url);
+      return rpcId(chain, url);
+    });
+    const ids = [...new Set([
+      ...configured,
+      ...Object.keys(rpcs).filter(id => rpcs[id].chain === chain && isQuarantined(rpcs[id], now)),
+    ])];
+
+    for (const id of ids) {
+      const entry = rpcs[id];
+      const status = isQuarantined(entry, now)
+        ? `🚫 QUARANTINED until ${entry.quarantinedUntil} (${entry.quarantineReason})`
+        : entry.requests === 0 ? "⚪ no data" : "✅ healthy";
+      console.log(`  ${id}  ${entry.label}${entry.public ? " (public)" : ""}${configured.includes(id) ? "" : " (not configured)"}`);
+      console.log(
+        `    requests ${entry.requests}  errors ${formatPercent(entry.errors, entry.requests)}  ` +
+        `latency ${entry.avgLatencyMs === null ? "-" : `${entry.avgLatencyMs}ms`}  ` +
+        `head lag ${entry.headLag === null ? "-" : entry.headLag}`
+      );
+      console.log(
+        `    agreed ${entry.agreements}  disagreed ${entry.disagreements}  ` +
+        `weight ${rpcWeight(entry, now).toFixed(2)}  ${status}`
+      );
+    }
+    console.log();
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2), { flags: ["reset"], options: ["release"] });
+
+  console.log("=".repeat(70));
+  console.log(`🩺 RPC HEALTH (${ENV_NAME})`);
+  console.log("=".repeat(70));
+  console.log(`File: ${HEALTH_PATH}`);
+  console.log();
+
+  if (args.flags.reset) {
+    health = { rpcs: {} };
+    saveHealth();
+    console.log("✅ All RPC statistics cleared");
+    return;
+  }
+
+  if (args.options.release) {
+    const entry = loadHealth().rpcs[args.options.release];
+    if (!entry) {
+      throw new Error(`Unknown RPC ID: ${args.options.release} (IDs are listed in the report)`);
+    }
+    entry.quarantinedUntil = null;
+    entry.quarantineReason = null;
+    entry.consecutiveDisagreements = 0;
+    saveHealth();
+    console.log(`✅ Quarantine lifted for ${args.options.release} (${entry.label})`);
+    console.log();
+  }
+
+  printHealthReport();
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("\n❌ RPC HEALTH REPORT FAILED:");
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  loadHealth,
+  saveHealth,
+  getRpcEntry,
+  isQuarantined,
+  rpcWeight,
+  recordHeadLag,
+  recordResult,
+  printHealthReport,
+  QUARANTINE_AFTER,
+  QUARANTINE_HOURS,
+};
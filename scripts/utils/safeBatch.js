@@ -0,0 +1,303 @@
+const { ethers } = require("ethers");
+const fs = require("fs");
+const path = require("path");
+const { getChain } = require("./chainRegistry");
+const { scopedPath } = require("./environment");
+
+/**
+ * Safe Transaction Builder Batches
+ *
+ * Owner-level scripts run with --safe-batch <safe> do not sign with PRIVATE_KEY: the
+ * owner calls they would send are written as one Safe Transaction Builder batch per
+ * chain to deployments/safe-batches/ (deployments/<env>/safe-batches/ outside testnet).
+ * Load the file in the Safe app (Apps → Transaction Builder → drag and drop), propose
+ * it, and have every signer check the proposal with
+ * scripts/system-deployment/verifySafeBatch.js before signing.
+ *
+ * Batches carry raw calldata only (contractMethod null), so the Transaction Builder
+ * proposes exactly the bytes generated here; the decoded calls are listed in
+ * meta.description.
+ *
+ * readSafeBatch() loads a batch back: a Transaction Builder file, or a proposed
+ * transaction as returned by the Safe Transaction Service
+ * (GET /api/v1/multisig-transactions/<safeTxHash>/), with MultiSend batches unpacked.
+ * Proposals that pay gas refunds (gasPrice, gasToken, refundReceiver) are refused, and
+ * their safeTxHash is recomputed from the fields, so what is verified is what is signed.
+ *
+ * Usage:
+ *   const { safeTransaction, writeSafeBatches, printSafeBatches } = require('./utils/safeBatch');
+ *   const transactions = { base: [safeTransaction(vault, "setCap", [newCap])] };
+ *   printSafeBatches(writeSafeBatches({ safe, label: "set-vault-cap", description: "...", transactions }));
+ */
+
+const SAFE_BATCHES_DIR = path.join(scopedPath("deployments"), "safe-batches");
+
+// Transaction Builder version whose file format the batches follow
+const TX_BUILDER_VERSION = "1.16.5";
+
+// Canonical MultiSend / MultiSendCallOnly deployments (Safe v1.3.0 and v1.4.1): the only
+// delegatecall targets a proposed batch may use
+const MULTISEND_ADDRESSES = [
+  "0xA238CBeb142c10Ef7Ad8442C6D1f9E89e07e7761",
+  "0x40A2aCCbd92BCA938b02010E17A5b8929b49130D",
+  "0x38869bf66a61cF6bDB996A6aE40D5853Fd43B526",
+  "0x9641d764fc13c8B624c04430C7356C1C7C8102e2",
+];
+
+const MULTISEND_INTERFACE = new ethers.utils.Interface(["function multiSend(bytes transactions)"]);
+
+// EIP-712 type of the hash Safe owners sign (Safe v1.3.0+, domain { chainId, verifyingContract })
+const SAFE_TX_TYPES = {
+  SafeTx: [
+    { name: "to", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "data", type: "bytes" },
+    { name: "operation", type: "uint8" },
+    { name: "safeTxGas", type: "uint256" },
+    { name: "baseGas", type: "uint256" },
+    { name: "gasPrice", type: "uint256" },
+    { name: "gasToken", type: "address" },
+    { name: "refundReceiver", type: "address" },
+    { name: "nonce", type: "uint256" },
+  ],
+};
+
+/**
+ * Validate the --safe-batch value
+ *
+ * @returns {string} Checksummed Safe address
+ */
+function parseSafeAddress(value) {
+  if (typeof value !== "string" || !ethers.utils.isAddress(value)) {
+    throw new Error(`--safe-batch needs the Safe address (got ${JSON.stringify(value)})`);
+  }
+  return ethers.utils.getAddress(value);
+}
+
+function formatValue(value) {
+  if (typeof value === "string") {
+    return value;
+  }
+  if (ethers.BigNumber.isBigNumber(value)) {
+    return value.toString();
+  }
+  return JSON.stringify(value, (key, v) => (v && v.type === "BigNumber" ? ethers.BigNumber.from(v.hex).toString() : v));
+}
+
+/**
+ * One batch entry: method(args) on contract
+ *
+ * @param {Object} contract - ethers.Contract or { address, interface }
+ * @returns {{to: string, value: string, data: string, description: string}}
+ */
+function safeTransaction(contract, method, args = []) {
+  return {
+    to: ethers.utils.getAddress(contract.address),
+    value: "0",
+    data: contract.interface.encodeFunctionData(method, args),
+    description: `${method}(${args.map(formatValue).join(", ")}) on ${contract.address}`,
+  };
+}
+
+/**
+ * Write one Transaction Builder batch per chain (chains without transactions are skipped)
+ *
+ * @param {Object} params
+ * @param {string} params.safe - Safe address (owner of the target contracts)
+ * @param {string} params.label - File name prefix, e.g. "set-vault-cap"
+ * @param {string} params.description - What the batch does (first line of meta.description)
+ * @param {Object} params.transactions - { [chain]: safeTransaction()[] }
+ * @returns {{chain: string, path: string, count: number}[]}
+ */
+function writeSafeBatches({ safe, label, description, transactions }) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const written = [];
+
+  for (const [chain, list] of Object.entries(transactions)) {
+    if (list.length === 0) {
+      continue;
+    }
+    const batch = {
+      version: "1.0",
+      chainId: String(getChain(chain).chainId),
+      createdAt: Date.now(),
+      meta: {
+        name: `${label} (${chain})`,
+        description: [description, ...list.map((tx, i) => `${i + 1}. ${tx.description}`)].join("\n"),
+        txBuilderVersion: TX_BUILDER_VERSION,
+        createdFromSafeAddress: safe,
+        createdFromOwnerAddress: "",
+      },
+      transactions: list.map(({ to, value, data }) => ({
+        to,
+        value,
+        data,
+        contractMethod: null,
+        contractInputsValues: null,
+      })),
+    };
+
+    fs.mkdirSync(SAFE_BATCHES_DIR, { recursive: true });
+    const filePath = path.join(SAFE_BATCHES_DIR, `${label}-${chain}-${timestamp}.json`);
+    fs.writeFileSync(filePath, JSON.stringify(batch, null, 2) + "\n");
+    written.push({ chain, path: filePath, count: list.length });
+  }
+
+  return written;
+}
+
+function printSafeBatches(written) {
+  console.log("📦 SAFE TRANSACTION BUILDER BATCHES");
+  console.log("-".repeat(70));
+  if (written.length === 0) {
+    console.log("  No owner calls needed - no batch written");
+    return;
+  }
+  for (const { chain, path: filePath, count } of written) {
+    console.log(`  ${chain}: ${count} transaction(s) → ${path.relative(process.cwd(), filePath)}`);
+  }
+  console.log();
+  console.log("  Nothing was sent. Load each file in the Safe app (Apps → Transaction Builder),");
+  console.log("  propose it, and have every signer verify the proposal before signing:");
+  console.log("  node scripts/system-deployment/verifySafeBatch.js <proposal.json> --expect <batch file>");
+}
+
+/**
+ * Calldata of a Transaction Builder entry built in the UI (contractMethod + contractInputsValues)
+ */
+function encodeContractMethod(tx) {
+  const { contractMethod, contractInputsValues = {} } = tx;
+  const fragment = {
+    type: "function",
+    name: contractMethod.name,
+    inputs: contractMethod.inputs,
+    outputs: [],
+    stateMutability: contractMethod.payable ? "payable" : "nonpayable",
+  };
+  const args = contractMethod.inputs.map(input => {
+    const value = contractInputsValues[input.name];
+    if (input.type.endsWith("]") || input.type.startsWith("tuple")) {
+      return JSON.parse(value);
+    }
+    return input.type === "bool" ? value === "true" : value;
+  });
+  return new ethers.utils.Interface([fragment]).encodeFunctionData(contractMethod.name, args);
+}
+
+/**
+ * Split MultiSend calldata into its transactions
+ */
+function unpackMultiSend(data) {
+  const [packed] = MULTISEND_INTERFACE.decodeFunctionData("multiSend", data);
+  const bytes = ethers.utils.arrayify(packed);
+  const transactions = [];
+
+  // Each entry: operation (1 byte) | to (20) | value (32) | data length (32) | data
+  let offset = 0;
+  while (offset < bytes.length) {
+    const length = ethers.BigNumber.from(bytes.slice(offset + 53, offset + 85)).toNumber();
+    transactions.push({
+      operation: bytes[offset],
+      to: ethers.utils.getAddress(ethers.utils.hexlify(bytes.slice(offset + 1, offset + 21))),
+      value: ethers.BigNumber.from(bytes.slice(offset + 21, offset + 53)).toString(),
+      data: ethers.utils.hexlify(bytes.slice(offset + 85, offset + 85 + length)),
+    });
+    offset += 85 + length;
+  }
+  return transactions;
+}
+
+/**
+ * Refuse a Safe Transaction Service proposal that pays gas refunds or whose safeTxHash
+ * is not the hash of its fields
+ */
+function checkServiceTransaction(json, chainId) {
+  const zero = ethers.constants.AddressZero;
+  if (!ethers.BigNumber.from(json.gasPrice || 0).isZero()) {
+    throw new Error(`Proposal pays a gas refund (gasPrice ${json.gasPrice}) - do not sign it`);
+  }
+  if (json.gasToken && json.gasToken.toLowerCase() !== zero) {
+    throw new Error(`Proposal pays gas in token ${json.gasToken} - do not sign it`);
+  }
+  if (json.refundReceiver && json.refundReceiver.toLowerCase() !== zero) {
+    throw new Error(`Proposal sends a gas refund to ${json.refundReceiver} - do not sign it`);
+  }
+
+  const hash = ethers.utils._TypedDataEncoder.hash({ chainId, verifyingContract: json.safe }, SAFE_TX_TYPES, {
+    to: json.to,
+    value: json.value || 0,
+    data: json.data || "0x",
+    operation: Number(json.operation),
+    safeTxGas: json.safeTxGas || 0,
+    baseGas: json.baseGas || 0,
+    gasPrice: json.gasPrice || 0,
+    gasToken: json.gasToken || zero,
+    refundReceiver: json.refundReceiver || zero,
+    nonce: json.nonce,
+  });
+  if (String(json.safeTxHash).toLowerCase() !== hash) {
+    throw new Error(`Proposal safeTxHash ${json.safeTxHash} is not the hash of its fields (${hash}) - do not sign it`);
+  }
+}
+
+/**
+ * Load a batch for verification
+ *
+ * @param {string} filePath - Transaction Builder file or Safe Transaction Service transaction JSON
+ * @param {Object} options
+ * @param {string} options.chain - Chain name (required for Safe Transaction Service JSON, which has no chainId
+ *   and whose safeTxHash is checked against it)
+ * @returns {{source: string, chainId: string|null, safe: string|null, transactions: {operation, to, value, data}[]}}
+ */
+function readSafeBatch(filePath, { chain } = {}) {
+  const json = JSON.parse(fs.readFileSync(filePath, "utf8"));
+
+  if (Array.isArray(json.transactions)) {
+    return {
+      source: "Transaction Builder",
+      chainId: json.chainId === undefined ? null : String(json.chainId),
+      safe: json.meta?.createdFromSafeAddress ? ethers.utils.getAddress(json.meta.createdFromSafeAddress) : null,
+      transactions: json.transactions.map(tx => ({
+        operation: 0,
+        to: ethers.utils.getAddress(tx.to),
+        value: String(tx.value || "0"),
+        data: tx.data || (tx.contractMethod ? encodeContractMethod(tx) : "0x"),
+      })),
+    };
+  }
+
+  if (json.safe && json.to && json.operation !== undefined) {
+    if (!chain) {
+      throw new Error(`${path.basename(filePath)} is a Safe Transaction Service transaction, which has no chainId - pass the chain (--chain)`);
+    }
+    const chainId = String(getChain(chain).chainId);
+    checkServiceTransaction(json, chainId);
+    const base = {
+      source: "Safe Transaction Service",
+      chainId,
+      safe: ethers.utils.getAddress(json.safe),
+    };
+    if (Number(json.operation) === 1) {
+      if (!MULTISEND_ADDRESSES.some(address => address.toLowerCase() === json.to.toLowerCase())) {
+        throw new Error(`Proposal delegatecalls ${json.to}, which is not a canonical MultiSend contract - do not sign it`);
+      }
+      return { ...base, transactions: unpackMultiSend(json.data) };
+    }
+    return {
+      ...base,
+      transactions: [{ operation: 0, to: ethers.utils.getAddress(json.to), value: String(json.value), data: json.data || "0x" }],
+    };
+  }
+
+  throw new Error(`${path.basename(filePath)} is neither a Transaction Builder batch nor a Safe Transaction Service transaction`);
+}
+
+module.exports = {
+  SAFE_BATCHES_DIR,
+  parseSafeAddress,
+  safeTransaction,
+  writeSafeBatches,
+  printSafeBatches,
+  readSafeBatch,
+  unpackMultiSend,
+};
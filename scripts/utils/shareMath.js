@@ -0,0 +1,194 @@
+const { ethers } = require("ethers");
+
+/**
+ * ShareMath (JavaScript port)
+ *
+ * Off-chain reimplementation of contracts/lib/ShareMath.sol and of the price/share
+ * logic in SherpaVault.rollToNextRound() / applyGlobalPrice(). All math uses
+ * BigNumber integer arithmetic with the same operation order as Solidity, so results
+ * match the contracts bit-for-bit (division truncates, underflow reverts).
+ *
+ * Reverts are reported as errors whose message is the Solidity error signature
+ * (e.g. "InvalidAssetPerShare()", "MinimumSupplyNotMet()").
+ *
+ * Usage:
+ *   const { pricePerShare, simulateRoll } = require('./utils/shareMath');
+ *   const price = pricePerShare(supply, balance, pending, 6);
+ */
+
+const { BigNumber } = ethers;
+
+const PLACEHOLDER_UINT = 1;
+const MAX_UINT104 = BigNumber.from(2).pow(104).sub(1);
+const MAX_UINT128 = BigNumber.from(2).pow(128).sub(1);
+
+function revert(signature) {
+  const error = new Error(signature);
+  error.errorName = signature.replace("()", "");
+  return error;
+}
+
+// Checked subtraction - Solidity 0.8 reverts with Panic(0x11) on underflow
+function sub(a, b) {
+  if (BigNumber.from(b).gt(a)) {
+    throw revert("Panic(0x11)");
+  }
+  return BigNumber.from(a).sub(b);
+}
+
+function assetToShares(assetAmount, assetPerShare, decimals) {
+  if (BigNumber.from(assetPerShare).lte(PLACEHOLDER_UINT)) {
+    throw revert("InvalidAssetPerShare()");
+  }
+  return BigNumber.from(assetAmount).mul(BigNumber.from(10).pow(decimals)).div(assetPerShare);
+}
+
+function sharesToAsset(shares, assetPerShare, decimals) {
+  if (BigNumber.from(assetPerShare).lte(PLACEHOLDER_UINT)) {
+    throw revert("InvalidAssetPerShare()");
+  }
+  return BigNumber.from(shares).mul(assetPerShare).div(BigNumber.from(10).pow(decimals));
+}
+
+/**
+ * Shares owned by a stake receipt (unclaimed + shares for deposits from past rounds)
+ *
+ * @param {Object} receipt - { round, amount, unclaimedShares }
+ */
+function getSharesFromReceipt(receipt, currentRound, assetPerShare, decimals) {
+  if (receipt.round > 0 && receipt.round < currentRound) {
+    const sharesFromRound = assetToShares(receipt.amount, assetPerShare, decimals);
+    return BigNumber.from(receipt.unclaimedShares).add(sharesFromRound);
+  }
+  return BigNumber.from(receipt.unclaimedShares);
+}
+
+function pricePerShare(totalSupply, totalBalance, pendingAmount, decimals) {
+  const singleShare = BigNumber.from(10).pow(decimals);
+  return BigNumber.from(totalSupply).gt(0)
+    ? singleShare.mul(sub(totalBalance, pendingAmount)).div(totalSupply)
+    : singleShare;
+}
+
+function assertUint104(num) {
+  if (BigNumber.from(num).gt(MAX_UINT104)) {
+    throw revert("Overflow104()");
+  }
+}
+
+function assertUint128(num) {
+  if (BigNumber.from(num).gt(MAX_UINT128)) {
+    throw revert("Overflow128()");
+  }
+}
+
+/**
+ * Predict the outcome of a full round roll without sending any transaction
+ *
+ * Mirrors SherpaVault._rollInternal() on the primary chain and applyGlobalPrice()
+ * on every secondary chain.
+ *
+ * @param {Object} params
+ * @param {string} params.primaryChain - Primary chain name
+ * @param {Object} params.chains - { [chain]: { totalStaked, accountingSupply, totalPending, decimals, minimumSupply } }
+ * @param {BigNumber|string} params.yield - Total yield (asset decimals)
+ * @param {boolean} params.isYieldPositive - Gain or loss
+ * @returns {Object} { pricePerShare, globalTotals, chains: { [chain]: prediction }, reverts: [{ chain, error }] }
+ */
+function simulateRoll({ primaryChain, chains, yield: yieldAmount, isYieldPositive }) {
+  const names = Object.keys(chains);
+  const globalTotals = {
+    totalStaked: BigNumber.from(0),
+    accountingSupply: BigNumber.from(0),
+    totalPending: BigNumber.from(0),
+  };
+  for (const name of names) {
+    globalTotals.totalStaked = globalTotals.totalStaked.add(chains[name].totalStaked);
+    globalTotals.accountingSupply = globalTotals.accountingSupply.add(chains[name].accountingSupply);
+    globalTotals.totalPending = globalTotals.totalPending.add(chains[name].totalPending);
+  }
+
+  const result = {
+    pricePerShare: null,
+    globalTotals,
+    chains: {},
+    reverts: [],
+  };
+
+  // PRIMARY: _rollInternal()
+  const primary = chains[primaryChain];
+  const balance = BigNumber.from(primary.totalStaked);
+  const pending = BigNumber.from(primary.totalPending);
+  try {
+    const currentBalance = isYieldPositive ? balance.add(yieldAmount) : sub(balance, yieldAmount);
+
+    if (currentBalance.add(pending).lt(primary.minimumSupply)) {
+      throw revert("MinimumSupplyNotMet()");
+    }
+
+    const globalBalance = isYieldPositive
+      ? globalTotals.totalStaked.add(globalTotals.totalPending).add(yieldAmount)
+      : sub(globalTotals.totalStaked.add(globalTotals.totalPending), yieldAmount);
+
+    const newPricePerShare = pricePerShare(
+      globalTotals.accountingSupply,
+      globalBalance,
+      globalTotals.totalPending,
+      primary.decimals
+    );
+    const mintShares = assetToShares(pending, newPricePerShare, primary.decimals);
+
+    result.pricePerShare = newPricePerShare;
+    result.chains[primaryChain] = {
+      isPrimary: true,
+      mintShares,
+      sherpaUsdMinted: currentBalance.gt(balance) ? currentBalance.sub(balance) : BigNumber.from(0),
+      sherpaUsdBurned: currentBalance.lt(balance) ? balance.sub(currentBalance) : BigNumber.from(0),
+      newTotalStaked: currentBalance.add(pending),
+      newAccountingSupply: BigNumber.from(primary.accountingSupply).add(mintShares),
+      error: null,
+    };
+  } catch (error) {
+    result.chains[primaryChain] = { isPrimary: true, error: error.message };
+    result.reverts.push({ chain: primaryChain, error: error.message });
+    return result;
+  }
+
+  // SECONDARIES: applyGlobalPrice()
+  for (const name of names.filter(n => n !== primaryChain)) {
+    const chain = chains[name];
+    try {
+      const newTotalStaked = BigNumber.from(chain.totalStaked).add(chain.totalPending);
+      if (newTotalStaked.gt(0) && newTotalStaked.lt(chain.minimumSupply)) {
+        throw revert("MinimumSupplyNotMet()");
+      }
+      const mintShares = assetToShares(chain.totalPending, result.pricePerShare, chain.decimals);
+
+      result.chains[name] = {
+        isPrimary: false,
+        mintShares,
+        sherpaUsdMinted: BigNumber.from(0),
+        sherpaUsdBurned: BigNumber.from(0),
+        newTotalStaked,
+        newAccountingSupply: BigNumber.from(chain.accountingSupply).add(mintShares),
+        error: null,
+      };
+    } catch (error) {
+      result.chains[name] = { isPrimary: false, error: error.message };
+      result.reverts.push({ chain: name, error: error.message });
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  PLACEHOLDER_UINT,
+  assetToShares,
+  sharesToAsset,
+  getSharesFromReceipt,
+  pricePerShare,
+  assertUint104,
+  assertUint128,
+  simulateRoll,
+};
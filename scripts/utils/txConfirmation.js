@@ -0,0 +1,123 @@
+const { queryWithConsensus } = require("./consensusProvider");
+
+/**
+ * Consensus-Confirmed Writes
+ *
+ * getWallet sends through a single RPC, and that RPC's receipt alone does not prove a
+ * write landed (a stale or lying node can report a receipt the rest of the network
+ * never saw). For critical operator writes (rollToNextRound, applyGlobalPrice,
+ * setSystemPaused, ...) sendAndConfirm:
+ *   1. broadcasts through the wallet's RPC (usually via scripts/utils/txManager.js) and
+ *      waits for its receipt
+ *   2. polls every RPC until a majority returns the same receipt (block, hash, status)
+ *   3. checks the resulting state through the consensus provider, reading at or
+ *      after the receipt's block (e.g. round() moved, vault paused)
+ * and only then lets the script proceed.
+ *
+ * Usage:
+ *   const { sendAndConfirm, confirmReceipt } = require('./utils/txConfirmation');
+ *   const { receipt } = await sendAndConfirm("sepolia", () => vault.setSystemPaused(true), {
+ *     label: "setSystemPaused(true)",
+ *     onSent: (tx) => journal(tx.hash, tx.nonce),
+ *     confirmState: async ({ blockNumber }) => (await readState(blockNumber)).isPaused,
+ *   });
+ *
+ *   // A tx broadcast by an earlier run
+ *   const receipt = await confirmReceipt("sepolia", txHash);
+ */
+
+const RECEIPT_TIMEOUT_MS = 5 * 60 * 1000;
+const RECEIPT_POLL_MS = 5000;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Wait until a majority of RPCs return the same receipt for a tx
+ *
+ * @param {string} chain - Chain name
+ * @param {string} txHash - Transaction hash
+ * @param {Object} options - { timeout (ms) }
+ * @returns {Promise<{blockNumber: number, blockHash: string, status: number}>}
+ * @throws {Error} If no majority agrees on a receipt before the timeout
+ */
+async function confirmReceipt(chain, txHash, { timeout = RECEIPT_TIMEOUT_MS } = {}) {
+  const deadline = Date.now() + timeout;
+  let lastProblem = "no RPC has the receipt yet";
+
+  while (Date.now() < deadline) {
+    try {
+      const receipt = await queryWithConsensus(chain, async (provider) => {
+        const found = await provider.getTransactionReceipt(txHash);
+        return found && { blockNumber: found.blockNumber, blockHash: found.blockHash, status: found.status };
+      }, { requireMajority: true, trackHealth: false, log: () => {} });
+      if (receipt) {
+        return receipt;
+      }
+      lastProblem = "majority of RPCs has no receipt yet";
+    } catch (error) {
+      lastProblem = error.message.split("\n")[0];
+    }
+    await sleep(RECEIPT_POLL_MS);
+  }
+
+  throw new Error(
+    `Receipt for ${txHash} on ${chain} not confirmed by RPC consensus within ${timeout / 1000}s (${lastProblem})`
+  );
+}
+
+/**
+ * Broadcast a write, then confirm inclusion, status and resulting state through consensus
+ *
+ * @param {string} chain - Chain name
+ * @param {Function} sendTx - () => Promise<TransactionResponse | ManagedTransaction>
+ * @param {Object} options
+ * @param {string} options.label - Shown in logs and errors
+ * @param {Function} options.onSent - Called with the tx right after broadcast (e.g. to journal the
+ *   hash and nonce), again with every replacement of a stuck ManagedTransaction, and with the
+ *   mined hash if it differs from the last one
+ * @param {Function} options.confirmState - async (receipt) => boolean; reads the resulting state
+ *   with consensus (at or after receipt.blockNumber) and returns whether it is as expected
+ * @param {number} options.timeout - Receipt confirmation timeout in ms
+ * @returns {Promise<{tx: Object, receipt: Object}>} receipt is the consensus receipt
+ */
+async function sendAndConfirm(chain, sendTx, { label, onSent = () => {}, confirmState = null, timeout } = {}) {
+  const tx = await sendTx();
+  onSent(tx);
+  if ("onReplaced" in tx) {
+    tx.onReplaced = onSent;
+  }
+  console.log(`  ${chain}: ${label} tx ${tx.hash}`);
+
+  const mined = await tx.wait();
+  if (mined.transactionHash !== tx.hash) {
+    onSent({ ...tx, hash: mined.transactionHash });
+  }
+  const receipt = await confirmReceipt(chain, mined.transactionHash, { timeout });
+  await checkConfirmed(chain, label, receipt, confirmState);
+  console.log(`    ✅ Confirmed in block ${receipt.blockNumber} (RPC consensus)`);
+
+  return { tx, receipt };
+}
+
+/**
+ * Throw unless the consensus receipt succeeded and the resulting state checks out
+ */
+async function checkConfirmed(chain, label, receipt, confirmState) {
+  if (receipt.status !== 1) {
+    throw new Error(`${chain}: ${label} reverted in block ${receipt.blockNumber} (RPC consensus)`);
+  }
+  if (confirmState && !(await confirmState(receipt))) {
+    throw new Error(
+      `${chain}: ${label} mined in block ${receipt.blockNumber} but the expected state change ` +
+      "is not visible through RPC consensus"
+    );
+  }
+}
+
+module.exports = {
+  sendAndConfirm,
+  confirmReceipt,
+  checkConfirmed,
+};
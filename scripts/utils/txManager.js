@@ -0,0 +1,470 @@
+const { ethers } = require("ethers");
+const fs = require("fs");
+const path = require("path");
+const { getChain, getExplorerTxUrl } = require("./chainRegistry");
+const { ENV_NAME, scopedPath, assertWriteAllowed } = require("./environment");
+const { parseArgs } = require("./cliArgs");
+const { getWallet } = require("./consensusProvider");
+const { decodeRevert, describeRevert, revertError, simulateRequest, explainMinedRevert } = require("./revertDecoder");
+
+/**
+ * Transaction Manager
+ *
+ * One manager per chain + wallet, shared by every write a script sends:
+ *   - Simulation: every call is eth_call'ed first; a revert throws the decoded custom
+ *     error (scripts/utils/revertDecoder.js) and nothing is broadcast.
+ *   - Nonces: fetched once ("pending" count), then assigned locally so back-to-back
+ *     sends never race on the node's view. Resynced after any failed broadcast.
+ *   - Fees: EIP-1559 from eth_feeHistory (next base fee × BASE_FEE_MULTIPLIER plus the
+ *     median priority fee paid over the last FEE_HISTORY_BLOCKS blocks), clipped to the
+ *     chain's feeCaps in scripts/config/chains.json. A base fee above the cap is refused.
+ *   - Stuck txs: a tx not mined within STUCK_TIMEOUT_MS is replaced (same nonce) with
+ *     fees bumped by REPLACEMENT_BUMP_PERCENT, up to MAX_REPLACEMENTS times - or
+ *     cancelled (0-value self-transfer) with onStuck: "cancel".
+ *   - Log: every broadcast, replacement and outcome is appended to
+ *     .operation-state/tx-log.jsonl (per environment).
+ *
+ * Usage:
+ *   const { getTxManager } = require('./utils/txManager');
+ *   const manager = getTxManager("sepolia", wallet);
+ *   const tx = await manager.sendCall(vault, "setSystemPaused", [true], { label: "setSystemPaused(true)" });
+ *   tx.onReplaced = (replacement) => journal(replacement.hash);   // optional, per speed-up/cancel
+ *   const receipt = await tx.wait();   // replaces the tx if it gets stuck
+ *   const deploy = await manager.sendDeploy(factory, [arg1, arg2]);   // deploy.contractAddress
+ *
+ *   node scripts/utils/txManager.js <chain>            # Nonces, fees and caps for the operator wallet
+ *   node scripts/utils/txManager.js <chain> --cancel   # Cancel every pending (unmined) nonce
+ */
+
+// Runtime log (gitignored), one per environment
+const TX_LOG_PATH = path.join(scopedPath(".operation-state"), "tx-log.jsonl");
+
+// Fee history window and the reward percentile taken as the priority fee
+const FEE_HISTORY_BLOCKS = 10;
+const PRIORITY_PERCENTILE = 50;
+
+// maxFeePerGas = BASE_FEE_MULTIPLIER × next base fee + priority fee (room for base fee growth)
+const BASE_FEE_MULTIPLIER = 2;
+
+// A tx not mined after this long is replaced with higher fees
+const STUCK_TIMEOUT_MS = 3 * 60 * 1000;
+const MAX_REPLACEMENTS = 3;
+const RECEIPT_POLL_MS = 4000;
+
+// Nodes reject replacements that raise fees by less than 10%
+const REPLACEMENT_BUMP_PERCENT = 15;
+
+const managers = new Map();
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function gwei(value) {
+  return ethers.utils.formatUnits(value, "gwei");
+}
+
+function minBigNumber(a, b) {
+  return a.lt(b) ? a : b;
+}
+
+function maxBigNumber(a, b) {
+  return a.gt(b) ? a : b;
+}
+
+function bump(value) {
+  return value.mul(100 + REPLACEMENT_BUMP_PERCENT).div(100);
+}
+
+/**
+ * Append one structured entry to the tx log
+ */
+function logTx(entry) {
+  fs.mkdirSync(path.dirname(TX_LOG_PATH), { recursive: true });
+  fs.appendFileSync(TX_LOG_PATH, JSON.stringify({ at: new Date().toISOString(), env: ENV_NAME, ...entry }) + "\n");
+}
+
+/**
+ * Per-chain fee caps from chains.json (feeCaps, in gwei)
+ */
+function getFeeCaps(chain) {
+  const { feeCaps } = getChain(chain);
+  if (!feeCaps) {
+    throw new Error(`feeCaps is not configured for ${chain} in scripts/config/chains.json`);
+  }
+  return {
+    maxFeePerGas: ethers.utils.parseUnits(feeCaps.maxFeePerGasGwei, "gwei"),
+    maxPriorityFeePerGas: ethers.utils.parseUnits(feeCaps.maxPriorityFeePerGasGwei, "gwei"),
+  };
+}
+
+class TxManager {
+  constructor(chain, signer) {
+    this.chain = chain;
+    this.signer = signer;
+    this.caps = getFeeCaps(chain);
+    this.nextNonce = null;
+  }
+
+  /**
+   * Next nonce to use (the node's pending count on first use, then local)
+   */
+  async takeNonce() {
+    if (this.nextNonce === null) {
+      this.nextNonce = await this.signer.getTransactionCount("pending");
+    }
+    return this.nextNonce++;
+  }
+
+  resyncNonce() {
+    this.nextNonce = null;
+  }
+
+  /**
+   * EIP-1559 fees from recent fee history, clipped to the chain's caps
+   *
+   * @returns {Promise<{maxFeePerGas: BigNumber, maxPriorityFeePerGas: BigNumber, baseFee: BigNumber}>}
+   */
+  async suggestFees() {
+    const provider = this.signer.provider;
+    let baseFee;
+    let priorityFee;
+    try {
+      const history = await provider.send("eth_feeHistory", [
+        ethers.utils.hexValue(FEE_HISTORY_BLOCKS), "latest", [PRIORITY_PERCENTILE],
+      ]);
+      // The last entry is the base fee of the next block
+      baseFee = ethers.BigNumber.from(history.baseFeePerGas[history.baseFeePerGas.length - 1]);
+      const rewards = (history.reward || [])
+        .map(reward => ethers.BigNumber.from(reward[0]))
+        .sort((a, b) => (a.lt(b) ? -1 : a.gt(b) ? 1 : 0));
+      priorityFee = rewards.length > 0 ? rewards[Math.floor(rewards.length / 2)] : ethers.BigNumber.from(0);
+    } catch (error) {
+      // RPC without eth_feeHistory
+      const feeData = await provider.getFeeData();
+      baseFee = feeData.lastBaseFeePerGas || feeData.gasPrice;
+      priorityFee = feeData.maxPriorityFeePerGas || ethers.BigNumber.from(0);
+      if (!baseFee) {
+        throw new Error(`${this.chain}: RPC returned no fee history, base fee or gas price - cannot price the tx`);
+      }
+    }
+
+    if (baseFee.gt(this.caps.maxFeePerGas)) {
+      throw new Error(
+        `${this.chain}: base fee ${gwei(baseFee)} gwei is above the ${gwei(this.caps.maxFeePerGas)} gwei cap ` +
+        "(feeCaps in scripts/config/chains.json) - wait for fees to drop or raise the cap"
+      );
+    }
+
+    const maxPriorityFeePerGas = minBigNumber(priorityFee, this.caps.maxPriorityFeePerGas);
+    const maxFeePerGas = minBigNumber(baseFee.mul(BASE_FEE_MULTIPLIER).add(maxPriorityFeePerGas), this.caps.maxFeePerGas);
+    return { maxFeePerGas, maxPriorityFeePerGas: minBigNumber(maxPriorityFeePerGas, maxFeePerGas), baseFee };
+  }
+
+  /**
+   * Fees for replacing a tx: at least REPLACEMENT_BUMP_PERCENT above the previous
+   * fees (and never below the current suggestion). Throws if the caps do not allow it.
+   */
+  async replacementFees(previous) {
+    const suggested = await this.suggestFees();
+    const maxPriorityFeePerGas = maxBigNumber(bump(previous.maxPriorityFeePerGas), suggested.maxPriorityFeePerGas);
+    const maxFeePerGas = maxBigNumber(bump(previous.maxFeePerGas), suggested.maxFeePerGas);
+    if (maxFeePerGas.gt(this.caps.maxFeePerGas) || maxPriorityFeePerGas.gt(this.caps.maxPriorityFeePerGas)) {
+      throw new Error(
+        `${this.chain}: cannot replace nonce - bumped fees (${gwei(maxFeePerGas)} / ${gwei(maxPriorityFeePerGas)} gwei) ` +
+        "exceed the feeCaps in scripts/config/chains.json"
+      );
+    }
+    return { maxFeePerGas, maxPriorityFeePerGas };
+  }
+
+  /**
+   * Simulate, then sign and broadcast a tx request with a managed nonce and fees
+   *
+   * @param {Object} request - Transaction request (to, data, value, gasLimit)
+   * @param {Object} options - { label, stuckTimeout (ms), onStuck: "speed-up" | "cancel" }
+   * @returns {Promise<ManagedTransaction>}
+   */
+  async send(request, { label = "transaction", stuckTimeout = STUCK_TIMEOUT_MS, onStuck = "speed-up" } = {}) {
+    await simulateRequest(this.signer, request, `${this.chain}: ${label}`);
+    const fees = await this.suggestFees();
+    const nonce = await this.takeNonce();
+    const tx = await this.broadcast({ ...request, nonce, ...fees }, { event: "broadcast", label });
+    return new ManagedTransaction(this, tx, { request, label, stuckTimeout, onStuck, fees });
+  }
+
+  /**
+   * Send a contract method call (contract must be connected to this manager's signer)
+   */
+  async sendCall(contract, method, args = [], options = {}) {
+    const request = await contract.populateTransaction[method](...args);
+    return this.send(request, { label: method, ...options });
+  }
+
+  /**
+   * Send a contract deployment. The returned tx carries contractAddress (derived from
+   * the sender and the managed nonce, so it is known before the tx is mined).
+   */
+  async sendDeploy(factory, args = [], options = {}) {
+    const request = factory.getDeployTransaction(...args);
+    const tx = await this.send(request, { label: "deploy", ...options });
+    tx.contractAddress = ethers.utils.getContractAddress({ from: this.signer.address, nonce: tx.nonce });
+    return tx;
+  }
+
+  /**
+   * Replace a nonce with a 0-value self-transfer
+   */
+  async cancel(nonce, previousFees, label = "cancel") {
+    const fees = previousFees ? await this.replacementFees(previousFees) : await this.suggestFees();
+    return this.broadcast(
+      { to: this.signer.address, value: 0, data: "0x", gasLimit: 21000, nonce, ...fees },
+      { event: "cancel", label }
+    );
+  }
+
+  async broadcast(request, { event, label, replaces = null }) {
+    const { maxFeePerGas, maxPriorityFeePerGas } = request;
+    let tx;
+    try {
+      tx = await this.signer.sendTransaction({
+        to: request.to,
+        data: request.data,
+        value: request.value,
+        gasLimit: request.gasLimit,
+        nonce: request.nonce,
+        type: 2,
+        maxFeePerGas: request.maxFeePerGas,
+        maxPriorityFeePerGas: request.maxPriorityFeePerGas,
+      });
+    } catch (error) {
+      // Nonce may not have been consumed (revert on estimate, RPC error) - ask the node again next time
+      if (event === "broadcast") {
+        this.resyncNonce();
+      }
+      logTx({ chain: this.chain, event: `${event}-failed`, label, from: this.signer.address, nonce: request.nonce, error: describeRevert(error) });
+      // Reverted on gas estimation (state changed since the simulation)
+      if (decodeRevert(error)) {
+        throw revertError(`${this.chain}: ${label} failed to broadcast`, error);
+      }
+      throw error;
+    }
+
+    logTx({
+      chain: this.chain,
+      event,
+      label,
+      from: this.signer.address,
+      to: tx.to,
+      nonce: tx.nonce,
+      hash: tx.hash,
+      replaces,
+      gasLimit: tx.gasLimit.toString(),
+      maxFeePerGasGwei: gwei(maxFeePerGas),
+      maxPriorityFeePerGasGwei: gwei(maxPriorityFeePerGas),
+    });
+    return tx;
+  }
+}
+
+/**
+ * A broadcast tx and its replacements (same nonce). wait() resolves with whichever
+ * one was mined and replaces the tx when it is stuck. onReplaced (if set) is called
+ * with every replacement right after it is broadcast, so callers can record its hash.
+ */
+class ManagedTransaction {
+  constructor(manager, tx, { request, label, stuckTimeout, onStuck, fees }) {
+    this.manager = manager;
+    this.request = request;
+    this.label = label;
+    this.stuckTimeout = stuckTimeout;
+    this.onStuck = onStuck;
+    this.nonce = tx.nonce;
+    this.fees = fees;
+    this.transactions = [tx];
+    this.onReplaced = null;
+  }
+
+  // Hash of the latest broadcast (the original until it is replaced)
+  get hash() {
+    return this.transactions[this.transactions.length - 1].hash;
+  }
+
+  /**
+   * Wait for the nonce to be mined (replacing the tx whenever it is stuck)
+   *
+   * @returns {Promise<Object>} Receipt of the mined tx
+   * @throws {Error} If it reverted, was cancelled, or is still stuck after MAX_REPLACEMENTS
+   */
+  async wait() {
+    const { chain } = this.manager;
+    for (;;) {
+      const receipt = await this.waitForAny();
+      if (receipt) {
+        const cancelled = this.cancelled && receipt.transactionHash === this.hash;
+        const event = cancelled ? "cancelled" : receipt.status === 1 ? "mined" : "reverted";
+        logTx({ chain, event, label: this.label, nonce: this.nonce, hash: receipt.transactionHash, blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed.toString() });
+        if (event !== "mined") {
+          const reason = event === "reverted" ? `: ${await this.explainRevert(receipt)}` : "";
+          const error = new Error(`${chain}: ${this.label} ${event} (${getExplorerTxUrl(chain, receipt.transactionHash)})${reason}`);
+          error.receipt = receipt;
+          throw error;
+        }
+        return receipt;
+      }
+
+      if (this.cancelled || this.transactions.length > MAX_REPLACEMENTS) {
+        throw new Error(
+          `${chain}: ${this.label} (nonce ${this.nonce}) not mined after ${this.transactions.length - 1} replacement(s) - ` +
+          `last tx ${this.hash}`
+        );
+      }
+      await this.replace();
+    }
+  }
+
+  /**
+   * Poll every broadcast hash until one is mined or stuckTimeout passes (null)
+   */
+  async waitForAny() {
+    const provider = this.manager.signer.provider;
+    const deadline = Date.now() + this.stuckTimeout;
+    while (Date.now() < deadline) {
+      for (const tx of this.transactions) {
+        const receipt = await provider.getTransactionReceipt(tx.hash);
+        if (receipt) {
+          return receipt;
+        }
+      }
+      // Nonce used by a tx we did not send (another process with the same key)
+      const minedNonce = await provider.getTransactionCount(this.manager.signer.address, "latest");
+      if (minedNonce > this.nonce) {
+        await sleep(RECEIPT_POLL_MS);
+        for (const tx of this.transactions) {
+          const receipt = await provider.getTransactionReceipt(tx.hash);
+          if (receipt) {
+            return receipt;
+          }
+        }
+        throw new Error(`${this.manager.chain}: nonce ${this.nonce} was used by another transaction - ${this.label} not sent`);
+      }
+      await sleep(RECEIPT_POLL_MS);
+    }
+    return null;
+  }
+
+  /**
+   * Decode why the mined tx reverted (replayed at the block before it)
+   */
+  async explainRevert(receipt) {
+    const tx = this.transactions.find(sent => sent.hash === receipt.transactionHash) || this.transactions[0];
+    return explainMinedRevert(this.manager.signer.provider, tx, receipt);
+  }
+
+  async replace() {
+    const { chain } = this.manager;
+    const previous = this.hash;
+    console.log(`    ⏳ ${chain}: ${this.label} (nonce ${this.nonce}) not mined after ${this.stuckTimeout / 1000}s - ${this.onStuck}`);
+
+    let tx;
+    if (this.onStuck === "cancel") {
+      tx = await this.manager.cancel(this.nonce, this.fees, `cancel ${this.label}`);
+      this.cancelled = true;
+    } else {
+      // Same gas limit as the original: re-estimating can fail once state has moved on
+      const fees = await this.manager.replacementFees(this.fees);
+      tx = await this.manager.broadcast(
+        { ...this.request, gasLimit: this.transactions[0].gasLimit, nonce: this.nonce, ...fees },
+        { event: "speed-up", label: this.label, replaces: previous }
+      );
+      this.fees = fees;
+    }
+    this.transactions.push(tx);
+    console.log(`    🔁 Replacement tx ${tx.hash}`);
+    if (this.onReplaced) {
+      this.onReplaced(tx);
+    }
+  }
+}
+
+/**
+ * Shared manager for a chain + signer (one per process, so nonces stay in sync)
+ */
+function getTxManager(chain, signer) {
+  const key = `${chain}:${signer.address}`;
+  if (!managers.has(key)) {
+    managers.set(key, new TxManager(chain, signer));
+  }
+  return managers.get(key);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2), { flags: ["cancel"] });
+  const [chain] = args.positional;
+  if (!chain) {
+    console.log("Usage: node scripts/utils/txManager.js <chain> [--cancel]");
+    process.exit(1);
+  }
+  if (!process.env.PRIVATE_KEY) {
+    throw new Error("Missing PRIVATE_KEY in .env");
+  }
+
+  const manager = getTxManager(chain, getWallet(chain, process.env.PRIVATE_KEY));
+  const { signer, caps } = manager;
+
+  console.log("=".repeat(70));
+  console.log(`⛽ TRANSACTION MANAGER - ${chain.toUpperCase()} (${ENV_NAME})`);
+  console.log("=".repeat(70));
+  console.log();
+
+  const [latest, pending, fees] = await Promise.all([
+    signer.getTransactionCount("latest"),
+    signer.getTransactionCount("pending"),
+    manager.suggestFees(),
+  ]);
+
+  console.log(`Operator:        ${signer.address}`);
+  console.log(`Nonce (mined):   ${latest}`);
+  console.log(`Nonce (pending): ${pending}${pending > latest ? `  ⚠️  ${pending - latest} unmined tx(s)` : ""}`);
+  console.log(`Base fee:        ${gwei(fees.baseFee)} gwei`);
+  console.log(`Suggested fees:  max ${gwei(fees.maxFeePerGas)} / priority ${gwei(fees.maxPriorityFeePerGas)} gwei`);
+  console.log(`Caps:            max ${gwei(caps.maxFeePerGas)} / priority ${gwei(caps.maxPriorityFeePerGas)} gwei`);
+  console.log(`Log:             ${TX_LOG_PATH}`);
+  console.log();
+
+  if (!args.flags.cancel) {
+    return;
+  }
+  if (pending === latest) {
+    console.log("✅ No pending nonces to cancel");
+    return;
+  }
+
+  assertWriteAllowed(`Cancel ${pending - latest} pending tx(s) on ${chain}`);
+  console.log("📍 CANCELLING PENDING NONCES");
+  console.log("-".repeat(70));
+  for (let nonce = latest; nonce < pending; nonce++) {
+    // Unknown fees of the stuck tx: start from the suggestion bumped once
+    const suggested = await manager.suggestFees();
+    const tx = await manager.cancel(nonce, suggested, "cancel pending nonce");
+    console.log(`  nonce ${nonce}: cancel tx ${tx.hash}`);
+    const receipt = await tx.wait();
+    console.log(`    ✅ Mined in block ${receipt.blockNumber}`);
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("\n❌ TRANSACTION MANAGER FAILED:");
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  getTxManager,
+  getFeeCaps,
+  TX_LOG_PATH,
+};
@@ -0,0 +1,206 @@
+const { ethers } = require("ethers");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Yield Sources
+ *
+ * Turns a strategy PnL report into the (yield, isYieldPositive) pair passed to
+ * rollToNextRound(), and checks the result against configurable bounds before
+ * any price changes. Every source records enough to trace the roll back to its input
+ * (file path + sha256 of the exact bytes read).
+ *
+ * Supported sources:
+ *   json   - { "venues": [{ "venue": "aave", "pnl": "12.5" }, ...] } or a bare array of lines
+ *   csv    - header row with "venue" and "pnl" columns, one line per venue
+ *   manual - yield given on the command line (optionally overriding a report)
+ *
+ * PnL values are signed decimal USDC strings ("-3.25" is a loss).
+ *
+ * Bounds (env overrides):
+ *   ROLL_MAX_APR_BPS       - max |implied APR| of a single roll (default 5000 = 50%)
+ *   ROLL_MAX_APR_MOVE_BPS  - max change in implied APR vs the previous roll (default 2000 = 20%)
+ *
+ * Usage:
+ *   const { loadYieldReport, checkYieldBounds } = require('./utils/yieldSources');
+ *   const source = loadYieldReport("reports/pnl-2025-01-01.csv");
+ *   const bounds = checkYieldBounds(source.total, globalTotalStaked, previousAprBps);
+ */
+
+const DECIMALS = 6;
+const BPS = 10000;
+const ROLLS_PER_YEAR = 365; // One roll per day
+
+const DEFAULT_BOUNDS = {
+  maxAprBps: Number(process.env.ROLL_MAX_APR_BPS || 5000),
+  maxAprMoveBps: Number(process.env.ROLL_MAX_APR_MOVE_BPS || 2000),
+};
+
+function parsePnl(value, where) {
+  const text = String(value).trim();
+  try {
+    return ethers.utils.parseUnits(text, DECIMALS);
+  } catch (e) {
+    throw new Error(`Invalid pnl "${text}" (${where})`);
+  }
+}
+
+function parseJsonReport(content, filePath) {
+  const report = JSON.parse(content);
+  const lines = Array.isArray(report) ? report : report.venues;
+  if (!Array.isArray(lines)) {
+    throw new Error(`${filePath}: expected an array of venue lines or { "venues": [...] }`);
+  }
+  return lines.map((line, i) => {
+    if (!line.venue || line.pnl === undefined) {
+      throw new Error(`${filePath}: line ${i} must have "venue" and "pnl"`);
+    }
+    return { venue: line.venue, pnl: parsePnl(line.pnl, `${filePath} line ${i}`) };
+  });
+}
+
+function parseCsvReport(content, filePath) {
+  const rows = content.split(/\r?\n/).map(row => row.trim()).filter(row => row && !row.startsWith("#"));
+  if (rows.length === 0) {
+    throw new Error(`${filePath}: empty report`);
+  }
+
+  const header = rows[0].split(",").map(col => col.trim().toLowerCase());
+  const venueIndex = header.indexOf("venue");
+  const pnlIndex = header.indexOf("pnl");
+  if (venueIndex === -1 || pnlIndex === -1) {
+    throw new Error(`${filePath}: header must contain "venue" and "pnl" columns`);
+  }
+
+  return rows.slice(1).map((row, i) => {
+    const cols = row.split(",").map(col => col.trim());
+    return { venue: cols[venueIndex], pnl: parsePnl(cols[pnlIndex], `${filePath} row ${i + 2}`) };
+  });
+}
+
+function summarize(source, lines) {
+  const total = lines.reduce((sum, line) => sum.add(line.pnl), ethers.BigNumber.from(0));
+  return {
+    ...source,
+    lines,
+    total,
+    yield: total.abs(),
+    isYieldPositive: !total.isNegative(),
+  };
+}
+
+/**
+ * Read a JSON or CSV strategy report (format picked from the file extension)
+ *
+ * @param {string} filePath - Path to the report
+ * @returns {Object} { type, path, sha256, lines, total, yield, isYieldPositive }
+ */
+function loadYieldReport(filePath) {
+  const resolved = path.resolve(filePath);
+  const content = fs.readFileSync(resolved);
+  const sha256 = crypto.createHash("sha256").update(content).digest("hex");
+  const ext = path.extname(resolved).toLowerCase();
+
+  let lines;
+  if (ext === ".json") {
+    lines = parseJsonReport(content.toString("utf8"), filePath);
+  } else if (ext === ".csv") {
+    lines = parseCsvReport(content.toString("utf8"), filePath);
+  } else {
+    throw new Error(`Unsupported yield report format: ${ext} (use .json or .csv)`);
+  }
+
+  if (lines.length === 0) {
+    throw new Error(`${filePath}: report has no venue lines`);
+  }
+
+  return summarize({ type: ext.slice(1), path: resolved, sha256 }, lines);
+}
+
+/**
+ * Yield given on the command line
+ *
+ * @param {BigNumber} amount - Unsigned yield (asset decimals)
+ * @param {boolean} isPositive - Gain or loss
+ * @param {Object} overridden - Report this manual value replaces (optional)
+ */
+function manualYield(amount, isPositive, overridden = null) {
+  const total = isPositive ? amount : amount.mul(-1);
+  const source = summarize({ type: "manual" }, [{ venue: "manual", pnl: total }]);
+  if (overridden) {
+    source.overrides = { type: overridden.type, path: overridden.path, sha256: overridden.sha256, total: overridden.total };
+  }
+  return source;
+}
+
+/**
+ * Annualized rate implied by one roll's yield, in basis points
+ */
+function impliedAprBps(total, totalStaked) {
+  if (ethers.BigNumber.from(totalStaked).isZero()) {
+    return 0;
+  }
+  const bps = ethers.BigNumber.from(total).mul(BPS * ROLLS_PER_YEAR).div(totalStaked);
+  if (bps.abs().gt(String(Number.MAX_SAFE_INTEGER))) {
+    return bps.isNegative() ? -Infinity : Infinity;
+  }
+  return bps.toNumber();
+}
+
+/**
+ * Check a signed yield against the roll bounds
+ *
+ * @param {BigNumber} total - Signed yield (asset decimals)
+ * @param {BigNumber} totalStaked - Global totalStaked the yield applies to
+ * @param {number|null} previousAprBps - Implied APR of the previous roll (null if unknown)
+ * @param {Object} bounds - { maxAprBps, maxAprMoveBps } (defaults from env)
+ * @returns {Object} { aprBps, violations: string[] }
+ */
+function checkYieldBounds(total, totalStaked, previousAprBps, bounds = DEFAULT_BOUNDS) {
+  const aprBps = impliedAprBps(total, totalStaked);
+  const violations = [];
+
+  if (Math.abs(aprBps) > bounds.maxAprBps) {
+    violations.push(`implied APR ${formatBps(aprBps)} exceeds ±${formatBps(bounds.maxAprBps)}`);
+  }
+  if (previousAprBps !== null && previousAprBps !== undefined &&
+      Math.abs(aprBps - previousAprBps) > bounds.maxAprMoveBps) {
+    violations.push(
+      `implied APR moved ${formatBps(aprBps - previousAprBps)} vs previous roll (${formatBps(previousAprBps)}), ` +
+      `max move ${formatBps(bounds.maxAprMoveBps)}`
+    );
+  }
+
+  return { aprBps, violations };
+}
+
+/**
+ * Journal-friendly record of a yield source (BigNumbers as strings)
+ */
+function describeSource(source) {
+  return {
+    type: source.type,
+    path: source.path || null,
+    sha256: source.sha256 || null,
+    total: source.total.toString(),
+    lines: source.lines.map(line => ({ venue: line.venue, pnl: line.pnl.toString() })),
+    overrides: source.overrides
+      ? { ...source.overrides, total: source.overrides.total.toString() }
+      : null,
+  };
+}
+
+function formatBps(bps) {
+  return `${(bps / 100).toFixed(2)}%`;
+}
+
+module.exports = {
+  DEFAULT_BOUNDS,
+  loadYieldReport,
+  manualYield,
+  impliedAprBps,
+  checkYieldBounds,
+  describeSource,
+  formatBps,
+};
@@ -0,0 +1,115 @@
+const { expect } = require("chai");
+const { getChain } = require("../scripts/utils/chainRegistry");
+const { buildPlan } = require("../scripts/system-deployment/deploymentPlan");
+const { SIGNER, OTHER, buildSpec, buildDeployment, syncedStates, emptyStates } = require("./helpers/deploymentState");
+
+/**
+ * Deployment plan
+ * buildPlan() diffs a spec against on-chain state (as returned by readState()) without
+ * any RPC access (scripts/system-deployment/deploymentPlan.js).
+ */
+
+const PHASE_ORDER = ["deploy", "contracts", "pools", "routes", "deposits", "ownership"];
+
+function calls(plan) {
+  return plan.actions.map(action => `${action.chain}:${action.contract}.${action.method}`);
+}
+
+describe("deploymentPlan", function () {
+  describe("buildPlan", function () {
+    it("sends nothing for a deployment that matches the spec", function () {
+      const plan = buildPlan({ spec: buildSpec(), deployment: buildDeployment(), states: syncedStates(), signer: SIGNER });
+      expect(plan.actions).to.deep.equal([]);
+      expect(plan.blockers).to.deep.equal([]);
+    });
+
+    it("deploys a fresh system primary first, phase by phase", function () {
+      const plan = buildPlan({ spec: buildSpec(), deployment: {}, states: emptyStates(), signer: SIGNER });
+      const phases = plan.actions.map(action => action.phase);
+
+      expect(calls(plan).slice(0, 2)).to.deep.equal(["sepolia:SherpaVault.deploy", "sepolia:SherpaUSD.deploy"]);
+      expect(phases).to.deep.equal([...phases].sort((a, b) => PHASE_ORDER.indexOf(a) - PHASE_ORDER.indexOf(b)));
+      expect(calls(plan)).to.include.members([
+        "base:SherpaVault.setStableWrapper",
+        "base:SherpaUSD.setKeeper",
+        "arbitrum:Pool.deploy",
+        "arbitrum:SherpaVault.addCCIPPool",
+        "sepolia:Pool.applyChainUpdates",
+      ]);
+      expect(plan.blockers).to.deep.equal([]);
+    });
+
+    it("does not leave the input states modified", function () {
+      const states = syncedStates();
+      states.base.vault.cap = "5";
+      buildPlan({ spec: buildSpec(), deployment: buildDeployment(), states, signer: SIGNER });
+      expect(states.base.vault.cap).to.equal("5");
+    });
+
+    it("plans only the settings that differ", function () {
+      const states = syncedStates();
+      states.base.vault.cap = "5";
+      states.arbitrum.vault.depositsEnabled = false;
+
+      const plan = buildPlan({ spec: buildSpec(), deployment: buildDeployment(), states, signer: SIGNER });
+      expect(calls(plan)).to.deep.equal(["base:SherpaVault.setCap", "arbitrum:SherpaVault.setDepositsEnabled"]);
+      expect(plan.actions[0]).to.include({ change: "cap 5 → 1000000000000" });
+    });
+
+    it("re-adds a route that points at the wrong pool", function () {
+      const states = syncedStates();
+      states.base.pool.routes[getChain("arbitrum").chainSelector].remotePools = [OTHER];
+
+      const plan = buildPlan({ spec: buildSpec(), deployment: buildDeployment(), states, signer: SIGNER });
+      expect(calls(plan)).to.deep.equal(["base:Pool.applyChainUpdates"]);
+      const [removes, adds] = plan.actions[0].args;
+      expect(removes).to.deep.equal([getChain("arbitrum").chainSelector]);
+      expect(adds.map(update => update.remoteChainSelector)).to.deep.equal([getChain("arbitrum").chainSelector]);
+    });
+
+    it("blocks actions the signer cannot send", function () {
+      const states = syncedStates();
+      states.base.vault.cap = "5";
+      states.base.vault.owner = OTHER;
+
+      const plan = buildPlan({ spec: buildSpec(), deployment: buildDeployment(), states, signer: SIGNER });
+      expect(plan.blockers).to.deep.equal([`base: SherpaVault.setCap() must be sent by ${OTHER} (signer is ${SIGNER})`]);
+    });
+
+    it("blocks a wrapper locked to another address", function () {
+      const states = syncedStates();
+      states.base.vault.stableWrapper = OTHER;
+
+      const plan = buildPlan({ spec: buildSpec(), deployment: buildDeployment(), states, signer: SIGNER });
+      expect(plan.blockers[0]).to.include(`base: vault wrapper is locked to ${OTHER}`);
+    });
+
+    it("refuses to change the primary chain", function () {
+      const spec = buildSpec({ sepolia: { isPrimary: false }, base: { isPrimary: true } });
+      spec.primary = "base";
+
+      const plan = buildPlan({ spec, deployment: buildDeployment(), states: syncedStates(), signer: SIGNER });
+      expect(plan.blockers).to.include(
+        "Spec primary is base, deployment.json primary is sepolia - changing the primary chain is not supported"
+      );
+    });
+
+    it("refuses to deploy a chain next to vaults past round 1", function () {
+      const states = syncedStates();
+      states.arbitrum = emptyStates().arbitrum;
+      const deployment = buildDeployment();
+      delete deployment.arbitrum;
+
+      const plan = buildPlan({ spec: buildSpec(), deployment, states, signer: SIGNER });
+      expect(calls(plan).filter(call => call.endsWith(".deploy"))).to.deep.equal([]);
+      expect(plan.blockers[0]).to.include("arbitrum not deployed, but sepolia, base are past round 1");
+    });
+
+    it("transfers ownership to the spec owner", function () {
+      const plan = buildPlan({
+        spec: buildSpec({ base: { owner: OTHER } }), deployment: buildDeployment(), states: syncedStates(), signer: SIGNER,
+      });
+      expect(calls(plan)).to.deep.equal(["base:SherpaVault.transferOwnership", "base:SherpaUSD.transferOwnership"]);
+    });
+  });
+});
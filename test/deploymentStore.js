@@ -0,0 +1,175 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const {
+  SCHEMA_VERSION,
+  validateDeployment,
+  migrateDeployment,
+  diffDeployments,
+} = require("../scripts/utils/deploymentStore");
+
+/**
+ * Deployment store
+ * Schema validation, format migrations and field-level diffs of deployment.json
+ * (scripts/utils/deploymentStore.js).
+ */
+
+const address = digit => ethers.utils.getAddress(`0x${digit.repeat(40)}`);
+
+function chainEntry(chainId, selector, digit, isPrimary) {
+  return {
+    chainId,
+    chainSelector: selector,
+    vault: address(digit),
+    sherpaUSD: address(digit === "a" ? "b" : "c"),
+    mockUSDC: address("d"),
+    ccipRouter: address("e"),
+    isPrimary,
+  };
+}
+
+// Valid deployment at SCHEMA_VERSION
+function buildDeployment() {
+  return {
+    schemaVersion: 2,
+    revision: 4,
+    timestamp: "2025-11-11T20:54:18.477Z",
+    deployer: address("1"),
+    vaultParams: { decimals: 6, minimumSupply: "1000000", cap: "1000000000000" },
+    status: "deployed",
+    sepolia: chainEntry(11155111, "16015286601757825753", "a", true),
+    base: chainEntry(84532, "10344971235874465080", "f", false),
+  };
+}
+
+// The same deployment as written before schemaVersion existed
+function buildV1Deployment() {
+  const v1 = buildDeployment();
+  delete v1.schemaVersion;
+  delete v1.revision;
+  v1.deployer = v1.deployer.toLowerCase();
+  v1.base.vault = v1.base.vault.toLowerCase();
+  v1.base.newCcipPool = address("9").toLowerCase();
+  return v1;
+}
+
+describe("deploymentStore", function () {
+  describe("validateDeployment", function () {
+    it("accepts a deployment at the current schema", function () {
+      expect(SCHEMA_VERSION).to.equal(2);
+      expect(validateDeployment(buildDeployment())).to.deep.equal([]);
+    });
+
+    it("names wrong, missing and unknown chain fields", function () {
+      const deployment = buildDeployment();
+      deployment.base.vault = deployment.base.vault.toLowerCase();
+      delete deployment.base.ccipRouter;
+      deployment.base.newCcipPool = address("9");
+
+      expect(validateDeployment(deployment)).to.deep.equal([
+        `base.vault must be a checksummed address (got "${deployment.base.vault}")`,
+        "base.ccipRouter is required",
+        "base.newCcipPool is not a known field",
+      ]);
+    });
+
+    it("checks the metadata", function () {
+      const deployment = { ...buildDeployment(), schemaVersion: 1, revision: -1, timestamp: "yesterday" };
+      deployment.vaultParams = { ...deployment.vaultParams, cap: 1000 };
+
+      expect(validateDeployment(deployment)).to.deep.equal([
+        "schemaVersion is 1, expected 2",
+        "revision must be a non-negative integer",
+        "timestamp must be an ISO date string",
+        "vaultParams.cap must be a decimal string",
+      ]);
+    });
+
+    it("requires exactly one primary chain and distinct selectors", function () {
+      const deployment = buildDeployment();
+      deployment.base.isPrimary = true;
+      deployment.base.chainSelector = deployment.sepolia.chainSelector;
+
+      expect(validateDeployment(deployment)).to.deep.equal([
+        `base and sepolia share chainSelector ${deployment.sepolia.chainSelector}`,
+        "exactly one chain must be primary (found 2: sepolia, base)",
+      ]);
+    });
+
+    it("checks archived chains", function () {
+      const deployment = buildDeployment();
+      deployment.archived = {
+        base: { ...deployment.base, archivedAt: "2026-01-01T00:00:00.000Z" },
+        sepolia: { ...deployment.sepolia, archivedAt: "2026-01-01T00:00:00.000Z", archiveReason: "retired" },
+      };
+      delete deployment.base;
+
+      expect(validateDeployment(deployment)).to.deep.equal([
+        "archived.base.archiveReason is required",
+        "sepolia is both deployed and archived",
+        "archived.sepolia is primary - the primary chain cannot be archived",
+      ]);
+    });
+  });
+
+  describe("migrateDeployment", function () {
+    it("brings a version 1 file to the current schema", function () {
+      const { deployment, applied } = migrateDeployment(buildV1Deployment());
+
+      expect(applied.map(migration => migration.version)).to.deep.equal([2]);
+      expect(deployment.schemaVersion).to.equal(SCHEMA_VERSION);
+      expect(deployment.revision).to.equal(0);
+      expect(deployment.deployer).to.equal(address("1"));
+      expect(deployment.base.vault).to.equal(address("f"));
+      expect(deployment.base.ccipPool).to.equal(address("9"));
+      expect(deployment.base).to.not.have.property("newCcipPool");
+      expect(validateDeployment(deployment)).to.deep.equal([]);
+    });
+
+    it("leaves its input untouched", function () {
+      const v1 = buildV1Deployment();
+      migrateDeployment(v1);
+      expect(v1).to.deep.equal(buildV1Deployment());
+    });
+
+    it("applies nothing to a current file", function () {
+      const { deployment, applied } = migrateDeployment(buildDeployment());
+      expect(applied).to.deep.equal([]);
+      expect(deployment).to.deep.equal(buildDeployment());
+    });
+
+    it("refuses a selector stored as a number", function () {
+      const v1 = buildV1Deployment();
+      v1.base.chainSelector = 10344971235874465080;
+      expect(() => migrateDeployment(v1)).to.throw("base.chainSelector was stored as a number");
+    });
+
+    it("refuses a file newer than the code", function () {
+      expect(() => migrateDeployment({ ...buildDeployment(), schemaVersion: 3 })).to.throw("update your checkout");
+    });
+  });
+
+  describe("diffDeployments", function () {
+    it("lists changed, added and removed fields, ignoring the revision", function () {
+      const before = buildDeployment();
+      const after = buildDeployment();
+      after.revision = 5;
+      after.base.ccipPool = address("9");
+      after.vaultParams.cap = "2000000000000";
+      delete after.status;
+
+      expect(diffDeployments(before, after)).to.deep.equal([
+        { field: "base.ccipPool", from: undefined, to: address("9") },
+        { field: "status", from: "deployed", to: undefined },
+        { field: "vaultParams.cap", from: "1000000000000", to: "2000000000000" },
+      ]);
+    });
+
+    it("diffs against nothing for the first revision", function () {
+      const diff = diffDeployments(null, { status: "deployed", revision: 1 }, { ignore: [] });
+      expect(diff).to.deep.equal([
+        { field: "revision", from: undefined, to: 1 },
+        { field: "status", from: undefined, to: "deployed" },
+      ]);
+    });
+  });
+});
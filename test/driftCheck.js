@@ -0,0 +1,95 @@
+const { expect } = require("chai");
+const { getChain } = require("../scripts/utils/chainRegistry");
+const { findDrift } = require("../scripts/system-deployment/driftCheck");
+const { CHAINS, SIGNER, OTHER, buildSpec, buildDeployment, syncedStates, emptyStates } = require("./helpers/deploymentState");
+
+/**
+ * Configuration drift
+ * findDrift() compares the spec and deployment.json with readState() output
+ * (scripts/system-deployment/driftCheck.js).
+ */
+
+// Spec with owner and operator pinned to what syncedStates() holds
+function pinnedSpec(overrides = {}) {
+  return buildSpec(Object.fromEntries(CHAINS.map(chain => [chain, {
+    owner: SIGNER,
+    operator: "0x0000000000000000000000000000000000000000",
+    ...overrides[chain],
+  }])));
+}
+
+function fields(drift) {
+  return drift.map(item => `${item.chain}:${item.field}`);
+}
+
+describe("driftCheck", function () {
+  describe("findDrift", function () {
+    it("reports nothing for a deployment that matches a pinned spec", function () {
+      expect(findDrift(pinnedSpec(), buildDeployment(), syncedStates())).to.deep.equal({ drift: [], unchecked: [] });
+    });
+
+    it("lists owner and operator the spec leaves unpinned", function () {
+      const states = syncedStates();
+      states.base.vault.owner = OTHER;
+
+      const { drift, unchecked } = findDrift(buildSpec(), buildDeployment(), states);
+      expect(drift).to.deep.equal([]);
+      expect(unchecked).to.deep.equal(CHAINS.flatMap(chain => [`${chain}.owner`, `${chain}.operator`]));
+    });
+
+    it("reports an owner, operator or pending transfer that differs", function () {
+      const states = syncedStates();
+      states.base.vault.owner = OTHER;
+      states.base.wrapper.operator = OTHER;
+      states.arbitrum.vault.pendingOwner = OTHER;
+
+      const { drift } = findDrift(pinnedSpec(), buildDeployment(), states);
+      expect(fields(drift)).to.deep.equal([
+        "base:SherpaVault.owner",
+        "base:SherpaUSD.operator",
+        "arbitrum:SherpaVault.pendingOwner",
+      ]);
+      expect(drift[0]).to.deep.equal({ chain: "base", field: "SherpaVault.owner", expected: SIGNER, actual: OTHER });
+    });
+
+    it("reports vault settings and wiring that differ", function () {
+      const states = syncedStates();
+      states.sepolia.vault.cap = "5";
+      states.sepolia.vault.wrapperLocked = false;
+      states.base.wrapper.keeper = OTHER;
+
+      expect(fields(findDrift(pinnedSpec(), buildDeployment(), states).drift)).to.deep.equal([
+        "sepolia:SherpaVault.cap",
+        "sepolia:SherpaVault.stableWrapper locked",
+        "base:SherpaUSD.keeper",
+      ]);
+    });
+
+    it("reports missing, unexpected and misconfigured routes", function () {
+      const spec = pinnedSpec();
+      spec.routes.delete("base>arbitrum");
+      const states = syncedStates();
+      const arbitrumSelector = getChain("arbitrum").chainSelector;
+      const baseSelector = getChain("base").chainSelector;
+      delete states.sepolia.pool.routes[arbitrumSelector];
+      states.arbitrum.pool.routes[baseSelector].inbound = { isEnabled: true, capacity: "100", rate: "1" };
+
+      expect(fields(findDrift(spec, buildDeployment(), states).drift)).to.deep.equal([
+        "sepolia:Pool route → arbitrum",
+        "base:Pool route → arbitrum",
+        "arbitrum:Pool route → base inbound rate limit",
+      ]);
+    });
+
+    it("reports chains missing from deployment.json or from the spec", function () {
+      const deployment = { ...buildDeployment(), optimism: { vault: OTHER } };
+      const states = { ...syncedStates(), arbitrum: emptyStates().arbitrum };
+      delete deployment.arbitrum;
+
+      expect(findDrift(pinnedSpec(), deployment, states).drift).to.deep.equal([
+        { chain: "optimism", field: "deployment.json", expected: "not in the spec", actual: "deployed" },
+        { chain: "arbitrum", field: "deployment.json", expected: "deployed", actual: "missing" },
+      ]);
+    });
+  });
+});
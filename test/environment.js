@@ -0,0 +1,36 @@
+const { expect } = require("chai");
+const { parseEnvArgs } = require("../scripts/utils/environment");
+const { parseArgs } = require("../scripts/utils/cliArgs");
+
+/**
+ * Environment arguments
+ * parseEnvArgs() splits --env / --confirm-mainnet from a script's own arguments without
+ * touching process.argv (scripts/utils/environment.js).
+ */
+
+describe("environment", function () {
+  describe("parseEnvArgs", function () {
+    it("splits the environment arguments from the rest", function () {
+      const argv = ["base", "--env", "mainnet", "500000", "--confirm-mainnet"];
+
+      expect(parseEnvArgs(argv)).to.deep.equal({ env: "mainnet", confirmMainnet: true, rest: ["base", "500000"] });
+      expect(argv).to.have.length(5);
+    });
+
+    it("accepts --env=<name> and leaves the defaults without environment arguments", function () {
+      expect(parseEnvArgs(["--env=staging-fork"]).env).to.equal("staging-fork");
+      expect(parseEnvArgs(["base"])).to.deep.equal({ env: undefined, confirmMainnet: false, rest: ["base"] });
+    });
+
+    it("refuses --env without a value", function () {
+      expect(() => parseEnvArgs(["--env", "--dry-run"])).to.throw("--env requires a value");
+    });
+  });
+
+  describe("cliArgs.parseArgs", function () {
+    it("skips the environment arguments instead of rejecting them", function () {
+      const args = parseArgs(["base", "--env", "mainnet", "--dry-run", "--confirm-mainnet"], { flags: ["dry-run"] });
+      expect(args).to.deep.equal({ positional: ["base"], flags: { "dry-run": true }, options: {} });
+    });
+  });
+});
@@ -0,0 +1,116 @@
+const { ethers } = require("ethers");
+const { getChain } = require("../../scripts/utils/chainRegistry");
+const { desiredRoutes } = require("../../scripts/utils/deploymentSpec");
+
+/**
+ * Deployment state fixtures
+ * A resolved spec (as returned by loadSpec()), deployment.json and readState() output of
+ * deploymentPlan.js for a three-chain testnet deployment, for tests that need no RPC.
+ */
+
+const CHAINS = ["sepolia", "base", "arbitrum"];
+const ZERO = ethers.constants.AddressZero;
+const SIGNER = "0x1000000000000000000000000000000000000001";
+const OTHER = "0x2000000000000000000000000000000000000002";
+
+const DISABLED = { isEnabled: false, capacity: "0", rate: "0" };
+
+// Same address on every chain, distinct per contract
+function address(chain, contract) {
+  const index = CHAINS.indexOf(chain) + 1;
+  const kind = { vault: "a", wrapper: "b", pool: "c" }[contract];
+  return ethers.utils.getAddress(`0x${kind.repeat(38)}0${index}`);
+}
+
+function buildSpec(overrides = {}) {
+  const raw = {
+    primary: "sepolia",
+    vaultParams: { decimals: 6, minimumSupply: "1000000" },
+    chains: Object.fromEntries(CHAINS.map(chain => [chain, {
+      owner: null,
+      operator: null,
+      cap: "1000000000000",
+      depositsEnabled: true,
+      allowIndependence: false,
+      rateLimits: { outbound: DISABLED, inbound: DISABLED },
+      isPrimary: chain === "sepolia",
+      ...overrides[chain],
+    }])),
+    routes: "all",
+  };
+  return { ...raw, routes: desiredRoutes(raw) };
+}
+
+function buildDeployment() {
+  return Object.fromEntries(CHAINS.map(chain => [chain, {
+    vault: address(chain, "vault"),
+    sherpaUSD: address(chain, "wrapper"),
+    ccipPool: address(chain, "pool"),
+    isPrimary: chain === "sepolia",
+  }]));
+}
+
+// readState() output for a deployment that already matches buildSpec()
+function syncedStates() {
+  const primarySelector = getChain("sepolia").chainSelector;
+  return Object.fromEntries(CHAINS.map(chain => {
+    const routes = Object.fromEntries(CHAINS.filter(remote => remote !== chain).map(remote => [getChain(remote).chainSelector, {
+      remotePools: [address(remote, "pool")],
+      remoteToken: address(remote, "vault"),
+      outbound: DISABLED,
+      inbound: DISABLED,
+    }]));
+    return [chain, {
+      chain,
+      selector: getChain(chain).chainSelector,
+      adoptedPool: false,
+      vault: {
+        address: address(chain, "vault"),
+        owner: SIGNER,
+        pendingOwner: ZERO,
+        operator: ZERO,
+        cap: "1000000000000",
+        isPrimaryChain: chain === "sepolia",
+        primaryChainSelector: primarySelector,
+        depositsEnabled: true,
+        allowIndependence: false,
+        decimals: 6,
+        minimumSupply: "1000000",
+        stableWrapper: address(chain, "wrapper"),
+        round: 3,
+        wrapperLocked: true,
+      },
+      wrapper: {
+        address: address(chain, "wrapper"),
+        owner: SIGNER,
+        pendingOwner: ZERO,
+        operator: ZERO,
+        keeper: address(chain, "vault"),
+        keeperLocked: true,
+      },
+      tokenAdmin: {
+        address: getChain(chain).tokenAdminRegistry,
+        administrator: SIGNER,
+        pendingAdministrator: ZERO,
+        pool: address(chain, "pool"),
+      },
+      pool: { address: address(chain, "pool"), owner: SIGNER, authorized: true, routes },
+    }];
+  }));
+}
+
+function emptyStates() {
+  return Object.fromEntries(CHAINS.map(chain => [chain, {
+    chain, selector: getChain(chain).chainSelector, vault: null, wrapper: null, tokenAdmin: null, pool: null, adoptedPool: false,
+  }]));
+}
+
+module.exports = {
+  CHAINS,
+  SIGNER,
+  OTHER,
+  buildSpec,
+  buildDeployment,
+  syncedStates,
+  emptyStates,
+};
@@ -0,0 +1,101 @@
+const { expect } = require("chai");
+const { chainsHeldByRoll, withRollPauseTimes, evaluatePauseAlerts } = require("../scripts/core/pauseWatchdog");
+
+/**
+ * Pause watchdog
+ * Alerts raised from pause states, and the pause time of chains held by an
+ * in-progress roll (scripts/core/pauseWatchdog.js).
+ */
+
+const HOUR = 3600;
+const NOW = 1700000000;
+
+// Paused `pausedFor` seconds ago with a fresh 24h deadline from that moment
+function paused(pausedFor, overrides = {}) {
+  const deadline = NOW - pausedFor + 24 * HOUR;
+  return {
+    timestamp: NOW,
+    isPaused: true,
+    pauseDeadline: deadline,
+    pauseTimeRemaining: Math.max(deadline - NOW, 0),
+    pausedFor,
+    ...overrides,
+  };
+}
+
+function active() {
+  return { timestamp: NOW, isPaused: false, pauseDeadline: 0, pauseTimeRemaining: 0, pausedFor: 0 };
+}
+
+// Roll of round 5 over sepolia/base that paused both chains `pausedAgo` seconds ago
+function roll({ pausedAgo = HOUR, unpaused = [] } = {}) {
+  const pausedAt = new Date((NOW - pausedAgo) * 1000).toISOString();
+  const chains = ["sepolia", "base"];
+  return {
+    round: 5,
+    primaryChain: "sepolia",
+    chains,
+    steps: Object.fromEntries(chains.flatMap(chain => [
+      [`pause:${chain}`, { status: "done", updatedAt: pausedAt }],
+      [`unpause:${chain}`, { status: unpaused.includes(chain) ? "done" : "pending" }],
+    ])),
+  };
+}
+
+const types = alerts => alerts.map(alert => `${alert.type}:${alert.chain}`);
+
+describe("pauseWatchdog", function () {
+  describe("evaluatePauseAlerts", function () {
+    it("raises nothing while every chain is active", function () {
+      const states = { sepolia: active(), base: active() };
+      expect(evaluatePauseAlerts(states, { maxPausedSeconds: HOUR, roll: null })).to.deep.equal([]);
+    });
+
+    it("alerts on chains paused longer than the threshold", function () {
+      const states = { sepolia: paused(2 * HOUR), base: paused(10 * 60) };
+      expect(types(evaluatePauseAlerts(states, { maxPausedSeconds: HOUR, roll: null })))
+        .to.deep.equal(["paused-too-long:sepolia"]);
+    });
+
+    it("alerts when the deadline passed or is missing", function () {
+      const states = { sepolia: paused(25 * HOUR), base: paused(10, { pauseDeadline: 0 }) };
+      expect(types(evaluatePauseAlerts(states, { maxPausedSeconds: 48 * HOUR, roll: null })))
+        .to.deep.equal(["deadline-passed:sepolia", "no-deadline:base"]);
+    });
+
+    it("alerts when chains disagree on isPaused", function () {
+      const states = { sepolia: paused(60), base: active() };
+      expect(types(evaluatePauseAlerts(states, { maxPausedSeconds: HOUR, roll: null })))
+        .to.deep.equal(["diverging:null"]);
+    });
+
+    it("alerts when a chain held by the roll is no longer paused", function () {
+      const states = { sepolia: paused(60), base: active() };
+      expect(types(evaluatePauseAlerts(states, { maxPausedSeconds: HOUR, roll: roll() })))
+        .to.include("unpaused-mid-roll:base");
+    });
+
+    it("does not hold chains the roll already unpaused", function () {
+      expect(chainsHeldByRoll(roll({ unpaused: ["base"] }))).to.deep.equal(["sepolia"]);
+      const states = { sepolia: paused(60), base: active() };
+      expect(types(evaluatePauseAlerts(states, { maxPausedSeconds: HOUR, roll: roll({ unpaused: ["base"] }) })))
+        .to.not.include("unpaused-mid-roll:base");
+    });
+  });
+
+  describe("withRollPauseTimes", function () {
+    it("counts a refreshed pause from the roll's pause step", function () {
+      // Deadline reset 10 minutes ago, but the roll paused the chain 30 hours ago
+      const states = withRollPauseTimes({ sepolia: paused(10 * 60), base: paused(10 * 60) }, roll({ pausedAgo: 30 * HOUR }));
+      expect(states.sepolia.pausedFor).to.equal(30 * HOUR);
+      expect(types(evaluatePauseAlerts(states, { maxPausedSeconds: HOUR, roll: roll({ pausedAgo: 30 * HOUR }) })))
+        .to.include.members(["paused-too-long:sepolia", "paused-too-long:base"]);
+    });
+
+    it("keeps the deadline-based time outside a roll and on chains the roll released", function () {
+      const states = { sepolia: paused(10 * 60), base: paused(10 * 60) };
+      expect(withRollPauseTimes(states, null)).to.deep.equal(states);
+      expect(withRollPauseTimes(states, roll({ pausedAgo: 30 * HOUR, unpaused: ["base"] })).base.pausedFor).to.equal(10 * 60);
+    });
+  });
+});
@@ -0,0 +1,111 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { checkPrice, enforcePriceGuard } = require("../scripts/utils/priceGuard");
+const { readHistory } = require("../scripts/utils/deploymentHistory");
+
+/**
+ * Price guard
+ * Per-roll price move limits, the price floor and logged overrides
+ * (scripts/utils/priceGuard.js).
+ */
+
+const price = value => ethers.utils.parseUnits(value, 6);
+
+const LIMITS = { maxUpBps: 100, maxDownBps: 500, floor: price("0.5") };
+
+function rules(result) {
+  return result.violations.map(violation => violation.rule);
+}
+
+describe("priceGuard", function () {
+  describe("checkPrice", function () {
+    it("accepts moves within the limits", function () {
+      expect(checkPrice(price("1.01"), price("1"), LIMITS)).to.deep.include({ deltaBps: 100, violations: [] });
+      expect(checkPrice(price("0.95"), price("1"), LIMITS)).to.deep.include({ deltaBps: -500, violations: [] });
+    });
+
+    it("flags a move beyond the up or down limit as overridable", function () {
+      const up = checkPrice(price("1.0101"), price("1"), LIMITS);
+      expect(rules(up)).to.deep.equal(["max-up"]);
+      expect(up.violations[0]).to.deep.equal({ rule: "max-up", message: "price up 1.01% (max +1.00%)", overridable: true });
+
+      expect(rules(checkPrice(price("0.9"), price("1"), LIMITS))).to.deep.equal(["max-down"]);
+    });
+
+    it("never accepts a price below the floor", function () {
+      const result = checkPrice(price("0.49"), price("0.5"), LIMITS);
+      expect(rules(result)).to.deep.equal(["floor"]);
+      expect(result.violations[0].overridable).to.equal(false);
+    });
+
+    it("compares the first roll with 1:1", function () {
+      const result = checkPrice(price("1.005"), 0, LIMITS);
+      expect(result.referencePrice.eq(price("1"))).to.equal(true);
+      expect(result.deltaBps).to.equal(50);
+    });
+  });
+
+  describe("enforcePriceGuard", function () {
+    let dir;
+    let historyPath;
+    let params;
+
+    beforeEach(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "price-guard-"));
+      historyPath = path.join(dir, "deployment-history.jsonl");
+      params = {
+        chain: "sepolia",
+        round: 7,
+        previousPrice: price("1"),
+        script: "test",
+        operator: "0x01",
+        limits: LIMITS,
+        historyPath,
+      };
+    });
+
+    afterEach(function () {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("passes a price within the limits without logging", function () {
+      expect(enforcePriceGuard({ ...params, proposedPrice: price("1.005") }).overridden).to.equal(false);
+      expect(fs.existsSync(historyPath)).to.equal(false);
+    });
+
+    it("refuses a move beyond the limits without an override", function () {
+      let thrown;
+      try {
+        enforcePriceGuard({ ...params, proposedPrice: price("1.02") });
+      } catch (error) {
+        thrown = error;
+      }
+      expect(thrown.message).to.include("Re-run with --override");
+      expect(rules(thrown.priceGuard)).to.deep.equal(["max-up"]);
+    });
+
+    it("accepts an overridden move and logs it to the history", function () {
+      const result = enforcePriceGuard({ ...params, proposedPrice: price("1.02"), override: "strategy catch-up" });
+      expect(result.overridden).to.equal(true);
+
+      const [entry] = readHistory("price-guard-override", historyPath);
+      expect(entry).to.include({
+        chain: "sepolia",
+        round: 7,
+        proposedPrice: price("1.02").toString(),
+        previousPrice: price("1").toString(),
+        deltaBps: 200,
+        reason: "strategy catch-up",
+      });
+    });
+
+    it("does not let an override bypass the floor", function () {
+      expect(() => enforcePriceGuard({ ...params, proposedPrice: price("0.4"), override: "loss" }))
+        .to.throw("cannot be overridden");
+      expect(fs.existsSync(historyPath)).to.equal(false);
+    });
+  });
+});
@@ -0,0 +1,177 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { planRebalance, planAssetOnlyRebalance } = require("../scripts/core/rebalance");
+
+/**
+ * Rebalance planning
+ * Checks and transactions of a backing move between vaults and of the asset-only
+ * drift correction, computed from readRebalanceState() output without any RPC access
+ * (scripts/core/rebalance.js).
+ */
+
+const usdc = value => ethers.utils.parseUnits(value, 6);
+
+const DEPLOYMENT = {
+  sepolia: { vault: ethers.utils.getAddress(`0x${"a".repeat(40)}`) },
+  base: { vault: ethers.utils.getAddress(`0x${"b".repeat(40)}`) },
+  arbitrum: { vault: ethers.utils.getAddress(`0x${"c".repeat(40)}`) },
+};
+
+// readRebalanceState() output at a price of 1.1 SherpaUSD per shUSD
+function chainState(overrides = {}) {
+  return {
+    round: 4,
+    isPaused: false,
+    totalStaked: usdc("110000"),
+    accountingSupply: usdc("100000"),
+    decimals: 6,
+    pricePerShare: usdc("1.1"),
+    wrapperBalance: usdc("110000"),
+    approvedTotalStaked: ethers.BigNumber.from(0),
+    approvedAccounting: ethers.BigNumber.from(0),
+    ...overrides,
+  };
+}
+
+function buildStates(overrides = {}) {
+  return Object.fromEntries(Object.keys(DEPLOYMENT).map(chain => [chain, chainState(overrides[chain])]));
+}
+
+function ids(legs) {
+  return legs.map(leg => leg.id);
+}
+
+describe("rebalance", function () {
+  describe("planRebalance", function () {
+    it("burns on the source and mints on the destination at the round price", function () {
+      const plan = planRebalance({ from: "sepolia", to: "base", amount: usdc("1100"), states: buildStates(), deployment: DEPLOYMENT });
+
+      expect(plan.problems).to.deep.equal([]);
+      expect(plan.shares.eq(usdc("1000"))).to.equal(true);
+      expect(ids(plan.legs)).to.deep.equal([
+        "ownerBurn-sepolia",
+        "adjustAccountingSupply-sepolia",
+        "adjustTotalStaked-sepolia",
+        "ownerMint-base",
+        "adjustAccountingSupply-base",
+        "adjustTotalStaked-base",
+      ]);
+      expect(plan.legs[0].args).to.deep.equal([DEPLOYMENT.sepolia.vault, usdc("1100").toString()]);
+      expect(plan.legs[1].args).to.deep.equal([`-${usdc("1000")}`]);
+      expect(plan.legs[5].args).to.deep.equal([usdc("1100").toString()]);
+    });
+
+    it("pauses and unpauses only the vaults that are running", function () {
+      const states = buildStates({ base: { isPaused: true } });
+      const plan = planRebalance({ from: "sepolia", to: "base", amount: usdc("1"), states, deployment: DEPLOYMENT });
+
+      expect(ids(plan.pauseLegs)).to.deep.equal(["pause-sepolia"]);
+      expect(ids(plan.unpauseLegs)).to.deep.equal(["unpause-sepolia"]);
+    });
+
+    it("refuses vaults on different rounds or prices", function () {
+      const states = buildStates({ base: { round: 5, pricePerShare: usdc("1.2") } });
+      const plan = planRebalance({ from: "sepolia", to: "base", amount: usdc("1"), states, deployment: DEPLOYMENT });
+
+      expect(plan.problems).to.deep.equal([
+        "sepolia is on round 4, base on round 5 - finish the round roll first",
+        `roundPricePerShare[3] differs (sepolia ${usdc("1.1")}, base ${usdc("1.2")})`,
+      ]);
+    });
+
+    it("refuses a move while rebalance approvals are unconsumed", function () {
+      const states = buildStates({ base: { approvedTotalStaked: usdc("5") } });
+      const plan = planRebalance({ from: "sepolia", to: "base", amount: usdc("1"), states, deployment: DEPLOYMENT });
+
+      expect(plan.problems).to.have.length(1);
+      expect(plan.problems[0]).to.include("base: unconsumed rebalance approvals (totalStaked 5.0");
+    });
+
+    it("refuses more than the source holds", function () {
+      const states = buildStates({ sepolia: { wrapperBalance: usdc("100"), totalStaked: usdc("200") } });
+      const plan = planRebalance({ from: "sepolia", to: "base", amount: usdc("300"), states, deployment: DEPLOYMENT });
+
+      expect(plan.problems).to.deep.equal([
+        "sepolia vault holds only 100.0 SherpaUSD",
+        "sepolia totalStaked is only 200.0",
+      ]);
+    });
+
+    it("refuses an amount that converts to no shares", function () {
+      const plan = planRebalance({
+        from: "sepolia", to: "base", amount: ethers.BigNumber.from(1), states: buildStates(), deployment: DEPLOYMENT,
+      });
+      expect(plan.problems).to.deep.equal(["Amount is too small - it converts to 0 shares and adjustAccountingSupply(0) reverts"]);
+    });
+
+    it("refuses a zero amount and a move to the same chain", function () {
+      const plan = planRebalance({
+        from: "base", to: "base", amount: ethers.BigNumber.from(0), states: buildStates(), deployment: DEPLOYMENT,
+      });
+      expect(plan.problems).to.deep.equal(["Source and destination chain are the same", "Amount must be greater than zero"]);
+    });
+  });
+
+  describe("planAssetOnlyRebalance", function () {
+    it("burns the surplus and mints the matched deficit, burns first", function () {
+      // Ideal backing is 110,000 on every chain
+      const states = buildStates({
+        base: { totalStaked: usdc("109700") },
+        sepolia: { totalStaked: usdc("110500") },
+        arbitrum: { totalStaked: usdc("109900") },
+      });
+      const plan = planAssetOnlyRebalance({ states, deployment: DEPLOYMENT, minDrift: usdc("1") });
+
+      expect(plan.problems).to.deep.equal([]);
+      expect(plan.globalDrift.eq(usdc("100"))).to.equal(true);
+      expect(plan.drift.base.drift.eq(usdc("-300"))).to.equal(true);
+      expect(Object.fromEntries(Object.entries(plan.moves).map(([chain, move]) => [chain, `${move.direction} ${move.amount}`])))
+        .to.deep.equal({ sepolia: `out ${usdc("400")}`, base: `in ${usdc("300")}`, arbitrum: `in ${usdc("100")}` });
+      expect(ids(plan.legs)).to.deep.equal([
+        "ownerBurnAssetOnly-sepolia",
+        "adjustTotalStaked-sepolia",
+        "ownerMintAssetOnly-base",
+        "adjustTotalStaked-base",
+        "ownerMintAssetOnly-arbitrum",
+        "adjustTotalStaked-arbitrum",
+      ]);
+      expect(ids(plan.pauseLegs)).to.deep.equal(["pause-sepolia", "pause-base", "pause-arbitrum"]);
+    });
+
+    it("leaves drift below the minimum alone", function () {
+      const states = buildStates({ sepolia: { totalStaked: usdc("110000.5") }, base: { totalStaked: usdc("109999.5") } });
+      const plan = planAssetOnlyRebalance({ states, deployment: DEPLOYMENT, minDrift: usdc("1") });
+
+      expect(plan.moves).to.deep.equal({});
+      expect(plan.legs).to.deep.equal([]);
+    });
+
+    it("moves nothing when no chain can take the surplus", function () {
+      const states = buildStates({ sepolia: { totalStaked: usdc("110500") } });
+      const plan = planAssetOnlyRebalance({ states, deployment: DEPLOYMENT, minDrift: usdc("1") });
+
+      expect(plan.moves).to.deep.equal({});
+      expect(plan.globalDrift.eq(usdc("500"))).to.equal(true);
+    });
+
+    it("refuses vaults on different rounds or prices", function () {
+      const states = buildStates({ arbitrum: { round: 5, pricePerShare: usdc("1.2") } });
+      const plan = planAssetOnlyRebalance({ states, deployment: DEPLOYMENT, minDrift: usdc("1") });
+
+      expect(plan.problems).to.deep.equal([
+        "arbitrum is on round 5, sepolia on round 4 - finish the round roll first",
+        `arbitrum: roundPricePerShare differs from sepolia (${usdc("1.2")} vs ${usdc("1.1")})`,
+      ]);
+    });
+
+    it("refuses to burn more than the vault holds", function () {
+      const states = buildStates({
+        sepolia: { totalStaked: usdc("110500"), wrapperBalance: usdc("200") },
+        base: { totalStaked: usdc("109500") },
+      });
+      const plan = planAssetOnlyRebalance({ states, deployment: DEPLOYMENT, minDrift: usdc("1") });
+
+      expect(plan.problems).to.deep.equal(["sepolia vault holds only 200.0 SherpaUSD"]);
+    });
+  });
+});
@@ -0,0 +1,67 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { planApprovalFix } = require("../scripts/core/rebalanceApprovals");
+
+/**
+ * Rebalance approvals
+ * planApprovalFix() turns a vault's unconsumed mint/burn approvals into the adjust*
+ * calls that consume them (scripts/core/rebalanceApprovals.js).
+ */
+
+const usdc = value => ethers.utils.parseUnits(value, 6);
+
+// readRebalanceState() output at a price of 1.1 SherpaUSD per shUSD
+function vaultState(approvedTotalStaked, approvedAccounting) {
+  return {
+    decimals: 6,
+    pricePerShare: usdc("1.1"),
+    approvedTotalStaked: usdc(approvedTotalStaked),
+    approvedAccounting: usdc(approvedAccounting),
+  };
+}
+
+describe("rebalanceApprovals", function () {
+  describe("planApprovalFix", function () {
+    it("does nothing for a vault without pending approvals", function () {
+      const plan = planApprovalFix({ chain: "base", state: vaultState("0", "0"), origin: null });
+      expect(plan).to.deep.equal({ legs: [], problems: [] });
+    });
+
+    it("adds back what a mint approved, accounting first", function () {
+      const plan = planApprovalFix({ chain: "base", state: vaultState("1100", "1100"), origin: { direction: "in" } });
+
+      expect(plan.problems).to.deep.equal([]);
+      expect(plan.legs.map(leg => `${leg.method}(${leg.args.join(", ")})`)).to.deep.equal([
+        `adjustAccountingSupply(${usdc("1000")})`,
+        `adjustTotalStaked(${usdc("1100")})`,
+      ]);
+      expect(plan.legs.map(leg => leg.target)).to.deep.equal(["vault", "vault"]);
+    });
+
+    it("subtracts what a burn approved", function () {
+      const plan = planApprovalFix({ chain: "base", state: vaultState("1100", "0"), origin: { direction: "out" } });
+      expect(plan.legs).to.deep.equal([{
+        id: "adjustTotalStaked-base",
+        chain: "base",
+        target: "vault",
+        method: "adjustTotalStaked",
+        args: [`-${usdc("1100")}`],
+        label: "adjustTotalStaked(-1100.0)",
+      }]);
+    });
+
+    it("sends nothing when the direction of the approval is unknown", function () {
+      const plan = planApprovalFix({ chain: "base", state: vaultState("5", "5"), origin: null });
+      expect(plan.legs).to.deep.equal([]);
+      expect(plan.problems[0]).to.include("base: cannot tell whether the approval came from a mint or a burn");
+    });
+
+    it("reports an accounting approval too small to consume", function () {
+      const state = { ...vaultState("0", "0"), approvedAccounting: ethers.BigNumber.from(1) };
+      const plan = planApprovalFix({ chain: "base", state, origin: { direction: "in" } });
+
+      expect(plan.legs).to.deep.equal([]);
+      expect(plan.problems[0]).to.include("approvedAccountingAdjustment 1 converts to 0 shares");
+    });
+  });
+});
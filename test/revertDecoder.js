@@ -0,0 +1,77 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const fs = require("fs");
+const path = require("path");
+const { findRevertData, decodeRevert, describeRevert } = require("../scripts/utils/revertDecoder");
+
+/**
+ * Revert decoding
+ * Revert data found in ethers errors and decoded to Error(string), Panic(uint256) or the
+ * custom errors of the compiled contracts (scripts/utils/revertDecoder.js).
+ */
+
+const VAULT_ARTIFACT = path.join(__dirname, "../artifacts/contracts/SherpaVault.sol/SherpaVault.json");
+
+// Built-in reverts (ethers refuses to encode these through an Interface)
+const errorString = reason => ethers.utils.hexConcat(["0x08c379a0", ethers.utils.defaultAbiCoder.encode(["string"], [reason])]);
+const panic = code => ethers.utils.hexConcat(["0x4e487b71", ethers.utils.defaultAbiCoder.encode(["uint256"], [code])]);
+
+describe("revertDecoder", function () {
+  describe("findRevertData", function () {
+    it("finds revert data however the provider nests it", function () {
+      const data = panic(0x11);
+      expect(findRevertData({ data })).to.equal(data);
+      expect(findRevertData({ error: { error: { data } } })).to.equal(data);
+      expect(findRevertData({ body: JSON.stringify({ error: { code: 3, data } }) })).to.equal(data);
+    });
+
+    it("returns null for errors without revert data", function () {
+      expect(findRevertData(new Error("timeout"))).to.equal(null);
+      expect(findRevertData({ body: "<html>502</html>" })).to.equal(null);
+    });
+  });
+
+  describe("decodeRevert", function () {
+    it("decodes Error(string)", function () {
+      expect(decodeRevert({ data: errorString("too early") })).to.deep.equal({
+        name: "Error",
+        args: { reason: "too early" },
+        hint: null,
+      });
+    });
+
+    it("decodes Panic(uint256) with its meaning", function () {
+      expect(decodeRevert({ data: panic(0x11) }).args).to.deep.equal({ code: "0x11", meaning: "arithmetic overflow/underflow" });
+      expect(decodeRevert({ data: panic(0x99) }).args.meaning).to.equal("unknown");
+    });
+
+    it("decodes custom errors of the compiled contracts with a hint", function () {
+      if (!fs.existsSync(VAULT_ARTIFACT)) {
+        this.skip();
+      }
+      const data = new ethers.utils.Interface(["error SystemPaused()"]).encodeErrorResult("SystemPaused", []);
+      const decoded = decodeRevert({ data });
+      expect(decoded.name).to.equal("SystemPaused");
+      expect(decoded.hint).to.include("The vault is paused");
+    });
+
+    it("names the selector of an unknown error", function () {
+      const decoded = decodeRevert({ data: "0xdeadbeef" });
+      expect(decoded.name).to.equal("unknown error 0xdeadbeef");
+      expect(decoded.hint).to.include("npx hardhat compile");
+    });
+
+    it("returns null when there is nothing to decode", function () {
+      expect(decodeRevert(new Error("nonce too low"))).to.equal(null);
+      expect(decodeRevert({ data: "0x" })).to.equal(null);
+    });
+  });
+
+  describe("describeRevert", function () {
+    it("prints the decoded revert, or the message if there is none", function () {
+      expect(describeRevert({ data: errorString("too early") })).to.equal("Error(reason=too early)");
+      expect(describeRevert({ data: panic(0x12) })).to.equal("Panic(code=0x12, meaning=division by zero)");
+      expect(describeRevert(new Error("nonce too low"))).to.equal("nonce too low");
+    });
+  });
+});
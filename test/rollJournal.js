@@ -0,0 +1,174 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  stepId,
+  buildSteps,
+  loadJournal,
+  acquireJournalLock,
+  readJournalLock,
+  releaseJournalLock,
+  startRoll,
+  markStep,
+  currentPhase,
+  reconcileWithChain,
+  completeRoll,
+} = require("../scripts/utils/rollJournal");
+
+/**
+ * Round roll journal
+ * Step bookkeeping, the writer lock and the reconciliation of a resumed roll
+ * with on-chain round() / currentEpoch() (scripts/utils/rollJournal.js).
+ */
+
+const CHAINS = ["sepolia", "base", "arbitrum"];
+
+// Every chain on `round` / `epoch`, with per-chain overrides
+function onchainState(round, overrides = {}) {
+  return Object.fromEntries(CHAINS.map(chain => [chain, { round, epoch: round, ...overrides[chain] }]));
+}
+
+describe("rollJournal", function () {
+  let dir;
+  let journalPath;
+  let journal;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "round-journal-"));
+    journalPath = path.join(dir, "round-journal.json");
+    journal = loadJournal(journalPath);
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("steps", function () {
+    it("orders the steps of a roll by phase", function () {
+      const ids = buildSteps("sepolia", CHAINS).map(step => step.id);
+      expect(ids.slice(0, 4)).to.deep.equal(["pause:sepolia", "pause:base", "pause:arbitrum", "snapshot"]);
+      expect(ids[4]).to.equal("roll-primary:sepolia");
+      expect(ids).to.not.include("apply-price:sepolia");
+      expect(ids.slice(-3)).to.deep.equal(["unpause:sepolia", "unpause:base", "unpause:arbitrum"]);
+    });
+
+    it("reports the last phase where every step is done", function () {
+      const roll = startRoll(journal, { round: 5, primaryChain: "sepolia", chains: CHAINS, operator: "0x01" });
+      expect(currentPhase(roll)).to.equal(null);
+
+      CHAINS.forEach(chain => markStep(journal, stepId("pause", chain), { status: "done" }));
+      expect(currentPhase(roll)).to.equal("paused");
+
+      markStep(journal, stepId("roll-primary", "sepolia"), { status: "done" });
+      expect(currentPhase(roll)).to.equal("paused");
+    });
+  });
+
+  describe("persistence", function () {
+    it("saves every change to the file the journal was loaded from", function () {
+      startRoll(journal, { round: 5, primaryChain: "sepolia", chains: CHAINS, operator: "0x01" });
+      markStep(journal, stepId("pause", "base"), { status: "sent", txHash: "0xabc" });
+
+      const reloaded = loadJournal(journalPath);
+      expect(reloaded.active.round).to.equal(5);
+      expect(reloaded.active.steps["pause:base"]).to.include({ status: "sent", txHash: "0xabc" });
+      expect(JSON.parse(fs.readFileSync(journalPath, "utf8"))).to.not.have.property("path");
+    });
+
+    it("refuses to start a roll while another is active", function () {
+      startRoll(journal, { round: 5, primaryChain: "sepolia", chains: CHAINS, operator: "0x01" });
+      expect(() => startRoll(journal, { round: 6, primaryChain: "sepolia", chains: CHAINS }))
+        .to.throw("Roll for round 5 is still in progress");
+    });
+
+    it("moves a completed roll into the history", function () {
+      startRoll(journal, { round: 5, primaryChain: "sepolia", chains: CHAINS, operator: "0x01" });
+      completeRoll(journal);
+
+      const reloaded = loadJournal(journalPath);
+      expect(reloaded.active).to.equal(null);
+      expect(reloaded.completed).to.have.length(1);
+      expect(reloaded.completed[0]).to.include({ round: 5, newRound: 6 });
+    });
+  });
+
+  describe("lock", function () {
+    it("refuses a second writer while the lock is held", function () {
+      acquireJournalLock("rollRound-allChains.js", journalPath);
+      expect(readJournalLock(journalPath)).to.include({ owner: "rollRound-allChains.js", pid: process.pid });
+      expect(() => acquireJournalLock("pauseWatchdog.js --refresh", journalPath))
+        .to.throw("Round journal is locked by rollRound-allChains.js");
+    });
+
+    it("takes over a lock left by a dead process", function () {
+      fs.writeFileSync(`${journalPath}.lock`, JSON.stringify({ owner: "rollRound-allChains.js", pid: 2 ** 22 + 1, host: os.hostname() }));
+      acquireJournalLock("pauseWatchdog.js --refresh", journalPath);
+      expect(readJournalLock(journalPath)).to.include({ owner: "pauseWatchdog.js --refresh", pid: process.pid });
+    });
+
+    it("keeps a lock held from another host", function () {
+      fs.writeFileSync(`${journalPath}.lock`, JSON.stringify({ owner: "rollRound-allChains.js", pid: 2 ** 22 + 1, host: "other-host" }));
+      expect(() => acquireJournalLock("pauseWatchdog.js --refresh", journalPath)).to.throw("other-host");
+    });
+
+    it("only releases a lock this process holds", function () {
+      fs.writeFileSync(`${journalPath}.lock`, JSON.stringify({ owner: "rollRound-allChains.js", pid: 2 ** 22 + 1, host: "other-host" }));
+      releaseJournalLock(journalPath);
+      expect(readJournalLock(journalPath)).to.not.equal(null);
+
+      fs.rmSync(`${journalPath}.lock`);
+      acquireJournalLock("rollRound-allChains.js", journalPath);
+      releaseJournalLock(journalPath);
+      expect(readJournalLock(journalPath)).to.equal(null);
+    });
+  });
+
+  describe("reconcileWithChain", function () {
+    let roll;
+
+    beforeEach(function () {
+      roll = startRoll(journal, { round: 5, primaryChain: "sepolia", chains: CHAINS, operator: "0x01" });
+    });
+
+    it("changes nothing before the primary rolled", function () {
+      expect(reconcileWithChain(journal, roll, onchainState(5))).to.deep.equal([]);
+      expect(roll.steps["roll-primary:sepolia"].status).to.equal("pending");
+    });
+
+    it("marks the primary roll and snapshot done once the primary is on the new round", function () {
+      const corrections = reconcileWithChain(journal, roll, onchainState(5, { sepolia: { round: 6 } }));
+      expect(corrections).to.deep.equal(["roll-primary:sepolia", "snapshot"]);
+      expect(loadJournal(journalPath).active.steps["roll-primary:sepolia"]).to.include({
+        status: "done",
+        recoveredFromChain: true,
+      });
+    });
+
+    it("marks applied prices and processed epochs per chain", function () {
+      const corrections = reconcileWithChain(journal, roll, onchainState(5, {
+        sepolia: { round: 6, epoch: 6 },
+        base: { round: 6 },
+      }));
+      expect(corrections).to.include.members(["apply-price:base", "process-withdrawals:sepolia"]);
+      expect(corrections).to.not.include("apply-price:arbitrum");
+      expect(corrections).to.not.include("process-withdrawals:base");
+    });
+
+    it("does not report steps the journal already has as done", function () {
+      markStep(journal, stepId("roll-primary", "sepolia"), { status: "done" });
+      markStep(journal, "snapshot", { status: "done" });
+      expect(reconcileWithChain(journal, roll, onchainState(5, { sepolia: { round: 6 } }))).to.deep.equal([]);
+    });
+
+    it("refuses a secondary that is ahead of the primary", function () {
+      expect(() => reconcileWithChain(journal, roll, onchainState(5, { base: { round: 6 } })))
+        .to.throw("base advanced to round 6 before the primary chain");
+    });
+
+    it("refuses a chain outside the journaled rounds", function () {
+      expect(() => reconcileWithChain(journal, roll, onchainState(5, { arbitrum: { round: 7 } })))
+        .to.throw("Journal and chain disagree");
+    });
+  });
+});
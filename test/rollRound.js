@@ -0,0 +1,71 @@
+const { expect } = require("chai");
+const { waitForSentStep } = require("../scripts/core/rollRound-allChains");
+
+/**
+ * Resuming a sent roll step
+ * waitForSentStep() looks up every journaled broadcast of a step (speed-ups included)
+ * and waits while its nonce is pending (scripts/core/rollRound-allChains.js).
+ */
+
+const OPERATOR = "0x1000000000000000000000000000000000000001";
+
+// Provider whose receipts and nonce counts change from one poll to the next
+function fakeProvider({ receipts = {}, polls = [] }) {
+  let poll = 0;
+  return {
+    async getTransactionReceipt(hash) {
+      const receipt = receipts[hash];
+      return receipt && poll >= receipt.fromPoll ? { transactionHash: hash, status: 1 } : null;
+    },
+    async getTransaction() {
+      return null;
+    },
+    async getTransactionCount(from, blockTag) {
+      const counts = polls[Math.min(poll, polls.length - 1)];
+      if (blockTag === "pending") {
+        poll++;
+      }
+      return counts[blockTag];
+    },
+  };
+}
+
+describe("rollRound-allChains", function () {
+  describe("waitForSentStep", function () {
+    it("finds the receipt of a speed-up, not only of the first broadcast", async function () {
+      const provider = fakeProvider({ receipts: { "0xb": { fromPoll: 0 } } });
+      const step = { status: "sent", txHash: "0xb", txHashes: ["0xa", "0xb"], nonce: 7 };
+
+      expect(await waitForSentStep(provider, step, OPERATOR, 0)).to.include({ transactionHash: "0xb" });
+    });
+
+    it("waits while the nonce is pending instead of reporting the tx dropped", async function () {
+      const provider = fakeProvider({
+        receipts: { "0xb": { fromPoll: 2 } },
+        polls: [{ latest: 7, pending: 8 }, { latest: 7, pending: 8 }, { latest: 8, pending: 8 }],
+      });
+      const step = { status: "sent", txHash: "0xa", txHashes: ["0xa", "0xb"], nonce: 7 };
+
+      expect(await waitForSentStep(provider, step, OPERATOR, 0)).to.include({ transactionHash: "0xb" });
+    });
+
+    it("reports the step dropped once the nonce is neither mined nor pending", async function () {
+      const provider = fakeProvider({ polls: [{ latest: 7, pending: 7 }] });
+      const step = { status: "sent", txHash: "0xa", txHashes: ["0xa"], nonce: 7 };
+
+      expect(await waitForSentStep(provider, step, OPERATOR, 0)).to.equal(null);
+    });
+
+    it("reports the step dropped when another tx used the nonce", async function () {
+      const provider = fakeProvider({ polls: [{ latest: 9, pending: 9 }] });
+      const step = { status: "sent", txHash: "0xa", txHashes: ["0xa"], nonce: 7 };
+
+      expect(await waitForSentStep(provider, step, OPERATOR, 0)).to.equal(null);
+    });
+
+    it("reads journals written before nonces were recorded", async function () {
+      const provider = fakeProvider({});
+      expect(await waitForSentStep(provider, { status: "sent", txHash: "0xa" }, OPERATOR, 0)).to.equal(null);
+    });
+  });
+});
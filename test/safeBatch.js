@@ -0,0 +1,159 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { getChain } = require("../scripts/utils/chainRegistry");
+const { safeTransaction, readSafeBatch, unpackMultiSend } = require("../scripts/utils/safeBatch");
+
+/**
+ * Safe batches
+ * Loading Transaction Builder files and Safe Transaction Service proposals for
+ * verification, MultiSend unpacking and the proposal checks (scripts/utils/safeBatch.js).
+ */
+
+const SAFE = ethers.utils.getAddress("0x5afe000000000000000000000000000000000001");
+const VAULT = ethers.utils.getAddress(`0x${"a".repeat(40)}`);
+const POOL = ethers.utils.getAddress(`0x${"c".repeat(40)}`);
+const MULTISEND = "0x40A2aCCbd92BCA938b02010E17A5b8929b49130D";
+const ZERO = ethers.constants.AddressZero;
+
+const VAULT_INTERFACE = new ethers.utils.Interface([
+  "function setCap(uint256 newCap) external",
+  "function removeCCIPPool(address pool) external",
+]);
+const MULTISEND_INTERFACE = new ethers.utils.Interface(["function multiSend(bytes transactions)"]);
+
+const SAFE_TX_TYPES = {
+  SafeTx: [
+    { name: "to", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "data", type: "bytes" },
+    { name: "operation", type: "uint8" },
+    { name: "safeTxGas", type: "uint256" },
+    { name: "baseGas", type: "uint256" },
+    { name: "gasPrice", type: "uint256" },
+    { name: "gasToken", type: "address" },
+    { name: "refundReceiver", type: "address" },
+    { name: "nonce", type: "uint256" },
+  ],
+};
+
+function packMultiSend(transactions) {
+  const packed = ethers.utils.hexConcat(transactions.map(({ to, value, data }) => ethers.utils.solidityPack(
+    ["uint8", "address", "uint256", "uint256", "bytes"],
+    [0, to, value, ethers.utils.hexDataLength(data), data]
+  )));
+  return MULTISEND_INTERFACE.encodeFunctionData("multiSend", [packed]);
+}
+
+// Proposal as returned by the Safe Transaction Service, with a correct safeTxHash
+function serviceTransaction(fields = {}) {
+  const tx = {
+    safe: SAFE,
+    to: VAULT,
+    value: "0",
+    data: VAULT_INTERFACE.encodeFunctionData("setCap", [1000]),
+    operation: 0,
+    safeTxGas: "0",
+    baseGas: "0",
+    gasPrice: "0",
+    gasToken: ZERO,
+    refundReceiver: ZERO,
+    nonce: 7,
+    ...fields,
+  };
+  const { safe, safeTxHash, ...values } = tx;
+  const domain = { chainId: getChain("base").chainId, verifyingContract: safe };
+  return { ...tx, safeTxHash: safeTxHash || ethers.utils._TypedDataEncoder.hash(domain, SAFE_TX_TYPES, values) };
+}
+
+describe("safeBatch", function () {
+  let dir;
+
+  function writeJson(json) {
+    const filePath = path.join(dir, `batch-${fs.readdirSync(dir).length}.json`);
+    fs.writeFileSync(filePath, JSON.stringify(json));
+    return filePath;
+  }
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "safe-batch-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("unpackMultiSend", function () {
+    it("splits MultiSend calldata into its transactions", function () {
+      const calls = [
+        { to: VAULT, value: "0", data: VAULT_INTERFACE.encodeFunctionData("removeCCIPPool", [POOL]) },
+        { to: POOL, value: "5", data: "0x" },
+      ];
+      expect(unpackMultiSend(packMultiSend(calls))).to.deep.equal(calls.map(call => ({ operation: 0, ...call })));
+    });
+  });
+
+  describe("readSafeBatch", function () {
+    it("reads a Transaction Builder batch", function () {
+      const tx = safeTransaction({ address: VAULT, interface: VAULT_INTERFACE }, "setCap", [1000]);
+      const filePath = writeJson({
+        chainId: "84532",
+        meta: { createdFromSafeAddress: SAFE.toLowerCase() },
+        transactions: [{ to: tx.to, value: tx.value, data: tx.data, contractMethod: null }],
+      });
+
+      expect(readSafeBatch(filePath)).to.deep.equal({
+        source: "Transaction Builder",
+        chainId: "84532",
+        safe: SAFE,
+        transactions: [{ operation: 0, to: VAULT, value: "0", data: tx.data }],
+      });
+    });
+
+    it("reads a proposed call and checks its safeTxHash", function () {
+      const batch = readSafeBatch(writeJson(serviceTransaction()), { chain: "base" });
+      expect(batch).to.include({ source: "Safe Transaction Service", chainId: String(getChain("base").chainId), safe: SAFE });
+      expect(batch.transactions).to.have.length(1);
+    });
+
+    it("unpacks a proposed MultiSend batch", function () {
+      const data = packMultiSend([
+        { to: VAULT, value: "0", data: VAULT_INTERFACE.encodeFunctionData("setCap", [1]) },
+        { to: VAULT, value: "0", data: VAULT_INTERFACE.encodeFunctionData("setCap", [2]) },
+      ]);
+      const batch = readSafeBatch(writeJson(serviceTransaction({ to: MULTISEND, operation: 1, data })), { chain: "base" });
+      expect(batch.transactions.map(tx => tx.to)).to.deep.equal([VAULT, VAULT]);
+    });
+
+    it("refuses a delegatecall to anything but MultiSend", function () {
+      const filePath = writeJson(serviceTransaction({ to: POOL, operation: 1 }));
+      expect(() => readSafeBatch(filePath, { chain: "base" })).to.throw("not a canonical MultiSend contract");
+    });
+
+    it("refuses proposals that pay gas refunds", function () {
+      for (const [fields, message] of [
+        [{ gasPrice: "1" }, "pays a gas refund (gasPrice 1)"],
+        [{ gasToken: POOL }, `pays gas in token ${POOL}`],
+        [{ refundReceiver: POOL }, `sends a gas refund to ${POOL}`],
+      ]) {
+        const filePath = writeJson(serviceTransaction(fields));
+        expect(() => readSafeBatch(filePath, { chain: "base" })).to.throw(message);
+      }
+    });
+
+    it("refuses a safeTxHash that is not the hash of the proposal", function () {
+      const tampered = { ...serviceTransaction(), nonce: 8 };
+      expect(() => readSafeBatch(writeJson(tampered), { chain: "base" })).to.throw("is not the hash of its fields");
+    });
+
+    it("refuses a proposal hashed for another chain", function () {
+      expect(() => readSafeBatch(writeJson(serviceTransaction()), { chain: "arbitrum" })).to.throw("is not the hash of its fields");
+    });
+
+    it("needs the chain for a Safe Transaction Service proposal", function () {
+      expect(() => readSafeBatch(writeJson(serviceTransaction()))).to.throw("pass the chain");
+    });
+  });
+});
@@ -0,0 +1,171 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const {
+  assetToShares,
+  sharesToAsset,
+  getSharesFromReceipt,
+  pricePerShare,
+  assertUint104,
+  assertUint128,
+  simulateRoll,
+} = require("../scripts/utils/shareMath");
+
+/**
+ * ShareMath JS port
+ * Mirrors the cases in test/ShareMath.t.sol so the off-chain math used by the
+ * round roll dry-run stays bit-for-bit identical to the Solidity library.
+ */
+
+const { BigNumber } = ethers;
+const DECIMALS_18 = 18;
+const DECIMALS_6 = 6;
+
+const usdc = (value) => ethers.utils.parseUnits(value, 6);
+const shares18 = (value) => ethers.utils.parseUnits(value, 18);
+
+describe("ShareMath (JS port)", function () {
+  describe("assetToShares", function () {
+    it("converts clean amounts", function () {
+      expect(assetToShares(usdc("100"), usdc("10"), DECIMALS_18).toString()).to.equal(shares18("10").toString());
+    });
+
+    it("truncates fractional results like Solidity", function () {
+      expect(assetToShares(usdc("83"), usdc("2.3"), DECIMALS_18).toString()).to.equal("36086956521739130434");
+    });
+
+    it("reverts with placeholder price", function () {
+      expect(() => assetToShares(usdc("100"), 1, DECIMALS_18)).to.throw("InvalidAssetPerShare()");
+    });
+
+    it("reverts with zero price", function () {
+      expect(() => assetToShares(usdc("100"), 0, DECIMALS_18)).to.throw("InvalidAssetPerShare()");
+    });
+  });
+
+  describe("sharesToAsset", function () {
+    it("converts clean amounts", function () {
+      expect(sharesToAsset(shares18("10"), usdc("10"), DECIMALS_18).toString()).to.equal(usdc("100").toString());
+    });
+
+    it("round-trips fractional conversion within 1 wei", function () {
+      const assets = sharesToAsset("36086956521739130434", usdc("2.3"), DECIMALS_18);
+      expect(assets.sub(usdc("83")).abs().lte(1)).to.equal(true);
+    });
+
+    it("reverts with placeholder price", function () {
+      expect(() => sharesToAsset(shares18("10"), 1, DECIMALS_18)).to.throw("InvalidAssetPerShare()");
+    });
+  });
+
+  describe("getSharesFromReceipt", function () {
+    it("converts deposit amount from a past round", function () {
+      const receipt = { round: 1, amount: usdc("100"), unclaimedShares: 0 };
+      expect(getSharesFromReceipt(receipt, 2, usdc("1"), DECIMALS_18).toString()).to.equal(shares18("100").toString());
+    });
+
+    it("returns 0 when receipt round matches current round", function () {
+      const receipt = { round: 2, amount: usdc("100"), unclaimedShares: 0 };
+      expect(getSharesFromReceipt(receipt, 2, usdc("1"), DECIMALS_18).toString()).to.equal("0");
+    });
+
+    it("combines converted and unclaimed shares", function () {
+      const receipt = { round: 1, amount: usdc("50"), unclaimedShares: shares18("25") };
+      expect(getSharesFromReceipt(receipt, 2, usdc("1"), DECIMALS_18).toString()).to.equal(shares18("75").toString());
+    });
+
+    it("handles fractional conversion with unclaimed shares", function () {
+      const receipt = { round: 1, amount: usdc("83"), unclaimedShares: shares18("10") };
+      expect(getSharesFromReceipt(receipt, 2, usdc("2.3"), DECIMALS_18).toString()).to.equal("46086956521739130434");
+    });
+
+    it("returns 0 for round 0 receipt", function () {
+      const receipt = { round: 0, amount: usdc("100"), unclaimedShares: 0 };
+      expect(getSharesFromReceipt(receipt, 1, usdc("1"), DECIMALS_18).toString()).to.equal("0");
+    });
+  });
+
+  describe("pricePerShare", function () {
+    it("is 1:1 with no supply", function () {
+      expect(pricePerShare(0, 0, usdc("100"), DECIMALS_18).toString()).to.equal(shares18("1").toString());
+    });
+
+    it("excludes pending from existing supply", function () {
+      expect(pricePerShare(shares18("100"), usdc("110"), usdc("10"), DECIMALS_18).toString()).to.equal(usdc("1").toString());
+    });
+
+    it("reflects positive yield", function () {
+      expect(pricePerShare(shares18("100"), usdc("120"), 0, DECIMALS_18).toString()).to.equal(usdc("1.2").toString());
+    });
+
+    it("reflects loss", function () {
+      expect(pricePerShare(shares18("100"), usdc("80"), 0, DECIMALS_18).toString()).to.equal(usdc("0.8").toString());
+    });
+
+    it("excludes pending deposits", function () {
+      expect(pricePerShare(shares18("100"), usdc("150"), usdc("50"), DECIMALS_18).toString()).to.equal(usdc("1").toString());
+    });
+  });
+
+  describe("assertUint104 / assertUint128", function () {
+    it("accepts max values", function () {
+      expect(() => assertUint104(BigNumber.from(2).pow(104).sub(1))).to.not.throw();
+      expect(() => assertUint128(BigNumber.from(2).pow(128).sub(1))).to.not.throw();
+    });
+
+    it("reverts on overflow", function () {
+      expect(() => assertUint104(BigNumber.from(2).pow(104))).to.throw("Overflow104()");
+      expect(() => assertUint128(BigNumber.from(2).pow(128))).to.throw("Overflow128()");
+    });
+  });
+
+  describe("simulateRoll", function () {
+    const params = { decimals: DECIMALS_6, minimumSupply: usdc("1") };
+
+    it("predicts global price, minted shares and primary yield mint", function () {
+      const result = simulateRoll({
+        primaryChain: "sepolia",
+        chains: {
+          sepolia: { ...params, totalStaked: usdc("100"), accountingSupply: usdc("100"), totalPending: usdc("10") },
+          base: { ...params, totalStaked: usdc("50"), accountingSupply: usdc("50"), totalPending: usdc("23") },
+        },
+        yield: usdc("15"),
+        isYieldPositive: true,
+      });
+
+      // (150 + 15) / 150 = 1.1 USDC per share
+      expect(result.pricePerShare.toString()).to.equal(usdc("1.1").toString());
+      expect(result.chains.sepolia.mintShares.toString()).to.equal("9090909");
+      expect(result.chains.sepolia.sherpaUsdMinted.toString()).to.equal(usdc("15").toString());
+      expect(result.chains.base.mintShares.toString()).to.equal("20909090");
+      expect(result.reverts).to.have.length(0);
+    });
+
+    it("predicts SherpaUSD burn on loss", function () {
+      const result = simulateRoll({
+        primaryChain: "sepolia",
+        chains: {
+          sepolia: { ...params, totalStaked: usdc("100"), accountingSupply: usdc("100"), totalPending: 0 },
+        },
+        yield: usdc("20"),
+        isYieldPositive: false,
+      });
+
+      expect(result.pricePerShare.toString()).to.equal(usdc("0.8").toString());
+      expect(result.chains.sepolia.sherpaUsdBurned.toString()).to.equal(usdc("20").toString());
+    });
+
+    it("predicts MinimumSupplyNotMet", function () {
+      const result = simulateRoll({
+        primaryChain: "sepolia",
+        chains: {
+          sepolia: { ...params, totalStaked: usdc("2"), accountingSupply: usdc("2"), totalPending: 0 },
+          base: { ...params, totalStaked: 0, accountingSupply: 0, totalPending: usdc("0.5") },
+        },
+        yield: 0,
+        isYieldPositive: true,
+      });
+
+      expect(result.reverts).to.deep.equal([{ chain: "base", error: "MinimumSupplyNotMet()" }]);
+    });
+  });
+});
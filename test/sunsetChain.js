@@ -0,0 +1,143 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { planDrain } = require("../scripts/system-deployment/sunsetChain");
+
+/**
+ * Sunset drain
+ * planDrain() moves the whole accountingSupply and backing of a retiring chain into
+ * another vault (scripts/system-deployment/sunsetChain.js).
+ */
+
+const usdc = value => ethers.utils.parseUnits(value, 6);
+
+const OPERATOR = ethers.utils.getAddress(`0x${"1".repeat(40)}`);
+const OTHER = ethers.utils.getAddress(`0x${"2".repeat(40)}`);
+
+const DEPLOYMENT = {
+  base: { vault: ethers.utils.getAddress(`0x${"a".repeat(40)}`) },
+  arbitrum: { vault: ethers.utils.getAddress(`0x${"b".repeat(40)}`) },
+};
+
+// readRebalanceState() output at a price of 1.1 SherpaUSD per shUSD
+function chainState(overrides = {}) {
+  return {
+    round: 4,
+    isPaused: false,
+    totalStaked: usdc("1100"),
+    accountingSupply: usdc("1000"),
+    decimals: 6,
+    pricePerShare: usdc("1.1"),
+    wrapperBalance: usdc("1100"),
+    approvedTotalStaked: ethers.BigNumber.from(0),
+    approvedAccounting: ethers.BigNumber.from(0),
+    vaultOperators: [OPERATOR, OTHER],
+    wrapperOperators: [OPERATOR, OTHER],
+    ...overrides,
+  };
+}
+
+function drain(overrides = {}) {
+  const states = { base: chainState(overrides.base), arbitrum: chainState(overrides.arbitrum) };
+  return planDrain({ chain: "base", to: "arbitrum", states, deployment: DEPLOYMENT, operator: OPERATOR });
+}
+
+function ids(legs) {
+  return legs.map(leg => leg.id);
+}
+
+describe("sunsetChain", function () {
+  describe("planDrain", function () {
+    it("moves the whole accountingSupply and its backing", function () {
+      const plan = drain();
+
+      expect(plan.problems).to.deep.equal([]);
+      expect(plan.shares.eq(usdc("1000"))).to.equal(true);
+      expect(plan.amount.eq(usdc("1100"))).to.equal(true);
+      expect(plan.drift.isZero()).to.equal(true);
+      expect(ids(plan.legs)).to.deep.equal([
+        "ownerBurn-base",
+        "adjustAccountingSupply-base",
+        "adjustTotalStaked-base",
+        "ownerMint-arbitrum",
+        "adjustAccountingSupply-arbitrum",
+        "adjustTotalStaked-arbitrum",
+      ]);
+      expect(ids(plan.pauseLegs)).to.deep.equal(["pause-base", "pause-arbitrum"]);
+    });
+
+    it("rounds the amount up so it converts to exactly the accountingSupply", function () {
+      const plan = drain({ base: { accountingSupply: usdc("999.999999"), totalStaked: usdc("1099.999999") } });
+
+      expect(plan.problems).to.deep.equal([]);
+      // 999.999999 × 1.1 = 1099.9999989
+      expect(plan.amount.eq(usdc("1099.999999"))).to.equal(true);
+    });
+
+    it("moves surplus backing asset-only after the shares", function () {
+      const plan = drain({ base: { totalStaked: usdc("1105"), wrapperBalance: usdc("1105") } });
+
+      expect(plan.drift.eq(usdc("5"))).to.equal(true);
+      expect(ids(plan.legs).slice(6)).to.deep.equal([
+        "ownerBurnAssetOnly-base-backing",
+        "adjustTotalStaked-base-backing",
+        "ownerMintAssetOnly-arbitrum-backing",
+        "adjustTotalStaked-arbitrum-backing",
+      ]);
+      expect(plan.legs[6].args).to.deep.equal([DEPLOYMENT.base.vault, usdc("5").toString()]);
+    });
+
+    it("covers a backing shortfall from the destination first", function () {
+      const plan = drain({ base: { totalStaked: usdc("1090"), wrapperBalance: usdc("1090") } });
+
+      expect(plan.problems).to.deep.equal([]);
+      expect(plan.drift.eq(usdc("-10"))).to.equal(true);
+      expect(ids(plan.legs).slice(0, 4)).to.deep.equal([
+        "ownerBurnAssetOnly-arbitrum-backing",
+        "adjustTotalStaked-arbitrum-backing",
+        "ownerMintAssetOnly-base-backing",
+        "adjustTotalStaked-base-backing",
+      ]);
+    });
+
+    it("refuses a shortfall the destination cannot cover", function () {
+      const plan = drain({
+        base: { totalStaked: usdc("1090"), wrapperBalance: usdc("1090") },
+        arbitrum: { wrapperBalance: usdc("5") },
+      });
+      expect(plan.problems).to.deep.equal(["arbitrum cannot cover the 10.0 SherpaUSD backing shortfall of base"]);
+    });
+
+    it("refuses vaults on different rounds, pending approvals and a foreign operator", function () {
+      const plan = drain({
+        base: { round: 5, approvedAccounting: usdc("1") },
+        arbitrum: { vaultOperators: [OTHER, OTHER] },
+      });
+      expect(plan.problems).to.deep.equal([
+        "base is on round 5, arbitrum on round 4 - finish the round roll first",
+        "base: unconsumed rebalance approvals - resolve with scripts/core/rebalanceApprovals.js",
+        `arbitrum: ${OPERATOR} is not operator/owner of the vault and SherpaUSD`,
+      ]);
+    });
+
+    it("refuses a price no amount converts back to the whole supply at", function () {
+      const price = ethers.BigNumber.from(3);
+      const plan = drain({
+        base: { pricePerShare: price, accountingSupply: ethers.BigNumber.from(1), totalStaked: ethers.BigNumber.from(1) },
+        arbitrum: { pricePerShare: price },
+      });
+      expect(plan.problems).to.deep.equal(["No SherpaUSD amount converts to exactly 0.000001 shUSD at price 0.000003 - drain manually"]);
+    });
+
+    it("only moves backing when the accountingSupply is already drained", function () {
+      const plan = drain({ base: { accountingSupply: ethers.BigNumber.from(0), totalStaked: usdc("3"), wrapperBalance: usdc("3") } });
+
+      expect(plan.problems).to.deep.equal([]);
+      expect(ids(plan.legs)).to.deep.equal([
+        "ownerBurnAssetOnly-base-backing",
+        "adjustTotalStaked-base-backing",
+        "ownerMintAssetOnly-arbitrum-backing",
+        "adjustTotalStaked-arbitrum-backing",
+      ]);
+    });
+  });
+});
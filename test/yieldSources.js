@@ -0,0 +1,125 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  loadYieldReport,
+  manualYield,
+  impliedAprBps,
+  checkYieldBounds,
+  describeSource,
+} = require("../scripts/utils/yieldSources");
+
+/**
+ * Yield sources
+ * Strategy PnL reports (JSON / CSV) turned into the yield of a roll, and the APR bounds
+ * the yield is checked against (scripts/utils/yieldSources.js).
+ */
+
+const usdc = value => ethers.utils.parseUnits(value, 6);
+
+const BOUNDS = { maxAprBps: 5000, maxAprMoveBps: 2000 };
+
+describe("yieldSources", function () {
+  let dir;
+
+  function writeReport(name, content) {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  }
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "yield-report-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("loadYieldReport", function () {
+    it("sums the venues of a JSON report", function () {
+      const content = JSON.stringify({ venues: [{ venue: "aave", pnl: "12.5" }, { venue: "morpho", pnl: "-2.25" }] });
+      const filePath = writeReport("pnl.json", content);
+
+      const source = loadYieldReport(filePath);
+      expect(source).to.include({ type: "json", path: path.resolve(filePath), isYieldPositive: true });
+      expect(source.sha256).to.equal(crypto.createHash("sha256").update(content).digest("hex"));
+      expect(source.total.eq(usdc("10.25"))).to.equal(true);
+      expect(source.yield.eq(usdc("10.25"))).to.equal(true);
+      expect(source.lines.map(line => line.venue)).to.deep.equal(["aave", "morpho"]);
+    });
+
+    it("accepts a bare array of JSON lines", function () {
+      const source = loadYieldReport(writeReport("pnl.json", JSON.stringify([{ venue: "aave", pnl: 1 }])));
+      expect(source.total.eq(usdc("1"))).to.equal(true);
+    });
+
+    it("reads a CSV report by column name, skipping comments and blank rows", function () {
+      const filePath = writeReport("pnl.csv", "# daily pnl\nPnL,Venue\n-7.5,aave\n\n2.5,morpho\n");
+
+      const source = loadYieldReport(filePath);
+      expect(source.type).to.equal("csv");
+      expect(source.lines.map(line => line.venue)).to.deep.equal(["aave", "morpho"]);
+      expect(source.total.eq(usdc("-5"))).to.equal(true);
+      expect(source.yield.eq(usdc("5"))).to.equal(true);
+      expect(source.isYieldPositive).to.equal(false);
+    });
+
+    it("names the line of an invalid pnl", function () {
+      const filePath = writeReport("pnl.csv", "venue,pnl\naave,1\nmorpho,abc\n");
+      expect(() => loadYieldReport(filePath)).to.throw(`Invalid pnl "abc" (${filePath} row 3)`);
+    });
+
+    it("refuses reports without venue lines or the expected fields", function () {
+      expect(() => loadYieldReport(writeReport("empty.csv", "venue,pnl\n"))).to.throw("report has no venue lines");
+      expect(() => loadYieldReport(writeReport("columns.csv", "name,amount\naave,1\n"))).to.throw('"venue" and "pnl" columns');
+      expect(() => loadYieldReport(writeReport("object.json", "{}"))).to.throw('{ "venues": [...] }');
+      expect(() => loadYieldReport(writeReport("line.json", '[{ "venue": "aave" }]'))).to.throw('line 0 must have "venue" and "pnl"');
+    });
+
+    it("refuses other file formats", function () {
+      expect(() => loadYieldReport(writeReport("pnl.txt", "1"))).to.throw("Unsupported yield report format: .txt");
+    });
+  });
+
+  describe("manualYield", function () {
+    it("records the report it overrides", function () {
+      const report = loadYieldReport(writeReport("pnl.json", JSON.stringify([{ venue: "aave", pnl: "3" }])));
+      const source = manualYield(usdc("2"), false, report);
+
+      expect(source.total.eq(usdc("-2"))).to.equal(true);
+      expect(describeSource(source)).to.deep.include({
+        type: "manual",
+        total: usdc("-2").toString(),
+        overrides: { type: "json", path: report.path, sha256: report.sha256, total: usdc("3").toString() },
+      });
+    });
+  });
+
+  describe("bounds", function () {
+    it("annualizes one roll's yield in basis points", function () {
+      // 10 USDC on 365,000 USDC per day = 1% APR
+      expect(impliedAprBps(usdc("10"), usdc("365000"))).to.equal(100);
+      expect(impliedAprBps(usdc("-10"), usdc("365000"))).to.equal(-100);
+      expect(impliedAprBps(usdc("10"), 0)).to.equal(0);
+    });
+
+    it("accepts a yield within the APR and move limits", function () {
+      expect(checkYieldBounds(usdc("10"), usdc("365000"), 150, BOUNDS)).to.deep.equal({ aprBps: 100, violations: [] });
+    });
+
+    it("flags an APR beyond the limit in either direction", function () {
+      const { violations } = checkYieldBounds(usdc("-600"), usdc("365000"), null, BOUNDS);
+      expect(violations).to.deep.equal(["implied APR -60.00% exceeds ±50.00%"]);
+    });
+
+    it("flags an APR move beyond the limit against the previous roll", function () {
+      const { violations } = checkYieldBounds(usdc("300"), usdc("365000"), 500, BOUNDS);
+      expect(violations).to.have.length(1);
+      expect(violations[0]).to.include("implied APR moved 25.00% vs previous roll (5.00%)");
+    });
+  });
+});